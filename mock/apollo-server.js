@@ -0,0 +1,181 @@
+// Local stand-in for Apollo's people/match, organizations/bulk_enrich and
+// mixed_people/search endpoints, for offline development and the test suite. Start it with
+// `npm run mock:apollo` and point the functions at it with
+// APOLLO_BASE_URL=http://localhost:4010.
+//
+// The API key picks the behaviour, so each scenario can be a key profile:
+//   mock-...                       matches against mock/fixtures.js
+//   mock-...unauthorized...        401, as for a revoked key
+//   mock-...unprocessable...       422, as for a malformed request
+//   mock-...rate-limited...        429 with Retry-After and usage headers
+//   mock-...server-error...        500
+//   mock-...slow...                a match response after `delayMs`
+//   anything else                  401
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { people, organizations, searchPeople } from './fixtures.js';
+
+const MATCH_PATH = '/api/v1/people/match';
+const ORGANIZATION_PATH = '/api/v1/organizations/bulk_enrich';
+const SEARCH_PATH = '/api/v1/mixed_people/search';
+const SCENARIOS = ['unauthorized', 'unprocessable', 'rate-limited', 'server-error', 'slow'];
+
+export const scenarioFor = (apiKey) => {
+  if (!apiKey || !apiKey.startsWith('mock-')) return 'unauthorized';
+  return SCENARIOS.find(scenario => apiKey.includes(scenario)) || 'ok';
+};
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+const findPerson = (request) => people.find(person =>
+  lower(person.first_name) === lower(request.first_name) &&
+  lower(person.last_name) === lower(request.last_name) &&
+  (!request.organization_domain || lower(person.organization.primary_domain) === lower(request.organization_domain))
+);
+
+// Apollo only returns personal emails and phone numbers when asked to
+const revealed = (person, body) => ({
+  ...person,
+  personal_email: body.reveal_personal_emails ? person.personal_email : null,
+  direct_phone_number: body.reveal_phone_number ? person.direct_phone_number : null,
+  mobile_phone_number: body.reveal_phone_number ? person.mobile_phone_number : null
+});
+
+// People search filters: any matching title (substring), seniority,
+// department or location (substring of "city, state, country")
+const matchesSearch = (person, body) => {
+  const domains = (body.q_organization_domains_list || []).map(lower);
+  const location = lower([person.city, person.state, person.country].join(', '));
+  const anyOf = (values, test) => !values?.length || values.some(test);
+
+  return domains.includes(person.organization.primary_domain) &&
+    anyOf(body.person_titles, title => lower(person.title).includes(lower(title))) &&
+    anyOf(body.person_seniorities, seniority => person.seniority === seniority) &&
+    anyOf(body.person_department_or_subdepartments, department => person.departments.includes(department)) &&
+    anyOf(body.person_locations, place => location.includes(lower(place)));
+};
+
+const sendJSON = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+export const createMockApolloServer = ({ delayMs = 3000, log = () => {} } = {}) => {
+  // Every request the server received, for assertions in tests
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const apiKey = req.headers['x-api-key'];
+    const scenario = scenarioFor(apiKey);
+    const raw = await readBody(req);
+    log(`${req.method} ${req.url} (${scenario})`);
+
+    if (req.method !== 'POST' || ![MATCH_PATH, ORGANIZATION_PATH, SEARCH_PATH].includes(req.url)) {
+      sendJSON(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    requests.push({ apiKey, body });
+
+    switch (scenario) {
+      case 'unauthorized':
+        sendJSON(res, 401, { error: 'Invalid access credentials.' });
+        return;
+      case 'unprocessable':
+        sendJSON(res, 422, { error: 'people must be an array of at most 10 entries' });
+        return;
+      case 'rate-limited':
+        sendJSON(res, 429, { error: 'The maximum number of api calls allowed for api/v1/people/match is 600 times per hour.' }, {
+          'Retry-After': '30',
+          'x-minute-requests-left': '0'
+        });
+        return;
+      case 'server-error':
+        sendJSON(res, 500, { error: 'Internal Server Error' });
+        return;
+      case 'slow':
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        break;
+      default:
+        break;
+    }
+
+    if (req.url === ORGANIZATION_PATH) {
+      if (!Array.isArray(body.domains) || body.domains.length > 10) {
+        sendJSON(res, 422, { error: 'domains must be an array of at most 10 entries' });
+        return;
+      }
+      // Like Apollo, unmatched domains are left out rather than returned as null
+      const matched = body.domains
+        .map(domain => organizations.find(organization => organization.primary_domain === lower(domain)))
+        .filter(Boolean);
+      sendJSON(res, 200, {
+        status: 'success',
+        total_requested_domains: body.domains.length,
+        unique_enriched_records: matched.length,
+        missing_records: body.domains.length - matched.length,
+        organizations: matched
+      });
+      return;
+    }
+
+    if (req.url === SEARCH_PATH) {
+      const matched = searchPeople.filter(person => matchesSearch(person, body));
+      const perPage = Math.min(Number(body.per_page) || 10, 100);
+      const page = Math.max(Number(body.page) || 1, 1);
+      sendJSON(res, 200, {
+        contacts: [],
+        people: matched.slice((page - 1) * perPage, page * perPage),
+        pagination: {
+          page,
+          per_page: perPage,
+          total_entries: matched.length,
+          total_pages: Math.ceil(matched.length / perPage)
+        }
+      });
+      return;
+    }
+
+    if (!Array.isArray(body.people)) {
+      sendJSON(res, 422, { error: 'people is required' });
+      return;
+    }
+
+    const matches = body.people.map(request => {
+      const person = findPerson(request);
+      return person ? revealed(person, body) : null;
+    });
+
+    sendJSON(res, 200, { people: matches }, {
+      'x-minute-requests-left': '199',
+      'x-hourly-requests-left': '599'
+    });
+  });
+
+  server.requests = requests;
+  return server;
+};
+
+// `node mock/apollo-server.js` runs it standalone
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_APOLLO_PORT) || 4010;
+  const delayMs = Number(process.env.MOCK_APOLLO_DELAY_MS) || 3000;
+  createMockApolloServer({ delayMs, log: message => console.log(`🧪 ${message}`) })
+    .listen(port, () => console.log(`Mock Apollo listening on http://localhost:${port}`));
+}
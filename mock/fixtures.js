@@ -0,0 +1,176 @@
+// People known to the mock Apollo server, in Apollo's person shape. A
+// request matches a fixture on first name, last name and organization
+// domain (case-insensitive); anything else comes back as no match.
+// The data is invented; the shape follows Apollo's people/match response.
+
+export const people = [
+  {
+    id: '5f2a9c1e8b7d4e0012a3b4c5',
+    first_name: 'Tim',
+    last_name: 'Zheng',
+    name: 'Tim Zheng',
+    title: 'Founder & CEO',
+    headline: 'Founder & CEO at Apollo.io',
+    email: 'tim@apollo.io',
+    email_status: 'verified',
+    personal_email: 'tim.zheng@example.com',
+    direct_phone_number: '+1 415-555-0101',
+    mobile_phone_number: '+1 415-555-0188',
+    linkedin_url: 'http://www.linkedin.com/in/example-tim-zheng',
+    twitter_url: 'https://twitter.com/example_tim',
+    facebook_url: null,
+    city: 'San Francisco',
+    state: 'California',
+    country: 'United States',
+    organization: {
+      id: '5e66b6381e05b4008c8331b8',
+      name: 'Apollo.io',
+      primary_domain: 'apollo.io',
+      industry: 'information technology & services',
+      estimated_num_employees: 900
+    },
+    employment_history: [
+      { title: 'Founder & CEO', organization_name: 'Apollo.io', start_date: '2015-01-01', end_date: null, current: true },
+      { title: 'Founder', organization_name: 'Braingenie', start_date: '2012-06-01', end_date: '2015-01-01', current: false }
+    ],
+    education: [
+      { school_name: 'Stanford University', degree: 'BS', field_of_study: 'Computer Science', start_date: '2008-09-01', end_date: '2012-06-01' }
+    ]
+  },
+  {
+    id: '60b8d2f4a1c3e50001f7e8d9',
+    first_name: 'John',
+    last_name: 'Doe',
+    name: 'John Doe',
+    title: 'Senior Account Executive',
+    headline: 'Senior AE, Enterprise',
+    email: 'jdoe@salesforce.com',
+    email_status: 'verified',
+    personal_email: null,
+    direct_phone_number: null,
+    mobile_phone_number: '+1 312-555-0144',
+    linkedin_url: 'http://www.linkedin.com/in/example-john-doe',
+    twitter_url: null,
+    facebook_url: null,
+    city: 'Chicago',
+    state: 'Illinois',
+    country: 'United States',
+    organization: {
+      id: '5da2e6a7f978a8000177e831',
+      name: 'Salesforce',
+      primary_domain: 'salesforce.com',
+      industry: 'computer software',
+      estimated_num_employees: 79000
+    },
+    employment_history: [
+      { title: 'Senior Account Executive', organization_name: 'Salesforce', start_date: '2019-03-01', end_date: null, current: true },
+      { title: 'Account Executive', organization_name: 'Oracle', start_date: '2015-08-01', end_date: '2019-02-01', current: false }
+    ],
+    education: []
+  },
+  {
+    // Partial profile: no email, phone or history
+    id: '61c4e7a9b2d5f60001a9b0c1',
+    first_name: 'Jane',
+    last_name: 'Smith',
+    name: 'Jane Smith',
+    title: null,
+    headline: 'Marketing at HubSpot',
+    email: null,
+    email_status: 'unavailable',
+    personal_email: null,
+    direct_phone_number: null,
+    mobile_phone_number: null,
+    linkedin_url: 'http://www.linkedin.com/in/example-jane-smith',
+    twitter_url: null,
+    facebook_url: null,
+    city: 'Boston',
+    state: 'Massachusetts',
+    country: 'United States',
+    organization: {
+      id: '5569a0ba7369641d35a13700',
+      name: 'HubSpot',
+      primary_domain: 'hubspot.com',
+      industry: 'internet',
+      estimated_num_employees: 7400
+    },
+    employment_history: [],
+    education: []
+  }
+];
+
+// Organizations known to the mock bulk_enrich endpoint, matched on domain
+export const organizations = [
+  {
+    id: '5e66b6381e05b4008c8331b8',
+    name: 'Apollo.io',
+    website_url: 'http://www.apollo.io',
+    primary_domain: 'apollo.io',
+    linkedin_url: 'http://www.linkedin.com/company/apolloio',
+    twitter_url: 'https://twitter.com/meetapollo',
+    facebook_url: 'https://www.facebook.com/MeetApollo',
+    industry: 'information technology & services',
+    estimated_num_employees: 900,
+    annual_revenue: 150000000,
+    annual_revenue_printed: '150M',
+    founded_year: 2015,
+    city: 'San Francisco',
+    state: 'California',
+    country: 'United States',
+    phone: '+1 415-555-0100',
+    technology_names: ['Amazon AWS', 'Google Analytics', 'Salesforce', 'Stripe'],
+    short_description: 'Apollo is a data-first engagement platform for sales teams.'
+  },
+  {
+    // Partial profile: no revenue, technologies or socials
+    id: '5da2e6a7f978a8000177e831',
+    name: 'Salesforce',
+    website_url: 'http://www.salesforce.com',
+    primary_domain: 'salesforce.com',
+    linkedin_url: null,
+    twitter_url: null,
+    facebook_url: null,
+    industry: 'computer software',
+    estimated_num_employees: 79000,
+    annual_revenue: null,
+    annual_revenue_printed: null,
+    founded_year: 1999,
+    city: 'San Francisco',
+    state: 'California',
+    country: 'United States',
+    phone: null,
+    technology_names: [],
+    short_description: null
+  }
+];
+
+// People returned by the mock people search, in Apollo's search result
+// shape (no emails or phone numbers). Tim Zheng and John Doe are also in
+// `people`, so prospecting them and enriching the result matches.
+const searchPerson = (id, first_name, last_name, title, seniority, departments, city, state, organization) => ({
+  id,
+  first_name,
+  last_name,
+  name: `${first_name} ${last_name}`,
+  title,
+  seniority,
+  departments,
+  linkedin_url: `http://www.linkedin.com/in/example-${first_name}-${last_name}`.toLowerCase(),
+  city,
+  state,
+  country: 'United States',
+  organization
+});
+
+const apolloOrganization = { id: '5e66b6381e05b4008c8331b8', name: 'Apollo.io', primary_domain: 'apollo.io' };
+const salesforceOrganization = { id: '5da2e6a7f978a8000177e831', name: 'Salesforce', primary_domain: 'salesforce.com' };
+
+export const searchPeople = [
+  searchPerson('5f2a9c1e8b7d4e0012a3b4c5', 'Tim', 'Zheng', 'Founder & CEO', 'founder', ['c_suite'], 'San Francisco', 'California', apolloOrganization),
+  searchPerson('6a1b2c3d4e5f600012a3b4d1', 'Priya', 'Raman', 'VP of Sales', 'vp', ['sales'], 'San Francisco', 'California', apolloOrganization),
+  searchPerson('6a1b2c3d4e5f600012a3b4d2', 'Marco', 'Bianchi', 'Director of Marketing', 'director', ['marketing'], 'Austin', 'Texas', apolloOrganization),
+  searchPerson('6a1b2c3d4e5f600012a3b4d3', 'Ava', 'Chen', 'Sales Development Manager', 'manager', ['sales'], 'Austin', 'Texas', apolloOrganization),
+  searchPerson('6a1b2c3d4e5f600012a3b4d4', 'Liam', 'Walsh', 'Account Executive', 'senior', ['sales'], 'New York', 'New York', apolloOrganization),
+  searchPerson('60b8d2f4a1c3e50001f7e8d9', 'John', 'Doe', 'Senior Account Executive', 'senior', ['sales'], 'Chicago', 'Illinois', salesforceOrganization),
+  searchPerson('6a1b2c3d4e5f600012a3b4d5', 'Maria', 'Garcia', 'VP of Marketing', 'vp', ['marketing'], 'San Francisco', 'California', salesforceOrganization)
+];
@@ -0,0 +1,58 @@
+// Local webhook receiver for trying outbound webhooks and for the test
+// suite. Start it with `npm run mock:webhooks` and add
+// http://localhost:4020/hooks as a webhook with the same secret as
+// WEBHOOK_RECEIVER_SECRET.
+//
+// Every request is checked against the secret and recorded:
+//   valid signature      204
+//   invalid or missing   401
+//   first `failFirst`    500 before any of the above, to exercise retries
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { verifyWebhookSignature } from '../netlify/lib/webhooks.js';
+
+export const createWebhookReceiver = ({ secret, failFirst = 0, log = () => {} } = {}) => {
+  const deliveries = [];
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const verified = Boolean(secret) && verifyWebhookSignature(secret, req.headers, raw);
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch (parseError) {
+        // Recorded as null; the signature check already covers tampering
+      }
+      deliveries.push({ path: req.url, headers: req.headers, raw, body, verified });
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        log(`${req.headers['x-webhook-event']} → 500 (simulated failure)`);
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+
+      log(`${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} → ${verified ? '204' : '401 bad signature'}` +
+        (body?.data?.contacts ? ` (${body.data.contacts.length} contacts)` : ''));
+      res.writeHead(verified ? 204 : 401);
+      res.end();
+    });
+  });
+
+  server.deliveries = deliveries;
+  return server;
+};
+
+// `node mock/webhook-receiver.js` runs it standalone
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4020;
+  const secret = process.env.WEBHOOK_RECEIVER_SECRET || 'local-receiver-secret';
+  const failFirst = Number(process.env.WEBHOOK_RECEIVER_FAIL_FIRST) || 0;
+  createWebhookReceiver({ secret, failFirst, log: message => console.log(`📬 ${message}`) })
+    .listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port} (secret "${secret}")`));
+}
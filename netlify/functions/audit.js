@@ -0,0 +1,158 @@
+import { checkAdminToken } from '../lib/adminToken.js';
+import { AUDIT_ACTIONS, AUDIT_OUTCOMES, getAuditStore } from '../lib/auditLog.js';
+import { StoreConfigError } from '../lib/storeDirectory.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 366;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_EXPORT = 100000;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    ...corsHeaders,
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    ...headers
+  }
+});
+
+const errorResponse = (status, message, headers) => jsonResponse(status, {
+  error: true,
+  message,
+  timestamp: new Date().toISOString()
+}, headers);
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+// Null when the request carries the admin token, otherwise the response
+const checkAdmin = (req) => {
+  const problem = checkAdminToken(req, process.env.AUDIT_ADMIN_TOKEN);
+  if (problem === 'disabled') {
+    return errorResponse(403, 'The audit API is disabled; set AUDIT_ADMIN_TOKEN to enable it');
+  }
+  if (problem) {
+    return errorResponse(401, 'A valid admin token is required', { 'WWW-Authenticate': 'Bearer' });
+  }
+  return null;
+};
+
+// Query string filters. The date range defaults to the last week and is
+// inclusive; dates are UTC days.
+const parseFilters = (params) => {
+  const to = params.get('to') || utcDay(new Date());
+  const from = params.get('from') || utcDay(new Date(Date.parse(to) - (DEFAULT_DAYS - 1) * 86400000));
+  if (!DAY.test(from) || !DAY.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    throw new Error('from and to must be dates like 2024-01-31');
+  }
+  if (from > to) {
+    throw new Error('from must not be after to');
+  }
+  if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_DAYS) {
+    throw new Error(`A query may cover at most ${MAX_DAYS} days`);
+  }
+
+  const action = params.get('action') || undefined;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  const outcome = params.get('outcome') || undefined;
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    throw new Error(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+  }
+
+  const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  return {
+    from,
+    to,
+    profile: params.get('profile') || undefined,
+    action,
+    outcome,
+    runId: params.get('runId') || undefined,
+    limit
+  };
+};
+
+// Oldest first, one entry per line
+const exportEntries = async (store, filters) => {
+  const entries = (await store.query({ ...filters, limit: MAX_EXPORT })).reverse();
+  return new Response(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-${filters.from}-to-${filters.to}.ndjson"`,
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    }
+  });
+};
+
+// Routes, all requiring "Authorization: Bearer <AUDIT_ADMIN_TOKEN>":
+//   GET /api/audit          entries, newest first; filters from, to,
+//                           profile, action, outcome, runId and limit
+//   GET /api/audit/export   the same filters, without limit, as NDJSON
+export default async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(req.url);
+  const match = url.pathname.match(/\/audit(?:\/(export))?\/?$/);
+  if (!match) {
+    return errorResponse(404, 'Not found');
+  }
+
+  const refused = checkAdmin(req);
+  if (refused) return refused;
+
+  if (req.method !== 'GET') {
+    return errorResponse(405, 'Only GET requests are supported');
+  }
+
+  let filters;
+  try {
+    filters = parseFilters(url.searchParams);
+  } catch (validationError) {
+    return errorResponse(400, validationError.message);
+  }
+
+  try {
+    const store = getAuditStore();
+    if (!store) {
+      return errorResponse(404, 'The audit log is turned off (AUDIT_LOG=off)');
+    }
+
+    if (match[1] === 'export') return await exportEntries(store, filters);
+
+    const entries = await store.query(filters);
+    return jsonResponse(200, {
+      from: filters.from,
+      to: filters.to,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    if (error instanceof StoreConfigError) {
+      return errorResponse(503, error.message);
+    }
+    console.error('Audit API Error:', error);
+    return errorResponse(500, 'Internal server error');
+  }
+};
+
+export const config = {
+  path: ['/api/audit', '/api/audit/*']
+};
@@ -0,0 +1,35 @@
+import { getJobStore } from '../lib/jobStore.js';
+import { runJob, triggerWorker } from '../lib/jobRunner.js';
+
+// Background functions are stopped after 15 minutes; leave room to hand off
+const WORKER_BUDGET_MS = 13 * 60 * 1000;
+
+// Background worker for enrichment jobs (Netlify background function).
+// Processes a job's batches and re-invokes itself if time runs out.
+export const handler = async (event) => {
+  let jobId;
+  try {
+    ({ jobId } = JSON.parse(event.body || '{}'));
+  } catch (parseError) {
+    console.error('Job worker received invalid JSON');
+    return;
+  }
+
+  if (!jobId) {
+    console.error('Job worker called without a jobId');
+    return;
+  }
+
+  const store = getJobStore();
+  const job = await runJob(store, jobId, { deadline: Date.now() + WORKER_BUDGET_MS });
+
+  if (job && job.status === 'running' && !job.leaseExpiresAt) {
+    const origin = event.rawUrl ? new URL(event.rawUrl).origin : process.env.URL;
+    console.log(`Job ${jobId} handing off at batch ${job.nextBatch}/${job.totalBatches}`);
+    try {
+      await triggerWorker(origin, jobId);
+    } catch (error) {
+      console.error(`Job ${jobId} hand-off failed:`, error.message);
+    }
+  }
+};
@@ -0,0 +1,282 @@
+import { Readable } from 'node:stream';
+import { hasApiKey } from '../lib/apiKeys.js';
+import { DEFAULT_WATERFALL, validateProviderOptions } from '../lib/providers/index.js';
+import { createJobId, getJobStore } from '../lib/jobStore.js';
+import { JOB_BATCH_SIZE, triggerWorker } from '../lib/jobRunner.js';
+import { clientIp, rateLimit, rateLimitHeaders, rateLimitPolicies } from '../lib/rateLimit.js';
+import { auditEntry, recordAudit } from '../lib/auditLog.js';
+import { checkStudioAccess } from '../lib/adminToken.js';
+import { getCreditLedger } from '../lib/creditLedger.js';
+import { StoreConfigError } from '../lib/storeDirectory.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
+};
+
+const MAX_JOB_CONTACTS = 50000;
+const STALL_AFTER_MS = 2 * 60 * 1000;
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    ...corsHeaders,
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    ...headers
+  }
+});
+
+const errorResponse = (status, message, headers) => jsonResponse(status, {
+  error: true,
+  message,
+  timestamp: new Date().toISOString()
+}, headers);
+
+// 429 for a submission over one of our own rate limits
+const tooManyRequests = (limitHeaders, limit, message) => jsonResponse(429, {
+  error: true,
+  message,
+  retryAfter: limit.retryAfterSeconds,
+  timestamp: new Date().toISOString()
+}, limitHeaders);
+
+// Validate a job submission
+const validateJobRequest = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object');
+  }
+
+  if (body.apiKey !== undefined) {
+    throw new Error('API keys are managed server-side; send a profile name instead of apiKey');
+  }
+
+  if (!body.profile || typeof body.profile !== 'string') {
+    throw new Error('API key profile is required');
+  }
+
+  if (!body.contacts || !Array.isArray(body.contacts)) {
+    throw new Error('Contacts array is required');
+  }
+
+  if (body.contacts.length === 0) {
+    throw new Error('At least one contact is required');
+  }
+
+  if (body.contacts.length > MAX_JOB_CONTACTS) {
+    throw new Error(`Maximum ${MAX_JOB_CONTACTS} contacts per job`);
+  }
+
+  validateProviderOptions(body.options);
+
+  const firstProvider = (body.options?.waterfall || DEFAULT_WATERFALL)[0];
+  if (!hasApiKey(body.profile, firstProvider)) {
+    throw new Error(`Unknown API key profile "${body.profile}"`);
+  }
+
+  if (body.batchSize !== undefined &&
+      (!Number.isInteger(body.batchSize) || body.batchSize < 1 || body.batchSize > JOB_BATCH_SIZE)) {
+    throw new Error(`batchSize must be between 1 and ${JOB_BATCH_SIZE}`);
+  }
+
+  // The job is its own run, so unlike enrich there is no runId to send
+  if (body.budget !== undefined) {
+    if (!body.budget || typeof body.budget !== 'object' || Array.isArray(body.budget)) {
+      throw new Error('budget must be an object');
+    }
+    Object.entries(body.budget).forEach(([key, value]) => {
+      if (!['maxRunCredits', 'maxDailyCredits'].includes(key)) {
+        throw new Error(`budget.${key} is not supported`);
+      }
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`budget.${key} must be a whole number of credits`);
+      }
+    });
+  }
+
+  body.contacts.forEach((contact, index) => {
+    if (!contact?.firstName || !contact?.lastName) {
+      throw new Error(`Contact at index ${index} must have firstName and lastName`);
+    }
+  });
+
+  return true;
+};
+
+// Job state as returned to clients; never includes the submitted input
+const publicJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  profile: job.profile,
+  totalContacts: job.totalContacts,
+  totalBatches: job.totalBatches,
+  completedBatches: job.nextBatch,
+  progress: Math.round((job.stats.processed / job.totalContacts) * 100),
+  stats: job.stats,
+  error: job.error || undefined,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || undefined,
+  completedAt: job.completedAt || undefined,
+  updatedAt: job.updatedAt,
+  links: {
+    self: `/api/jobs/${job.id}`,
+    results: `/api/jobs/${job.id}/results`
+  }
+});
+
+// A job whose worker died mid-run: unfinished, no live lease, no recent progress
+const isStalled = (job) =>
+  ['queued', 'running'].includes(job.status) &&
+  !(job.leaseExpiresAt && Date.parse(job.leaseExpiresAt) > Date.now()) &&
+  Date.now() - Date.parse(job.updatedAt) > STALL_AFTER_MS;
+
+// `trail` collects what the audit entry needs. A submission takes a token
+// from the same per-IP and per-profile buckets as an enrich request, so
+// jobs cannot be used to get around the limits.
+const createJob = async (req, store, trail) => {
+  const policies = rateLimitPolicies();
+  const ipLimit = await rateLimit(`ip:${trail.clientIp}`, policies.ip);
+  let limitHeaders = rateLimitHeaders(ipLimit);
+  if (ipLimit && !ipLimit.allowed) {
+    return tooManyRequests(limitHeaders, ipLimit, 'Too many requests. Please try again later.');
+  }
+
+  let requestData;
+  try {
+    requestData = await req.json();
+  } catch (parseError) {
+    return errorResponse(400, 'Request body must be valid JSON', limitHeaders);
+  }
+
+  if (requestData && typeof requestData === 'object') {
+    trail.profile = requestData.profile;
+    trail.options = requestData.options;
+    trail.counts = { submitted: Array.isArray(requestData.contacts) ? requestData.contacts.length : 0 };
+  }
+
+  try {
+    validateJobRequest(requestData);
+  } catch (validationError) {
+    return errorResponse(400, validationError.message, limitHeaders);
+  }
+
+  const profileLimit = await rateLimit(`profile:${requestData.profile}`, policies.profile);
+  limitHeaders = rateLimitHeaders(ipLimit, profileLimit);
+  if (profileLimit && !profileLimit.allowed) {
+    return tooManyRequests(limitHeaders, profileLimit, `Too many requests for API key profile "${requestData.profile}". Please try again later.`);
+  }
+
+  // Refuse up front what the worker would fail on: a daily cap with no
+  // shared ledger to hold it
+  try {
+    getCreditLedger();
+  } catch (ledgerError) {
+    if (!(ledgerError instanceof StoreConfigError)) throw ledgerError;
+    console.error('Credit ledger unavailable:', ledgerError.message);
+    return errorResponse(503, ledgerError.message, limitHeaders);
+  }
+
+  const { profile, contacts, options = {}, budget, batchSize = JOB_BATCH_SIZE } = requestData;
+  const now = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    status: 'queued',
+    profile,
+    totalContacts: contacts.length,
+    batchSize,
+    totalBatches: Math.ceil(contacts.length / batchSize),
+    nextBatch: 0,
+    stats: { processed: 0, successful: 0, failed: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 },
+    createdAt: now,
+    updatedAt: now
+  };
+  trail.runId = job.id;
+
+  await store.createJob(job, { profile, contacts, options, budget });
+  console.log(`Created job ${job.id} for ${contacts.length} contacts`);
+
+  try {
+    await triggerWorker(new URL(req.url).origin, job.id);
+  } catch (workerError) {
+    console.error(`Could not start worker for ${job.id}:`, workerError.message);
+    await store.updateJob(job.id, { status: 'failed', error: 'Could not start job worker' });
+    await store.deleteInput(job.id);
+    return errorResponse(503, 'Could not start job worker', limitHeaders);
+  }
+
+  return jsonResponse(202, publicJob(job), limitHeaders);
+};
+
+const streamResults = (job, store) => new Response(Readable.toWeb(store.readResults(job.id)), {
+  status: 200,
+  headers: {
+    ...corsHeaders,
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'X-Job-Status': job.status
+  }
+});
+
+// Routes:
+//   POST /api/jobs               submit contacts, returns 202 with the job
+//   GET  /api/jobs/:id           progress and stats
+//   GET  /api/jobs/:id/results   enriched rows so far, as NDJSON
+// Every route needs the studio access token (STUDIO_ACCESS_TOKEN).
+export default async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: corsHeaders });
+  }
+
+  const refused = checkStudioAccess(req.headers.get('authorization'));
+  if (refused) {
+    return errorResponse(refused.status, refused.message, refused.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+  }
+
+  const match = new URL(req.url).pathname.match(/\/jobs(?:\/([^/]+))?(?:\/(results))?\/?$/);
+  if (!match) {
+    return errorResponse(404, 'Not found');
+  }
+
+  const [, jobId, resource] = match;
+  const store = getJobStore();
+
+  try {
+    if (!jobId) {
+      if (req.method !== 'POST') return errorResponse(405, 'Only POST requests are supported');
+      // Submissions are audited here; each batch is audited as it runs
+      const trail = { startedAt: Date.now(), clientIp: clientIp(Object.fromEntries(req.headers)) };
+      const response = await createJob(req, store, trail);
+      const { message } = response.status >= 400 ? await response.clone().json() : {};
+      await recordAudit(auditEntry({ ...trail, action: 'job.submit', mode: 'people', statusCode: response.status, message }));
+      return response;
+    }
+
+    if (req.method !== 'GET') {
+      return errorResponse(405, 'Only GET requests are supported');
+    }
+
+    const job = await store.getJob(jobId);
+    if (!job) {
+      return errorResponse(404, 'Job not found');
+    }
+
+    if (isStalled(job)) {
+      console.log(`Restarting stalled job ${job.id}`);
+      triggerWorker(new URL(req.url).origin, job.id).catch(error => {
+        console.error(`Could not restart job ${job.id}:`, error.message);
+      });
+    }
+
+    return resource === 'results' ? streamResults(job, store) : jsonResponse(200, publicJob(job));
+  } catch (error) {
+    console.error('Jobs API Error:', error);
+    return errorResponse(500, 'Internal server error');
+  }
+};
+
+export const config = {
+  path: ['/api/jobs', '/api/jobs/*']
+};
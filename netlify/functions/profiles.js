@@ -0,0 +1,61 @@
+import { listProfiles } from '../lib/apiKeys.js';
+import { checkStudioAccess } from '../lib/adminToken.js';
+import { listProviders, providerNames, WATERFALL_FIELDS, ORGANIZATION_WATERFALL_FIELDS } from '../lib/providers/index.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+// Lists the API key profiles configured on the server and the enrichment
+// providers with their settings. Only names and labels are returned; keys
+// stay server-side. Callers need the studio access token.
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      })
+    };
+  }
+
+  const refused = checkStudioAccess(event.headers?.authorization);
+  if (refused) {
+    return {
+      statusCode: refused.status,
+      headers: refused.status === 401 ? { ...corsHeaders, 'WWW-Authenticate': 'Bearer' } : corsHeaders,
+      body: JSON.stringify({
+        error: true,
+        message: refused.message
+      })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify({
+      profiles: listProfiles(providerNames()),
+      providers: listProviders(),
+      waterfallFields: WATERFALL_FIELDS,
+      organizationWaterfallFields: ORGANIZATION_WATERFALL_FIELDS
+    })
+  };
+};
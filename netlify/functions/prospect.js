@@ -0,0 +1,278 @@
+import { hasApiKey, redactSecrets, resolveApiKey } from '../lib/apiKeys.js';
+import { checkStudioAccess } from '../lib/adminToken.js';
+import { ApolloApiError, mapApolloStatus } from '../lib/providers/apollo.js';
+import { ValidationError } from '../lib/schema.js';
+import { auditEntry, recordAudit } from '../lib/auditLog.js';
+import { clientIp, rateLimit, rateLimitHeaders, rateLimitPolicies } from '../lib/rateLimit.js';
+import {
+  prospectAccounts,
+  MAX_PROSPECT_DOMAINS,
+  MAX_PER_ACCOUNT,
+  DEFAULT_PER_ACCOUNT,
+  PERSONA_FILTERS,
+  SENIORITIES,
+  DEPARTMENTS
+} from '../lib/prospecting.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
+};
+
+// 429 for a request over one of our own rate limits
+const tooManyRequests = (limitHeaders, limit, message) => ({
+  statusCode: 429,
+  headers: { ...corsHeaders, ...limitHeaders },
+  body: JSON.stringify({
+    error: 'Rate limit exceeded',
+    message,
+    retryAfter: limit.retryAfterSeconds
+  })
+});
+
+const ALLOWED_FILTER_VALUES = {
+  seniorities: SENIORITIES,
+  departments: DEPARTMENTS
+};
+
+// Every problem with a request is a ValidationError, so the handler can
+// tell bad input from a failure on our side or Apollo's
+const invalid = (path, message) => new ValidationError([{ path, message }]);
+
+const validateFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw invalid('filters', 'must be an object of persona filters');
+  }
+
+  Object.keys(filters).forEach(key => {
+    if (!PERSONA_FILTERS.includes(key)) {
+      throw invalid('filters', `may only contain: ${PERSONA_FILTERS.join(', ')}`);
+    }
+  });
+
+  PERSONA_FILTERS.forEach(key => {
+    const values = filters[key];
+    if (values === undefined) return;
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value.trim())) {
+      throw invalid(`filters.${key}`, 'must be an array of non-empty strings');
+    }
+    const allowed = ALLOWED_FILTER_VALUES[key];
+    if (allowed && values.some(value => !allowed.includes(value))) {
+      throw invalid(`filters.${key}`, `may only contain: ${allowed.join(', ')}`);
+    }
+  });
+
+  if (!PERSONA_FILTERS.some(key => filters[key]?.length)) {
+    throw invalid('filters', 'must include at least one persona filter');
+  }
+};
+
+// Validate request data
+export const validateProspectRequest = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('', 'body must be a JSON object');
+  }
+
+  if (body.apiKey !== undefined) {
+    throw invalid('apiKey', 'must not be sent; API keys are managed server-side, so send a profile name instead of apiKey');
+  }
+
+  if (!body.profile || typeof body.profile !== 'string') {
+    throw invalid('profile', 'is required');
+  }
+
+  if (!hasApiKey(body.profile, 'apollo')) {
+    throw invalid('profile', `"${body.profile}" is not a configured API key profile`);
+  }
+
+  if (!body.domains || !Array.isArray(body.domains)) {
+    throw invalid('domains', 'must be an array of domains');
+  }
+
+  if (body.domains.length === 0) {
+    throw invalid('domains', 'must include at least one domain');
+  }
+
+  if (body.domains.length > MAX_PROSPECT_DOMAINS) {
+    throw invalid('domains', `may include at most ${MAX_PROSPECT_DOMAINS} domains per request`);
+  }
+
+  body.domains.forEach((domain, index) => {
+    if (typeof domain !== 'string' || !domain.trim()) {
+      throw invalid(`domains[${index}]`, 'must be a non-empty domain');
+    }
+  });
+
+  validateFilters(body.filters);
+
+  const { perAccountLimit } = body;
+  if (perAccountLimit !== undefined &&
+      (!Number.isInteger(perAccountLimit) || perAccountLimit < 1 || perAccountLimit > MAX_PER_ACCOUNT)) {
+    throw invalid('perAccountLimit', `must be between 1 and ${MAX_PER_ACCOUNT}`);
+  }
+
+  return true;
+};
+
+// `trail` collects what the audit entry needs as the request goes along
+const respond = async (event, trail) => {
+  const { httpMethod, body } = event;
+  const clientIP = trail.clientIp;
+  let limitHeaders = {};
+
+  if (httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  if (httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      })
+    };
+  }
+
+  const refused = checkStudioAccess(event.headers?.authorization);
+  if (refused) {
+    return {
+      statusCode: refused.status,
+      headers: refused.status === 401 ? { ...corsHeaders, 'WWW-Authenticate': 'Bearer' } : corsHeaders,
+      body: JSON.stringify({
+        error: true,
+        message: refused.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  trail.action = 'prospect';
+
+  try {
+    // Searches share the enrich function's limits, so a profile's budget
+    // covers both
+    const policies = rateLimitPolicies();
+    const ipLimit = await rateLimit(`ip:${clientIP}`, policies.ip);
+    limitHeaders = rateLimitHeaders(ipLimit);
+    if (ipLimit && !ipLimit.allowed) {
+      return tooManyRequests(limitHeaders, ipLimit, 'Too many requests. Please try again later.');
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(body);
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers: { ...corsHeaders, ...limitHeaders },
+        body: JSON.stringify({
+          error: 'Invalid JSON',
+          message: 'Request body must be valid JSON'
+        })
+      };
+    }
+
+    if (requestData && typeof requestData === 'object') {
+      trail.profile = requestData.profile;
+      trail.counts = { submitted: Array.isArray(requestData.domains) ? requestData.domains.length : 0 };
+    }
+
+    validateProspectRequest(requestData);
+
+    const profileLimit = await rateLimit(`profile:${requestData.profile}`, policies.profile);
+    limitHeaders = rateLimitHeaders(ipLimit, profileLimit);
+    if (profileLimit && !profileLimit.allowed) {
+      return tooManyRequests(limitHeaders, profileLimit, `Too many requests for API key profile "${requestData.profile}". Please try again later.`);
+    }
+
+    const { profile, domains, filters, perAccountLimit = DEFAULT_PER_ACCOUNT } = requestData;
+    const apiKey = resolveApiKey(profile, 'apollo');
+
+    console.log(`Prospecting ${domains.length} domains from ${clientIP} using profile ${profile}`);
+
+    const { accounts, people, apiCalls } = await prospectAccounts(apiKey, domains, { filters, perAccountLimit });
+    const accountsWithMatches = accounts.filter(account => account.found > 0).length;
+    trail.counts = { submitted: domains.length, succeeded: accountsWithMatches, failed: domains.length - accountsWithMatches, peopleFound: people.length };
+    trail.apiCalls = apiCalls;
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        ...limitHeaders,
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: people,
+        accounts,
+        stats: {
+          totalDomains: domains.length,
+          peopleFound: people.length,
+          accountsWithMatches,
+          apiCallsUsed: apiCalls
+        },
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Prospecting Error:', redactSecrets(error.stack || error.message));
+    trail.error = error;
+
+    let statusCode = 500;
+    let errorMessage = 'Internal server error';
+    let retryAfter;
+    let errors;
+
+    if (error instanceof ValidationError) {
+      statusCode = 400;
+      errorMessage = error.message;
+      errors = error.errors;
+    } else if (error instanceof ApolloApiError) {
+      statusCode = mapApolloStatus(error.apolloStatus);
+      errorMessage = statusCode === 429
+        ? 'Apollo rate limit reached'
+        : statusCode === 401 ? 'Apollo rejected the API key' : 'Apollo API request failed';
+      retryAfter = statusCode === 429 ? error.retryAfter || 60 : undefined;
+    }
+
+    return {
+      statusCode,
+      headers: retryAfter ? { ...corsHeaders, ...limitHeaders, 'Retry-After': String(retryAfter) } : { ...corsHeaders, ...limitHeaders },
+      body: JSON.stringify({
+        error: true,
+        message: errorMessage,
+        errors,
+        retryAfter,
+        details: process.env.NODE_ENV === 'development' ? redactSecrets(error.message) : undefined,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
+
+// Finds people at target domains matching persona filters. Emails and
+// phone numbers are not returned; the client hands the people found to
+// the enrich function for that. People search costs no credits, but every
+// request is audited like an enrichment.
+export const handler = async (event) => {
+  const trail = { startedAt: Date.now(), clientIp: clientIp(event.headers) };
+  const response = await respond(event, trail);
+
+  if (trail.action) {
+    const { message } = response.statusCode >= 400 ? JSON.parse(response.body) : {};
+    await recordAudit(auditEntry({ ...trail, statusCode: response.statusCode, message }));
+  }
+  return response;
+};
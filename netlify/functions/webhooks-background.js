@@ -0,0 +1,25 @@
+import { getWebhookStore } from '../lib/webhookStore.js';
+import { sendQueued } from '../lib/webhooks.js';
+
+// Background sender for browser runs' webhook events (Netlify background
+// function). The enrich function queues a batch's events and answers
+// straight away; this delivers them, retries included.
+export const handler = async (event) => {
+  let id;
+  try {
+    ({ id } = JSON.parse(event.body || '{}'));
+  } catch (parseError) {
+    console.error('Webhook sender received invalid JSON');
+    return;
+  }
+
+  if (!id) {
+    console.error('Webhook sender called without a queue id');
+    return;
+  }
+
+  const deliveries = await sendQueued(getWebhookStore(), id);
+  if (!deliveries) {
+    console.error(`No webhook events queued under ${id}`);
+  }
+};
@@ -0,0 +1,229 @@
+import { checkAdminToken } from '../lib/adminToken.js';
+import { createWebhookId, getWebhookStore } from '../lib/webhookStore.js';
+import {
+  WEBHOOK_EVENTS, TEST_EVENT, createWebhookSecret, deliverWebhook, dispatchEvent, publicWebhook, refusedWebhookHost
+} from '../lib/webhooks.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+};
+
+const MAX_WEBHOOKS = 10;
+const MIN_SECRET_LENGTH = 16;
+const MAX_EVENT_CONTACTS = 1000;
+const RECENT_DELIVERIES = 50;
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    ...corsHeaders,
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    ...headers
+  }
+});
+
+const errorResponse = (status, message, headers) => jsonResponse(status, {
+  error: true,
+  message,
+  timestamp: new Date().toISOString()
+}, headers);
+
+// Null when the request carries the admin token, otherwise the response
+const checkAdmin = (req) => {
+  const problem = checkAdminToken(req, process.env.WEBHOOK_ADMIN_TOKEN);
+  if (problem === 'disabled') {
+    return errorResponse(403, 'Webhook settings are disabled; set WEBHOOK_ADMIN_TOKEN to enable them');
+  }
+  if (problem) {
+    return errorResponse(401, 'A valid admin token is required', { 'WWW-Authenticate': 'Bearer' });
+  }
+  return null;
+};
+
+// Validate a new endpoint: a public http(s) URL, known events and, if the
+// caller brings its own, a secret long enough to be worth signing with
+const validateWebhookRequest = async (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object');
+  }
+
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch (urlError) {
+    throw new Error('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('url must be an absolute http or https URL');
+  }
+  if (await refusedWebhookHost(url.href)) {
+    throw new Error('url must not point at a loopback, private or link-local address');
+  }
+
+  if (!Array.isArray(body.events) || body.events.length === 0) {
+    throw new Error('events must list at least one event');
+  }
+  const unknown = body.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`events may only contain: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (body.secret !== undefined && body.secret !== '' &&
+      (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH)) {
+    throw new Error(`secret must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return true;
+};
+
+// Validate an event relayed by a trusted script; browser runs have their
+// events sent by the enrich function
+const validateEventRequest = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object');
+  }
+  if (!WEBHOOK_EVENTS.includes(body.event)) {
+    throw new Error(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+    throw new Error('data must be an object');
+  }
+  if (body.data.contacts !== undefined &&
+      (!Array.isArray(body.data.contacts) || body.data.contacts.length > MAX_EVENT_CONTACTS)) {
+    throw new Error(`data.contacts must be an array of at most ${MAX_EVENT_CONTACTS} records`);
+  }
+  return true;
+};
+
+const listWebhooks = async (store) => jsonResponse(200, {
+  events: WEBHOOK_EVENTS,
+  webhooks: (await store.listWebhooks()).map(publicWebhook),
+  deliveries: await store.listDeliveries(RECENT_DELIVERIES)
+});
+
+const createWebhook = async (req, store) => {
+  let body;
+  try {
+    body = await req.json();
+  } catch (parseError) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  try {
+    await validateWebhookRequest(body);
+  } catch (validationError) {
+    return errorResponse(400, validationError.message);
+  }
+
+  if ((await store.listWebhooks()).length >= MAX_WEBHOOKS) {
+    return errorResponse(400, `Maximum ${MAX_WEBHOOKS} webhooks`);
+  }
+
+  const webhook = {
+    id: createWebhookId(),
+    url: body.url,
+    secret: body.secret || createWebhookSecret(),
+    events: [...new Set(body.events)],
+    createdAt: new Date().toISOString()
+  };
+  await store.createWebhook(webhook);
+  console.log(`Created webhook ${webhook.id} for ${webhook.events.join(', ')}`);
+
+  // The only time the secret leaves the server, so a generated one can be
+  // copied into the receiver
+  return jsonResponse(201, { webhook: publicWebhook(webhook), secret: webhook.secret });
+};
+
+const relayEvent = async (req, store) => {
+  let body;
+  try {
+    body = await req.json();
+  } catch (parseError) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  try {
+    validateEventRequest(body);
+  } catch (validationError) {
+    return errorResponse(400, validationError.message);
+  }
+
+  const deliveries = await dispatchEvent(store, body.event, body.data);
+  return jsonResponse(200, { deliveries });
+};
+
+const sendTestEvent = async (webhook, store) => {
+  const delivery = await deliverWebhook(webhook, {
+    event: TEST_EVENT,
+    data: { message: 'Test delivery from Apollo Enrichment Studio', webhookId: webhook.id }
+  });
+  await store.appendDelivery(delivery);
+  return jsonResponse(200, { delivery });
+};
+
+// Every route needs the admin token (WEBHOOK_ADMIN_TOKEN) as a Bearer token.
+// Routes:
+//   GET    /api/webhooks            endpoints (secrets hidden), events and recent deliveries
+//   POST   /api/webhooks            add an endpoint: { url, events, secret? }
+//   POST   /api/webhooks/events     deliver { event, data } to subscribed endpoints
+//   POST   /api/webhooks/:id/test   send a webhook.test event to one endpoint
+//   DELETE /api/webhooks/:id        remove an endpoint
+export default async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: corsHeaders });
+  }
+
+  const match = new URL(req.url).pathname.match(/\/webhooks(?:\/([^/]+))?(?:\/(test))?\/?$/);
+  if (!match) {
+    return errorResponse(404, 'Not found');
+  }
+
+  const denied = checkAdmin(req);
+  if (denied) {
+    return denied;
+  }
+
+  const [, id, resource] = match;
+  const store = getWebhookStore();
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') return await listWebhooks(store);
+      if (req.method === 'POST') return await createWebhook(req, store);
+      return errorResponse(405, 'Only GET and POST requests are supported');
+    }
+
+    if (id === 'events' && !resource) {
+      if (req.method !== 'POST') return errorResponse(405, 'Only POST requests are supported');
+      return await relayEvent(req, store);
+    }
+
+    const webhook = await store.getWebhook(id);
+    if (!webhook) {
+      return errorResponse(404, 'Webhook not found');
+    }
+
+    if (resource === 'test') {
+      if (req.method !== 'POST') return errorResponse(405, 'Only POST requests are supported');
+      return await sendTestEvent(webhook, store);
+    }
+
+    if (req.method !== 'DELETE') {
+      return errorResponse(405, 'Only DELETE requests are supported');
+    }
+    await store.deleteWebhook(id);
+    console.log(`Deleted webhook ${id}`);
+    return jsonResponse(200, { deleted: true, id });
+  } catch (error) {
+    console.error('Webhooks API Error:', error);
+    return errorResponse(500, 'Internal server error');
+  }
+};
+
+export const config = {
+  path: ['/api/webhooks', '/api/webhooks/*']
+};
@@ -0,0 +1,37 @@
+// Bearer token checks for the admin APIs (audit log, webhook settings) and
+// for using the server's API key profiles. Each has its own token in the
+// environment and is off without it.
+
+import crypto from 'node:crypto';
+
+// Compared as digests so the comparison takes the same time whatever the
+// length of the token sent
+const sameToken = (sent, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(sent).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+// 'disabled' when no token is configured, 'unauthorized' when the
+// Authorization header does not carry it, otherwise null
+export const checkBearerToken = (authorization, expected) => {
+  if (!expected) return 'disabled';
+  const [scheme, token] = (authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !sameToken(token, expected)) return 'unauthorized';
+  return null;
+};
+
+export const checkAdminToken = (req, expected) => checkBearerToken(req.headers.get('authorization'), expected);
+
+// The API key profiles (listing them, enriching, prospecting, jobs) need
+// STUDIO_ACCESS_TOKEN, so the server's keys are not open to anyone who
+// finds the site. Returns the status and message to refuse with, or null.
+export const checkStudioAccess = (authorization) => {
+  const problem = checkBearerToken(authorization, process.env.STUDIO_ACCESS_TOKEN);
+  if (problem === 'disabled') {
+    return { status: 403, message: 'API key profiles are disabled; set STUDIO_ACCESS_TOKEN to enable them' };
+  }
+  if (problem === 'unauthorized') {
+    return { status: 401, message: 'A valid access token is required' };
+  }
+  return null;
+};
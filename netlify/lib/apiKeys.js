@@ -0,0 +1,116 @@
+// Server-side provider API key profiles. Clients only ever send a profile
+// name; the keys themselves are resolved here and never leave the server.
+//
+// A profile holds one key per enrichment provider. Keys come from:
+//   <PROVIDER>_API_KEY             the "default" profile (e.g. APOLLO_API_KEY)
+//   <PROVIDER>_API_KEY_<NAME>      profile "<name>" (SALES_OPS -> "sales-ops")
+//   APOLLO_KEY_STORE_FILE          JSON file of { "<name>": "<apollo key>" } or
+//                                  { "<name>": { "apiKey": "<apollo key>",
+//                                    "label": "...", "keys": { "<provider>": "..." } } }
+
+import { readFileSync } from 'node:fs';
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// A request named a profile that has no key for the provider it needs
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+const toProfileName = (envSuffix) => envSuffix.toLowerCase().replace(/_/g, '-');
+
+const toLabel = (name) => name
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const readKeyStoreFile = (file) => {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Report the file, never its contents
+    console.error(`Could not read API key store ${file}: ${error.code || 'invalid JSON'}`);
+    return {};
+  }
+};
+
+// Load all profiles with a key per provider; file entries override
+// environment variables of the same name
+const loadProfiles = (providers) => {
+  const profiles = new Map();
+
+  const addKey = (name, provider, apiKey, label) => {
+    if (!apiKey || !PROFILE_NAME_PATTERN.test(name) || !providers.includes(provider)) return;
+    const profile = profiles.get(name) || { name, label: toLabel(name), keys: {} };
+    if (label) profile.label = label;
+    profile.keys[provider] = apiKey;
+    profiles.set(name, profile);
+  };
+
+  providers.forEach(provider => {
+    const prefix = `${provider.toUpperCase()}_API_KEY`;
+    Object.keys(process.env)
+      .filter(key => key === prefix || key.startsWith(`${prefix}_`))
+      .forEach(key => {
+        const name = key === prefix ? 'default' : toProfileName(key.slice(prefix.length + 1));
+        addKey(name, provider, process.env[key]);
+      });
+  });
+
+  if (process.env.APOLLO_KEY_STORE_FILE) {
+    const stored = readKeyStoreFile(process.env.APOLLO_KEY_STORE_FILE);
+    Object.entries(stored).forEach(([name, entry]) => {
+      if (typeof entry === 'string') {
+        addKey(name, 'apollo', entry);
+        return;
+      }
+      addKey(name, 'apollo', entry?.apiKey, entry?.label);
+      Object.entries(entry?.keys || {}).forEach(([provider, apiKey]) => addKey(name, provider, apiKey, entry.label));
+    });
+  }
+
+  return profiles;
+};
+
+// Profile names, labels and which providers they have keys for; safe to
+// return to the browser
+export const listProfiles = (providers = ['apollo']) => [...loadProfiles(providers).values()]
+  .map(({ name, label, keys }) => ({ name, label, providers: Object.keys(keys) }))
+  .sort((a, b) => (a.name === 'default' ? -1 : b.name === 'default' ? 1 : a.name.localeCompare(b.name)));
+
+export const hasApiKey = (profileName, provider = 'apollo') =>
+  Boolean(loadProfiles([provider]).get(profileName));
+
+export const resolveApiKey = (profileName, provider = 'apollo') => {
+  const profile = loadProfiles([provider]).get(profileName);
+  if (!profile) {
+    throw new ProfileError(provider === 'apollo'
+      ? `Unknown API key profile "${profileName}"`
+      : `API key profile "${profileName}" has no key for provider "${provider}"`);
+  }
+  return profile.keys[provider];
+};
+
+// Every configured key, whichever provider it belongs to
+const allSecrets = () => {
+  const secrets = Object.keys(process.env)
+    .filter(key => /_API_KEY(_|$)/.test(key))
+    .map(key => process.env[key]);
+
+  if (process.env.APOLLO_KEY_STORE_FILE) {
+    Object.values(readKeyStoreFile(process.env.APOLLO_KEY_STORE_FILE)).forEach(entry => {
+      if (typeof entry === 'string') secrets.push(entry);
+      else if (entry) secrets.push(entry.apiKey, ...Object.values(entry.keys || {}));
+    });
+  }
+
+  return secrets.filter(secret => typeof secret === 'string' && secret.length >= 8);
+};
+
+// Replace any configured key that appears in `text` before it is logged or
+// returned to a client
+export const redactSecrets = (text) =>
+  allSecrets().reduce((redacted, secret) => redacted.split(secret).join('[redacted]'), String(text));
@@ -0,0 +1,221 @@
+// Audit trail of every request that can spend provider credits: who sent
+// it, what it asked for, what it cost and how it ended.
+//
+// An audit store implements:
+//   append(entry)                 add an entry
+//   query({ from, to, profile, action, outcome, runId, limit })
+//                                 matching entries from the UTC days
+//                                 `from`..`to` (YYYY-MM-DD), newest first
+//
+// Entries never hold personal data. Contacts are only counted, client IPs
+// are hashed with AUDIT_HASH_SECRET (and left out without it), and error
+// messages are the ones sent back to the caller with emails and phone
+// numbers masked.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { redactSecrets } from './apiKeys.js';
+import { requireSharedStoreDirectory, storeDirectory } from './storeDirectory.js';
+
+export const AUDIT_ACTIONS = ['enrich', 'enrich.dry_run', 'prospect', 'job.submit', 'job.batch'];
+export const AUDIT_OUTCOMES = ['success', 'rejected', 'rate_limited', 'over_budget', 'failed'];
+
+const DEFAULT_RETENTION_DAYS = 365;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const daysBefore = (day, days) => utcDay(new Date(Date.parse(day) - days * 86400000));
+
+// The same IP always hashes the same way, so one client's requests can be
+// followed without the address being stored. Without a secret of the
+// operator's own anyone could hash candidate addresses to match them, so
+// no client is recorded.
+export const hashClient = (ip) => {
+  const secret = process.env.AUDIT_HASH_SECRET;
+  if (!secret || !ip || ip === 'unknown') return null;
+  return crypto.createHmac('sha256', secret).update(ip).digest('hex').slice(0, 16);
+};
+
+// A phone number is 8 or more digits, spaces and punctuation standing on
+// its own. Dates, times and numbers inside words or ids are left alone.
+const PHONE_NUMBER = /(?<![\w:.-])(?!\d{4}-\d{2}-\d{2}(?!\d))\+?\d[\d\s().-]{6,}\d(?![\w:])/g;
+
+export const redactPersonalData = (text) => redactSecrets(text)
+  .replace(/[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi, '[email]')
+  .replace(PHONE_NUMBER, '[number]');
+
+// Provider settings and waterfall choices, without anything free-form
+export const summarizeOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return null;
+  const { waterfall, requiredFields, forceRefresh, providers, completenessWeights, ...legacy } = options;
+  const settingsOf = (settings) => Object.fromEntries(
+    Object.entries(settings || {}).filter(([, value]) => ['boolean', 'number'].includes(typeof value))
+  );
+  return {
+    waterfall: Array.isArray(waterfall) ? waterfall : undefined,
+    requiredFields: Array.isArray(requiredFields) ? requiredFields : undefined,
+    forceRefresh: typeof forceRefresh === 'boolean' ? forceRefresh : undefined,
+    providers: providers && typeof providers === 'object'
+      ? Object.fromEntries(Object.entries(providers).map(([name, settings]) => [name, settingsOf(settings)]))
+      : Object.keys(legacy).length > 0 ? { apollo: settingsOf(legacy) } : undefined,
+    completenessWeights: completenessWeights && typeof completenessWeights === 'object' ? settingsOf(completenessWeights) : undefined
+  };
+};
+
+export const outcomeFor = (statusCode) => {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 400) return 'rejected';
+  if (statusCode === 402) return 'over_budget';
+  if (statusCode === 429) return 'rate_limited';
+  return 'failed';
+};
+
+// Apollo's own status when the failure came from Apollo, otherwise ours
+const errorCodeFor = (statusCode, error) => {
+  if (statusCode < 400) return null;
+  if (error?.apolloStatus) return `apollo_${error.apolloStatus}`;
+  if (error?.message?.startsWith('Apollo API Error: network')) return 'apollo_network';
+  return {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    402: 'credit_cap',
+    429: 'rate_limited'
+  }[statusCode] || 'internal';
+};
+
+// One audit entry. `message` is what the caller was told on failure;
+// `error` the exception behind it, if any, for its Apollo status.
+export const auditEntry = ({
+  action, startedAt, clientIp = null, profile = null, mode = null, runId = null, options = null,
+  counts = null, apiCalls = 0, creditsUsed = 0, statusCode, message = null, error = null
+}) => ({
+  id: `au_${crypto.randomBytes(9).toString('base64url')}`,
+  at: new Date(startedAt).toISOString(),
+  action,
+  profile: typeof profile === 'string' ? profile : null,
+  client: hashClient(clientIp),
+  mode,
+  runId: typeof runId === 'string' ? runId : null,
+  options: summarizeOptions(options),
+  counts,
+  apiCalls,
+  creditsUsed,
+  outcome: outcomeFor(statusCode),
+  statusCode,
+  errorCode: errorCodeFor(statusCode, error),
+  error: statusCode >= 400 && message ? redactPersonalData(message) : null,
+  durationMs: Date.now() - startedAt
+});
+
+const matches = (entry, { profile, action, outcome, runId }) =>
+  (!profile || entry.profile === profile) &&
+  (!action || entry.action === action) &&
+  (!outcome || entry.outcome === outcome) &&
+  (!runId || entry.runId === runId);
+
+// One NDJSON file per UTC day, appended to; days older than the retention
+// period are deleted
+export const createFileAuditStore = ({ directory, retentionDays = DEFAULT_RETENTION_DAYS }) => {
+  let queue = Promise.resolve();
+  const serialized = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  let prunedOn = null;
+  const prune = async (today) => {
+    if (prunedOn === today) return;
+    prunedOn = today;
+    const oldest = daysBefore(today, retentionDays);
+    const files = await fs.readdir(directory);
+    await Promise.all(files
+      .filter(file => DAY_FILE.test(file) && file.match(DAY_FILE)[1] < oldest)
+      .map(file => fs.rm(path.join(directory, file), { force: true })));
+  };
+
+  const readDay = async (day) => {
+    try {
+      const text = await fs.readFile(path.join(directory, `${day}.ndjson`), 'utf8');
+      return text.split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (parseError) {
+          // A line cut short by a crash mid-write
+          return [];
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    append: (entry) => serialized(async () => {
+      const day = entry.at.slice(0, 10);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.appendFile(path.join(directory, `${day}.ndjson`), `${JSON.stringify(entry)}\n`);
+      await prune(utcDay());
+    }),
+
+    async query({ from, to, limit = Infinity, ...filters }) {
+      const files = await fs.readdir(directory).catch(error => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      });
+      const days = files
+        .map(file => file.match(DAY_FILE)?.[1])
+        .filter(day => day && day >= from && day <= to)
+        .sort()
+        .reverse();
+
+      const found = [];
+      for (const day of days) {
+        const entries = (await readDay(day)).filter(entry => matches(entry, filters)).reverse();
+        found.push(...entries.slice(0, limit - found.length));
+        if (found.length >= limit) break;
+      }
+      return found;
+    }
+  };
+};
+
+// AUDIT_LOG is 'file' (default) or 'off'. One store per directory
+// (./storeDirectory.js) lasts as long as a warm function instance, so old
+// days are pruned once a day rather than on every request. A log in one
+// instance's temp directory would lose entries with the instance, so the
+// store throws StoreConfigError without a shared directory.
+const auditStores = new Map();
+
+export const getAuditStore = () => {
+  const kind = process.env.AUDIT_LOG || 'file';
+  if (kind === 'off') return null;
+  if (kind !== 'file') {
+    throw new Error(`Unsupported AUDIT_LOG "${kind}"`);
+  }
+  requireSharedStoreDirectory('AUDIT_LOG_DIR', 'The audit log');
+  const directory = storeDirectory('AUDIT_LOG_DIR', 'audit');
+  if (!auditStores.has(directory)) {
+    const retention = Number(process.env.AUDIT_RETENTION_DAYS);
+    auditStores.set(directory, createFileAuditStore({
+      directory,
+      retentionDays: Number.isInteger(retention) && retention > 0 ? retention : DEFAULT_RETENTION_DAYS
+    }));
+  }
+  return auditStores.get(directory);
+};
+
+// Write an entry. A request never fails because its audit entry could not
+// be written; the failure is logged instead, on every request until the
+// store is fixed.
+export const recordAudit = async (entry, store) => {
+  try {
+    const target = store === undefined ? getAuditStore() : store;
+    if (target) await target.append(entry);
+  } catch (error) {
+    console.error('Audit log write failed:', error.message);
+  }
+};
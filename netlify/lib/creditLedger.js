@@ -0,0 +1,174 @@
+// Credits spent per profile per UTC day and per browser run, so the enrich
+// function can hold spending to a budget.
+//
+// A credit ledger implements:
+//   usage({ profile, runId, day })    { day, run } credits spent so far
+//   reserve({ profile, runId, day, credits, caps })
+//                                      record credits about to be spent, or
+//                                      throw CreditBudgetError if that would
+//                                      cross caps { perRun, perDay }
+//   release({ profile, runId, day, credits })
+//                                      give back a reservation whose call
+//                                      failed
+//
+// Credits are reserved before the provider is called, so batches running
+// side by side cannot overshoot a cap together.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { exceededCap } from '../../src/utils/credits.js';
+import { requireSharedStoreDirectory, storeDirectory } from './storeDirectory.js';
+
+const KEEP_DAYS = 31;
+const KEEP_RUNS_MS = 7 * 86400000;
+
+export class CreditBudgetError extends Error {
+  constructor({ limit, cap, used, needed }) {
+    super(limit === 'run'
+      ? `Run credit cap of ${cap} reached (${used} used, next batch needs ${needed})`
+      : `Daily credit cap of ${cap} reached (${used} used today, next batch needs ${needed})`);
+    this.name = 'CreditBudgetError';
+    this.limit = limit;
+    this.cap = cap;
+    this.used = used;
+    this.needed = needed;
+  }
+}
+
+export const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const writeJSONAtomic = async (file, data) => {
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, file);
+};
+
+const readJSON = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+const EMPTY = { days: {}, runs: {} };
+
+const spent = (ledger, { profile, runId, day }) => ({
+  day: ledger.days[profile]?.[day] || 0,
+  run: (runId && ledger.runs[runId]?.credits) || 0
+});
+
+// Add credits (negative to give them back) and drop days and runs that
+// are too old to matter
+const add = (ledger, { profile, runId, day, credits }) => {
+  const oldestDay = utcDay(new Date(Date.parse(day) - KEEP_DAYS * 86400000));
+  const days = Object.fromEntries(Object.entries(ledger.days).map(([name, totals]) => [
+    name,
+    Object.fromEntries(Object.entries(totals).filter(([date]) => date >= oldestDay))
+  ]));
+  days[profile] = { ...days[profile], [day]: Math.max(0, (days[profile]?.[day] || 0) + credits) };
+
+  const now = Date.now();
+  const runs = Object.fromEntries(Object.entries(ledger.runs).filter(([, run]) => now - Date.parse(run.updatedAt) < KEEP_RUNS_MS));
+  if (runId) {
+    runs[runId] = { credits: Math.max(0, (runs[runId]?.credits || 0) + credits), updatedAt: new Date(now).toISOString() };
+  }
+  return { days, runs };
+};
+
+export const createFileCreditLedger = ({ directory }) => {
+  const file = path.join(directory, 'ledger.json');
+
+  // Serialise read-modify-write so concurrent batches are all counted
+  let queue = Promise.resolve();
+  const serialized = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const update = (change) => serialized(async () => {
+    await fs.mkdir(directory, { recursive: true });
+    const next = change(await readJSON(file, EMPTY));
+    await writeJSONAtomic(file, next);
+    return next;
+  });
+
+  return {
+    async usage({ profile, runId = null, day = utcDay() }) {
+      return spent(await readJSON(file, EMPTY), { profile, runId, day });
+    },
+
+    async reserve({ profile, runId = null, day = utcDay(), credits, caps = {} }) {
+      const next = await update(ledger => {
+        const exceeded = exceededCap(credits, caps, spent(ledger, { profile, runId, day }));
+        if (exceeded) throw new CreditBudgetError({ ...exceeded, needed: credits });
+        return add(ledger, { profile, runId, day, credits });
+      });
+      return spent(next, { profile, runId, day });
+    },
+
+    async release({ profile, runId = null, day = utcDay(), credits }) {
+      await update(ledger => add(ledger, { profile, runId, day, credits: -credits }));
+    }
+  };
+};
+
+// One ledger per directory for the life of the function instance, so its
+// queue covers every request the instance handles. A daily cap held in one
+// instance's temp directory would reset whenever another instance answered,
+// so with CREDIT_DAILY_CAP set the ledger must be shared (./storeDirectory.js).
+const ledgers = new Map();
+
+export const getCreditLedger = () => {
+  if (dailyCapFromEnv() !== null) {
+    requireSharedStoreDirectory('CREDIT_LEDGER_DIR', 'CREDIT_DAILY_CAP');
+  }
+  const directory = storeDirectory('CREDIT_LEDGER_DIR', 'credits');
+  if (!ledgers.has(directory)) ledgers.set(directory, createFileCreditLedger({ directory }));
+  return ledgers.get(directory);
+};
+
+// The operator's daily cap per profile, from CREDIT_DAILY_CAP
+export const dailyCapFromEnv = () => {
+  const cap = Number(process.env.CREDIT_DAILY_CAP);
+  return process.env.CREDIT_DAILY_CAP && Number.isFinite(cap) && cap >= 0 ? Math.floor(cap) : null;
+};
+
+// Caps for a request's budget. A request can tighten the server's daily
+// cap but never lift it.
+export const resolveCaps = (budget = {}) => {
+  const serverCap = dailyCapFromEnv();
+  const requested = budget?.maxDailyCredits ?? null;
+  return {
+    perRun: budget?.maxRunCredits ?? null,
+    perDay: serverCap === null ? requested : requested === null ? serverCap : Math.min(serverCap, requested)
+  };
+};
+
+// What runWaterfall charges: reserve(credits) before each provider call
+// and release(credits) if the call fails. Without any cap a ledger that
+// cannot be written is logged rather than failing the enrichment.
+export const createBudget = (ledger, { profile, runId = null, caps }) => {
+  const capped = caps.perRun !== null || caps.perDay !== null;
+  const day = utcDay();
+  return {
+    async reserve(credits) {
+      try {
+        await ledger.reserve({ profile, runId, day, credits, caps });
+      } catch (error) {
+        if (capped || error instanceof CreditBudgetError) throw error;
+        console.error('Credit ledger write failed:', error.message);
+      }
+    },
+    async release(credits) {
+      try {
+        await ledger.release({ profile, runId, day, credits });
+      } catch (error) {
+        console.error('Credit ledger write failed:', error.message);
+      }
+    }
+  };
+};
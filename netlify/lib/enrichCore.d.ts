@@ -0,0 +1,155 @@
+// Types for enrichCore.js. They follow the JSON Schemas in enrichSchemas.js,
+// which are what requests are actually checked against.
+
+import type { HandlerEvent, HandlerResponse } from '@netlify/functions';
+
+export type Mode = 'people' | 'organizations';
+export type Confidence = 'high' | 'medium' | 'low' | 'none';
+export type EmailGrade = 'verified' | 'guessed' | 'unavailable';
+
+export interface Contact {
+  firstName: string;
+  lastName: string;
+  domain?: string | null;
+  email?: string | null;
+  linkedinUrl?: string | null;
+  sourceRow?: Record<string, unknown>;
+  [field: string]: unknown;
+}
+
+export interface Company {
+  domain: string;
+  name?: string | null;
+  sourceRow?: Record<string, unknown>;
+  [field: string]: unknown;
+}
+
+export interface EnrichOptions {
+  waterfall?: string[];
+  requiredFields?: string[];
+  forceRefresh?: boolean;
+  providers?: Record<string, Record<string, unknown>>;
+  completenessWeights?: Record<string, number>;
+  [legacySetting: string]: unknown;
+}
+
+export interface Budget {
+  runId?: string;
+  maxRunCredits?: number | null;
+  maxDailyCredits?: number | null;
+}
+
+export interface Run {
+  id: string;
+  batch: number;
+  totalBatches: number;
+}
+
+export interface EnrichRequest {
+  profile: string;
+  mode?: Mode;
+  contacts?: Contact[];
+  companies?: Company[];
+  options?: EnrichOptions;
+  dryRun?: boolean;
+  budget?: Budget;
+  run?: Run;
+}
+
+interface EnrichmentMetadata {
+  sourceRow: Record<string, unknown>;
+  enrichmentStatus: 'success' | 'failed';
+  enrichmentProvider: string | null;
+  enrichmentTimestamp: string;
+  providersTried?: string[];
+  confidence: Confidence;
+  dataCompleteness: number;
+  fromCache?: boolean;
+}
+
+export interface EnrichedContact extends Contact, EnrichmentMetadata {
+  id?: string | null;
+  matchedName?: string | null;
+  matchedOn?: string[];
+  title?: string | null;
+  company?: string | null;
+  companyDomain?: string | null;
+  industry?: string | null;
+  companySize?: number | null;
+  location?: string | null;
+  city?: string | null;
+  state?: string | null;
+  country?: string | null;
+  twitterUrl?: string | null;
+  facebookUrl?: string | null;
+  workEmail?: string | null;
+  workEmailStatus?: EmailGrade;
+  personalEmail?: string | null;
+  personalEmailStatus?: EmailGrade;
+  directPhone?: string | null;
+  mobilePhone?: string | null;
+  employmentHistory?: Record<string, unknown>[];
+  education?: Record<string, unknown>[];
+  apolloPersonId?: string | null;
+}
+
+export interface EnrichedCompany extends Company, EnrichmentMetadata {
+  companyName?: string | null;
+  websiteUrl?: string | null;
+  industry?: string | null;
+  employeeCount?: number | null;
+  annualRevenue?: number | null;
+  annualRevenuePrinted?: string | null;
+  hqCity?: string | null;
+  hqState?: string | null;
+  hqCountry?: string | null;
+  hqLocation?: string | null;
+  foundedYear?: number | null;
+  technologies?: string[];
+  description?: string | null;
+  phone?: string | null;
+  linkedinUrl?: string | null;
+  twitterUrl?: string | null;
+  facebookUrl?: string | null;
+  apolloOrganizationId?: string | null;
+}
+
+export interface ProviderUsage {
+  apiCalls: number;
+  credits: number;
+  cacheHits: number;
+  creditsSaved: number;
+}
+
+export interface EnrichStats {
+  mode: Mode;
+  totalContacts: number;
+  successfulEnrichments: number;
+  failedEnrichments: number;
+  matchRate: number;
+  averageDataCompleteness: number;
+  confidence: Record<Confidence, number>;
+  workEmailGrades: Record<EmailGrade, number>;
+  apiCallsUsed: number;
+  creditsUsed: number;
+  cacheHits: number;
+  creditsSaved: number;
+  providerUsage: Record<string, ProviderUsage>;
+  processingTime: number;
+}
+
+export interface EnrichResponse {
+  success: true;
+  data: EnrichedContact[] | EnrichedCompany[];
+  stats: EnrichStats;
+  timestamp: string;
+}
+
+export interface FieldError {
+  path: string;
+  message: string;
+}
+
+export function validateEnrichRequest(body: unknown): body is EnrichRequest;
+
+export function handleEnrich(event: Pick<HandlerEvent, 'httpMethod' | 'body' | 'headers'>): Promise<HandlerResponse>;
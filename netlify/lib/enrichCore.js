@@ -0,0 +1,333 @@
+// The enrich function, shared by netlify/functions/enrich.js and
+// netlify/functions/apollo-enrichment.mts so the two endpoints cannot
+// drift apart. Requests are checked against enrichRequest in
+// ./enrichSchemas.js; a request that does not match gets a 400 listing
+// every invalid field. Callers need the studio access token
+// (./adminToken.js); every POST that carries it is written to the audit
+// log (./auditLog.js) once it has been answered. A batch that names its run
+// queues that run's webhook events (./webhooks.js), built from what it
+// returned, for a background function to deliver.
+
+import { ProfileError, redactSecrets } from './apiKeys.js';
+import { checkStudioAccess } from './adminToken.js';
+import { ProviderOptionsError, validateProviderOptions } from './providers/index.js';
+import { estimateWaterfall, runWaterfall } from './waterfall.js';
+import { clientIp, rateLimit, rateLimitHeaders, rateLimitPolicies } from './rateLimit.js';
+import { CreditBudgetError, createBudget, getCreditLedger, resolveCaps } from './creditLedger.js';
+import { StoreConfigError } from './storeDirectory.js';
+import { enrichmentSchema } from './enrichSchemas.js';
+import { ValidationError, assertValid } from './schema.js';
+import { auditEntry, recordAudit } from './auditLog.js';
+import { summarizeScores } from '../../src/utils/scoring.js';
+import { ApolloApiError, mapApolloStatus } from './providers/apollo.js';
+import { getWebhookStore } from './webhookStore.js';
+import { runBatchEvents, runFailureEvents, sendInBackground } from './webhooks.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
+};
+
+// 429 for a request over one of our own rate limits
+const tooManyRequests = (limitHeaders, limit, message) => ({
+  statusCode: 429,
+  headers: { ...corsHeaders, ...limitHeaders },
+  body: JSON.stringify({
+    error: 'Rate limit exceeded',
+    message,
+    retryAfter: limit.retryAfterSeconds
+  })
+});
+
+// Check a parsed request body against the schema, then the parts that
+// depend on the providers installed. Throws ValidationError (or an Error
+// for provider options) when it is not acceptable.
+export const validateEnrichRequest = (body) => {
+  assertValid(enrichmentSchema.$defs.enrichRequest, body, enrichmentSchema);
+  validateProviderOptions(body.options, body.mode || 'people');
+  return true;
+};
+
+// Counts what a batch reserves from the budget, less what it gives back,
+// so a batch that fails partway still records what it spent
+const trackCredits = (budget, trail) => ({
+  async reserve(credits) {
+    await budget.reserve(credits);
+    trail.creditsUsed += credits;
+  },
+  async release(credits) {
+    await budget.release(credits);
+    trail.creditsUsed -= credits;
+  }
+});
+
+// `trail` collects what the audit entry needs as the request goes along
+const respond = async (event, trail) => {
+  const { startedAt, clientIp: clientIP } = trail;
+  const { httpMethod, body } = event;
+  // RateLimit-* headers go on every response once a limit has been checked
+  let limitHeaders = {};
+
+  // Handle OPTIONS request for CORS
+  if (httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ 
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      })
+    };
+  }
+
+  const refused = checkStudioAccess(event.headers?.authorization);
+  if (refused) {
+    return {
+      statusCode: refused.status,
+      headers: refused.status === 401 ? { ...corsHeaders, 'WWW-Authenticate': 'Bearer' } : corsHeaders,
+      body: JSON.stringify({
+        error: true,
+        message: refused.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  trail.action = 'enrich';
+
+  try {
+    // Rate limiting, per client IP and then per API key profile
+    const policies = rateLimitPolicies();
+    const ipLimit = await rateLimit(`ip:${clientIP}`, policies.ip);
+    limitHeaders = rateLimitHeaders(ipLimit);
+    if (ipLimit && !ipLimit.allowed) {
+      return tooManyRequests(limitHeaders, ipLimit, 'Too many requests. Please try again later.');
+    }
+
+    // Parse request body
+    let requestData;
+    try {
+      requestData = JSON.parse(body);
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers: { ...corsHeaders, ...limitHeaders },
+        body: JSON.stringify({ 
+          error: 'Invalid JSON',
+          message: 'Request body must be valid JSON'
+        })
+      };
+    }
+
+    if (requestData && typeof requestData === 'object') {
+      const list = requestData.mode === 'organizations' ? requestData.companies : requestData.contacts;
+      Object.assign(trail, {
+        action: requestData.dryRun === true ? 'enrich.dry_run' : 'enrich',
+        profile: requestData.profile,
+        mode: typeof requestData.mode === 'string' ? requestData.mode : 'people',
+        runId: requestData.budget?.runId,
+        options: requestData.options,
+        counts: { submitted: Array.isArray(list) ? list.length : 0 }
+      });
+    }
+
+    validateEnrichRequest(requestData);
+
+    const profileLimit = await rateLimit(`profile:${requestData.profile}`, policies.profile);
+    limitHeaders = rateLimitHeaders(ipLimit, profileLimit);
+    if (profileLimit && !profileLimit.allowed) {
+      return tooManyRequests(limitHeaders, profileLimit, `Too many requests for API key profile "${requestData.profile}". Please try again later.`);
+    }
+
+    const { profile, mode = 'people', options = {}, dryRun = false, budget: requestedBudget } = requestData;
+    const contacts = mode === 'organizations' ? requestData.companies : requestData.contacts;
+    const ledger = getCreditLedger();
+    const caps = resolveCaps(requestedBudget);
+    const runId = requestedBudget?.runId || null;
+
+    // Validate and price the batch without calling any provider
+    if (dryRun) {
+      const estimate = await estimateWaterfall(contacts, { profile, options, mode });
+      const used = await ledger.usage({ profile, runId });
+      return {
+        statusCode: 200,
+        headers: { ...corsHeaders, ...limitHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          dryRun: true,
+          estimate,
+          budget: { ...caps, used },
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // The browser run this batch belongs to, for its webhook events
+    if (requestData.run) {
+      const { id, batch, totalBatches } = requestData.run;
+      trail.run = { runId: id, mode, batch, totalBatches };
+    }
+
+    // Enrich through the configured provider waterfall (Apollo by default)
+    const budget = trackCredits(createBudget(ledger, { profile, runId, caps }), trail);
+    const { records: enrichedContacts, usage } = await runWaterfall(contacts, { profile, options, mode, budget });
+    const providerUsage = Object.values(usage);
+    const scores = summarizeScores(enrichedContacts);
+    
+    // Calculate summary statistics
+    const stats = {
+      mode,
+      totalContacts: contacts.length,
+      successfulEnrichments: enrichedContacts.filter(c => c.enrichmentStatus === 'success').length,
+      failedEnrichments: enrichedContacts.filter(c => c.enrichmentStatus === 'failed').length,
+      // Match rate, completeness and confidence are separate metrics; the
+      // average completeness only covers matched records
+      matchRate: scores.matchRate,
+      averageDataCompleteness: scores.averageCompleteness,
+      confidence: scores.confidence,
+      workEmailGrades: scores.workEmails,
+      apiCallsUsed: providerUsage.reduce((sum, u) => sum + u.apiCalls, 0),
+      creditsUsed: providerUsage.reduce((sum, u) => sum + u.credits, 0),
+      // Contacts answered from the enrichment cache cost no credits
+      cacheHits: providerUsage.reduce((sum, u) => sum + u.cacheHits, 0),
+      creditsSaved: providerUsage.reduce((sum, u) => sum + u.creditsSaved, 0),
+      providerUsage: usage,
+      processingTime: Date.now() - startedAt
+    };
+    Object.assign(trail, {
+      counts: {
+        submitted: stats.totalContacts,
+        succeeded: stats.successfulEnrichments,
+        failed: stats.failedEnrichments,
+        cacheHits: stats.cacheHits
+      },
+      apiCalls: stats.apiCallsUsed,
+      creditsUsed: stats.creditsUsed
+    });
+    if (trail.run) {
+      trail.runBatch = {
+        ...trail.run,
+        contacts: enrichedContacts,
+        stats: {
+          processed: stats.totalContacts,
+          successful: stats.successfulEnrichments,
+          failed: stats.failedEnrichments,
+          apiCalls: stats.apiCallsUsed,
+          creditsUsed: stats.creditsUsed,
+          creditsSaved: stats.creditsSaved
+        }
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        ...limitHeaders,
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: enrichedContacts,
+        stats,
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Enrichment Error:', redactSecrets(error.stack || error.message));
+    trail.error = error;
+    
+    let statusCode = 500;
+    let errorMessage = 'Internal server error';
+    let retryAfter;
+    let budget;
+    let errors;
+    
+    if (error instanceof ValidationError) {
+      statusCode = 400;
+      errorMessage = error.message;
+      errors = error.errors;
+    } else if (error instanceof CreditBudgetError) {
+      // Nothing was spent on this batch; the caller can resume under a higher cap
+      statusCode = 402;
+      errorMessage = error.message;
+      budget = { limit: error.limit, cap: error.cap, used: error.used, needed: error.needed };
+    } else if (error instanceof StoreConfigError) {
+      // A daily cap with nowhere shared to count it; refuse rather than overspend
+      statusCode = 503;
+      errorMessage = error.message;
+    } else if (error instanceof ApolloApiError) {
+      statusCode = mapApolloStatus(error.apolloStatus);
+      errorMessage = statusCode === 429
+        ? 'Apollo rate limit reached'
+        : statusCode === 401 ? 'Apollo rejected the API key' : 'Apollo API request failed';
+      retryAfter = statusCode === 429 ? error.retryAfter || 60 : undefined;
+    } else if (error instanceof ProfileError || error instanceof ProviderOptionsError) {
+      statusCode = 400;
+      errorMessage = error.message;
+    }
+
+    return {
+      statusCode,
+      headers: retryAfter ? { ...corsHeaders, ...limitHeaders, 'Retry-After': String(retryAfter) } : { ...corsHeaders, ...limitHeaders },
+      body: JSON.stringify({
+        error: true,
+        message: errorMessage,
+        errors,
+        retryAfter,
+        budget,
+        details: process.env.NODE_ENV === 'development' ? redactSecrets(error.message) : undefined,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
+
+// Statuses the studio stops a run on instead of going to the next batch:
+// the provider rejected the key, or the run is over its credit budget
+const RUN_STOPPING_STATUSES = [401, 402];
+
+// Queue a run's webhook events for the background sender. Webhooks never
+// fail a batch, so a failure here is only logged.
+const notifyRun = async (event, runId, buildEvents) => {
+  try {
+    const store = getWebhookStore();
+    const origin = event.rawUrl ? new URL(event.rawUrl).origin : process.env.URL;
+    await sendInBackground(store, origin, await buildEvents(store));
+  } catch (error) {
+    console.error(`Could not send webhooks for run ${runId}:`, error.message);
+  }
+};
+
+// Handle one enrich request. Takes and returns the Netlify Functions
+// event and response shapes.
+export const handleEnrich = async (event) => {
+  const trail = { startedAt: Date.now(), clientIp: clientIp(event.headers), creditsUsed: 0 };
+  const response = await respond(event, trail);
+
+  if (trail.action) {
+    const { message } = response.statusCode >= 400 ? JSON.parse(response.body) : {};
+    await recordAudit(auditEntry({ ...trail, statusCode: response.statusCode, message }));
+  }
+  if (trail.runBatch) {
+    await notifyRun(event, trail.run.runId, store => runBatchEvents(store, trail.runBatch));
+  } else if (trail.run && RUN_STOPPING_STATUSES.includes(response.statusCode)) {
+    const { message } = JSON.parse(response.body);
+    await notifyRun(event, trail.run.runId, store => runFailureEvents(store, { ...trail.run, error: message }));
+  }
+  return response;
+};
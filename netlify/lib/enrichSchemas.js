@@ -0,0 +1,274 @@
+// Schemas for the enrich function: what a request may contain, and the
+// contacts, companies and stats it returns. They are JSON Schema, checked
+// at runtime by ./schema.js and published for integrations as
+// public/schemas/enrichment.schema.json (`npm run schema` regenerates it).
+//
+// Contacts and companies allow fields beyond the ones listed; those are
+// passed through to the enriched record untouched.
+
+import { MODES } from './providers/index.js';
+import { CONFIDENCE_LEVELS, EMAIL_GRADES } from '../../src/utils/scoring.js';
+
+export const MAX_BATCH = 25;
+// A dry run never reaches the provider, so it can check a whole upload in
+// a few requests
+export const MAX_DRY_RUN = 1000;
+
+export const SCHEMA_ID = 'https://apollo-enrichment-studio.netlify.app/schemas/enrichment.schema.json';
+
+const text = { type: 'string' };
+const optionalText = { type: ['string', 'null'] };
+const count = { type: 'integer', minimum: 0 };
+const optionalCount = { type: ['integer', 'null'], minimum: 0 };
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+const countsOf = (keys) => ({
+  type: 'object',
+  required: keys,
+  properties: Object.fromEntries(keys.map(key => [key, count]))
+});
+
+const contact = {
+  title: 'Contact',
+  description: 'A person to enrich',
+  type: 'object',
+  required: ['firstName', 'lastName'],
+  properties: {
+    firstName: { type: 'string', minLength: 1 },
+    lastName: { type: 'string', minLength: 1 },
+    domain: { ...optionalText, description: 'Company domain or website' },
+    email: optionalText,
+    linkedinUrl: optionalText,
+    sourceRow: { type: 'object', description: 'The uploaded row, returned untouched' }
+  }
+};
+
+const company = {
+  title: 'Company',
+  description: 'A company to enrich, found by its domain',
+  type: 'object',
+  required: ['domain'],
+  properties: {
+    domain: { type: 'string', minLength: 1 },
+    name: optionalText,
+    sourceRow: { type: 'object', description: 'The uploaded row, returned untouched' }
+  }
+};
+
+const options = {
+  title: 'Options',
+  description: 'Provider waterfall and scoring options. Which providers, fields and weights are allowed depends on the mode and the providers installed. Flat Apollo settings from older clients are read as providers.apollo.',
+  type: 'object',
+  properties: {
+    waterfall: { type: 'array', minItems: 1, items: text, description: 'Provider names, tried in order' },
+    requiredFields: { type: 'array', items: text, description: 'Enriched fields a record needs before the waterfall stops' },
+    forceRefresh: { type: 'boolean', description: 'Skip the result cache' },
+    providers: { type: 'object', additionalProperties: { type: 'object' }, description: 'Settings per provider' },
+    completenessWeights: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+  }
+};
+
+const budget = {
+  title: 'Budget',
+  description: 'Credit caps for this request; see the Credit Budget section of the README',
+  type: 'object',
+  additionalProperties: false,
+  dependentRequired: { maxRunCredits: ['runId'] },
+  properties: {
+    runId: { type: 'string', pattern: '^[\\w-]{1,100}$', errorMessage: 'must be up to 100 letters, digits, _ or -' },
+    maxRunCredits: optionalCount,
+    maxDailyCredits: optionalCount
+  }
+};
+
+const run = {
+  title: 'Run',
+  description: 'Where this batch sits in a run driven by the caller, so the server can send the run\'s webhook events',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'batch', 'totalBatches'],
+  properties: {
+    id: { type: 'string', pattern: '^[\\w-]{1,100}$', errorMessage: 'must be up to 100 letters, digits, _ or -' },
+    batch: { type: 'integer', minimum: 1, description: 'Starts at 1' },
+    totalBatches: { type: 'integer', minimum: 1 }
+  }
+};
+
+const batchOf = (max) => ({
+  properties: {
+    contacts: { maxItems: max },
+    companies: { maxItems: max }
+  }
+});
+
+const enrichRequest = {
+  title: 'Enrich request',
+  type: 'object',
+  required: ['profile'],
+  properties: {
+    apiKey: { not: {}, errorMessage: 'must not be sent; API keys are managed server-side, so send a profile name instead of apiKey' },
+    profile: { type: 'string', minLength: 1, description: 'API key profile' },
+    mode: { enum: MODES, default: 'people' },
+    contacts: { type: 'array', minItems: 1, items: { $ref: '#/$defs/contact' } },
+    companies: { type: 'array', minItems: 1, items: { $ref: '#/$defs/company' } },
+    options: { $ref: '#/$defs/options' },
+    dryRun: { type: 'boolean', default: false, description: 'Price the batch without calling a provider' },
+    budget: { $ref: '#/$defs/budget' },
+    run: { $ref: '#/$defs/run' }
+  },
+  allOf: [
+    {
+      if: { required: ['mode'], properties: { mode: { const: 'organizations' } } },
+      then: { required: ['companies'] },
+      else: { required: ['contacts'] }
+    },
+    {
+      if: { required: ['dryRun'], properties: { dryRun: { const: true } } },
+      then: batchOf(MAX_DRY_RUN),
+      else: batchOf(MAX_BATCH)
+    }
+  ]
+};
+
+const enrichmentMetadata = {
+  sourceRow: { type: 'object' },
+  enrichmentStatus: { enum: ['success', 'failed'] },
+  enrichmentProvider: { ...optionalText, description: 'The provider that matched, null when none did' },
+  enrichmentTimestamp: { type: 'string', description: 'ISO 8601; for cached records, when they were first enriched' },
+  providersTried: { type: 'array', items: text },
+  confidence: { enum: CONFIDENCE_LEVELS },
+  dataCompleteness: percentage,
+  fromCache: { type: 'boolean' }
+};
+
+const enrichedContact = {
+  title: 'Enriched contact',
+  description: 'A contact with what the waterfall found; fields of the submitted contact come first',
+  type: 'object',
+  required: ['firstName', 'lastName', 'enrichmentStatus', 'enrichmentTimestamp', 'confidence', 'dataCompleteness'],
+  properties: {
+    ...contact.properties,
+    ...enrichmentMetadata,
+    id: optionalText,
+    matchedName: optionalText,
+    matchedOn: { type: 'array', items: text },
+    title: optionalText,
+    company: optionalText,
+    companyDomain: optionalText,
+    industry: optionalText,
+    companySize: { type: ['number', 'null'] },
+    location: optionalText,
+    city: optionalText,
+    state: optionalText,
+    country: optionalText,
+    linkedinUrl: optionalText,
+    twitterUrl: optionalText,
+    facebookUrl: optionalText,
+    workEmail: optionalText,
+    workEmailStatus: { enum: EMAIL_GRADES },
+    personalEmail: optionalText,
+    personalEmailStatus: { enum: EMAIL_GRADES },
+    directPhone: optionalText,
+    mobilePhone: optionalText,
+    employmentHistory: { type: 'array', items: { type: 'object' } },
+    education: { type: 'array', items: { type: 'object' } },
+    apolloPersonId: optionalText
+  }
+};
+
+const enrichedCompany = {
+  title: 'Enriched company',
+  type: 'object',
+  required: ['domain', 'enrichmentStatus', 'enrichmentTimestamp', 'confidence', 'dataCompleteness'],
+  properties: {
+    ...company.properties,
+    ...enrichmentMetadata,
+    companyName: optionalText,
+    websiteUrl: optionalText,
+    industry: optionalText,
+    employeeCount: { type: ['number', 'null'] },
+    annualRevenue: { type: ['number', 'null'] },
+    annualRevenuePrinted: optionalText,
+    hqCity: optionalText,
+    hqState: optionalText,
+    hqCountry: optionalText,
+    hqLocation: optionalText,
+    foundedYear: { type: ['integer', 'null'] },
+    technologies: { type: 'array', items: text },
+    description: optionalText,
+    phone: optionalText,
+    linkedinUrl: optionalText,
+    twitterUrl: optionalText,
+    facebookUrl: optionalText,
+    apolloOrganizationId: optionalText
+  }
+};
+
+const stats = {
+  title: 'Stats',
+  description: 'Summary of one request',
+  type: 'object',
+  required: [
+    'mode', 'totalContacts', 'successfulEnrichments', 'failedEnrichments', 'matchRate', 'averageDataCompleteness',
+    'confidence', 'workEmailGrades', 'apiCallsUsed', 'creditsUsed', 'cacheHits', 'creditsSaved', 'providerUsage',
+    'processingTime'
+  ],
+  properties: {
+    mode: { enum: MODES },
+    totalContacts: count,
+    successfulEnrichments: count,
+    failedEnrichments: count,
+    matchRate: percentage,
+    averageDataCompleteness: { ...percentage, description: 'Average over matched records only' },
+    confidence: countsOf(CONFIDENCE_LEVELS),
+    workEmailGrades: countsOf(EMAIL_GRADES),
+    apiCallsUsed: count,
+    creditsUsed: count,
+    cacheHits: count,
+    creditsSaved: count,
+    providerUsage: {
+      type: 'object',
+      description: 'Per provider name',
+      additionalProperties: countsOf(['apiCalls', 'credits', 'cacheHits', 'creditsSaved'])
+    },
+    processingTime: { type: 'number', minimum: 0, description: 'Milliseconds' }
+  }
+};
+
+const enrichResponse = {
+  title: 'Enrich response',
+  type: 'object',
+  required: ['success', 'data', 'stats', 'timestamp'],
+  properties: {
+    success: { const: true },
+    data: { type: 'array', items: { anyOf: [{ $ref: '#/$defs/enrichedContact' }, { $ref: '#/$defs/enrichedCompany' }] } },
+    stats: { $ref: '#/$defs/stats' },
+    timestamp: text
+  }
+};
+
+const errorResponse = {
+  title: 'Error response',
+  type: 'object',
+  required: ['error', 'message', 'timestamp'],
+  properties: {
+    error: { const: true },
+    message: text,
+    errors: {
+      type: 'array',
+      description: 'One entry per invalid field when the request failed validation',
+      items: { type: 'object', required: ['path', 'message'], properties: { path: text, message: text } }
+    },
+    retryAfter: { type: 'integer', description: 'Seconds, on 429' },
+    budget: { type: 'object', description: 'The cap that stopped the request, on 402' },
+    timestamp: text
+  }
+};
+
+// Everything in one document, as published
+export const enrichmentSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: SCHEMA_ID,
+  title: 'Apollo Enrichment Studio enrich function',
+  description: 'POST /.netlify/functions/enrich (or apollo-enrichment) takes an enrichRequest and answers with an enrichResponse or an errorResponse',
+  $defs: { enrichRequest, contact, company, options, budget, run, enrichedContact, enrichedCompany, stats, enrichResponse, errorResponse }
+};
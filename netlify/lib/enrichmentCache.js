@@ -0,0 +1,149 @@
+// Cache of enrichment results so a person enriched recently is not paid for
+// again when they turn up in another upload.
+//
+// A cache store implements:
+//   get(key)                     the stored entry, or null
+//   set(key, entry)              save { storedAt, record }
+//
+// Entries are looked up by every normalised identity we know for a person
+// (email, LinkedIn URL, name + domain), scoped to the provider and the
+// settings that change what the provider returns. Only successful matches
+// are cached; entries older than the TTL count as misses.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { normalizeDomain, normalizeEmail, normalizeText } from '../../src/utils/dedupe.js';
+import { storeDirectory } from './storeDirectory.js';
+
+const DEFAULT_TTL_DAYS = 30;
+
+// Fields of the submitted contact, which always come from the current
+// request rather than the cache
+const CONTACT_FIELDS = ['firstName', 'lastName', 'domain', 'email', 'name', 'sourceRow'];
+
+const normalizeLinkedinUrl = (value = '') => {
+  const match = String(value).trim().toLowerCase().match(/linkedin\.com\/in\/([^/?#]+)/);
+  return match ? match[1] : '';
+};
+
+// Every identity a contact (or its enriched record) can be found under,
+// most specific first
+export const identityKeys = (contact) => {
+  const keys = [];
+  [contact.email, contact.workEmail].map(email => normalizeEmail(email || '')).filter(Boolean).forEach(email => keys.push(`email:${email}`));
+
+  const linkedin = normalizeLinkedinUrl(contact.linkedinUrl);
+  if (linkedin) keys.push(`linkedin:${linkedin}`);
+
+  const first = normalizeText(contact.firstName || '');
+  const last = normalizeText(contact.lastName || '');
+  const domain = normalizeDomain(contact.domain || '');
+  if (first && last && domain) keys.push(`name:${first}|${last}|${domain}`);
+
+  return [...new Set(keys)];
+};
+
+// Companies are only ever identified by their domain
+export const organizationIdentityKeys = (company) => {
+  const domain = normalizeDomain(company.domain || '');
+  return domain ? [`domain:${domain}`] : [];
+};
+
+// Settings are part of the key: a result fetched without phone numbers
+// must not answer a request that asked for them
+const cacheKey = (namespace, settings, identity) => {
+  const fingerprint = JSON.stringify(Object.keys(settings || {}).sort().map(key => [key, settings[key]]));
+  return crypto.createHash('sha256').update(`${namespace}\n${fingerprint}\n${identity}`).digest('hex');
+};
+
+export const cacheTtlMs = () => {
+  const days = Number(process.env.ENRICHMENT_CACHE_TTL_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : DEFAULT_TTL_DAYS) * 86400000;
+};
+
+// Look contacts up in the cache. Returns the cached record (merged onto the
+// submitted contact, flagged fromCache) or null for each contact.
+// `namespace` is the provider name, plus the mode for non-people lookups.
+export const readCached = async (store, namespace, settings, contacts, identify = identityKeys) => {
+  const ttl = cacheTtlMs();
+
+  return Promise.all(contacts.map(async (contact) => {
+    for (const identity of identify(contact)) {
+      const entry = await store.get(cacheKey(namespace, settings, identity));
+      if (entry && Date.now() - Date.parse(entry.storedAt) < ttl) {
+        return { ...contact, ...entry.record, fromCache: true };
+      }
+    }
+    return null;
+  }));
+};
+
+// Save successful records under every identity from the request and the result
+export const writeCached = async (store, namespace, settings, contacts, records, identify = identityKeys) => {
+  const storedAt = new Date().toISOString();
+
+  await Promise.all(records.map(async (record, index) => {
+    if (record.enrichmentStatus !== 'success') return;
+
+    const enriched = Object.fromEntries(Object.entries(record).filter(([key]) => !CONTACT_FIELDS.includes(key)));
+    const identities = new Set([...identify(contacts[index]), ...identify(record)]);
+    await Promise.all([...identities].map(identity =>
+      store.set(cacheKey(namespace, settings, identity), { storedAt, record: enriched })
+    ));
+  }));
+};
+
+export const createMemoryCacheStore = () => {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+    }
+  };
+};
+
+// One JSON file per key; keys are hashes, so no PII ends up in file names
+export const createFileCacheStore = ({ directory }) => {
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+        throw error;
+      }
+    },
+
+    async set(key, entry) {
+      await fs.mkdir(directory, { recursive: true });
+      const temp = `${fileFor(key)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(entry));
+      await fs.rename(temp, fileFor(key));
+    }
+  };
+};
+
+// Pick the configured store: ENRICHMENT_CACHE is 'file' (default), 'memory'
+// or 'off'. The memory store lasts as long as a warm function instance.
+let memoryStore = null;
+
+export const getCacheStore = () => {
+  const kind = process.env.ENRICHMENT_CACHE || 'file';
+  if (kind === 'off') return null;
+  if (kind === 'memory') {
+    memoryStore = memoryStore || createMemoryCacheStore();
+    return memoryStore;
+  }
+  if (kind !== 'file') {
+    throw new Error(`Unsupported ENRICHMENT_CACHE "${kind}"`);
+  }
+  return createFileCacheStore({
+    directory: storeDirectory('ENRICHMENT_CACHE_DIR', 'cache')
+  });
+};
@@ -0,0 +1,220 @@
+// Batch loop for asynchronous enrichment jobs, run by the background worker
+
+import { isTransientApolloError, mapApolloStatus } from './providers/apollo.js';
+import { ProfileError, resolveApiKey, redactSecrets } from './apiKeys.js';
+import { normalizeOptions } from './providers/index.js';
+import { runWaterfall } from './waterfall.js';
+import { getWebhookStore } from './webhookStore.js';
+import { dispatchEvent } from './webhooks.js';
+import { auditEntry, recordAudit } from './auditLog.js';
+import { CreditBudgetError, createBudget, getCreditLedger, resolveCaps } from './creditLedger.js';
+import { StoreConfigError } from './storeDirectory.js';
+
+export const JOB_BATCH_SIZE = 25;
+export const WORKER_PATH = '/.netlify/functions/jobs-worker-background';
+const MAX_ATTEMPTS = 4;
+const BATCH_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, but never sooner than Apollo asked for
+const retryDelay = (attempt, retryAfterSeconds) => {
+  const exponential = Math.min(60000, 1000 * 2 ** (attempt - 1));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(jittered, (retryAfterSeconds || 0) * 1000);
+};
+
+const enrichBatch = async (profile, batch, options, budget) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runWaterfall(batch, { profile, options, budget });
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isTransientApolloError(error)) throw error;
+      await sleep(retryDelay(attempt, error.retryAfter));
+    }
+  }
+};
+
+// Webhook failures are logged with the delivery and never fail the job
+const notify = async (webhookStore, event, data) => {
+  try {
+    await dispatchEvent(webhookStore, event, data);
+  } catch (error) {
+    console.error(`Could not dispatch ${event}:`, error.message);
+  }
+};
+
+// The status the enrich function would have answered a failed batch with
+const batchStatus = (error) => {
+  if (!error) return 200;
+  return error instanceof CreditBudgetError ? 402 : mapApolloStatus(error.apolloStatus);
+};
+
+// One audit entry per batch; a failed batch is audited with batchStatus
+const auditBatch = ({ jobId, profile, options, batch, startedAt, error, counts, apiCalls = 0, creditsUsed = 0 }) => recordAudit(auditEntry({
+  action: 'job.batch',
+  startedAt,
+  profile,
+  mode: 'people',
+  runId: jobId,
+  options,
+  counts: counts || { submitted: batch.length },
+  apiCalls,
+  creditsUsed,
+  statusCode: batchStatus(error),
+  message: !error ? null : error instanceof CreditBudgetError ? error.message : 'Apollo API request failed',
+  error
+}));
+
+// Ask the background worker to pick up a job; returns once it is accepted
+export const triggerWorker = async (origin, jobId) => {
+  const response = await fetch(`${origin}${WORKER_PATH}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId })
+  });
+  if (!response.ok) {
+    throw new Error(`Worker did not accept job: HTTP ${response.status}`);
+  }
+};
+
+// Process batches from job.nextBatch until done or until `deadline` (epoch
+// ms) passes. Returns the job state; status stays 'running' when the
+// deadline cut the run short so the caller can hand off to a new worker.
+// A lease stops two workers from processing the same job at once.
+// Subscribed webhooks hear about every batch and the end of the job, and
+// every batch is written to the audit log. Credits are charged to the job's
+// budget like an enrich run's, so a cap stops the job before the batch that
+// would exceed it.
+export const runJob = async (store, jobId, { deadline = Infinity, webhookStore = getWebhookStore() } = {}) => {
+  let job = await store.getJob(jobId);
+  if (!job || ['completed', 'failed'].includes(job.status)) return job;
+  if (job.leaseExpiresAt && Date.parse(job.leaseExpiresAt) > Date.now()) return job;
+
+  const leaseExpiresAt = new Date(Number.isFinite(deadline) ? deadline + 60000 : Date.now() + 3600000).toISOString();
+  job = await store.updateJob(jobId, { leaseExpiresAt });
+
+  const input = await store.getInput(jobId);
+  if (!input) {
+    return store.updateJob(jobId, { status: 'failed', error: 'Job input is missing' });
+  }
+
+  const { profile, contacts, options = {}, budget: requestedBudget } = input;
+  if (job.status === 'queued') {
+    job = await store.updateJob(jobId, { status: 'running', startedAt: new Date().toISOString() });
+  }
+
+  try {
+    // Fail fast on a profile that has no key rather than failing every batch
+    resolveApiKey(profile, normalizeOptions(options).waterfall[0]);
+    const budget = createBudget(getCreditLedger(), { profile, runId: jobId, caps: resolveCaps(requestedBudget) });
+
+    for (let i = job.nextBatch; i < job.totalBatches; i++) {
+      if (Date.now() >= deadline) {
+        return store.updateJob(jobId, { leaseExpiresAt: null });
+      }
+
+      const batch = contacts.slice(i * job.batchSize, (i + 1) * job.batchSize);
+      const batchStartedAt = Date.now();
+      let batchError = null;
+      let rows;
+      let apiCalls = 0;
+      let credits = 0;
+      let saved = 0;
+      try {
+        const { records, usage } = await enrichBatch(profile, batch, options, budget);
+        rows = records;
+        Object.values(usage).forEach(providerUsage => {
+          apiCalls += providerUsage.apiCalls;
+          credits += providerUsage.credits;
+          saved += providerUsage.creditsSaved;
+        });
+      } catch (error) {
+        batchError = error;
+        // A bad API key fails every batch and a spent budget every later
+        // one, so stop the whole job
+        if (error.apolloStatus === 401 || error.apolloStatus === 403 || error instanceof CreditBudgetError) {
+          await auditBatch({ jobId, profile, options, batch, startedAt: batchStartedAt, error });
+          throw error;
+        }
+        console.error(`Job ${jobId} batch ${i + 1} failed:`, redactSecrets(error.message));
+        rows = batch.map(contact => ({
+          ...contact,
+          enrichmentStatus: 'failed',
+          enrichmentError: 'Apollo API request failed',
+          enrichmentTimestamp: new Date().toISOString()
+        }));
+      }
+
+      await store.appendResults(jobId, rows);
+
+      const successful = rows.filter(row => row.enrichmentStatus === 'success').length;
+      await auditBatch({
+        jobId, profile, options, batch, startedAt: batchStartedAt, error: batchError,
+        counts: { submitted: rows.length, succeeded: successful, failed: rows.length - successful },
+        apiCalls,
+        creditsUsed: credits
+      });
+      const batchStats = {
+        processed: rows.length,
+        successful,
+        failed: rows.length - successful,
+        apiCalls,
+        creditsUsed: credits,
+        creditsSaved: saved
+      };
+      job = await store.updateJob(jobId, {
+        nextBatch: i + 1,
+        stats: Object.fromEntries(Object.keys(batchStats).map(key => [key, (job.stats[key] || 0) + batchStats[key]]))
+      });
+
+      await notify(webhookStore, 'batch.completed', {
+        source: 'job',
+        runId: jobId,
+        mode: 'people',
+        batch: i + 1,
+        totalBatches: job.totalBatches,
+        contacts: rows,
+        stats: batchStats,
+        totals: job.stats
+      });
+
+      if (i < job.totalBatches - 1) await sleep(BATCH_DELAY_MS);
+    }
+
+    job = await store.updateJob(jobId, { status: 'completed', completedAt: new Date().toISOString(), leaseExpiresAt: null });
+    await notify(webhookStore, 'run.completed', {
+      source: 'job',
+      runId: jobId,
+      mode: 'people',
+      totalBatches: job.totalBatches,
+      stats: job.stats
+    });
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, redactSecrets(error.message));
+    let message = 'Job processing failed';
+    if (error.apolloStatus === 401 || error.apolloStatus === 403) {
+      message = 'Apollo rejected the API key';
+    } else if (error instanceof CreditBudgetError || error instanceof StoreConfigError || error instanceof ProfileError) {
+      message = error.message;
+    }
+    job = await store.updateJob(jobId, {
+      status: 'failed',
+      error: message,
+      completedAt: new Date().toISOString(),
+      leaseExpiresAt: null
+    });
+    await notify(webhookStore, 'run.failed', {
+      source: 'job',
+      runId: jobId,
+      mode: 'people',
+      totalBatches: job.totalBatches,
+      error: job.error,
+      stats: job.stats
+    });
+  }
+
+  // Every contact is in the results by now, so drop the submitted copy
+  await store.deleteInput(jobId);
+  return job;
+};
@@ -0,0 +1,99 @@
+// Storage for asynchronous enrichment jobs.
+//
+// A job store implements:
+//   createJob(job, input)        save initial state and the submitted input
+//   getJob(id)                   current state, or null if unknown
+//   updateJob(id, patch)         shallow-merge into state, returns new state
+//   getInput(id)                 the submitted { profile, contacts, options }
+//   deleteInput(id)              drop the input once finished
+//   appendResults(id, rows)      add enriched rows to the job's output
+//   readResults(id)              Node Readable stream of NDJSON rows
+//
+// createFileJobStore keeps everything on local disk so jobs work under
+// `netlify dev` and self-hosted deployments.
+
+import { promises as fs, createReadStream } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { storeDirectory } from './storeDirectory.js';
+
+export const createJobId = () => `job_${crypto.randomBytes(9).toString('base64url')}`;
+
+// Ids come from URLs, so only accept the shape createJobId produces
+const isValidJobId = (id) => /^job_[A-Za-z0-9_-]{12}$/.test(id);
+
+// Write via a temp file and rename so readers never see a partial file
+const writeJSONAtomic = async (file, data) => {
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, file);
+};
+
+const readJSON = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+export const createFileJobStore = ({ directory }) => {
+  const fileFor = (id, suffix) => {
+    if (!isValidJobId(id)) throw new Error('Invalid job id');
+    return path.join(directory, `${id}.${suffix}`);
+  };
+
+  const ensureDirectory = () => fs.mkdir(directory, { recursive: true });
+
+  return {
+    async createJob(job, input) {
+      await ensureDirectory();
+      await writeJSONAtomic(fileFor(job.id, 'input.json'), input);
+      await fs.writeFile(fileFor(job.id, 'results.ndjson'), '');
+      await writeJSONAtomic(fileFor(job.id, 'json'), job);
+      return job;
+    },
+
+    async getJob(id) {
+      if (!isValidJobId(id)) return null;
+      return readJSON(fileFor(id, 'json'));
+    },
+
+    async updateJob(id, patch) {
+      const current = await readJSON(fileFor(id, 'json'));
+      if (!current) throw new Error(`Job ${id} not found`);
+      const next = { ...current, ...patch, updatedAt: new Date().toISOString() };
+      await writeJSONAtomic(fileFor(id, 'json'), next);
+      return next;
+    },
+
+    getInput(id) {
+      return readJSON(fileFor(id, 'input.json'));
+    },
+
+    async deleteInput(id) {
+      await fs.rm(fileFor(id, 'input.json'), { force: true });
+    },
+
+    async appendResults(id, rows) {
+      if (rows.length === 0) return;
+      await fs.appendFile(fileFor(id, 'results.ndjson'), rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+    },
+
+    readResults(id) {
+      return createReadStream(fileFor(id, 'results.ndjson'));
+    }
+  };
+};
+
+// Pick the configured store, in JOB_STORE_DIR (./storeDirectory.js)
+export const getJobStore = () => {
+  const kind = process.env.JOB_STORE || 'file';
+  if (kind !== 'file') {
+    throw new Error(`Unsupported JOB_STORE "${kind}"`);
+  }
+  return createFileJobStore({
+    directory: storeDirectory('JOB_STORE_DIR', 'jobs')
+  });
+};
@@ -0,0 +1,66 @@
+// Prospecting: find people at target company domains who match persona
+// filters, paging through the provider's search until each account has
+// `perAccountLimit` people or the search runs out.
+
+import { getProvider } from './providers/index.js';
+import { PROSPECT_DOMAIN_BATCH, PER_ACCOUNT_LIMITS } from '../../src/utils/prospecting.js';
+
+export { SENIORITIES, DEPARTMENTS } from '../../src/utils/prospecting.js';
+
+export const MAX_PROSPECT_DOMAINS = PROSPECT_DOMAIN_BATCH;
+export const MAX_PER_ACCOUNT = Math.max(...PER_ACCOUNT_LIMITS);
+export const DEFAULT_PER_ACCOUNT = 10;
+
+export const PERSONA_FILTERS = ['titles', 'seniorities', 'departments', 'locations'];
+
+// Stop paging an account after this many pages even if the provider
+// reports more, so a bad total cannot loop forever
+const MAX_PAGES_PER_ACCOUNT = 10;
+
+const personKey = (person) =>
+  person.apolloPersonId || `${person.firstName}|${person.lastName}|${person.linkedinUrl || ''}`.toLowerCase();
+
+// Search each domain in turn. Returns { accounts, people, apiCalls } where
+// accounts holds { domain, found, totalAvailable } per domain and people
+// the prospects found, tagged with the targetDomain they were found for.
+export const prospectAccounts = async (apiKey, domains, {
+  filters = {},
+  perAccountLimit = DEFAULT_PER_ACCOUNT,
+  provider = 'apollo'
+} = {}) => {
+  const searchProvider = getProvider(provider);
+  if (!searchProvider.searchPeople) {
+    throw new Error(`Enrichment provider "${provider}" does not support people search`);
+  }
+
+  const accounts = [];
+  const people = [];
+  let apiCalls = 0;
+
+  for (const domain of domains) {
+    const seen = new Set();
+    const found = [];
+    let totalAvailable = 0;
+
+    for (let page = 1, totalPages = 1; page <= totalPages && page <= MAX_PAGES_PER_ACCOUNT && found.length < perAccountLimit; page++) {
+      const result = await searchProvider.searchPeople(apiKey, { domain, filters, page, perPage: perAccountLimit });
+      apiCalls++;
+      totalPages = result.totalPages;
+      totalAvailable = result.totalEntries;
+      if (result.people.length === 0) break;
+
+      result.people.forEach(person => {
+        const key = personKey(person);
+        if (found.length < perAccountLimit && !seen.has(key)) {
+          seen.add(key);
+          found.push({ ...person, targetDomain: domain });
+        }
+      });
+    }
+
+    accounts.push({ domain, found: found.length, totalAvailable });
+    people.push(...found);
+  }
+
+  return { accounts, people, apiCalls };
+};
@@ -0,0 +1,362 @@
+// Apollo.io enrichment provider: people/match, organizations/bulk_enrich and
+// people search clients and the mapping from Apollo's person and
+// organization shapes onto our enriched record schemas
+
+import { redactSecrets } from '../apiKeys.js';
+import { normalizeDomain } from '../../../src/utils/dedupe.js';
+import { extractDomain } from '../../../src/utils/normalize.js';
+import {
+  calculateCompleteness,
+  rateMatchConfidence,
+  PEOPLE_COMPLETENESS_WEIGHTS,
+  ORGANIZATION_COMPLETENESS_WEIGHTS
+} from '../../../src/utils/scoring.js';
+
+// APOLLO_BASE_URL points the provider at another server, such as the local
+// stand-in in mock/apollo-server.js
+const DEFAULT_APOLLO_BASE_URL = 'https://api.apollo.io';
+const DEFAULT_APOLLO_TIMEOUT_MS = 30000;
+
+const apolloBaseUrl = () => (process.env.APOLLO_BASE_URL || DEFAULT_APOLLO_BASE_URL).replace(/\/+$/, '');
+
+const apolloTimeoutMs = () => Number(process.env.APOLLO_TIMEOUT_MS) || DEFAULT_APOLLO_TIMEOUT_MS;
+
+// Seconds to wait before retrying, from Apollo's Retry-After or usage headers
+export const getApolloRetryAfter = (headers) => {
+  const retryAfter = Number(headers.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter;
+  if (headers.get('x-minute-requests-left') === '0') return 60;
+  if (headers.get('x-hourly-requests-left') === '0') return 3600;
+  if (headers.get('x-24-hour-requests-left') === '0') return 86400;
+  return null;
+};
+
+// Map an upstream Apollo status onto the status we return to the client so
+// it can tell transient failures (429, 502) from permanent ones (400, 401)
+export const mapApolloStatus = (apolloStatus) => {
+  if (apolloStatus === 429) return 429;
+  if (apolloStatus === 401 || apolloStatus === 403) return 401;
+  if (!apolloStatus || apolloStatus >= 500) return 502;
+  return 400;
+};
+
+// A failed Apollo request. apolloStatus is Apollo's HTTP status, or
+// undefined when Apollo could not be reached.
+export class ApolloApiError extends Error {
+  constructor(message, { apolloStatus, retryAfter } = {}) {
+    super(message);
+    this.name = 'ApolloApiError';
+    this.apolloStatus = apolloStatus;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// POST a JSON body to an Apollo endpoint. Throws ApolloApiError; network
+// failures are reported as "Apollo API Error: network".
+const apolloRequest = async (apiKey, endpoint, requestBody) => {
+  try {
+    const response = await fetch(`${apolloBaseUrl()}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache',
+        // Sent as a header so the key never ends up in a logged request body
+        'X-Api-Key': apiKey
+      },
+      body: JSON.stringify(requestBody),
+      // A hung request counts as a network failure rather than blocking the batch
+      signal: AbortSignal.timeout(apolloTimeoutMs())
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new ApolloApiError(`Apollo API Error: ${response.status} ${response.statusText} - ${errorData}`, {
+        apolloStatus: response.status,
+        retryAfter: getApolloRetryAfter(response.headers)
+      });
+    }
+
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    console.error('Apollo API Call Failed:', redactSecrets(error.message));
+    if (!(error instanceof ApolloApiError)) {
+      // Network failure reaching Apollo; treat as an upstream outage
+      throw new ApolloApiError(`Apollo API Error: network - ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+// Apollo API helper function
+export const callApolloAPI = async (apiKey, contacts, options = {}) => {
+  const requestBody = {
+    reveal_personal_emails: options.revealPersonalEmails ?? true,
+    reveal_phone_number: options.revealPhoneNumbers ?? false,
+    people: contacts.map(contact => ({
+      first_name: contact.firstName,
+      last_name: contact.lastName,
+      // Bare domain even when the caller sent a URL or an email address
+      organization_domain: extractDomain(contact.domain) || undefined,
+      email: contact.email || undefined
+    }))
+  };
+
+  return apolloRequest(apiKey, '/api/v1/people/match', requestBody);
+};
+
+// Grade an email by Apollo's email_status. Apollo marks addresses it could
+// not verify as guessed, extrapolated or pending; anything else without a
+// verified status is treated as a guess.
+const APOLLO_VERIFIED_STATUSES = new Set(['verified']);
+const APOLLO_UNAVAILABLE_STATUSES = new Set(['unavailable', 'bounced']);
+
+export const gradeApolloEmail = (email, emailStatus) => {
+  if (!email || APOLLO_UNAVAILABLE_STATUSES.has(emailStatus)) return 'unavailable';
+  return APOLLO_VERIFIED_STATUSES.has(emailStatus) ? 'verified' : 'guessed';
+};
+
+// Process and enrich contact data
+export const processContacts = (apolloResponse, originalContacts, options = {}) => {
+  const { people = [] } = apolloResponse;
+  const includeSocialProfiles = options.includeSocialProfiles ?? true;
+  const includeEmploymentHistory = options.includeEmploymentHistory ?? true;
+  
+  return originalContacts.map((original, index) => {
+    const enriched = people[index] || {};
+    const workEmail = enriched.email || null;
+    const personalEmail = enriched.personal_email || enriched.personal_emails?.[0] || null;
+    const { confidence, matchedOn } = rateMatchConfidence(original, enriched.id ? {
+      firstName: enriched.first_name,
+      lastName: enriched.last_name,
+      domain: enriched.organization?.primary_domain,
+      emails: [workEmail, personalEmail, ...(enriched.personal_emails || [])]
+    } : null);
+
+    const record = {
+      // Original data
+      ...original,
+
+      // Uploaded row, passed through untouched so it can be re-exported
+      sourceRow: original.sourceRow || {},
+      
+      // Enriched data from Apollo
+      id: enriched.id || null,
+      // Who Apollo matched, to compare with what was asked for
+      matchedName: [enriched.first_name, enriched.last_name].filter(Boolean).join(' ') || null,
+      title: enriched.title || enriched.headline || null,
+      company: enriched.organization?.name || null,
+      companyDomain: enriched.organization?.primary_domain || null,
+      industry: enriched.organization?.industry || null,
+      companySize: enriched.organization?.estimated_num_employees || null,
+      location: enriched.state || enriched.city ? `${enriched.city || ''}, ${enriched.state || ''}`.trim() : null,
+      city: enriched.city || null,
+      state: enriched.state || null,
+      country: enriched.country || null,
+      linkedinUrl: enriched.linkedin_url || null,
+      twitterUrl: (includeSocialProfiles && enriched.twitter_url) || null,
+      facebookUrl: (includeSocialProfiles && enriched.facebook_url) || null,
+      
+      // Contact information
+      workEmail,
+      workEmailStatus: gradeApolloEmail(workEmail, enriched.email_status),
+      personalEmail,
+      // Apollo does not verify personal emails
+      personalEmailStatus: personalEmail ? 'guessed' : 'unavailable',
+      directPhone: enriched.direct_phone_number || null,
+      mobilePhone: enriched.mobile_phone_number || null,
+      
+      // Employment history
+      employmentHistory: (includeEmploymentHistory && enriched.employment_history?.slice(0, 3)?.map(job => ({
+        title: job.title,
+        company: job.organization_name,
+        startDate: job.start_date,
+        endDate: job.end_date,
+        current: job.current
+      }))) || [],
+      
+      // Education
+      education: enriched.education?.slice(0, 2)?.map(edu => ({
+        school: edu.school_name,
+        degree: edu.degree,
+        field: edu.field_of_study,
+        startDate: edu.start_date,
+        endDate: edu.end_date
+      })) || [],
+      
+      // Enrichment metadata
+      enrichmentStatus: enriched.id ? 'success' : 'failed',
+      enrichmentProvider: enriched.id ? 'apollo' : null,
+      enrichmentTimestamp: new Date().toISOString(),
+      confidence,
+      matchedOn,
+      apolloPersonId: enriched.id || null
+    };
+    return { ...record, dataCompleteness: calculateDataCompleteness(record) };
+  });
+};
+
+// Weighted completeness of an enriched person record; the waterfall
+// rescores merged records with the request's weights
+export const calculateDataCompleteness = (record, weights = PEOPLE_COMPLETENESS_WEIGHTS) =>
+  calculateCompleteness(record, weights);
+
+// Apollo enriches at most 10 domains per bulk request
+const ORGANIZATION_CHUNK_SIZE = 10;
+
+// Enrich companies by domain. Returns { organizations, apiCalls } with
+// organizations in Apollo's shape; Apollo omits domains it cannot match.
+export const callApolloOrganizationAPI = async (apiKey, companies) => {
+  const organizations = [];
+  let apiCalls = 0;
+
+  for (let i = 0; i < companies.length; i += ORGANIZATION_CHUNK_SIZE) {
+    const domains = companies.slice(i, i + ORGANIZATION_CHUNK_SIZE).map(company => extractDomain(company.domain));
+    const data = await apolloRequest(apiKey, '/api/v1/organizations/bulk_enrich', { domains });
+    organizations.push(...(data.organizations || []).filter(Boolean));
+    apiCalls++;
+  }
+
+  return { organizations, apiCalls };
+};
+
+// Map Apollo organizations back onto the submitted companies by domain
+export const processOrganizations = (organizations, originalCompanies) => {
+  const byDomain = new Map();
+  organizations.forEach(organization => {
+    [organization.primary_domain, organization.website_url]
+      .map(domain => extractDomain(domain || ''))
+      .filter(Boolean)
+      .forEach(domain => byDomain.has(domain) || byDomain.set(domain, organization));
+  });
+
+  return originalCompanies.map(original => {
+    const domain = extractDomain(original.domain || '');
+    const enriched = byDomain.get(domain) || {};
+    // Matching the primary domain is certain; a website URL that merely
+    // points at the domain may be a redirect or a parent company
+    let confidence = 'none';
+    if (enriched.id) {
+      confidence = extractDomain(enriched.primary_domain || '') === domain ? 'high' : 'medium';
+    }
+
+    const record = {
+      // Original data
+      ...original,
+      sourceRow: original.sourceRow || {},
+
+      // Firmographics
+      companyName: enriched.name || null,
+      websiteUrl: enriched.website_url || null,
+      industry: enriched.industry || null,
+      employeeCount: enriched.estimated_num_employees || null,
+      annualRevenue: enriched.annual_revenue || null,
+      annualRevenuePrinted: enriched.annual_revenue_printed || null,
+      hqCity: enriched.city || null,
+      hqState: enriched.state || null,
+      hqCountry: enriched.country || null,
+      hqLocation: [enriched.city, enriched.state, enriched.country].filter(Boolean).join(', ') || null,
+      foundedYear: enriched.founded_year || null,
+      technologies: enriched.technology_names || [],
+      description: enriched.short_description || null,
+      phone: enriched.phone || enriched.primary_phone?.number || null,
+
+      // Socials
+      linkedinUrl: enriched.linkedin_url || null,
+      twitterUrl: enriched.twitter_url || null,
+      facebookUrl: enriched.facebook_url || null,
+
+      // Enrichment metadata
+      enrichmentStatus: enriched.id ? 'success' : 'failed',
+      enrichmentProvider: enriched.id ? 'apollo' : null,
+      enrichmentTimestamp: new Date().toISOString(),
+      confidence,
+      apolloOrganizationId: enriched.id || null
+    };
+    return { ...record, dataCompleteness: calculateCompleteness(record, ORGANIZATION_COMPLETENESS_WEIGHTS) };
+  });
+};
+
+// Apollo returns at most 100 people per search page
+export const MAX_SEARCH_PAGE_SIZE = 100;
+
+const listOrUndefined = (values) => (values && values.length ? values : undefined);
+
+// Search for people at one company domain matching persona filters
+// ({ titles, seniorities, departments, locations }). Search results carry
+// no emails or phone numbers; those come from enriching the people found.
+export const callApolloPeopleSearch = async (apiKey, { domain, filters = {}, page = 1, perPage = 25 }) => {
+  const requestBody = {
+    q_organization_domains_list: [normalizeDomain(domain)],
+    person_titles: listOrUndefined(filters.titles),
+    person_seniorities: listOrUndefined(filters.seniorities),
+    person_department_or_subdepartments: listOrUndefined(filters.departments),
+    person_locations: listOrUndefined(filters.locations),
+    page,
+    per_page: Math.min(perPage, MAX_SEARCH_PAGE_SIZE)
+  };
+
+  return apolloRequest(apiKey, '/api/v1/mixed_people/search', requestBody);
+};
+
+// Map a search page onto prospects in the contact shape the enrichment
+// pipeline takes, plus the paging totals
+export const processSearchResults = (apolloResponse, domain) => {
+  const { people = [], contacts = [], pagination = {} } = apolloResponse;
+
+  return {
+    // Apollo lists people already saved to the account as contacts
+    people: [...contacts, ...people].filter(Boolean).map(person => ({
+      firstName: person.first_name || '',
+      lastName: person.last_name || '',
+      domain: normalizeDomain(person.organization?.primary_domain || domain),
+      title: person.title || null,
+      seniority: person.seniority || null,
+      departments: person.departments || [],
+      company: person.organization?.name || null,
+      location: [person.city, person.state, person.country].filter(Boolean).join(', ') || null,
+      linkedinUrl: person.linkedin_url || null,
+      apolloPersonId: person.id || null
+    })),
+    totalEntries: pagination.total_entries ?? people.length + contacts.length,
+    totalPages: pagination.total_pages ?? 1
+  };
+};
+
+// Upstream failures worth retrying: rate limits, Apollo outages, network errors
+export const isTransientApolloError = (error) =>
+  error.message.includes('Apollo API Error') && [429, 502].includes(mapApolloStatus(error.apolloStatus));
+
+export const apolloProvider = {
+  name: 'apollo',
+  label: 'Apollo.io',
+  // Options shown in the UI and accepted under options.providers.apollo
+  settings: [
+    { key: 'revealPersonalEmails', label: 'Reveal Personal Emails', default: true },
+    { key: 'revealPhoneNumbers', label: 'Reveal Phone Numbers', default: false },
+    { key: 'includeSocialProfiles', label: 'Include Social Profiles', default: true },
+    { key: 'includeEmploymentHistory', label: 'Include Employment History', default: true }
+  ],
+  // Credits per record, plus what each paid setting adds. Apollo bills
+  // revealed personal emails as an extra credit and phone numbers as
+  // mobile credits.
+  creditCosts: {
+    people: { base: 1, revealPersonalEmails: 1, revealPhoneNumbers: 8 },
+    organizations: { base: 1 }
+  },
+  isTransientError: isTransientApolloError,
+
+  async enrich(apiKey, contacts, options = {}) {
+    const apolloResponse = await callApolloAPI(apiKey, contacts, options);
+    return processContacts(apolloResponse, contacts, options);
+  },
+
+  async enrichOrganizations(apiKey, companies) {
+    const { organizations, apiCalls } = await callApolloOrganizationAPI(apiKey, companies);
+    return { records: processOrganizations(organizations, companies), apiCalls };
+  },
+
+  async searchPeople(apiKey, query) {
+    return processSearchResults(await callApolloPeopleSearch(apiKey, query), query.domain);
+  }
+};
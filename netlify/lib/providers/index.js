@@ -0,0 +1,159 @@
+// Enrichment provider registry.
+//
+// A provider is an object with:
+//   name, label           identifier used in options and key profiles
+//   settings              [{ key, label, default }] options it understands
+//   creditCosts           optional { [mode]: { base, [setting]: extra } }
+//                         credits per record; see src/utils/credits.js
+//   isTransientError(e)   whether a failed call is worth retrying
+//   enrich(apiKey, contacts, options)
+//                         maps our normalised contacts to a provider request
+//                         and the response back to enriched records (same
+//                         order as `contacts`, enrichmentStatus 'success' or
+//                         'failed'). Upstream failures throw.
+//   enrichOrganizations(apiKey, companies, options)
+//                         optional; the same for { domain, name } companies
+//   searchPeople(apiKey, { domain, filters, page, perPage })
+//                         optional; one page of people at a domain matching
+//                         persona filters, as { people, totalEntries,
+//                         totalPages } in the contact shape (prospecting)
+//
+// Either method may return { records, apiCalls } instead of the records
+// when it needed more than one upstream call.
+
+import { apolloProvider } from './apollo.js';
+import { resolveCompletenessWeights, validateCompletenessWeights } from '../../../src/utils/scoring.js';
+
+const PROVIDERS = {
+  [apolloProvider.name]: apolloProvider
+};
+
+export const DEFAULT_WATERFALL = ['apollo'];
+
+// What a request enriches: people (contacts) or organizations (companies)
+export const MODES = ['people', 'organizations'];
+
+const MODE_METHODS = {
+  people: 'enrich',
+  organizations: 'enrichOrganizations'
+};
+
+// Enriched fields a waterfall can require before a contact counts as done
+export const WATERFALL_FIELDS = [
+  'title', 'company', 'workEmail', 'personalEmail', 'directPhone',
+  'mobilePhone', 'linkedinUrl', 'location', 'industry'
+];
+
+export const ORGANIZATION_WATERFALL_FIELDS = [
+  'companyName', 'industry', 'employeeCount', 'annualRevenue', 'hqLocation',
+  'foundedYear', 'technologies', 'linkedinUrl'
+];
+
+const WATERFALL_FIELDS_BY_MODE = {
+  people: WATERFALL_FIELDS,
+  organizations: ORGANIZATION_WATERFALL_FIELDS
+};
+
+// Request options that name an unknown provider or are otherwise invalid
+export class ProviderOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderOptionsError';
+  }
+}
+
+export const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new ProviderOptionsError(`Unknown enrichment provider "${name}"`);
+  }
+  return provider;
+};
+
+export const providerNames = () => Object.keys(PROVIDERS);
+
+// The provider method that enriches `mode`, or null if it does not support it
+export const providerMethod = (provider, mode) => {
+  const method = provider[MODE_METHODS[mode]];
+  return method ? method.bind(provider) : null;
+};
+
+// Public description of each provider for the UI
+export const listProviders = () => Object.values(PROVIDERS).map(provider => ({
+  name: provider.name,
+  label: provider.label,
+  settings: provider.settings,
+  creditCosts: provider.creditCosts || null,
+  modes: MODES.filter(mode => providerMethod(provider, mode))
+}));
+
+const settingDefaults = (provider) =>
+  Object.fromEntries(provider.settings.map(setting => [setting.key, setting.default]));
+
+// Normalise request options into { waterfall, requiredFields, forceRefresh,
+// providers, completenessWeights }. Older clients send Apollo's settings as
+// flat keys; those are treated as options.providers.apollo.
+export const normalizeOptions = (options = {}, mode = 'people') => {
+  const {
+    waterfall = DEFAULT_WATERFALL,
+    requiredFields = [],
+    forceRefresh = false,
+    providers,
+    completenessWeights,
+    ...legacy
+  } = options;
+  const perProvider = providers || { apollo: legacy };
+
+  return {
+    waterfall,
+    requiredFields,
+    forceRefresh,
+    completenessWeights: resolveCompletenessWeights(completenessWeights, mode),
+    providers: Object.fromEntries(waterfall.map(name => [
+      name,
+      { ...settingDefaults(getProvider(name)), ...(perProvider[name] || {}) }
+    ]))
+  };
+};
+
+// Validate the provider-related parts of request options
+export const validateProviderOptions = (options = {}, mode = 'people') => {
+  const { waterfall, requiredFields, forceRefresh, completenessWeights } = options;
+
+  if (waterfall !== undefined) {
+    if (!Array.isArray(waterfall) || waterfall.length === 0) {
+      throw new ProviderOptionsError('options.waterfall must be a non-empty array of provider names');
+    }
+    waterfall.forEach(getProvider);
+    if (new Set(waterfall).size !== waterfall.length) {
+      throw new ProviderOptionsError('options.waterfall must not repeat a provider');
+    }
+  }
+
+  const first = getProvider((waterfall || DEFAULT_WATERFALL)[0]);
+  if (!providerMethod(first, mode)) {
+    throw new ProviderOptionsError(`Enrichment provider "${first.name}" does not support ${mode} enrichment`);
+  }
+
+  const allowedFields = WATERFALL_FIELDS_BY_MODE[mode];
+  if (requiredFields !== undefined) {
+    if (!Array.isArray(requiredFields) || requiredFields.some(field => !allowedFields.includes(field))) {
+      throw new ProviderOptionsError(`options.requiredFields may only contain: ${allowedFields.join(', ')}`);
+    }
+  }
+
+  if (forceRefresh !== undefined && typeof forceRefresh !== 'boolean') {
+    throw new ProviderOptionsError('options.forceRefresh must be true or false');
+  }
+
+  // The browser shares the weights check, so its plain errors are typed here
+  if (completenessWeights !== undefined) {
+    try {
+      validateCompletenessWeights(completenessWeights, mode);
+    } catch (error) {
+      throw new ProviderOptionsError(error.message);
+    }
+  }
+
+  return true;
+};
@@ -0,0 +1,192 @@
+// Token-bucket rate limiting for the functions that call Apollo, per client
+// IP and per API key profile.
+//
+// A rate limit store implements:
+//   take(key, policy)      take a token from the key's bucket and return
+//                          { allowed, limit, windowSeconds, remaining,
+//                            resetSeconds, retryAfterSeconds }
+//
+// A policy is { limit, windowSeconds }. A bucket holds up to `limit`
+// tokens and refills at limit / windowSeconds a second, so a client can
+// burst up to the limit and then continue at the average rate.
+
+import { promises as fs } from 'node:fs';
+import { isIP } from 'node:net';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { storeDirectory } from './storeDirectory.js';
+
+const WINDOW_SECONDS = 3600;
+const DEFAULT_PER_IP = 100;
+const DEFAULT_PER_PROFILE = 1000;
+// Memory buckets are swept once there are this many
+const SWEEP_AT = 10000;
+
+// Refill a bucket for the time since it was last used and take a token if
+// there is one. A missing bucket is full. Returns the bucket to store and
+// the result for the caller; `fullAt` is when the bucket is full again and
+// can be forgotten.
+export const takeToken = (bucket, { limit, windowSeconds }, now = Date.now()) => {
+  const perMs = limit / (windowSeconds * 1000);
+  const tokens = bucket ? Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * perMs) : limit;
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+  const fullInMs = (limit - left) / perMs;
+
+  return {
+    bucket: { tokens: left, updatedAt: now, fullAt: now + fullInMs },
+    result: {
+      allowed,
+      limit,
+      windowSeconds,
+      remaining: Math.floor(left),
+      resetSeconds: Math.ceil(fullInMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - left) / perMs / 1000)
+    }
+  };
+};
+
+export const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+  return {
+    async take(key, policy) {
+      const now = Date.now();
+      if (buckets.size >= SWEEP_AT) {
+        buckets.forEach((bucket, name) => {
+          if (bucket.fullAt <= now) buckets.delete(name);
+        });
+      }
+      const { bucket, result } = takeToken(buckets.get(key), policy, now);
+      buckets.set(key, bucket);
+      return result;
+    }
+  };
+};
+
+// All buckets in one JSON file, for self-hosted deployments where every
+// request reaches the same disk. Keys are hashed so client IPs are not
+// written out.
+export const createFileRateLimitStore = ({ directory }) => {
+  const file = path.join(directory, 'buckets.json');
+
+  // Serialise read-modify-write so concurrent requests all take a token
+  let queue = Promise.resolve();
+  const serialized = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+      throw error;
+    }
+  };
+
+  return {
+    take: (key, policy) => serialized(async () => {
+      const now = Date.now();
+      const name = crypto.createHash('sha256').update(key).digest('hex');
+      // Full buckets are the same as missing ones, so they are dropped
+      const buckets = Object.fromEntries(Object.entries(await read()).filter(([, bucket]) => bucket.fullAt > now));
+      const { bucket, result } = takeToken(buckets[name], policy, now);
+      buckets[name] = bucket;
+
+      await fs.mkdir(directory, { recursive: true });
+      const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(buckets));
+      await fs.rename(temp, file);
+      return result;
+    })
+  };
+};
+
+// Pick the configured store: RATE_LIMIT_STORE is 'memory' (default), 'file'
+// or 'off'. Stores last as long as a warm function instance, one file store
+// per directory (./storeDirectory.js) so its queue covers every request.
+let memoryStore = null;
+const fileStores = new Map();
+
+export const getRateLimitStore = () => {
+  const kind = process.env.RATE_LIMIT_STORE || 'memory';
+  if (kind === 'off') return null;
+  if (kind === 'memory') {
+    // Each warm instance keeps its own buckets, so with several instances
+    // running a client gets the limit once per instance
+    memoryStore = memoryStore || createMemoryRateLimitStore();
+    return memoryStore;
+  }
+  if (kind !== 'file') {
+    throw new Error(`Unsupported RATE_LIMIT_STORE "${kind}"`);
+  }
+  const directory = storeDirectory('RATE_LIMIT_DIR', 'rate-limits');
+  if (!fileStores.has(directory)) fileStores.set(directory, createFileRateLimitStore({ directory }));
+  return fileStores.get(directory);
+};
+
+const envInteger = (name, fallback, min = 1) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isInteger(value) && value >= min ? value : fallback;
+};
+
+export const rateLimitPolicies = () => ({
+  ip: { limit: envInteger('RATE_LIMIT_PER_IP', DEFAULT_PER_IP), windowSeconds: WINDOW_SECONDS },
+  profile: { limit: envInteger('RATE_LIMIT_PER_PROFILE', DEFAULT_PER_PROFILE), windowSeconds: WINDOW_SECONDS }
+});
+
+// The caller's IP. Netlify's edge sets x-nf-client-connection-ip, which
+// clients cannot forge. Otherwise each proxy appends the address it saw to
+// x-forwarded-for, so only entries added by our own proxies can be
+// trusted: the client is the entry RATE_LIMIT_TRUSTED_PROXIES hops from the
+// right (0, the last entry, by default). Anything further left was sent by
+// the client and is ignored.
+export const clientIp = (headers = {}) => {
+  const valid = (value) => {
+    const ip = String(value || '').trim();
+    return isIP(ip) ? ip : null;
+  };
+
+  const edge = valid(headers['x-nf-client-connection-ip']);
+  if (edge) return edge;
+
+  const chain = String(headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (chain.length > 0) {
+    const hops = envInteger('RATE_LIMIT_TRUSTED_PROXIES', 0, 0);
+    return valid(chain[Math.max(0, chain.length - 1 - hops)]) || 'unknown';
+  }
+
+  return valid(headers['x-real-ip']) || 'unknown';
+};
+
+// Take a token for `key`. A store that fails lets the request through
+// rather than taking the function down with it; null means not limited.
+export const rateLimit = async (key, policy, store = getRateLimitStore()) => {
+  if (!store) return null;
+  try {
+    return await store.take(key, policy);
+  } catch (error) {
+    console.error('Rate limit store failed:', error.message);
+    return null;
+  }
+};
+
+// RateLimit-* headers (IETF draft) for the tightest of the limits checked,
+// plus Retry-After when a request was refused
+export const rateLimitHeaders = (...results) => {
+  const checked = results.filter(Boolean);
+  if (checked.length === 0) return {};
+
+  const tightest = checked.find(result => !result.allowed) ||
+    checked.reduce((lowest, result) => (result.remaining < lowest.remaining ? result : lowest));
+
+  return {
+    'RateLimit-Limit': String(tightest.limit),
+    'RateLimit-Remaining': String(tightest.remaining),
+    'RateLimit-Reset': String(tightest.resetSeconds),
+    'RateLimit-Policy': checked.map(result => `${result.limit};w=${result.windowSeconds}`).join(', '),
+    ...(tightest.allowed ? {} : { 'Retry-After': String(tightest.retryAfterSeconds) })
+  };
+};
@@ -0,0 +1,175 @@
+// A small JSON Schema (2020-12) validator for request bodies, so the
+// schemas we publish are the ones we enforce.
+//
+// Supported keywords: type (including "integer" and "null"), enum, const,
+// properties, required, additionalProperties, dependentRequired, items,
+// minItems, maxItems, minLength, pattern, minimum, maximum, not, allOf,
+// anyOf, if/then/else and local $ref ("#/$defs/name"). Annotations such as title,
+// description and default are ignored. `errorMessage` (as in ajv-errors)
+// replaces the messages for a failing schema.
+
+export class ValidationError extends Error {
+  // errors: [{ path, message }], path like "contacts[2].lastName"
+  constructor(errors) {
+    const [first] = errors;
+    super(`${formatError(first)}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+export const formatError = ({ path, message }) => (path ? `${path} ${message}` : `Request ${message}`);
+
+// Errors are capped so a bad 1,000-row dry run stays readable
+const MAX_ERRORS = 50;
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+const resolveRef = (root, ref) => {
+  const name = ref.startsWith('#/$defs/') ? ref.slice('#/$defs/'.length) : null;
+  const schema = name && root.$defs?.[name];
+  if (!schema) throw new Error(`Unresolvable schema reference "${ref}"`);
+  return schema;
+};
+
+const check = (schema, value, path, root, errors) => {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  const own = [];
+  const fail = (message) => own.push({ path, message });
+
+  if (schema.$ref) check(resolveRef(root, schema.$ref), value, path, root, own);
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      // Nothing else about a value of the wrong type is worth reporting
+      report(schema, own, path, errors);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => check(schema.items, item, childPath(path, index), root, own));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) own.push({ path: childPath(path, key), message: 'is required' });
+    });
+    Object.entries(schema.dependentRequired || {}).forEach(([key, needed]) => {
+      if (value[key] === undefined) return;
+      needed.filter(other => value[other] === undefined).forEach(other => {
+        own.push({ path: childPath(path, other), message: `is required with ${key}` });
+      });
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      if (properties[key] !== undefined) {
+        check(properties[key], item, childPath(path, key), root, own);
+      } else if (schema.additionalProperties === false) {
+        own.push({ path: childPath(path, key), message: 'is not allowed' });
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, item, childPath(path, key), root, own);
+      }
+    });
+  }
+
+  if (schema.not !== undefined && validate(schema.not, value, root).length === 0) fail('is not allowed');
+
+  (schema.allOf || []).forEach(part => check(part, value, path, root, own));
+
+  if (schema.anyOf && !schema.anyOf.some(part => validate(part, value, root).length === 0)) {
+    fail('does not match any of the allowed shapes');
+  }
+
+  if (schema.if !== undefined) {
+    const branch = validate(schema.if, value, root).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) check(branch, value, path, root, own);
+  }
+
+  report(schema, own, path, errors);
+};
+
+// With errorMessage, a failing schema reports that one message instead
+const report = (schema, own, path, errors) => {
+  if (own.length === 0) return;
+  if (typeof schema.errorMessage === 'string') {
+    errors.push({ path, message: schema.errorMessage });
+  } else {
+    errors.push(...own);
+  }
+};
+
+// Every way `value` breaks `schema`, as [{ path, message }]. `root` holds
+// the $defs that references point into.
+export const validate = (schema, value, root = schema) => {
+  const errors = [];
+  check(schema, value, '', root, errors);
+  const seen = new Set();
+  return errors.filter(error => {
+    const key = `${error.path}\n${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_ERRORS);
+};
+
+// Throw a ValidationError unless `value` matches
+export const assertValid = (schema, value, root = schema) => {
+  const errors = validate(schema, value, root);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return true;
+};
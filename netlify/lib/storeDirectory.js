@@ -0,0 +1,38 @@
+// Where the file-backed stores keep their data: the credit ledger, rate
+// limits, audit log, enrichment cache, webhooks and jobs.
+//
+// Each store has its own variable (CREDIT_LEDGER_DIR, AUDIT_LOG_DIR, ...).
+// Without it, the store uses a directory named after it under STORE_DIR,
+// and without that, under the system temp directory. The temp directory is
+// the only place a deployed function can write to, since its own files are
+// read-only, but it belongs to one function instance and is cleared with
+// it. Stores that must be seen by every instance, or must last, check
+// isSharedStoreDirectory and refuse to work from there.
+
+import os from 'node:os';
+import path from 'node:path';
+
+const TEMP_BASE = path.join(os.tmpdir(), 'apollo-enrichment-studio');
+
+// A store that is needed but has no shared directory configured
+export class StoreConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreConfigError';
+  }
+}
+
+// The directory for store `name`, which `variable` can point elsewhere
+export const storeDirectory = (variable, name) =>
+  process.env[variable] || path.join(process.env.STORE_DIR || TEMP_BASE, name);
+
+// False while the store would fall back to the instance's temp directory
+export const isSharedStoreDirectory = (variable) => Boolean(process.env[variable] || process.env.STORE_DIR);
+
+// Throws StoreConfigError, naming `what` needs it, unless the store has a
+// shared directory
+export const requireSharedStoreDirectory = (variable, what) => {
+  if (!isSharedStoreDirectory(variable)) {
+    throw new StoreConfigError(`${what} needs storage every function instance shares; set ${variable} or STORE_DIR`);
+  }
+};
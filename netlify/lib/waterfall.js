@@ -0,0 +1,191 @@
+// Waterfall enrichment: run contacts through the configured providers in
+// order, sending only the contacts that are still failed or missing a
+// required field on to the next provider.
+
+import { getProvider, normalizeOptions, providerMethod } from './providers/index.js';
+import { hasApiKey, resolveApiKey, redactSecrets } from './apiKeys.js';
+import { getCacheStore, readCached, writeCached, identityKeys, organizationIdentityKeys } from './enrichmentCache.js';
+import { calculateCompleteness } from '../../src/utils/scoring.js';
+import { creditsPerRecord, estimateCredits } from '../../src/utils/credits.js';
+
+const needsFallback = (record, requiredFields) =>
+  record.enrichmentStatus !== 'success' || requiredFields.some(field => !record[field]);
+
+// Fields whose grade belongs to whichever provider supplied the value
+const COMPANION_FIELDS = {
+  workEmail: 'workEmailStatus',
+  personalEmail: 'personalEmailStatus'
+};
+
+// Combine a fallback result with what we already have. A failed record is
+// replaced by a successful one; a successful record only gains the fields
+// it was missing.
+const mergeRecords = (current, next, providerName) => {
+  if (next.enrichmentStatus !== 'success') {
+    return current;
+  }
+  if (current.enrichmentStatus !== 'success') {
+    return { ...next, providersTried: current.providersTried };
+  }
+
+  const filled = Object.fromEntries(
+    Object.entries(next).filter(([key, value]) =>
+      value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0) &&
+      (current[key] === null || current[key] === undefined || (Array.isArray(current[key]) && current[key].length === 0))
+    )
+  );
+  Object.entries(COMPANION_FIELDS).forEach(([field, companion]) => {
+    if (field in filled && companion in next) filled[companion] = next[companion];
+  });
+
+  return {
+    ...current,
+    ...filled,
+    fieldProviders: {
+      ...(current.fieldProviders || {}),
+      ...Object.fromEntries(Object.keys(filled).map(key => [key, providerName]))
+    }
+  };
+};
+
+const cacheNamespace = (provider, mode) =>
+  // People entries predate modes, so only other modes get their own namespace
+  (mode === 'people' ? provider.name : `${provider.name}/${mode}`);
+
+const identityFor = (mode) => (mode === 'people' ? identityKeys : organizationIdentityKeys);
+
+// Send only the contacts the cache cannot answer to the provider. A broken
+// cache never fails the request; it just stops saving credits. The credits
+// for the misses are reserved from `budget` before the call.
+const enrichWithCache = async (provider, apiKey, contacts, settings, { mode, cache, forceRefresh, budget }) => {
+  const namespace = cacheNamespace(provider, mode);
+  const identify = identityFor(mode);
+  const perRecord = creditsPerRecord(provider.creditCosts, mode, settings);
+
+  let cached = contacts.map(() => null);
+  if (cache && !forceRefresh) {
+    try {
+      cached = await readCached(cache, namespace, settings, contacts, identify);
+    } catch (error) {
+      console.error('Enrichment cache read failed:', error.message);
+    }
+  }
+
+  const misses = contacts.filter((contact, index) => !cached[index]);
+  let fresh = [];
+  let apiCalls = 0;
+  if (misses.length > 0) {
+    if (budget) await budget.reserve(misses.length * perRecord);
+    let result;
+    try {
+      result = await providerMethod(provider, mode)(apiKey, misses, settings);
+    } catch (error) {
+      if (budget) await budget.release(misses.length * perRecord);
+      throw error;
+    }
+    ({ records: fresh, apiCalls = 1 } = Array.isArray(result) ? { records: result } : result);
+  }
+
+  if (cache && fresh.length > 0) {
+    try {
+      await writeCached(cache, namespace, settings, misses, fresh, identify);
+    } catch (error) {
+      console.error('Enrichment cache write failed:', error.message);
+    }
+  }
+
+  let next = 0;
+  return {
+    results: cached.map(record => record || fresh[next++]),
+    usage: {
+      apiCalls,
+      credits: misses.length * perRecord,
+      cacheHits: contacts.length - misses.length,
+      creditsSaved: (contacts.length - misses.length) * perRecord
+    }
+  };
+};
+
+// Returns { records, usage } where usage[provider] = { apiCalls, credits,
+// cacheHits, creditsSaved }. `mode` is 'people' or 'organizations'. Errors
+// from the first provider propagate; later providers are best effort and
+// are skipped when they do not support the mode or the budget (from
+// creditLedger.js) has run out. Records are scored for completeness once
+// merged, with the request's weights.
+export const runWaterfall = async (contacts, { profile, options, mode = 'people', cache = getCacheStore(), budget = null }) => {
+  const { waterfall, requiredFields, forceRefresh, providers, completenessWeights } = normalizeOptions(options, mode);
+  const usage = {};
+  let records = null;
+
+  for (const [step, providerName] of waterfall.entries()) {
+    const provider = getProvider(providerName);
+    const pending = records
+      ? records.map((record, index) => index).filter(index => needsFallback(records[index], requiredFields))
+      : contacts.map((contact, index) => index);
+
+    if (pending.length === 0) break;
+
+    if (step > 0 && !hasApiKey(profile, providerName)) {
+      console.log(`Skipping provider ${providerName}: no key in profile ${profile}`);
+      continue;
+    }
+    if (step > 0 && !providerMethod(provider, mode)) {
+      console.log(`Skipping provider ${providerName}: no ${mode} enrichment`);
+      continue;
+    }
+
+    const apiKey = resolveApiKey(profile, providerName);
+    const batch = pending.map(index => contacts[index]);
+
+    let results;
+    try {
+      ({ results, usage: usage[providerName] } = await enrichWithCache(
+        provider, apiKey, batch, providers[providerName], { mode, cache, forceRefresh, budget }
+      ));
+    } catch (error) {
+      if (step === 0) throw error;
+      console.error(`Fallback provider ${providerName} failed:`, redactSecrets(error.message));
+      continue;
+    }
+
+    if (!records) {
+      records = results.map(record => ({ ...record, providersTried: [providerName] }));
+      continue;
+    }
+
+    pending.forEach((index, i) => {
+      const tried = { ...records[index], providersTried: [...records[index].providersTried, providerName] };
+      records[index] = mergeRecords(tried, results[i], providerName);
+    });
+  }
+
+  return {
+    records: records.map(record => ({ ...record, dataCompleteness: calculateCompleteness(record, completenessWeights) })),
+    usage
+  };
+};
+
+// What runWaterfall would charge the first provider, without calling it:
+// the key is resolved and the cache read exactly as a real run would.
+// Returns estimateCredits() for the batch.
+export const estimateWaterfall = async (contacts, { profile, options, mode = 'people', cache = getCacheStore() }) => {
+  const { waterfall, forceRefresh, providers } = normalizeOptions(options, mode);
+  const provider = getProvider(waterfall[0]);
+  resolveApiKey(profile, provider.name);
+
+  let cacheHits = 0;
+  if (cache && !forceRefresh) {
+    try {
+      const cached = await readCached(cache, cacheNamespace(provider, mode), providers[provider.name], contacts, identityFor(mode));
+      cacheHits = cached.filter(Boolean).length;
+    } catch (error) {
+      console.error('Enrichment cache read failed:', error.message);
+    }
+  }
+
+  return estimateCredits({
+    records: contacts.length,
+    cacheHits,
+    perRecord: creditsPerRecord(provider.creditCosts, mode, providers[provider.name])
+  });
+};
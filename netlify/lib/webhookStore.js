@@ -0,0 +1,174 @@
+// Storage for outbound webhook endpoints and their delivery log.
+//
+// A webhook store implements:
+//   listWebhooks()               every configured endpoint, secrets included
+//   getWebhook(id)               one endpoint, or null if unknown
+//   createWebhook(webhook)       save a new endpoint
+//   deleteWebhook(id)            remove an endpoint, true if it existed
+//   appendDelivery(delivery)     add to the log, keeping the newest entries
+//   listDeliveries(limit)        the log, newest first
+//   recordRunBatch(runId, batch, stats)
+//                                keep a browser run's batch stats, returns
+//                                the run's totals so far
+//   finishRun(runId, outcome)    mark a run 'completed' or 'failed', returns
+//                                its totals, or null if it already was
+//   queueEvents(events)          keep [{ event, data }] for the background
+//                                sender, returns the queue entry's id
+//   takeEvents(id)               remove and return a queue entry's events,
+//                                or null if there is none
+//
+// Secrets are needed to sign every delivery, so they are stored as given;
+// they are never returned to the browser.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { storeDirectory } from './storeDirectory.js';
+
+export const MAX_DELIVERIES = 200;
+// Browser runs, and queued events nobody sent, are forgotten after a week
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const createWebhookId = () => `wh_${crypto.randomBytes(9).toString('base64url')}`;
+const createQueueId = () => `whq_${crypto.randomBytes(9).toString('base64url')}`;
+
+// Ids come from URLs and request bodies, so only accept the shapes
+// createWebhookId and createQueueId produce
+export const isValidWebhookId = (id) => /^wh_[A-Za-z0-9_-]{12}$/.test(id);
+const isValidQueueId = (id) => /^whq_[A-Za-z0-9_-]{12}$/.test(id);
+
+const recent = (entries, now) => Object.fromEntries(
+  Object.entries(entries).filter(([, entry]) => now - entry.updatedAt < RETENTION_MS)
+);
+
+const runTotals = (run) => {
+  const totals = {};
+  Object.values(run?.batches || {}).forEach(batchStats => {
+    Object.entries(batchStats).forEach(([key, value]) => { totals[key] = (totals[key] || 0) + value; });
+  });
+  return totals;
+};
+
+const writeJSONAtomic = async (file, data) => {
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, file);
+};
+
+const readJSON = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+export const createFileWebhookStore = ({ directory }) => {
+  const webhooksFile = path.join(directory, 'webhooks.json');
+  const deliveriesFile = path.join(directory, 'deliveries.json');
+  const runsFile = path.join(directory, 'runs.json');
+  const queueFile = path.join(directory, 'queue.json');
+
+  // Deliveries for several endpoints finish at once; queue the
+  // read-modify-write of each file so none of them is lost
+  let queue = Promise.resolve();
+  const serialized = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const update = (file, change, fallback = []) => serialized(async () => {
+    await fs.mkdir(directory, { recursive: true });
+    const next = change(await readJSON(file, fallback));
+    await writeJSONAtomic(file, next);
+    return next;
+  });
+
+  return {
+    listWebhooks() {
+      return readJSON(webhooksFile, []);
+    },
+
+    async getWebhook(id) {
+      if (!isValidWebhookId(id)) return null;
+      return (await readJSON(webhooksFile, [])).find(webhook => webhook.id === id) || null;
+    },
+
+    async createWebhook(webhook) {
+      await update(webhooksFile, webhooks => [...webhooks, webhook]);
+      return webhook;
+    },
+
+    async deleteWebhook(id) {
+      let found = false;
+      await update(webhooksFile, webhooks => webhooks.filter(webhook => {
+        if (webhook.id !== id) return true;
+        found = true;
+        return false;
+      }));
+      return found;
+    },
+
+    async appendDelivery(delivery) {
+      await update(deliveriesFile, deliveries => [delivery, ...deliveries].slice(0, MAX_DELIVERIES));
+      return delivery;
+    },
+
+    async listDeliveries(limit = MAX_DELIVERIES) {
+      return (await readJSON(deliveriesFile, [])).slice(0, limit);
+    },
+
+    // Stats are kept per batch number, so a batch sent twice counts once.
+    // A batch after a failure means the run was continued, so it can fail
+    // again; a completed run stays completed.
+    async recordRunBatch(runId, batch, stats) {
+      const now = Date.now();
+      const runs = await update(runsFile, current => ({
+        ...recent(current, now),
+        [runId]: {
+          updatedAt: now,
+          batches: { ...current[runId]?.batches, [batch]: stats },
+          finished: current[runId]?.finished === 'completed' ? 'completed' : null
+        }
+      }), {});
+      return runTotals(runs[runId]);
+    },
+
+    // Runs are kept after they finish so a retried last batch cannot
+    // complete them twice
+    async finishRun(runId, outcome) {
+      let totals = null;
+      await update(runsFile, current => {
+        const run = current[runId] || { batches: {} };
+        if (run.finished === outcome) return current;
+        totals = runTotals(run);
+        return { ...current, [runId]: { ...run, updatedAt: Date.now(), finished: outcome } };
+      }, {});
+      return totals;
+    },
+
+    async queueEvents(events) {
+      const id = createQueueId();
+      const now = Date.now();
+      await update(queueFile, current => ({ ...recent(current, now), [id]: { updatedAt: now, events } }), {});
+      return id;
+    },
+
+    async takeEvents(id) {
+      if (!isValidQueueId(id)) return null;
+      let events = null;
+      await update(queueFile, ({ [id]: entry, ...rest }) => {
+        events = entry?.events || null;
+        return rest;
+      }, {});
+      return events;
+    }
+  };
+};
+
+// In WEBHOOK_STORE_DIR (./storeDirectory.js)
+export const getWebhookStore = () => createFileWebhookStore({
+  directory: storeDirectory('WEBHOOK_STORE_DIR', 'webhooks')
+});
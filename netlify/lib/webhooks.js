@@ -0,0 +1,267 @@
+// Outbound webhooks: signed JSON POSTs to the endpoints configured in the
+// webhook store when batches and runs finish. Jobs deliver from their
+// background worker; browser runs hand their events to the webhooks-background
+// function.
+//
+// Every delivery carries
+//   X-Webhook-Id          event id, the same on every retry so receivers
+//                         can drop duplicates
+//   X-Webhook-Event       batch.completed, run.completed, run.failed or
+//                         webhook.test
+//   X-Webhook-Timestamp   unix seconds when this attempt was sent
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                         keyed with the endpoint's secret>
+// Receivers should recompute the signature over the raw body and reject
+// stale timestamps; verifyWebhookSignature does both.
+//
+// Endpoints on loopback, private or link-local addresses are refused, both
+// when they are added and when each delivery is sent, unless
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true (for a receiver on your own machine).
+
+import crypto from 'node:crypto';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+
+export const WEBHOOK_EVENTS = ['batch.completed', 'run.completed', 'run.failed'];
+export const TEST_EVENT = 'webhook.test';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRY_BASE_MS = 500;
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private networks, carrier-grade NAT and link-local (cloud
+// metadata lives at 169.254.169.254). BlockList also applies the IPv4 rules
+// to IPv4-mapped IPv6 addresses such as ::ffff:7f00:1.
+const privateAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Why `url` may not receive webhooks, or null. Addresses and localhost are
+// judged as written; with `resolve` the host name is looked up too, since a
+// public name can point at a private address.
+export const refusedWebhookHost = async (url, { resolve = false } = {}) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true') return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return `${host} is a local host`;
+  if (net.isIP(host)) return isPrivateAddress(host) ? `${host} is a private address` : null;
+  if (!resolve) return null;
+
+  const blocked = (await dns.lookup(host, { all: true })).find(({ address }) => isPrivateAddress(address));
+  return blocked ? `${host} resolves to private address ${blocked.address}` : null;
+};
+
+export const createEventId = () => `evt_${crypto.randomBytes(9).toString('base64url')}`;
+export const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// True when `headers` (lower-case names) carry a valid signature of the raw
+// `body` made within the tolerance window
+export const verifyWebhookSignature = (secret, headers, body, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) => {
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  const signature = String(headers[SIGNATURE_HEADER] || '');
+  if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Network errors, timeouts, 5xx and 429 may succeed later; any other
+// status means the receiver rejected the payload
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Exponential backoff with jitter, but never sooner than the receiver asked for
+const retryDelay = (attempt, retryAfterSeconds) => {
+  const base = numberFromEnv('WEBHOOK_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  const exponential = Math.min(30000, base * 2 ** (attempt - 1));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(jittered, (retryAfterSeconds || 0) * 1000);
+};
+
+const sendOnce = async (webhook, eventId, event, body, timeoutMs) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const refused = await refusedWebhookHost(webhook.url, { resolve: true });
+    if (refused) {
+      return { at: new Date(started).toISOString(), statusCode: null, durationMs: 0, ok: false, refused: true, error: `Refused: ${refused}` };
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ApolloEnrichmentStudio-Webhooks/1.0',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      // A redirect could lead anywhere, including a private address
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    // Drain the body so the connection can be reused
+    await response.text().catch(() => '');
+    return {
+      at: new Date(started).toISOString(),
+      statusCode: response.status,
+      durationMs: Date.now() - started,
+      ok: response.ok,
+      retryAfter: Number(response.headers.get('retry-after')) || 0
+    };
+  } catch (error) {
+    return {
+      at: new Date(started).toISOString(),
+      statusCode: null,
+      durationMs: Date.now() - started,
+      ok: false,
+      error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : error.message
+    };
+  }
+};
+
+// POST one event to one endpoint, retrying transient failures with backoff.
+// Never throws; returns the delivery record for the log.
+export const deliverWebhook = async (webhook, { eventId = createEventId(), event, data }) => {
+  const maxAttempts = Math.max(1, numberFromEnv('WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS));
+  const timeoutMs = numberFromEnv('WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+  const createdAt = new Date().toISOString();
+  const body = JSON.stringify({ id: eventId, event, createdAt, data });
+
+  const attempts = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { ok, retryAfter, refused, ...result } = await sendOnce(webhook, eventId, event, body, timeoutMs);
+    attempts.push(result);
+    if (ok || refused) break;
+    if (result.statusCode !== null && !isRetryableStatus(result.statusCode)) break;
+    if (attempt < maxAttempts) await sleep(retryDelay(attempt, retryAfter));
+  }
+
+  const last = attempts[attempts.length - 1];
+  return {
+    id: `dlv_${crypto.randomBytes(9).toString('base64url')}`,
+    eventId,
+    event,
+    webhookId: webhook.id,
+    url: webhook.url,
+    status: last.statusCode >= 200 && last.statusCode < 300 ? 'delivered' : 'failed',
+    statusCode: last.statusCode,
+    error: last.error || (last.statusCode >= 300 ? `HTTP ${last.statusCode}` : undefined),
+    attempts,
+    createdAt,
+    completedAt: new Date().toISOString()
+  };
+};
+
+// Deliver an event to every endpoint subscribed to it and log each
+// delivery. Returns the delivery records; failures are logged, not thrown,
+// so a broken receiver never stops an enrichment run.
+export const dispatchEvent = async (store, event, data) => {
+  const webhooks = (await store.listWebhooks()).filter(webhook => webhook.events.includes(event));
+  if (webhooks.length === 0) return [];
+
+  const eventId = createEventId();
+  return Promise.all(webhooks.map(async (webhook) => {
+    const delivery = await deliverWebhook(webhook, { eventId, event, data });
+    if (delivery.status === 'failed') {
+      console.error(`Webhook ${webhook.id} ${event} delivery failed after ${delivery.attempts.length} attempts: ${delivery.error}`);
+    }
+    await store.appendDelivery(delivery);
+    return delivery;
+  }));
+};
+
+// Events for one batch of a browser run, built from what the enrich
+// function itself returned. Totals are kept per run in the store; the last
+// batch also brings run.completed, once however often it is sent.
+export const runBatchEvents = async (store, { runId, mode, batch, totalBatches, contacts, stats }) => {
+  if ((await store.listWebhooks()).length === 0) return [];
+
+  const run = { source: 'browser', runId, mode, totalBatches };
+  const totals = await store.recordRunBatch(runId, batch, stats);
+  const events = [{ event: 'batch.completed', data: { ...run, batch, contacts, stats, totals } }];
+  if (batch < totalBatches) return events;
+
+  const runTotals = await store.finishRun(runId, 'completed');
+  return runTotals ? [...events, { event: 'run.completed', data: { ...run, stats: runTotals } }] : events;
+};
+
+// run.failed for a browser run the studio stopped, with the totals of the
+// batches that finished
+export const runFailureEvents = async (store, { runId, mode, totalBatches, error }) => {
+  if ((await store.listWebhooks()).length === 0) return [];
+
+  const totals = await store.finishRun(runId, 'failed');
+  return totals ? [{ event: 'run.failed', data: { source: 'browser', runId, mode, totalBatches, stats: totals, error } }] : [];
+};
+
+// Deliveries retry for up to WEBHOOK_MAX_ATTEMPTS × WEBHOOK_TIMEOUT_MS plus
+// backoff, far longer than a synchronous function may take, so the enrich
+// function queues its events for this background function to send
+export const SENDER_PATH = '/.netlify/functions/webhooks-background';
+
+// Queue `events` and ask the background sender to deliver them; returns
+// once it has accepted them
+export const sendInBackground = async (store, origin, events) => {
+  if (events.length === 0) return;
+
+  const id = await store.queueEvents(events);
+  let accepted = false;
+  try {
+    const response = await fetch(`${origin}${SENDER_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id })
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook sender did not accept events: HTTP ${response.status}`);
+    }
+    accepted = true;
+  } finally {
+    if (!accepted) await store.takeEvents(id);
+  }
+};
+
+// Deliver the events queued under `id`, in order. Returns the deliveries,
+// or null when nothing is queued under it.
+export const sendQueued = async (store, id) => {
+  const events = await store.takeEvents(id);
+  if (!events) return null;
+
+  const deliveries = [];
+  for (const { event, data } of events) {
+    deliveries.push(...await dispatchEvent(store, event, data));
+  }
+  return deliveries;
+};
+
+// Webhook settings as shown in the UI: the secret is reduced to a hint
+export const publicWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  secretHint: `…${webhook.secret.slice(-4)}`,
+  createdAt: webhook.createdAt
+});
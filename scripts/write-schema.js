@@ -0,0 +1,19 @@
+// Write the enrich function's JSON Schema to public/schemas, where it is
+// served alongside the app. Run it with `npm run schema` after changing
+// netlify/lib/enrichSchemas.js; the test suite fails while the published
+// copy is out of date.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { enrichmentSchema } from '../netlify/lib/enrichSchemas.js';
+
+export const SCHEMA_FILE = fileURLToPath(new URL('../public/schemas/enrichment.schema.json', import.meta.url));
+
+export const renderSchema = () => `${JSON.stringify(enrichmentSchema, null, 2)}\n`;
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await fs.mkdir(path.dirname(SCHEMA_FILE), { recursive: true });
+  await fs.writeFile(SCHEMA_FILE, renderSchema());
+  console.log(`Wrote ${path.relative(process.cwd(), SCHEMA_FILE)}`);
+}
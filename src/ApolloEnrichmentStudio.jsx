@@ -1,31 +1,42 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
-import { Upload, Play, Pause, Download, Settings, Users, Zap, BarChart3, CheckCircle, XCircle, Clock, Filter, RefreshCw, AlertCircle, TrendingUp, Database, Globe, Sun, Moon } from 'lucide-react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { Upload, Play, Pause, Download, Settings, Users, Zap, BarChart3, CheckCircle, Filter, RefreshCw, AlertCircle, TrendingUp, Database, Globe, Sun, Moon, Square, History, ChevronUp, Building2, Target, Webhook, Calculator, Lock } from 'lucide-react';
+import ColumnMappingWizard from './components/ColumnMappingWizard.jsx';
+import DuplicateGroups from './components/DuplicateGroups.jsx';
+import ProspectingPanel from './components/ProspectingPanel.jsx';
+import ExportDialog from './components/ExportDialog.jsx';
+import WebhooksPanel from './components/WebhooksPanel.jsx';
+import ActivityLog from './components/ActivityLog.jsx';
+import RecordDetailDrawer from './components/RecordDetailDrawer.jsx';
+import ResultsGrid from './components/ResultsGrid.jsx';
+import { previewColumns, enrichedColumns } from './components/resultColumns.jsx';
+import { buildExport } from './utils/exportBuilder.js';
+import { accessHeaders, storeAccessToken, storedAccessToken } from './utils/accessToken.js';
+import { ACCEPTED_EXTENSIONS, readImportFile, readSheet, rejectedRows } from './utils/fileImport.js';
+import { FIELDS_BY_MODE, guessMapping, uniqueHeaders } from './utils/columnMapping.js';
+import { findDuplicateGroups, planEnrichment, fanOutResults } from './utils/dedupe.js';
+import { createRunController } from './utils/runController.js';
+import { EnrichmentRequestError, RetryLaterError, errorFromResponse, isTransientError, withRetries } from './utils/retry.js';
+import { createRunId, startRun, saveRun, checkpointBatch, findResumableRun, loadRunRows, pruneRuns, appendRunLog, loadRunLog } from './utils/runStore.js';
+import { MAX_LOG_ENTRIES, appendLogEntry, createLogEntry } from './utils/activityLog.js';
+import { normalizeRows, isReady, toEnrichmentInput, toInputRow, countByStatus } from './utils/normalize.js';
+import { PREVIEW_FACETS, ENRICHED_FACETS } from './utils/resultsGrid.js';
+import { estimateCredits, exceededCap, parseCap } from './utils/credits.js';
+import { DIFF_COLUMN_KEYS, DIFF_FIELDS, DIFF_STATUSES, changeFacet, countDiffs, createDiffer, guessDiffColumns } from './utils/diffMode.js';
+import { COMPLETENESS_WEIGHTS_BY_MODE, COMPLETENESS_FIELD_LABELS, summarizeScores } from './utils/scoring.js';
+import { PROSPECT_DOMAIN_BATCH, PROSPECT_HEADERS, buildFilters, targetDomains, readExclusionList, excludeExisting, prospectsToContacts } from './utils/prospecting.js';
 
-// CSV Parser utility
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter(line => line.trim());
-  if (lines.length === 0) return [];
-  
-  const headers = lines[0].split(',').map(h => h.trim().replace(/['"]/g, ''));
-  const data = lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim().replace(/['"]/g, ''));
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || '';
-    });
-    return row;
-  }).filter(row => (row.firstName || row.first_name) && (row.lastName || row.last_name));
-  
-  return data.map(row => ({
-    firstName: row.firstName || row.first_name || '',
-    lastName: row.lastName || row.last_name || '',
-    domain: row.domain || row.company_domain || '',
-    email: row.email || ''
-  }));
-};
+// The enrich function prices up to this many rows per dry run request
+const DRY_RUN_BATCH = 1000;
 
 const ApolloEnrichmentStudio = () => {
-  const [apiKey, setApiKey] = useState('');
+  const [profile, setProfile] = useState('');
+  // 'people' enriches contacts, 'organizations' enriches companies by domain,
+  // 'prospecting' finds people at target account domains
+  const [enrichmentMode, setEnrichmentMode] = useState('people');
+  const [profiles, setProfiles] = useState(null);
+  const [accessToken, setAccessToken] = useState(storedAccessToken);
+  const [accessTokenInput, setAccessTokenInput] = useState('');
+  const [accessError, setAccessError] = useState(null);
   const [csvData, setCsvData] = useState([]);
   const [enrichedData, setEnrichedData] = useState([]);
   const [isEnriching, setIsEnriching] = useState(false);
@@ -36,22 +47,53 @@ const ApolloEnrichmentStudio = () => {
     processed: 0, 
     successful: 0, 
     failed: 0, 
-    qualityScore: 0,
     duplicates: 0,
     apiCalls: 0,
-    creditsUsed: 0
+    creditsUsed: 0,
+    creditsSaved: 0
   });
   const [isDark, setIsDark] = useState(true);
   const [batchSize, setBatchSize] = useState(10);
   const [retryAttempts, setRetryAttempts] = useState(3);
+  // Settings are keyed by provider; defaults come from the server's provider list
+  const [providers, setProviders] = useState([]);
+  const [waterfallFields, setWaterfallFields] = useState({ people: [], organizations: [] });
+  const [waterfall, setWaterfall] = useState(['apollo']);
+  const [requiredFields, setRequiredFields] = useState([]);
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [completenessWeights, setCompletenessWeights] = useState(COMPLETENESS_WEIGHTS_BY_MODE);
   const [enrichmentSettings, setEnrichmentSettings] = useState({
-    revealPersonalEmails: true,
-    revealPhoneNumbers: false,
-    includeSocialProfiles: true,
-    includeEmploymentHistory: true
+    apollo: {
+      revealPersonalEmails: true,
+      revealPhoneNumbers: false,
+      includeSocialProfiles: true,
+      includeEmploymentHistory: true
+    }
   });
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [selectedRecord, setSelectedRecord] = useState(null);
+  const [selectedRows, setSelectedRows] = useState(() => new Set());
+  const [importReport, setImportReport] = useState(null);
+  const [sourceHeaders, setSourceHeaders] = useState([]);
+  const [duplicateResolutions, setDuplicateResolutions] = useState({});
+  const [resumableRun, setResumableRun] = useState(null);
   const [currentBatch, setCurrentBatch] = useState(0);
+  const [prospectFilters, setProspectFilters] = useState({ titles: '', seniorities: [], departments: [], locations: '' });
+  const [perAccountLimit, setPerAccountLimit] = useState(10);
+  const [prospects, setProspects] = useState([]);
+  const [prospectAccounts, setProspectAccounts] = useState([]);
+  const [exclusionList, setExclusionList] = useState(null);
   const [totalBatches, setTotalBatches] = useState(0);
+  const [webhookRefresh, setWebhookRefresh] = useState(0);
+  // Diff mode compares results with the title, company, email and phone
+  // columns the upload already had
+  const [diffMode, setDiffMode] = useState(false);
+  const [diffColumns, setDiffColumns] = useState(() => guessDiffColumns([]));
+  // Credit caps as typed; blank means no cap
+  const [creditCaps, setCreditCaps] = useState({ perRun: '', perDay: '' });
+  const [estimate, setEstimate] = useState(null);
+  const [isEstimating, setIsEstimating] = useState(false);
   const fileInputRef = useRef(null);
   const enrichmentController = useRef(null);
 
@@ -64,94 +106,301 @@ const ApolloEnrichmentStudio = () => {
     { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com', email: '' }
   ];
 
+  const sampleCompanies = [
+    { domain: 'apollo.io', name: 'Apollo' },
+    { domain: 'salesforce.com', name: '' },
+    { domain: 'hubspot.com', name: 'HubSpot' },
+    { domain: 'stripe.com', name: '' }
+  ];
+
+  const isOrganizationMode = enrichmentMode === 'organizations';
+  const isProspectingMode = enrichmentMode === 'prospecting';
+  // Both company enrichment and prospecting load a list of domains
+  const isDomainList = isOrganizationMode || isProspectingMode;
+  const recordNoun = isOrganizationMode ? 'companies' : isProspectingMode ? 'accounts' : 'contacts';
+
+  const inputCounts = useMemo(() => countByStatus(csvData), [csvData]);
+  const scores = useMemo(() => summarizeScores(enrichedData), [enrichedData]);
+
+  const resultMode = isOrganizationMode ? 'organizations' : 'people';
+  const inputColumns = useMemo(() => previewColumns(isDomainList, isDark), [isDomainList, isDark]);
+  const differ = useMemo(
+    () => (diffMode && enrichmentMode === 'people' ? createDiffer(diffColumns) : null),
+    [diffMode, enrichmentMode, diffColumns]
+  );
+  const resultColumns = useMemo(() => enrichedColumns(resultMode, isDark, differ), [resultMode, isDark, differ]);
+  const resultFacets = useMemo(
+    () => (differ ? [changeFacet(differ), ...ENRICHED_FACETS[resultMode]] : ENRICHED_FACETS[resultMode]),
+    [differ, resultMode]
+  );
+  const diffCounts = useMemo(() => (differ ? countDiffs(enrichedData, differ) : null), [differ, enrichedData]);
+  const selectedResults = useMemo(
+    () => enrichedData.filter((row, index) => selectedRows.has(index)),
+    [enrichedData, selectedRows]
+  );
+
+  // An estimate only holds for the rows and settings it was made with
+  useEffect(() => {
+    setEstimate(null);
+  }, [csvData, enrichmentMode, duplicateResolutions, waterfall, enrichmentSettings, forceRefresh, creditCaps]);
+
+  // Each upload gets its own guess at which columns hold the old values
+  useEffect(() => {
+    setDiffColumns(guessDiffColumns(sourceHeaders));
+  }, [sourceHeaders]);
+
+  // Selections point at rows by position, so they go when the rows do
+  useEffect(() => {
+    if (enrichedData.length === 0) setSelectedRows(new Set());
+  }, [enrichedData.length]);
+
+  const duplicateGroups = useMemo(
+    () => findDuplicateGroups(csvData, isDomainList ? 'organizations' : 'people'),
+    [csvData, isDomainList]
+  );
+
+  // Reset per-group choices whenever a new list is loaded
+  useEffect(() => {
+    setDuplicateResolutions({});
+    setStats(prev => ({
+      ...prev,
+      duplicates: duplicateGroups.reduce((sum, group) => sum + group.indices.length - 1, 0)
+    }));
+  }, [duplicateGroups]);
+
+  // API keys live on the server; the browser only picks a named profile,
+  // and only with the studio access token
+  useEffect(() => {
+    if (!accessToken) {
+      setProfiles([]);
+      return;
+    }
+    fetch('/.netlify/functions/profiles', { headers: accessHeaders(accessToken) })
+      .then(async response => {
+        if (response.status === 401 || response.status === 403) {
+          const { message } = await response.json().catch(() => ({}));
+          setAccessError(message || `HTTP ${response.status}`);
+          if (response.status === 401) {
+            storeAccessToken('');
+            setAccessToken('');
+          }
+          return { profiles: [] };
+        }
+        setAccessError(null);
+        return response.ok ? response.json() : { profiles: [] };
+      })
+      .then(data => {
+        setProfiles(data.profiles);
+        setProviders(data.providers || []);
+        setWaterfallFields({
+          people: data.waterfallFields || [],
+          organizations: data.organizationWaterfallFields || []
+        });
+        setEnrichmentSettings(prev => Object.fromEntries((data.providers || []).map(provider => [
+          provider.name,
+          {
+            ...Object.fromEntries(provider.settings.map(setting => [setting.key, setting.default])),
+            ...(prev[provider.name] || {})
+          }
+        ])));
+        if (data.profiles.length > 0) {
+          setProfile(current => current || data.profiles[0].name);
+        }
+      })
+      .catch(() => setProfiles([]));
+  }, [accessToken]);
+
+  const unlockProfiles = () => {
+    storeAccessToken(accessTokenInput.trim());
+    setAccessToken(accessTokenInput.trim());
+    setAccessTokenInput('');
+    setProfiles(null);
+  };
+
+  // Offer to continue a run that did not finish before the last reload
+  useEffect(() => {
+    findResumableRun()
+      .then(run => run && setResumableRun(run))
+      .catch(() => {});
+  }, []);
+
+  // Entries written while a run is going are tagged with its id and, for
+  // runs that can be resumed, saved with it
+  const logRun = useRef(null);
   const addLog = useCallback((message, type = 'info') => {
-    const timestamp = new Date().toLocaleTimeString();
-    setLogs(prev => [...prev.slice(-19), { id: Date.now(), timestamp, message, type }]);
+    const entry = createLogEntry(message, type, logRun.current?.id || null);
+    setLogs(prev => appendLogEntry(prev, entry));
+    if (logRun.current?.persist) appendRunLog(entry).catch(() => {});
   }, []);
 
-  const handleFileUpload = (event) => {
+  const handleFileUpload = async (event) => {
     const file = event.target.files[0];
-    if (file && file.type === 'text/csv') {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const parsed = parseCSV(e.target.result);
-          setCsvData(parsed);
-          addLog(`📁 Uploaded ${parsed.length} contacts from ${file.name}`, 'success');
-        } catch (error) {
-          addLog(`❌ Error parsing CSV: ${error.message}`, 'error');
-        }
-      };
-      reader.readAsText(file);
+    // Allow the same file to be picked again after cancelling the mapping step
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await readImportFile(file);
+      if (imported.headers.length === 0 && !imported.sheetNames) {
+        throw new Error('File is empty');
+      }
+      setPendingImport({
+        fileName: file.name,
+        ...imported,
+        mode: enrichmentMode,
+        mapping: guessMapping(imported.headers, FIELDS_BY_MODE[enrichmentMode])
+      });
+    } catch (error) {
+      addLog(`❌ Error reading ${file.name}: ${error.message}`, 'error');
     }
   };
 
-  const enrichContacts = async () => {
-    if (!apiKey || csvData.length === 0) {
-      addLog('⚠️ Please provide API key and upload data', 'warning');
-      return;
+  const changeSheet = async (sheetName) => {
+    try {
+      const table = await readSheet(pendingImport.workbook, sheetName);
+      setPendingImport(prev => ({ ...prev, sheetName, ...table, mapping: guessMapping(table.headers, FIELDS_BY_MODE[prev.mode]) }));
+    } catch (error) {
+      addLog(`❌ Error reading sheet ${sheetName}: ${error.message}`, 'error');
     }
+  };
 
-    setIsEnriching(true);
-    setEnrichedData([]);
-    setProgress(0);
-    setCurrentBatch(0);
+  const confirmImport = (mapping, { contacts, rejected }) => {
+    const { fileName, headers, rowLabel, parseErrors, mode } = pendingImport;
+    const allRejected = rejectedRows(parseErrors, rejected);
+    // Clean up names, domains and emails and mark what can be enriched
+    const rows = normalizeRows(contacts, mode);
+    const counts = countByStatus(rows);
+    setCsvData(rows);
+    setSourceHeaders(uniqueHeaders(headers));
+    setImportReport({ fileName, rowLabel, imported: rows.length, rejected: allRejected });
+    setPendingImport(null);
+    addLog(`📁 Uploaded ${rows.length} ${recordNoun} from ${fileName}`, 'success');
+    if (counts.fixable + counts.unenrichable > 0) {
+      addLog(`🧹 ${counts.ready} rows ready, ${counts.fixable} fixable, ${counts.unenrichable} unenrichable; only ready rows are enriched`, 'warning');
+    }
+    if (allRejected.length > 0) {
+      addLog(`⚠️ Rejected ${allRejected.length} rows from ${fileName}`, 'warning');
+    }
+  };
+
+  const cancelImport = () => {
+    addLog(`🚫 Import of ${pendingImport.fileName} cancelled`, 'info');
+    setPendingImport(null);
+  };
+
+  // Run the remaining batches of a run, checkpointing each one to IndexedDB
+  const runBatches = async (initialRun) => {
+    let run = initialRun;
+    const controller = createRunController();
+    enrichmentController.current = controller;
 
-    const batches = Math.ceil(csvData.length / batchSize);
+    const batches = Math.ceil(run.requests.length / run.batchSize);
+    setIsEnriching(true);
+    setIsPaused(false);
     setTotalBatches(batches);
-    
-    addLog(`🚀 Starting enrichment of ${csvData.length} contacts in ${batches} batches`, 'info');
+    setCurrentBatch(run.nextBatch);
+    setProgress((run.nextBatch / batches) * 100);
+
+    // A re-enrichment updates rows of a finished run, so it is not saved
+    // for resuming. Storage failures should not stop the run; report the
+    // first one only.
+    const replacing = Boolean(run.replaceIndices);
+    let persistWarned = false;
+    const persist = (save) => (replacing ? Promise.resolve() : save()).catch(error => {
+      if (persistWarned) return;
+      persistWarned = true;
+      addLog(`⚠️ Could not save run progress: ${error.message}`, 'warning');
+    });
+
+    // Set when a credit cap, or an Apollo quota that resets later than a
+    // retry can wait, stops the run; the batch it stopped before is sent
+    // again on resume. A rejected API key stops it for good, since every
+    // later batch would be rejected too.
+    let budgetStop = null;
+    let quotaStop = null;
+    let keyRejected = null;
 
     try {
-      for (let i = 0; i < batches; i++) {
-        if (isPaused) {
+      for (let i = run.nextBatch; i < batches; i++) {
+        const proceed = await controller.checkpoint(() => {
           addLog('⏸️ Enrichment paused', 'warning');
-          break;
-        }
+          return persist(() => saveRun({ ...run, status: 'paused' }));
+        });
+        if (!proceed) break;
 
-        const batch = csvData.slice(i * batchSize, (i + 1) * batchSize);
+        const offset = i * run.batchSize;
+        const batch = run.requests.slice(offset, offset + run.batchSize);
         setCurrentBatch(i + 1);
         
         addLog(`🔄 Processing batch ${i + 1}/${batches} (${batch.length} contacts)`, 'info');
 
+        let rows;
+        let delta;
         try {
-          // Call Netlify Function
-          const response = await fetch('/.netlify/functions/enrich', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              apiKey,
-              contacts: batch,
-              options: enrichmentSettings
-            })
-          });
+          const result = await withRetries(async (attempt) => {
+            if (attempt > 1) {
+              addLog(`🔁 Batch ${i + 1}: attempt ${attempt}/${run.retryAttempts}`, 'info');
+            }
 
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || `HTTP ${response.status}`);
-          }
+            // Call Netlify Function
+            const response = await fetch('/.netlify/functions/enrich', {
+              method: 'POST',
+              headers: accessHeaders(accessToken),
+              body: JSON.stringify({
+                profile: run.profile,
+                mode: run.mode || 'people',
+                [run.mode === 'organizations' ? 'companies' : 'contacts']: batch,
+                options: run.settings,
+                budget: run.budget,
+                run: { id: run.id, batch: i + 1, totalBatches: batches }
+              })
+            });
 
-          const result = await response.json();
-          
-          if (result.success) {
-            setEnrichedData(prev => [...prev, ...result.data]);
-            addLog(`✅ Batch ${i + 1} completed: ${result.stats.successfulEnrichments} successes, ${result.stats.failedEnrichments} failures`, 'success');
-            
-            setStats(prev => ({
-              ...prev,
-              processed: prev.processed + batch.length,
-              successful: prev.successful + result.stats.successfulEnrichments,
-              failed: prev.failed + result.stats.failedEnrichments,
-              apiCalls: prev.apiCalls + 1,
-              creditsUsed: prev.creditsUsed + batch.length
-            }));
-          } else {
-            throw new Error(result.message || 'Unknown error');
+            if (!response.ok) {
+              throw await errorFromResponse(response);
+            }
+
+            const body = await response.json();
+            if (!body.success) {
+              throw new EnrichmentRequestError(body.message || 'Unknown error');
+            }
+            return body;
+          }, {
+            attempts: run.retryAttempts,
+            sleep: (ms) => controller.sleep(ms),
+            onRetry: (error, attempt, delay) => {
+              addLog(`⚠️ Batch ${i + 1} attempt ${attempt}/${run.retryAttempts} failed: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s`, 'warning');
+            }
+          });
+
+          rows = fanOutResults(result.data, run.fanOut, run.contacts, offset);
+          addLog(`✅ Batch ${i + 1} completed: ${result.stats.successfulEnrichments} successes, ${result.stats.failedEnrichments} failures`, 'success');
+          if (result.stats.cacheHits > 0) {
+            addLog(`♻️ Batch ${i + 1}: ${result.stats.cacheHits} contacts served from cache, saving ${result.stats.creditsSaved} credits`, 'info');
           }
+          delta = {
+            processed: rows.length,
+            successful: rows.filter(row => row.enrichmentStatus === 'success').length,
+            failed: rows.filter(row => row.enrichmentStatus === 'failed').length,
+            apiCalls: result.stats.apiCallsUsed,
+            creditsUsed: result.stats.creditsUsed,
+            creditsSaved: result.stats.creditsSaved || 0
+          };
         } catch (batchError) {
-          addLog(`❌ Batch ${i + 1} failed: ${batchError.message}`, 'error');
+          if (batchError.status === 402) {
+            budgetStop = batchError.message;
+            break;
+          }
+          if (batchError instanceof RetryLaterError) {
+            quotaStop = batchError.message;
+            break;
+          }
+          if (batchError.status === 401) {
+            keyRejected = batchError.message;
+            break;
+          }
+          const reason = isTransientError(batchError) ? 'giving up after retries' : 'not retryable';
+          addLog(`❌ Batch ${i + 1} failed (${reason}): ${batchError.message}`, 'error');
           
           // Create mock data for failed batch to continue processing
           const mockBatch = batch.map(contact => ({
@@ -159,81 +408,530 @@ const ApolloEnrichmentStudio = () => {
             title: null,
             company: null,
             enrichmentStatus: 'failed',
-            qualityScore: 0
-          }));
-          
-          setEnrichedData(prev => [...prev, ...mockBatch]);
-          setStats(prev => ({
-            ...prev,
-            processed: prev.processed + batch.length,
-            failed: prev.failed + batch.length
+            enrichmentError: batchError.message,
+            confidence: 'none',
+            dataCompleteness: 0
           }));
+          rows = fanOutResults(mockBatch, run.fanOut, run.contacts, offset);
+          delta = { processed: rows.length, successful: 0, failed: rows.length, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 };
         }
 
+        run = {
+          ...run,
+          status: 'running',
+          nextBatch: i + 1,
+          stats: Object.fromEntries(Object.keys(delta).map(key => [key, (run.stats[key] || 0) + delta[key]]))
+        };
+        await persist(() => checkpointBatch(run, i, rows));
+
+        let shown = delta;
+        if (replacing) {
+          // Put each result back where its row was, and count only the change
+          const targets = run.replaceIndices.slice(offset, offset + rows.length);
+          const before = run.replacedStatuses.slice(offset, offset + rows.length);
+          setEnrichedData(prev => {
+            const next = [...prev];
+            targets.forEach((target, j) => { next[target] = rows[j]; });
+            return next;
+          });
+          shown = {
+            ...delta,
+            processed: 0,
+            successful: delta.successful - before.filter(status => status === 'success').length,
+            failed: delta.failed - before.filter(status => status === 'failed').length
+          };
+        } else {
+          setEnrichedData(prev => [...prev, ...rows]);
+        }
+        setStats(prev => ({
+          ...prev,
+          ...Object.fromEntries(Object.keys(shown).map(key => [key, prev[key] + shown[key]]))
+        }));
         setProgress(((i + 1) / batches) * 100);
         
         // Add delay between batches to avoid rate limiting
         if (i < batches - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          await controller.sleep(1000);
         }
       }
 
-      if (!isPaused) {
-        addLog(`✅ Enrichment completed! Processed ${csvData.length} contacts`, 'success');
+      if (budgetStop) {
+        const stopped = { ...run, status: 'paused', budgetStop };
+        await persist(() => saveRun(stopped));
+        if (!replacing) setResumableRun({ ...stopped, inSession: true });
+        addLog(`💳 ${budgetStop}. Stopped after ${run.nextBatch}/${batches} batches; raise the cap and continue`, 'warning');
+      } else if (quotaStop) {
+        const stopped = { ...run, status: 'paused', quotaStop };
+        await persist(() => saveRun(stopped));
+        if (!replacing) setResumableRun({ ...stopped, inSession: true });
+        addLog(`⏳ ${quotaStop}. Stopped after ${run.nextBatch}/${batches} batches; continue once the quota resets`, 'warning');
+      } else if (keyRejected) {
+        await persist(() => saveRun({ ...run, status: 'failed' }));
+        addLog(`❌ ${keyRejected}. Run stopped after ${run.nextBatch}/${batches} batches`, 'error');
+      } else if (controller.isCancelled) {
+        await persist(() => saveRun({ ...run, status: 'cancelled' }));
+        addLog(`⏹️ Enrichment cancelled after ${run.nextBatch}/${batches} batches`, 'warning');
+      } else {
+        await persist(() => saveRun({ ...run, status: 'completed' }));
+        addLog(`✅ Enrichment completed! Processed ${run.contacts.length} ${run.mode === 'organizations' ? 'companies' : 'contacts'}`, 'success');
       }
     } catch (error) {
       addLog(`❌ Enrichment failed: ${error.message}`, 'error');
     } finally {
+      enrichmentController.current = null;
+      logRun.current = null;
+      // Webhook events are sent in the background; show what went out so far
+      setWebhookRefresh(prev => prev + 1);
       setIsEnriching(false);
       setIsPaused(false);
     }
   };
 
-  const pauseEnrichment = () => {
-    setIsPaused(!isPaused);
-    addLog(isPaused ? '▶️ Resuming enrichment' : '⏸️ Pausing enrichment', 'info');
+  // Options sent with every batch of a run
+  const runSettings = () => ({
+    waterfall,
+    requiredFields,
+    forceRefresh,
+    completenessWeights: completenessWeights[enrichmentMode],
+    providers: Object.fromEntries(waterfall.map(name => [name, enrichmentSettings[name] || {}]))
+  });
+
+  // Caps sent with every batch of a run, read from the inputs when the
+  // run starts or continues
+  const runBudget = (runId) => ({
+    runId,
+    maxRunCredits: parseCap(creditCaps.perRun),
+    maxDailyCredits: parseCap(creditCaps.perDay)
+  });
+
+  // Pre-flight: price the run with the server's dry run, which checks the
+  // profile, options and every row and reads the cache, but never calls
+  // a provider
+  const dryRunEnrichment = async () => {
+    if (!profile || csvData.length === 0) {
+      addLog('⚠️ Please choose an API key profile and upload data', 'warning');
+      return;
+    }
+
+    const plan = planEnrichment(csvData, duplicateGroups, duplicateResolutions, isReady);
+    const requests = plan.requests.map(toEnrichmentInput);
+    if (requests.length === 0) {
+      addLog(`⚠️ None of the loaded ${recordNoun} are ready for enrichment`, 'warning');
+      return;
+    }
+
+    setIsEstimating(true);
+    try {
+      let cacheHits = 0;
+      let perRecord = 1;
+      let budget = null;
+      for (let offset = 0; offset < requests.length; offset += DRY_RUN_BATCH) {
+        const response = await fetch('/.netlify/functions/enrich', {
+          method: 'POST',
+          headers: accessHeaders(accessToken),
+          body: JSON.stringify({
+            profile,
+            mode: enrichmentMode,
+            [isOrganizationMode ? 'companies' : 'contacts']: requests.slice(offset, offset + DRY_RUN_BATCH),
+            options: runSettings(),
+            budget: { maxDailyCredits: parseCap(creditCaps.perDay) },
+            dryRun: true
+          })
+        });
+        if (!response.ok) {
+          throw await errorFromResponse(response);
+        }
+        const body = await response.json();
+        cacheHits += body.estimate.cacheHits;
+        perRecord = body.estimate.perRecord;
+        budget = body.budget;
+      }
+
+      const caps = { perRun: parseCap(creditCaps.perRun), perDay: budget.perDay };
+      const priced = estimateCredits({ records: requests.length, cacheHits, perRecord });
+      const next = {
+        ...priced,
+        ready: inputCounts.ready,
+        caps,
+        usedToday: budget.used.day,
+        exceeded: exceededCap(priced.credits, caps, { run: 0, day: budget.used.day })
+      };
+      setEstimate(next);
+      addLog(`🧮 Dry run passed: ${next.records} ${recordNoun} after dedupe, ${next.cacheHits} cached, about ${next.credits} credits`, 'info');
+      if (next.exceeded) {
+        addLog(`⚠️ The run would pass the ${next.exceeded.limit === 'run' ? 'per-run' : 'daily'} cap of ${next.exceeded.cap} credits and stop there`, 'warning');
+      }
+    } catch (error) {
+      setEstimate(null);
+      addLog(`❌ Dry run failed: ${error.message}`, 'error');
+    } finally {
+      setIsEstimating(false);
+    }
   };
 
-  const exportData = () => {
-    if (enrichedData.length === 0) {
-      addLog('⚠️ No enriched data to export', 'warning');
+  const enrichContacts = async () => {
+    if (!profile || csvData.length === 0) {
+      addLog('⚠️ Please choose an API key profile and upload data', 'warning');
       return;
     }
 
-    const headers = ['firstName', 'lastName', 'email', 'domain', 'title', 'company', 'linkedinUrl', 'workEmail', 'personalEmail', 'directPhone', 'mobilePhone', 'industry', 'location', 'qualityScore', 'enrichmentStatus'];
-    const csvContent = [
-      headers.join(','),
-      ...enrichedData.map(row => 
-        headers.map(header => {
-          const value = row[header] || '';
-          return typeof value === 'string' && value.includes(',') ? `"${value}"` : value;
-        }).join(',')
-      )
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `apollo_enriched_${new Date().toISOString().split('T')[0]}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    addLog(`📁 Exported ${enrichedData.length} enriched contacts`, 'success');
+    if (inputCounts.ready === 0) {
+      addLog(`⚠️ None of the loaded ${recordNoun} are ready for enrichment`, 'warning');
+      return;
+    }
+
+    setEnrichedData([]);
+    setProgress(0);
+    setCurrentBatch(0);
+    setResumableRun(null);
+    setStats(prev => ({ ...prev, processed: 0, successful: 0, failed: 0 }));
+
+    // Only ready rows are sent, and only one request per duplicate group
+    // unless the group is kept
+    const plan = planEnrichment(csvData, duplicateGroups, duplicateResolutions, isReady);
+    const requests = plan.requests.map(toEnrichmentInput);
+    const { fanOut } = plan;
+    const run = {
+      id: createRunId(),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      contacts: csvData,
+      sourceHeaders,
+      requests,
+      fanOut,
+      profile,
+      mode: enrichmentMode,
+      batchSize,
+      retryAttempts,
+      settings: runSettings(),
+      nextBatch: 0,
+      stats: { processed: 0, successful: 0, failed: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 }
+    };
+    run.budget = runBudget(run.id);
+    logRun.current = { id: run.id, persist: true };
+
+    addLog(`🚀 Starting enrichment of ${inputCounts.ready} ${recordNoun} in ${Math.ceil(requests.length / batchSize)} batches`, 'info');
+    if (inputCounts.ready < csvData.length) {
+      addLog(`⏭️ Skipping ${csvData.length - inputCounts.ready} rows that are not ready`, 'info');
+    }
+    if (requests.length < inputCounts.ready) {
+      addLog(`🧬 Deduplicated to ${requests.length} unique ${recordNoun}`, 'info');
+    }
+
+    try {
+      // Only the latest run is kept for resuming; its log so far is kept with it
+      await pruneRuns(run.id);
+      await startRun(run);
+    } catch (error) {
+      addLog(`⚠️ Run will not be resumable after a reload: ${error.message}`, 'warning');
+    }
+
+    await runBatches(run);
+  };
+
+  // Enrich the selected result rows again, bypassing the cache, and put
+  // the new results in their place
+  const reenrichSelected = async () => {
+    const indices = [...selectedRows].sort((a, b) => a - b).filter(index => enrichedData[index] && isReady(enrichedData[index]));
+    if (!profile || indices.length === 0) {
+      addLog('⚠️ Please choose an API key profile and select rows that can be enriched', 'warning');
+      return;
+    }
+
+    const contacts = indices.map(index => toInputRow(enrichedData[index]));
+    const run = {
+      id: createRunId(),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      contacts,
+      sourceHeaders,
+      requests: contacts.map(toEnrichmentInput),
+      fanOut: contacts.map((contact, i) => [i]),
+      replaceIndices: indices,
+      replacedStatuses: indices.map(index => enrichedData[index].enrichmentStatus),
+      profile,
+      mode: resultMode,
+      batchSize,
+      retryAttempts,
+      settings: { ...runSettings(), forceRefresh: true },
+      nextBatch: 0,
+      stats: { processed: 0, successful: 0, failed: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 }
+    };
+    run.budget = runBudget(run.id);
+    logRun.current = { id: run.id, persist: false };
+
+    addLog(`🔁 Re-enriching ${indices.length} selected ${recordNoun} without the cache`, 'info');
+    await runBatches(run);
+  };
+
+  // Continue a run that was interrupted by a reload or closed tab, or
+  // stopped at a credit cap. Caps are re-read, so a raised cap applies.
+  const resumeInterruptedRun = async () => {
+    const { inSession, budgetStop, quotaStop, ...saved } = resumableRun;
+    const run = { ...saved, budget: runBudget(saved.id) };
+
+    // A run stopped in this session still has its rows and stats on screen
+    if (inSession) {
+      setResumableRun(null);
+      logRun.current = { id: run.id, persist: true };
+      addLog(`▶️ Continuing run from batch ${run.nextBatch + 1}`, 'info');
+      await runBatches(run);
+      return;
+    }
+
+    try {
+      const rows = await loadRunRows(run.id);
+      const history = await loadRunLog(run.id);
+      setResumableRun(null);
+      setLogs(prev => [...history, ...prev].slice(-MAX_LOG_ENTRIES));
+      logRun.current = { id: run.id, persist: true };
+      setEnrichmentMode(run.mode || 'people');
+      setCsvData(run.contacts);
+      setSourceHeaders(run.sourceHeaders);
+      setImportReport(null);
+      setEnrichedData(rows);
+      setStats(prev => ({
+        ...prev,
+        processed: run.stats.processed,
+        successful: run.stats.successful,
+        failed: run.stats.failed,
+        apiCalls: prev.apiCalls + run.stats.apiCalls,
+        creditsUsed: prev.creditsUsed + run.stats.creditsUsed,
+        creditsSaved: prev.creditsSaved + (run.stats.creditsSaved || 0)
+      }));
+      addLog(`▶️ Continuing interrupted run from batch ${run.nextBatch + 1}`, 'info');
+      await runBatches(run);
+    } catch (error) {
+      addLog(`❌ Could not restore run: ${error.message}`, 'error');
+    }
+  };
+
+  const discardInterruptedRun = async () => {
+    setResumableRun(null);
+    try {
+      await pruneRuns();
+      addLog('🗑️ Discarded interrupted run', 'info');
+    } catch (error) {
+      addLog(`⚠️ Could not discard run: ${error.message}`, 'warning');
+    }
+  };
+
+  const uploadExclusionList = async (file) => {
+    try {
+      const contacts = readExclusionList(await readImportFile(file));
+      setExclusionList({ fileName: file.name, contacts });
+      addLog(`🚫 Excluding ${contacts.length} existing contacts from ${file.name}`, 'info');
+    } catch (error) {
+      addLog(`❌ Error reading ${file.name}: ${error.message}`, 'error');
+    }
+  };
+
+  // Search the target accounts for people matching the persona filters,
+  // PROSPECT_DOMAIN_BATCH domains per request
+  const findProspects = async () => {
+    if (!profile || csvData.length === 0) {
+      addLog('⚠️ Please choose an API key profile and upload target accounts', 'warning');
+      return;
+    }
+
+    const filters = buildFilters(prospectFilters);
+    if (Object.keys(filters).length === 0) {
+      addLog('⚠️ Choose at least one title, seniority, department or location', 'warning');
+      return;
+    }
+
+    const domains = targetDomains(csvData.filter(isReady));
+    if (domains.length === 0) {
+      addLog('⚠️ None of the loaded accounts have a usable domain', 'warning');
+      return;
+    }
+    const batches = Math.ceil(domains.length / PROSPECT_DOMAIN_BATCH);
+    const controller = createRunController();
+    enrichmentController.current = controller;
+
+    setIsEnriching(true);
+    setIsPaused(false);
+    setProspects([]);
+    setProspectAccounts([]);
+    setProgress(0);
+    setCurrentBatch(0);
+    setTotalBatches(batches);
+    addLog(`🎯 Searching ${domains.length} accounts for matching people`, 'info');
+
+    let found = 0;
+    let excluded = 0;
+
+    try {
+      for (let i = 0; i < batches; i++) {
+        const proceed = await controller.checkpoint(() => addLog('⏸️ Prospecting paused', 'warning'));
+        if (!proceed) break;
+
+        const batch = domains.slice(i * PROSPECT_DOMAIN_BATCH, (i + 1) * PROSPECT_DOMAIN_BATCH);
+        setCurrentBatch(i + 1);
+
+        try {
+          const result = await withRetries(async () => {
+            const response = await fetch('/.netlify/functions/prospect', {
+              method: 'POST',
+              headers: accessHeaders(accessToken),
+              body: JSON.stringify({ profile, domains: batch, filters, perAccountLimit })
+            });
+
+            if (!response.ok) {
+              throw await errorFromResponse(response);
+            }
+
+            const body = await response.json();
+            if (!body.success) {
+              throw new EnrichmentRequestError(body.message || 'Unknown error');
+            }
+            return body;
+          }, {
+            attempts: retryAttempts,
+            sleep: (ms) => controller.sleep(ms),
+            onRetry: (error, attempt, delay) => {
+              addLog(`⚠️ Search batch ${i + 1} attempt ${attempt}/${retryAttempts} failed: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s`, 'warning');
+            }
+          });
+
+          const { kept, excluded: known } = excludeExisting(result.data, exclusionList?.contacts || []);
+          const excludedByDomain = known.reduce((counts, person) => ({
+            ...counts,
+            [person.targetDomain]: (counts[person.targetDomain] || 0) + 1
+          }), {});
+          found += kept.length;
+          excluded += known.length;
+
+          setProspects(prev => [...prev, ...kept]);
+          setProspectAccounts(prev => [...prev, ...result.accounts.map(account => ({
+            ...account,
+            found: account.found - (excludedByDomain[account.domain] || 0),
+            excluded: excludedByDomain[account.domain] || 0
+          }))]);
+          setStats(prev => ({ ...prev, apiCalls: prev.apiCalls + result.stats.apiCallsUsed }));
+          addLog(`✅ Search batch ${i + 1}/${batches}: ${kept.length} people at ${result.stats.accountsWithMatches} accounts`, 'success');
+        } catch (batchError) {
+          addLog(`❌ Search batch ${i + 1} failed: ${batchError.message}`, 'error');
+          // Every later batch would hit the same quota
+          if (batchError instanceof RetryLaterError) break;
+        }
+
+        setProgress(((i + 1) / batches) * 100);
+        if (i < batches - 1) {
+          await controller.sleep(1000);
+        }
+      }
+
+      if (controller.isCancelled) {
+        addLog(`⏹️ Prospecting cancelled with ${found} people found`, 'warning');
+      } else {
+        addLog(`🎯 Found ${found} people at ${domains.length} accounts`, 'success');
+      }
+      if (excluded > 0) {
+        addLog(`🚫 Left out ${excluded} people already in ${exclusionList.fileName}`, 'info');
+      }
+    } finally {
+      enrichmentController.current = null;
+      setIsEnriching(false);
+      setIsPaused(false);
+    }
+  };
+
+  // Hand the people found to people enrichment as a freshly loaded list
+  const enrichProspects = () => {
+    const { contacts, skipped } = prospectsToContacts(prospects);
+    setEnrichmentMode('people');
+    setRequiredFields([]);
+    setCsvData(normalizeRows(contacts, 'people'));
+    setSourceHeaders(PROSPECT_HEADERS);
+    setImportReport(null);
+    setEnrichedData([]);
+    setProgress(0);
+    setProspects([]);
+    setProspectAccounts([]);
+    addLog(`👥 Loaded ${contacts.length} prospects for enrichment; press Start to enrich them`, 'success');
+    if (skipped > 0) {
+      addLog(`⚠️ Skipped ${skipped} people without a full name`, 'warning');
+    }
+  };
+
+  const pauseEnrichment = () => {
+    const controller = enrichmentController.current;
+    if (!controller) return;
+
+    if (controller.isPaused) {
+      controller.resume();
+      setIsPaused(false);
+      addLog('▶️ Resuming enrichment', 'info');
+    } else {
+      controller.pause();
+      setIsPaused(true);
+      addLog('⏸️ Pausing after the current batch', 'info');
+    }
+  };
+
+  const cancelEnrichment = () => {
+    enrichmentController.current?.cancel();
+    addLog('⏹️ Cancelling after the current batch', 'info');
+  };
+
+  const exportData = async ({ columns, rows, format, preset }) => {
+    try {
+      const { data, mimeType, extension } = await buildExport(rows, columns, format);
+      const blob = new Blob([data], { type: mimeType });
+      const link = document.createElement('a');
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', `apollo_enriched_${isOrganizationMode ? 'companies_' : ''}${preset ? `${preset}_` : ''}${new Date().toISOString().split('T')[0]}.${extension}`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setShowExport(false);
+      addLog(`📁 Exported ${rows.length} enriched ${recordNoun} as ${extension.toUpperCase()}${preset ? ` for ${preset}` : ''} (${columns.length} columns)`, 'success');
+    } catch (error) {
+      addLog(`❌ Export failed: ${error.message}`, 'error');
+    }
   };
 
   const loadSampleData = () => {
-    setCsvData(sampleData);
-    addLog(`📊 Loaded ${sampleData.length} sample contacts for testing`, 'info');
+    const samples = isDomainList ? sampleCompanies : sampleData;
+    setCsvData(normalizeRows(samples, enrichmentMode));
+    setImportReport(null);
+    setSourceHeaders([]);
+    addLog(`📊 Loaded ${samples.length} sample ${recordNoun} for testing`, 'info');
+  };
+
+  // Loaded rows only make sense for the mode they were mapped in
+  const switchMode = (mode) => {
+    if (mode === enrichmentMode) return;
+    setEnrichmentMode(mode);
+    setRequiredFields([]);
+    if (csvData.length > 0 || enrichedData.length > 0 || prospects.length > 0) {
+      setCsvData([]);
+      setEnrichedData([]);
+      setProspects([]);
+      setProspectAccounts([]);
+      setImportReport(null);
+      setSourceHeaders([]);
+      setProgress(0);
+      const modeLabel = { people: 'people enrichment', organizations: 'company enrichment', prospecting: 'prospecting' }[mode];
+      addLog(`🔀 Switched to ${modeLabel}; loaded data was cleared`, 'info');
+    }
   };
 
   const clearData = () => {
+    enrichmentController.current?.cancel();
     setCsvData([]);
+    setImportReport(null);
+    setSourceHeaders([]);
     setEnrichedData([]);
+    setProspects([]);
+    setProspectAccounts([]);
     setProgress(0);
-    setStats({ processed: 0, successful: 0, failed: 0, qualityScore: 0, duplicates: 0, apiCalls: 0, creditsUsed: 0 });
+    setStats({ processed: 0, successful: 0, failed: 0, duplicates: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 });
     setLogs([]);
     addLog('🗑️ Cleared all data', 'info');
   };
@@ -253,6 +951,40 @@ const ApolloEnrichmentStudio = () => {
 
   return (
     <div className={`min-h-screen ${theme} transition-all duration-500`}>
+      {pendingImport && (
+        <ColumnMappingWizard
+          key={pendingImport.sheetName}
+          isDark={isDark}
+          pendingImport={pendingImport}
+          onConfirm={confirmImport}
+          onCancel={cancelImport}
+          onSheetChange={changeSheet}
+        />
+      )}
+
+      {selectedRecord !== null && enrichedData[selectedRecord] && (
+        <RecordDetailDrawer
+          isDark={isDark}
+          record={enrichedData[selectedRecord]}
+          mode={isOrganizationMode ? 'organizations' : 'people'}
+          diff={differ?.diff(enrichedData[selectedRecord])}
+          onClose={() => setSelectedRecord(null)}
+        />
+      )}
+
+      {showExport && (
+        <ExportDialog
+          isDark={isDark}
+          rows={selectedRows.size > 0 ? selectedResults : enrichedData}
+          selectionOnly={selectedRows.size > 0}
+          mode={isOrganizationMode ? 'organizations' : 'people'}
+          sourceHeaders={sourceHeaders}
+          differ={differ}
+          onExport={exportData}
+          onCancel={() => setShowExport(false)}
+        />
+      )}
+
       {/* Header */}
       <div className={`border-b ${isDark ? 'border-slate-700/30' : 'border-gray-300/30'} backdrop-blur-md ${isDark ? 'bg-black/10' : 'bg-white/10'}`}>
         <div className="container mx-auto px-6 py-6">
@@ -299,14 +1031,52 @@ const ApolloEnrichmentStudio = () => {
             
             <div className="space-y-6">
               <div>
-                <label className="block text-sm font-medium mb-3">Apollo API Key</label>
-                <input
-                  type="password"
-                  value={apiKey}
-                  onChange={(e) => setApiKey(e.target.value)}
-                  placeholder="Enter your Apollo API key..."
+                <label className="block text-sm font-medium mb-3">Apollo API Key Profile</label>
+                <select
+                  value={profile}
+                  onChange={(e) => setProfile(e.target.value)}
+                  disabled={!profiles || profiles.length === 0 || isEnriching}
                   className={`w-full p-4 rounded-xl border ${inputBg} focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all`}
-                />
+                >
+                  {!profiles && <option value="">Loading profiles...</option>}
+                  {profiles && profiles.length === 0 && <option value="">{accessToken ? 'No profiles configured' : 'Locked'}</option>}
+                  {profiles && profiles.map(option => (
+                    <option key={option.name} value={option.name}>{option.label}</option>
+                  ))}
+                </select>
+                {!accessToken ? (
+                  <div className="mt-3 space-y-2">
+                    <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                      Enter the access token set as <code>STUDIO_ACCESS_TOKEN</code> on the server to use its API key profiles. It is kept for this tab only.
+                    </p>
+                    <div className="flex space-x-2">
+                      <input
+                        type="password"
+                        value={accessTokenInput}
+                        onChange={(e) => setAccessTokenInput(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter' && accessTokenInput.trim()) unlockProfiles(); }}
+                        placeholder="Access token"
+                        autoComplete="off"
+                        className={`flex-1 px-3 py-2 rounded-lg border ${inputBg} text-sm`}
+                      />
+                      <button
+                        onClick={unlockProfiles}
+                        disabled={!accessTokenInput.trim()}
+                        className="flex items-center space-x-1 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium disabled:opacity-50"
+                      >
+                        <Lock className="w-4 h-4" />
+                        <span>Unlock</span>
+                      </button>
+                    </div>
+                    {accessError && <p className="text-xs text-red-400">{accessError}</p>}
+                  </div>
+                ) : accessError ? (
+                  <p className="text-xs mt-2 text-red-400">{accessError}</p>
+                ) : profiles && profiles.length === 0 && (
+                  <p className={`text-xs mt-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Set <code>APOLLO_API_KEY</code> or <code>APOLLO_API_KEY_&lt;NAME&gt;</code> on the server to add a profile.
+                  </p>
+                )}
               </div>
 
               <div className="grid grid-cols-2 gap-4">
@@ -336,27 +1106,227 @@ const ApolloEnrichmentStudio = () => {
                 </div>
               </div>
               
-              <div>
-                <label className="block text-sm font-medium mb-3">Enrichment Options</label>
-                <div className="space-y-2">
-                  {[
-                    { key: 'revealPersonalEmails', label: 'Reveal Personal Emails' },
-                    { key: 'revealPhoneNumbers', label: 'Reveal Phone Numbers' },
-                    { key: 'includeSocialProfiles', label: 'Include Social Profiles' },
-                    { key: 'includeEmploymentHistory', label: 'Include Employment History' }
-                  ].map(option => (
-                    <label key={option.key} className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={enrichmentSettings[option.key]}
-                        onChange={(e) => setEnrichmentSettings(prev => ({ ...prev, [option.key]: e.target.checked }))}
-                        className="rounded text-blue-500 focus:ring-blue-500"
-                      />
-                      <span className="text-sm">{option.label}</span>
-                    </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={forceRefresh}
+                  onChange={(e) => setForceRefresh(e.target.checked)}
+                  disabled={isEnriching}
+                  className="rounded text-blue-500 focus:ring-blue-500"
+                />
+                <span className="text-sm">Force refresh (ignore cached results for this run)</span>
+              </label>
+
+              {enrichmentMode === 'people' && (
+                <div>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={diffMode}
+                      onChange={(e) => setDiffMode(e.target.checked)}
+                      className="rounded text-blue-500 focus:ring-blue-500"
+                    />
+                    <span className="text-sm">Diff mode (compare results with the uploaded values)</span>
+                  </label>
+                  {diffMode && (sourceHeaders.length > 0 ? (
+                    <div className="grid grid-cols-2 gap-2 mt-3 ml-6">
+                      {DIFF_COLUMN_KEYS.map(key => (
+                        <label key={key} className="text-xs">
+                          <span className="block mb-1">{DIFF_FIELDS.find(field => field.key === key)?.label || 'Record ID'}</span>
+                          <select
+                            value={diffColumns[key]}
+                            onChange={(e) => setDiffColumns(prev => ({ ...prev, [key]: e.target.value }))}
+                            className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+                          >
+                            <option value="">Not in file</option>
+                            {sourceHeaders.map(header => (
+                              <option key={header} value={header}>{header}</option>
+                            ))}
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className={`text-xs mt-2 ml-6 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                      Upload a file to choose the columns holding the current values.
+                    </p>
                   ))}
                 </div>
-              </div>
+              )}
+
+              {!isProspectingMode && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">Credit Budget</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {[['perRun', 'Per run'], ['perDay', 'Per day']].map(([key, label]) => (
+                      <label key={key} className="text-xs">
+                        <span className="block mb-1">{label}</span>
+                        <input
+                          type="number"
+                          min={0}
+                          value={creditCaps[key]}
+                          onChange={(e) => setCreditCaps(prev => ({ ...prev, [key]: e.target.value }))}
+                          placeholder="No cap"
+                          disabled={isEnriching}
+                          className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    onClick={dryRunEnrichment}
+                    disabled={csvData.length === 0 || !profile || isEnriching || isEstimating}
+                    className={`mt-3 w-full flex items-center justify-center space-x-2 p-2 rounded-lg text-sm ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'} disabled:opacity-50 transition-colors`}
+                  >
+                    <Calculator className="w-4 h-4" />
+                    <span>{isEstimating ? 'Checking…' : 'Dry Run'}</span>
+                  </button>
+                  {estimate && (
+                    <div className={`mt-3 p-3 rounded-lg text-xs space-y-1 ${isDark ? 'bg-slate-700/30' : 'bg-gray-50'}`}>
+                      <div>{estimate.ready} ready · {estimate.records} after dedupe · {estimate.cacheHits} cached</div>
+                      <div className="font-medium">
+                        {estimate.billable} × {estimate.perRecord} credits = about {estimate.credits} credits
+                      </div>
+                      <div className={isDark ? 'text-gray-400' : 'text-gray-600'}>
+                        {estimate.usedToday} used today{estimate.caps.perDay !== null ? ` of ${estimate.caps.perDay}` : ''}
+                      </div>
+                      {estimate.exceeded && (
+                        <div className="text-yellow-400">
+                          Over the {estimate.exceeded.limit === 'run' ? 'per-run' : 'daily'} cap of {estimate.exceeded.cap}; the run will stop there and can be continued later
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {!isProspectingMode && (
+                <div>
+                  <label className="block text-sm font-medium mb-3">Provider Waterfall</label>
+                  <div className="space-y-3">
+                    {providers.filter(provider => !provider.modes || provider.modes.includes(enrichmentMode)).sort((a, b) => {
+                      const rank = name => (waterfall.includes(name) ? waterfall.indexOf(name) : waterfall.length);
+                      return rank(a.name) - rank(b.name);
+                    }).map(provider => {
+                      const position = waterfall.indexOf(provider.name);
+                      const enabled = position !== -1;
+                      const available = !profiles || profiles.some(option => option.name === profile && option.providers.includes(provider.name));
+                      return (
+                        <div key={provider.name} className={`p-3 rounded-lg border ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                          <div className="flex items-center justify-between">
+                            <label className="flex items-center space-x-2">
+                              <input
+                                type="checkbox"
+                                checked={enabled}
+                                disabled={isEnriching || (enabled && waterfall.length === 1)}
+                                onChange={(e) => setWaterfall(prev => (e.target.checked
+                                  ? [...prev, provider.name]
+                                  : prev.filter(name => name !== provider.name)))}
+                                className="rounded text-blue-500 focus:ring-blue-500"
+                              />
+                              <span className="text-sm font-medium">
+                                {enabled && `${position + 1}. `}{provider.label}
+                              </span>
+                              {!available && (
+                                <span className="text-xs text-yellow-400">no key in this profile</span>
+                              )}
+                            </label>
+                            {position > 0 && (
+                              <button
+                                onClick={() => setWaterfall(prev => {
+                                  const next = [...prev];
+                                  [next[position - 1], next[position]] = [next[position], next[position - 1]];
+                                  return next;
+                                })}
+                                disabled={isEnriching}
+                                title="Try this provider earlier"
+                                className={`p-1 rounded ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                              >
+                                <ChevronUp className="w-4 h-4" />
+                              </button>
+                            )}
+                          </div>
+                          {enabled && (
+                            <div className="mt-2 ml-6 space-y-2">
+                              {provider.settings.map(option => (
+                                <label key={option.key} className="flex items-center space-x-2">
+                                  <input
+                                    type="checkbox"
+                                    checked={Boolean(enrichmentSettings[provider.name]?.[option.key])}
+                                    onChange={(e) => setEnrichmentSettings(prev => ({
+                                      ...prev,
+                                      [provider.name]: { ...prev[provider.name], [option.key]: e.target.checked }
+                                    }))}
+                                    className="rounded text-blue-500 focus:ring-blue-500"
+                                  />
+                                  <span className="text-sm">{option.label}</span>
+                                </label>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {waterfallFields[enrichmentMode]?.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">Fall Back When Missing</label>
+                  <p className={`text-xs mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Failed contacts always go to the next provider. Contacts missing any selected field do too.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {waterfallFields[enrichmentMode].map(field => {
+                      const selected = requiredFields.includes(field);
+                      return (
+                        <button
+                          key={field}
+                          onClick={() => setRequiredFields(prev => (selected
+                            ? prev.filter(name => name !== field)
+                            : [...prev, field]))}
+                          disabled={isEnriching}
+                          className={`px-3 py-1 rounded-full text-xs border transition-all ${
+                            selected
+                              ? 'bg-blue-500/20 border-blue-500 text-blue-400'
+                              : isDark ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-600'
+                          }`}
+                        >
+                          {field}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {!isProspectingMode && (
+                <details>
+                  <summary className="text-sm font-medium cursor-pointer">Completeness Weights</summary>
+                  <p className={`text-xs my-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Points per filled field. Completeness is the filled share of the total.
+                  </p>
+                  <div className="grid grid-cols-2 gap-2">
+                    {Object.entries(completenessWeights[enrichmentMode]).map(([field, weight]) => (
+                      <label key={field} className="flex items-center justify-between space-x-2 text-xs">
+                        <span>{COMPLETENESS_FIELD_LABELS[field] || field}</span>
+                        <input
+                          type="number"
+                          min={0}
+                          value={weight}
+                          onChange={(e) => setCompletenessWeights(prev => ({
+                            ...prev,
+                            [enrichmentMode]: { ...prev[enrichmentMode], [field]: Math.max(0, Number(e.target.value) || 0) }
+                          }))}
+                          disabled={isEnriching}
+                          className={`w-16 p-1 rounded border ${inputBg} focus:outline-none`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </details>
+              )}
             </div>
           </div>
 
@@ -376,12 +1346,16 @@ const ApolloEnrichmentStudio = () => {
               <div className="space-y-4">
                 <div className="flex justify-between items-center">
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Ready</span>
-                  <span className="font-semibold text-blue-400">{csvData.length}</span>
+                  <span className="font-semibold text-blue-400">{inputCounts.ready}</span>
                 </div>
                 <div className="flex justify-between items-center">
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Total</span>
                   <span className="font-semibold">{csvData.length}</span>
                 </div>
+                <div className="flex justify-between items-center">
+                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Duplicates</span>
+                  <span className="font-semibold text-yellow-400">{stats.duplicates}</span>
+                </div>
                 <div className="flex justify-between items-center">
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Success</span>
                   <span className="font-semibold text-green-400">{stats.successful}</span>
@@ -394,10 +1368,12 @@ const ApolloEnrichmentStudio = () => {
               
               <div className="space-y-4">
                 <div className="flex justify-between items-center">
-                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Quality Score</span>
-                  <span className="font-semibold text-purple-400">
-                    {stats.successful > 0 ? Math.round((stats.successful / (stats.successful + stats.failed)) * 100) : 0}%
-                  </span>
+                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Match Rate</span>
+                  <span className="font-semibold text-purple-400">{scores.matchRate}%</span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Avg Completeness</span>
+                  <span className="font-semibold text-blue-400">{scores.averageCompleteness}%</span>
                 </div>
                 <div className="flex justify-between items-center">
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>API Calls</span>
@@ -407,6 +1383,10 @@ const ApolloEnrichmentStudio = () => {
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Credits Used</span>
                   <span className="font-semibold text-orange-400">{stats.creditsUsed}</span>
                 </div>
+                <div className="flex justify-between items-center">
+                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Credits Saved</span>
+                  <span className="font-semibold text-green-400">{stats.creditsSaved}</span>
+                </div>
                 <div className="flex justify-between items-center">
                   <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Progress</span>
                   <span className="font-semibold text-blue-400">{Math.round(progress)}%</span>
@@ -414,6 +1394,30 @@ const ApolloEnrichmentStudio = () => {
               </div>
             </div>
 
+            {/* Match confidence and email grades of the matched records */}
+            {enrichedData.length > 0 && !isProspectingMode && (
+              <div className={`grid grid-cols-2 gap-4 mb-6 pt-4 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                <div>
+                  <div className={`text-xs mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Match Confidence</div>
+                  <div className="flex space-x-3 text-sm">
+                    <span className="text-green-400" title={isOrganizationMode ? 'Matched the primary domain' : 'Matched on email'}>{scores.confidence.high} high</span>
+                    <span className="text-yellow-400" title={isOrganizationMode ? 'Matched the website URL' : 'Matched on name and domain'}>{scores.confidence.medium} medium</span>
+                    <span className="text-orange-400" title="Matched on name only">{scores.confidence.low} low</span>
+                  </div>
+                </div>
+                {!isOrganizationMode && (
+                  <div>
+                    <div className={`text-xs mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Work Emails</div>
+                    <div className="flex space-x-3 text-sm">
+                      <span className="text-green-400">{scores.workEmails.verified} verified</span>
+                      <span className="text-yellow-400">{scores.workEmails.guessed} guessed</span>
+                      <span className={isDark ? 'text-gray-400' : 'text-gray-600'}>{scores.workEmails.unavailable} unavailable</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Progress Bar */}
             {isEnriching && (
               <div className="mb-4">
@@ -434,11 +1438,67 @@ const ApolloEnrichmentStudio = () => {
 
         {/* Data Upload Section */}
         <div className={`${cardBg} border rounded-2xl p-6 shadow-xl mb-8`}>
-          <div className="flex items-center space-x-2 mb-6">
-            <Database className="w-5 h-5 text-green-400" />
-            <h2 className="text-xl font-semibold">Data Upload</h2>
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center space-x-2">
+              <Database className="w-5 h-5 text-green-400" />
+              <h2 className="text-xl font-semibold">Data Upload</h2>
+            </div>
+            <div className={`flex p-1 rounded-xl ${isDark ? 'bg-slate-700/50' : 'bg-gray-100'}`}>
+              {[
+                { key: 'people', label: 'People', icon: Users },
+                { key: 'organizations', label: 'Companies', icon: Building2 },
+                { key: 'prospecting', label: 'Prospect', icon: Target }
+              ].map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => switchMode(option.key)}
+                  disabled={isEnriching}
+                  className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm transition-all disabled:cursor-not-allowed ${
+                    enrichmentMode === option.key
+                      ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow'
+                      : isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <option.icon className="w-4 h-4" />
+                  <span>{option.label}</span>
+                </button>
+              ))}
+            </div>
           </div>
 
+          {/* Interrupted Run */}
+          {resumableRun && !isEnriching && (
+            <div className={`mb-6 p-4 rounded-xl flex flex-col md:flex-row md:items-center justify-between gap-4 ${isDark ? 'bg-blue-900/20 border border-blue-500/20' : 'bg-blue-50 border border-blue-200'}`}>
+              <div className="flex items-start space-x-3">
+                <History className="w-5 h-5 text-blue-400 mt-0.5" />
+                <div className="text-sm">
+                  <div className="font-medium">
+                    {resumableRun.budgetStop ? 'Run stopped at its credit cap' : resumableRun.quotaStop ? 'Run stopped until the Apollo quota resets' : 'Interrupted run found'}
+                  </div>
+                  {(resumableRun.budgetStop || resumableRun.quotaStop) && <div className="text-yellow-400">{resumableRun.budgetStop || resumableRun.quotaStop}</div>}
+                  <div className={isDark ? 'text-gray-400' : 'text-gray-600'}>
+                    Started {new Date(resumableRun.createdAt).toLocaleString()} · {resumableRun.nextBatch}/{Math.ceil(resumableRun.requests.length / resumableRun.batchSize)} batches finished · {resumableRun.contacts.length} {resumableRun.mode === 'organizations' ? 'companies' : 'contacts'}
+                  </div>
+                </div>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={resumeInterruptedRun}
+                  className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed"
+                >
+                  <Play className="w-4 h-4" />
+                  <span>Continue</span>
+                </button>
+                <button
+                  onClick={discardInterruptedRun}
+                  className={`px-4 py-2 rounded-xl ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Upload Area */}
             <div>
@@ -446,7 +1506,7 @@ const ApolloEnrichmentStudio = () => {
                 type="file"
                 ref={fileInputRef}
                 onChange={handleFileUpload}
-                accept=".csv"
+                accept={ACCEPTED_EXTENSIONS}
                 className="hidden"
               />
               <button
@@ -455,12 +1515,34 @@ const ApolloEnrichmentStudio = () => {
               >
                 <Upload className="w-10 h-10 text-blue-400" />
                 <div className="text-center">
-                  <p className="font-semibold">Drop your CSV file here</p>
+                  <p className="font-semibold">Drop your CSV, Excel or JSON file here</p>
                   <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'} mt-1`}>
-                    or click to browse
+                    {isDomainList ? 'One company domain per row · ' : ''}or click to browse
                   </p>
                 </div>
               </button>
+
+              {/* Import Report */}
+              {importReport && importReport.rejected.length > 0 && (
+                <div className={`mt-4 p-4 rounded-xl text-sm ${isDark ? 'bg-yellow-900/20 border border-yellow-500/20' : 'bg-yellow-50 border border-yellow-200'}`}>
+                  <div className="flex items-center space-x-2 font-medium text-yellow-400 mb-2">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{importReport.rejected.length} rows rejected from {importReport.fileName}</span>
+                  </div>
+                  <div className="max-h-32 overflow-y-auto custom-scrollbar space-y-1">
+                    {importReport.rejected.slice(0, 100).map(entry => (
+                      <div key={entry.line} className={`text-xs ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                        <span className="font-mono">{importReport.rowLabel} {entry.line}</span>: {entry.reason}
+                      </div>
+                    ))}
+                    {importReport.rejected.length > 100 && (
+                      <div className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                        …and {importReport.rejected.length - 100} more
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Actions */}
@@ -475,8 +1557,8 @@ const ApolloEnrichmentStudio = () => {
 
               <div className="grid grid-cols-2 gap-3">
                 <button
-                  onClick={isEnriching ? pauseEnrichment : enrichContacts}
-                  disabled={csvData.length === 0 || !apiKey}
+                  onClick={isEnriching ? pauseEnrichment : isProspectingMode ? findProspects : enrichContacts}
+                  disabled={csvData.length === 0 || !profile}
                   className="flex items-center justify-center space-x-2 p-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed shadow-lg hover:shadow-xl transform hover:scale-105 disabled:transform-none"
                 >
                   {isEnriching ? (
@@ -484,11 +1566,11 @@ const ApolloEnrichmentStudio = () => {
                   ) : (
                     <Play className="w-4 h-4" />
                   )}
-                  <span>{isEnriching ? (isPaused ? 'Resume' : 'Pause') : 'Start'}</span>
+                  <span>{isEnriching ? (isPaused ? 'Resume' : 'Pause') : isProspectingMode ? 'Find People' : 'Start'}</span>
                 </button>
 
                 <button
-                  onClick={exportData}
+                  onClick={() => setShowExport(true)}
                   disabled={enrichedData.length === 0}
                   className={`flex items-center justify-center space-x-2 p-3 ${isDark ? 'bg-green-600 hover:bg-green-700' : 'bg-green-500 hover:bg-green-600'} disabled:bg-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed`}
                 >
@@ -497,6 +1579,16 @@ const ApolloEnrichmentStudio = () => {
                 </button>
               </div>
 
+              {isEnriching && (
+                <button
+                  onClick={cancelEnrichment}
+                  className={`flex items-center justify-center space-x-2 p-3 ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'} rounded-xl transition-colors`}
+                >
+                  <Square className="w-4 h-4" />
+                  <span>Cancel Run</span>
+                </button>
+              )}
+
               <button
                 onClick={clearData}
                 className={`flex items-center justify-center space-x-2 p-3 ${isDark ? 'bg-red-600/20 hover:bg-red-600/30 text-red-400' : 'bg-red-50 hover:bg-red-100 text-red-600'} rounded-xl transition-colors`}
@@ -508,6 +1600,30 @@ const ApolloEnrichmentStudio = () => {
           </div>
         </div>
 
+        {/* Prospecting */}
+        {isProspectingMode && (
+          <div className={`${cardBg} border rounded-2xl p-6 shadow-xl mb-8`}>
+            <div className="flex items-center space-x-2 mb-6">
+              <Target className="w-5 h-5 text-pink-400" />
+              <h2 className="text-xl font-semibold">Persona Filters</h2>
+            </div>
+            <ProspectingPanel
+              isDark={isDark}
+              filters={prospectFilters}
+              onFiltersChange={setProspectFilters}
+              perAccountLimit={perAccountLimit}
+              onPerAccountLimitChange={setPerAccountLimit}
+              exclusionList={exclusionList}
+              onExclusionUpload={uploadExclusionList}
+              onExclusionClear={() => setExclusionList(null)}
+              prospects={prospects}
+              accounts={prospectAccounts}
+              onEnrich={enrichProspects}
+              disabled={isEnriching}
+            />
+          </div>
+        )}
+
         {/* Data Tables & Logs */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Original Data */}
@@ -515,28 +1631,26 @@ const ApolloEnrichmentStudio = () => {
             <div className={`${cardBg} border rounded-2xl p-6 shadow-xl`}>
               <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
                 <Filter className="w-5 h-5 text-blue-400" />
-                <span>Original Data ({csvData.length} contacts)</span>
+                <span>Original Data ({csvData.length} {recordNoun}{inputCounts.ready < csvData.length ? `, ${inputCounts.ready} ready` : ''})</span>
               </h3>
-              <div className="max-h-96 overflow-y-auto custom-scrollbar">
-                <table className="w-full text-sm">
-                  <thead className={`sticky top-0 ${isDark ? 'bg-slate-700/50' : 'bg-gray-100/50'} backdrop-blur-sm`}>
-                    <tr>
-                      <th className="text-left p-3 font-medium">Name</th>
-                      <th className="text-left p-3 font-medium">Domain</th>
-                      <th className="text-left p-3 font-medium">Email</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {csvData.map((contact, index) => (
-                      <tr key={index} className={`border-t ${isDark ? 'border-slate-600/30 hover:bg-slate-600/20' : 'border-gray-200/30 hover:bg-gray-50'} transition-colors`}>
-                        <td className="p-3">{contact.firstName} {contact.lastName}</td>
-                        <td className="p-3">{contact.domain}</td>
-                        <td className="p-3 text-xs">{contact.email || '-'}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+              {duplicateGroups.length > 0 && !isProspectingMode && (
+                <DuplicateGroups
+                  isDark={isDark}
+                  groups={duplicateGroups}
+                  contacts={csvData}
+                  resolutions={duplicateResolutions}
+                  onResolutionChange={(groupId, resolution) => setDuplicateResolutions(prev => ({ ...prev, [groupId]: resolution }))}
+                  disabled={isEnriching}
+                />
+              )}
+              <ResultsGrid
+                key={isDomainList ? 'domains' : 'people'}
+                isDark={isDark}
+                rows={csvData}
+                columns={inputColumns}
+                facets={PREVIEW_FACETS}
+                rowHeight={56}
+              />
             </div>
           )}
 
@@ -545,68 +1659,65 @@ const ApolloEnrichmentStudio = () => {
             <div className={`${cardBg} border rounded-2xl p-6 shadow-xl`}>
               <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
                 <CheckCircle className="w-5 h-5 text-green-400" />
-                <span>Enriched Data ({enrichedData.length} contacts)</span>
+                <span>Enriched Data ({enrichedData.length} {recordNoun})</span>
               </h3>
-              <div className="max-h-96 overflow-y-auto custom-scrollbar">
-                <table className="w-full text-sm">
-                  <thead className={`sticky top-0 ${isDark ? 'bg-slate-700/50' : 'bg-gray-100/50'} backdrop-blur-sm`}>
-                    <tr>
-                      <th className="text-left p-3 font-medium">Name</th>
-                      <th className="text-left p-3 font-medium">Title</th>
-                      <th className="text-left p-3 font-medium">Company</th>
-                      <th className="text-left p-3 font-medium">Status</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {enrichedData.map((contact, index) => (
-                      <tr key={index} className={`border-t ${isDark ? 'border-slate-600/30 hover:bg-slate-600/20' : 'border-gray-200/30 hover:bg-gray-50'} transition-colors`}>
-                        <td className="p-3">
-                          <div>{contact.firstName} {contact.lastName}</div>
-                          <div className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>{contact.workEmail || contact.email || 'No email'}</div>
-                        </td>
-                        <td className="p-3">{contact.title || '-'}</td>
-                        <td className="p-3">{contact.company || '-'}</td>
-                        <td className="p-3">
-                          {contact.enrichmentStatus === 'success' ? (
-                            <CheckCircle className="w-4 h-4 text-green-400" />
-                          ) : contact.enrichmentStatus === 'failed' ? (
-                            <XCircle className="w-4 h-4 text-red-400" />
-                          ) : (
-                            <Clock className="w-4 h-4 text-yellow-400" />
-                          )}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+              {diffCounts && (
+                <div className={`text-sm mb-3 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {DIFF_STATUSES.map(status => `${diffCounts[status]} ${status}`).join(' · ')}
+                </div>
+              )}
+              {selectedRows.size > 0 && (
+                <div className={`flex flex-wrap items-center gap-2 mb-3 p-3 rounded-lg ${isDark ? 'bg-blue-900/20 border border-blue-500/20' : 'bg-blue-50 border border-blue-200'}`}>
+                  <span className="text-sm flex-1">{selectedRows.size} selected</span>
+                  <button
+                    onClick={reenrichSelected}
+                    disabled={isEnriching}
+                    className="flex items-center space-x-1 px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm disabled:opacity-50"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                    <span>Re-enrich</span>
+                  </button>
+                  <button
+                    onClick={() => setShowExport(true)}
+                    className="flex items-center space-x-1 px-3 py-1.5 rounded-lg bg-green-500 hover:bg-green-600 text-white text-sm"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>Export</span>
+                  </button>
+                  <button onClick={() => setSelectedRows(new Set())} className={`text-sm px-2 ${isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-blue-400`}>
+                    Clear
+                  </button>
+                </div>
+              )}
+              <ResultsGrid
+                key={differ ? `${resultMode}-diff` : resultMode}
+                isDark={isDark}
+                rows={enrichedData}
+                columns={resultColumns}
+                facets={resultFacets}
+                rowHeight={56}
+                selectable
+                selected={selectedRows}
+                onSelectedChange={setSelectedRows}
+                onRowClick={setSelectedRecord}
+              />
             </div>
           )}
         </div>
 
-        {/* Activity Logs */}
-        {logs.length > 0 && (
-          <div className={`${cardBg} border rounded-2xl p-6 shadow-xl mt-8`}>
-            <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
-              <Clock className="w-5 h-5 text-yellow-400" />
-              <span>Activity Logs</span>
-              <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>({logs.length})</span>
-            </h3>
-            <div className="max-h-64 overflow-y-auto custom-scrollbar space-y-2">
-              {logs.map((log) => (
-                <div key={log.id} className={`text-sm p-3 rounded-lg flex items-start space-x-3 ${
-                  log.type === 'success' ? (isDark ? 'text-green-400 bg-green-900/20 border border-green-500/20' : 'text-green-600 bg-green-50 border border-green-200') :
-                  log.type === 'error' ? (isDark ? 'text-red-400 bg-red-900/20 border border-red-500/20' : 'text-red-600 bg-red-50 border border-red-200') :
-                  log.type === 'warning' ? (isDark ? 'text-yellow-400 bg-yellow-900/20 border border-yellow-500/20' : 'text-yellow-600 bg-yellow-50 border border-yellow-200') :
-                  (isDark ? 'text-blue-400 bg-blue-900/20 border border-blue-500/20' : 'text-blue-600 bg-blue-50 border border-blue-200')
-                }`}>
-                  <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'} mt-0.5 min-w-[60px]`}>{log.timestamp}</span>
-                  <span className="flex-1">{log.message}</span>
-                </div>
-              ))}
-            </div>
+        {/* Webhooks */}
+        <details className={`${cardBg} border rounded-2xl p-6 shadow-xl mt-8`}>
+          <summary className="text-lg font-semibold cursor-pointer flex items-center space-x-2">
+            <Webhook className="w-5 h-5 text-purple-400" />
+            <span>Webhooks</span>
+          </summary>
+          <div className="mt-6">
+            <WebhooksPanel isDark={isDark} refreshKey={webhookRefresh} onLog={addLog} />
           </div>
-        )}
+        </details>
+
+        {/* Activity Logs */}
+        {logs.length > 0 && <ActivityLog isDark={isDark} cardBg={cardBg} logs={logs} />}
       </div>
     </div>
   );
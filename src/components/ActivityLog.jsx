@@ -0,0 +1,91 @@
+import React, { useMemo, useState } from 'react';
+import { Clock, Download } from 'lucide-react';
+import { LOG_WINDOW, logRuns, logsToJsonLines, runLog } from '../utils/activityLog.js';
+
+const entryStyle = (type, isDark) => {
+  if (type === 'success') return isDark ? 'text-green-400 bg-green-900/20 border border-green-500/20' : 'text-green-600 bg-green-50 border border-green-200';
+  if (type === 'error') return isDark ? 'text-red-400 bg-red-900/20 border border-red-500/20' : 'text-red-600 bg-red-50 border border-red-200';
+  if (type === 'warning') return isDark ? 'text-yellow-400 bg-yellow-900/20 border border-yellow-500/20' : 'text-yellow-600 bg-yellow-50 border border-yellow-200';
+  return isDark ? 'text-blue-400 bg-blue-900/20 border border-blue-500/20' : 'text-blue-600 bg-blue-50 border border-blue-200';
+};
+
+// The activity log: the latest entries by default, or the full history of
+// the session or of one run, which can be downloaded as JSON lines
+const ActivityLog = ({ isDark, cardBg, logs }) => {
+  const [runId, setRunId] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+
+  const runs = useMemo(() => logRuns(logs).map(id => ({
+    id,
+    startedAt: logs.find(log => log.runId === id).timestamp
+  })), [logs]);
+  // A run whose entries were cleared falls back to everything
+  const selectedRun = runs.some(run => run.id === runId) ? runId : '';
+  const history = runLog(logs, selectedRun);
+  const visible = showAll ? history : history.slice(-LOG_WINDOW);
+
+  const download = () => {
+    const blob = new Blob([logsToJsonLines(history)], { type: 'application/x-ndjson' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `activity_log_${selectedRun || new Date().toISOString().split('T')[0]}.jsonl`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={`${cardBg} border rounded-2xl p-6 shadow-xl mt-8`}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold flex items-center space-x-2">
+          <Clock className="w-5 h-5 text-yellow-400" />
+          <span>Activity Logs</span>
+          <span className={`text-sm ${muted}`}>
+            ({visible.length < history.length ? `latest ${visible.length} of ${history.length}` : history.length})
+          </span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          {runs.length > 0 && (
+            <select
+              value={selectedRun}
+              onChange={(e) => setRunId(e.target.value)}
+              className={`p-1.5 rounded-lg border ${inputBg} focus:outline-none`}
+            >
+              <option value="">All activity</option>
+              {runs.map(run => (
+                <option key={run.id} value={run.id}>Run started {run.startedAt}</option>
+              ))}
+            </select>
+          )}
+          {history.length > LOG_WINDOW && (
+            <button onClick={() => setShowAll(!showAll)} className={`${muted} hover:text-blue-400`}>
+              {showAll ? `Show latest ${LOG_WINDOW}` : 'Show full history'}
+            </button>
+          )}
+          <button onClick={download} title="Download as JSON lines" className={`flex items-center space-x-1 ${muted} hover:text-blue-400`}>
+            <Download className="w-4 h-4" />
+            <span>.jsonl</span>
+          </button>
+        </div>
+      </div>
+      <div className={`${showAll ? 'max-h-[32rem]' : 'max-h-64'} overflow-y-auto custom-scrollbar space-y-2`}>
+        {visible.map((log) => (
+          <div key={log.id} className={`text-sm p-3 rounded-lg flex items-start space-x-3 ${entryStyle(log.type, isDark)}`}>
+            <span className={`text-xs ${muted} mt-0.5 min-w-[60px]`}>{log.timestamp}</span>
+            <span className="flex-1">{log.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityLog;
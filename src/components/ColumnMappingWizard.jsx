@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import { Columns, X, AlertCircle, CheckCircle } from 'lucide-react';
+import { FIELDS_BY_MODE, applyMapping, missingRequiredFields } from '../utils/columnMapping.js';
+import { countByStatus, normalizeRows } from '../utils/normalize.js';
+
+// Modal step between parsing an upload and loading it into csvData
+const ColumnMappingWizard = ({ isDark, pendingImport, onConfirm, onCancel, onSheetChange }) => {
+  const { fileName, headers, rows, details, sheetNames, sheetName, mode = 'people', parseErrors = [] } = pendingImport;
+  const [mapping, setMapping] = useState(pendingImport.mapping);
+  const fields = FIELDS_BY_MODE[mode];
+
+  const preview = useMemo(() => applyMapping(headers, rows, mapping, fields), [headers, rows, mapping, fields]);
+  const missing = missingRequiredFields(mapping, fields);
+  const statusCounts = useMemo(() => countByStatus(normalizeRows(preview.contacts, mode)), [preview, mode]);
+  const alternative = fields.find(field => field.key === missing.find(field => field.unless)?.unless);
+
+  const assignField = (index, field) => {
+    setMapping(prev => prev.map((current, i) => {
+      if (i === index) return field;
+      // Each enrichment input can only come from one column
+      return field && current === field ? '' : current;
+    }));
+  };
+
+  const cardBg = isDark ? 'bg-slate-800 border-slate-600' : 'bg-white border-gray-200';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-6">
+      <div className={`${cardBg} border rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col`}>
+        <div className="flex items-center justify-between p-6 border-b border-slate-600/30">
+          <div className="flex items-center space-x-2">
+            <Columns className="w-5 h-5 text-blue-400" />
+            <div>
+              <h2 className="text-xl font-semibold">Map Columns</h2>
+              <p className={`text-xs ${muted}`}>
+                {fileName} · {rows.length} rows · {details}
+              </p>
+            </div>
+          </div>
+          <button onClick={onCancel} className={`p-2 rounded-lg ${isDark ? 'hover:bg-slate-700/50' : 'hover:bg-gray-100'}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto custom-scrollbar flex-1">
+          {sheetNames && sheetNames.length > 1 && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">Sheet</label>
+              <select
+                value={sheetName}
+                onChange={(e) => onSheetChange(e.target.value)}
+                className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+              >
+                {sheetNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className={muted}>
+                <th className="text-left p-2 font-medium">Column</th>
+                <th className="text-left p-2 font-medium">Sample</th>
+                <th className="text-left p-2 font-medium">Maps to</th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map((header, index) => (
+                <tr key={index} className={`border-t ${isDark ? 'border-slate-600/30' : 'border-gray-200/50'}`}>
+                  <td className="p-2 font-medium">{header || <span className={muted}>(untitled)</span>}</td>
+                  <td className={`p-2 text-xs ${muted} truncate max-w-[200px]`}>
+                    {rows.slice(0, 3).map(row => row.values[index]).filter(Boolean).join(' · ') || '-'}
+                  </td>
+                  <td className="p-2">
+                    <select
+                      value={mapping[index]}
+                      onChange={(e) => assignField(index, e.target.value)}
+                      className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+                    >
+                      <option value="">Ignore</option>
+                      {fields.map(field => (
+                        <option key={field.key} value={field.key}>
+                          {field.label}{field.required ? ' *' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between p-6 border-t border-slate-600/30">
+          <div className="text-sm space-y-1">
+            {missing.length > 0 ? (
+              <div className="flex items-center space-x-2 text-yellow-400">
+                <AlertCircle className="w-4 h-4" />
+                <span>
+                  Assign a column to {missing.map(field => field.label).join(' and ')}
+                  {alternative && ` (or ${alternative.label})`}
+                </span>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-2 text-green-400">
+                <CheckCircle className="w-4 h-4" />
+                <span>
+                  {statusCounts.ready} rows ready
+                  {statusCounts.fixable > 0 && `, ${statusCounts.fixable} fixable`}
+                  {statusCounts.unenrichable > 0 && `, ${statusCounts.unenrichable} unenrichable`}
+                  {preview.rejected.length + parseErrors.length > 0 && `, ${preview.rejected.length + parseErrors.length} will be rejected`}
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={onCancel}
+              className={`px-4 py-2 rounded-xl ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(mapping, preview)}
+              disabled={missing.length > 0}
+              className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed"
+            >
+              Import {preview.contacts.length} {mode === 'people' ? 'Contacts' : mode === 'prospecting' ? 'Accounts' : 'Companies'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Copy } from 'lucide-react';
+import { RESOLUTIONS } from '../utils/dedupe.js';
+
+// Lists duplicate groups found in csvData with a merge/keep/drop choice per group
+const DuplicateGroups = ({ isDark, groups, contacts, resolutions, onResolutionChange, disabled }) => {
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center space-x-2 text-sm font-medium text-yellow-400 mb-2">
+        <Copy className="w-4 h-4" />
+        <span>{groups.length} duplicate groups</span>
+      </div>
+      <div className="max-h-48 overflow-y-auto custom-scrollbar space-y-2">
+        {groups.map(group => (
+          <div
+            key={group.id}
+            className={`p-3 rounded-lg text-xs flex items-start justify-between space-x-3 ${isDark ? 'bg-yellow-900/10 border border-yellow-500/20' : 'bg-yellow-50 border border-yellow-200'}`}
+          >
+            <div className="flex-1 space-y-1">
+              {group.indices.map(index => (
+                <div key={index}>
+                  <span className={`font-mono ${muted}`}>#{index + 1}</span>{' '}
+                  {contacts[index].firstName !== undefined
+                    ? `${contacts[index].firstName} ${contacts[index].lastName}`
+                    : contacts[index].name || 'Company'}
+                  <span className={muted}> · {contacts[index].email || contacts[index].domain || '-'}</span>
+                </div>
+              ))}
+              <div className={muted}>Matched on {group.matchedOn.join(', ')}</div>
+            </div>
+            <select
+              value={resolutions[group.id] || 'merge'}
+              onChange={(e) => onResolutionChange(group.id, e.target.value)}
+              disabled={disabled}
+              title={RESOLUTIONS.find(r => r.key === (resolutions[group.id] || 'merge')).description}
+              className={`p-1.5 rounded-lg border ${inputBg} focus:outline-none`}
+            >
+              {RESOLUTIONS.map(resolution => (
+                <option key={resolution.key} value={resolution.key}>{resolution.label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateGroups;
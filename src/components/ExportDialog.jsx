@@ -0,0 +1,395 @@
+import React, { useState, useMemo } from 'react';
+import { Download, X, ChevronUp, ChevronDown, Save, Trash2, AlertCircle } from 'lucide-react';
+import { EXPORT_FORMATS, EXPORT_STATUSES, availableColumns, defaultColumnKeys, filterRows } from '../utils/exportBuilder.js';
+import { loadExportTemplates, saveExportTemplate, deleteExportTemplate } from '../utils/exportTemplates.js';
+import { CONFIDENCE_LEVELS } from '../utils/scoring.js';
+import { CRM_PRESETS, getPreset, presetDefaults, presetColumns, validatePresetRows } from '../utils/crmPresets.js';
+import { changeExportColumns, changedRows } from '../utils/diffMode.js';
+
+const DEFAULT_FILTERS = { statuses: [], confidences: [], minCompleteness: 0 };
+
+// Modal for picking, ordering and filtering export columns, with named
+// templates and, for people, CRM import presets. Calls onExport({ columns,
+// rows, format, preset }) with the column objects in order and the rows
+// that pass the filters. `rows` is the selection when the grid has one.
+// In diff mode `differ` is set and the export defaults to the changed rows
+// with before and after columns for the changed fields.
+const ExportDialog = ({ isDark, rows, mode, sourceHeaders, onExport, onCancel, selectionOnly = false, differ = null }) => {
+  const columns = useMemo(() => availableColumns(rows, mode, sourceHeaders), [rows, mode, sourceHeaders]);
+  const [selected, setSelected] = useState(() => defaultColumnKeys(columns));
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [format, setFormat] = useState('csv');
+  const [templates, setTemplates] = useState(() => loadExportTemplates().filter(template => template.mode === mode));
+  const [templateName, setTemplateName] = useState('');
+  const [templateError, setTemplateError] = useState(null);
+  const [presetId, setPresetId] = useState('');
+  const [presetSettings, setPresetSettings] = useState({});
+  const [skipRejected, setSkipRejected] = useState(true);
+  const [changesOnly, setChangesOnly] = useState(Boolean(differ));
+
+  const byKey = useMemo(() => new Map(columns.map(column => [column.key, column])), [columns]);
+  const filteredRows = useMemo(() => filterRows(rows, filters), [rows, filters]);
+  const changes = useMemo(
+    () => (differ && changesOnly ? changedRows(filteredRows, differ) : null),
+    [differ, changesOnly, filteredRows]
+  );
+  const preset = mode === 'people' && !changes ? getPreset(presetId) : null;
+  const issues = useMemo(
+    () => (preset ? validatePresetRows(preset, filteredRows, presetSettings) : []),
+    [preset, filteredRows, presetSettings]
+  );
+  const rejected = new Set(issues.filter(issue => issue.errors.length > 0).map(issue => issue.index));
+  const exportRows = changes || (preset && skipRejected ? filteredRows.filter((row, index) => !rejected.has(index)) : filteredRows);
+  const exportColumns = changes
+    ? changeExportColumns(changes, differ)
+    : preset ? presetColumns(preset, presetSettings) : selected.map(key => byKey.get(key));
+  const formats = preset ? EXPORT_FORMATS.filter(option => preset.formats.includes(option.value)) : EXPORT_FORMATS;
+  // Selected columns in export order, then the rest in their default order
+  const ordered = [
+    ...selected.map(key => byKey.get(key)),
+    ...columns.filter(column => !selected.includes(column.key))
+  ];
+
+  const choosePreset = (id, settings = {}) => {
+    const next = getPreset(id);
+    setPresetId(next ? id : '');
+    setPresetSettings(next ? { ...presetDefaults(next), ...settings } : {});
+    if (next && !next.formats.includes(format)) setFormat(next.formats[0]);
+  };
+
+  const toggleColumn = (key) => setSelected(prev => (prev.includes(key)
+    ? prev.filter(current => current !== key)
+    : [...prev, key]));
+
+  const moveColumn = (index, offset) => setSelected(prev => {
+    const next = [...prev];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    return next;
+  });
+
+  const toggleFilter = (key, value) => setFilters(prev => ({
+    ...prev,
+    [key]: prev[key].includes(value) ? prev[key].filter(item => item !== value) : [...prev[key], value]
+  }));
+
+  // Columns a template names but this table lacks, such as another
+  // upload's columns, are skipped
+  const applyTemplate = (name) => {
+    const template = templates.find(saved => saved.name === name);
+    if (!template) return;
+    setSelected(template.columns.filter(key => byKey.has(key)));
+    setFilters({ ...DEFAULT_FILTERS, ...template.filters });
+    choosePreset(template.preset || '', template.presetSettings);
+    setFormat(template.format || 'csv');
+    setTemplateName(template.name);
+  };
+
+  const updateTemplates = (action) => {
+    try {
+      setTemplates(action().filter(template => template.mode === mode));
+      setTemplateError(null);
+    } catch (error) {
+      setTemplateError(error.message);
+    }
+  };
+
+  const cardBg = isDark ? 'bg-slate-800 border-slate-600' : 'bg-white border-gray-200';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  const chip = (key, value) => {
+    const active = filters[key].includes(value);
+    return (
+      <button
+        key={value}
+        onClick={() => toggleFilter(key, value)}
+        className={`px-3 py-1 rounded-full text-xs border transition-all ${
+          active
+            ? 'bg-blue-500/20 border-blue-500 text-blue-400'
+            : isDark ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-600'
+        }`}
+      >
+        {value}
+      </button>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-6">
+      <div className={`${cardBg} border rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col`}>
+        <div className="flex items-center justify-between p-6 border-b border-slate-600/30">
+          <div className="flex items-center space-x-2">
+            <Download className="w-5 h-5 text-green-400" />
+            <div>
+              <h2 className="text-xl font-semibold">Export</h2>
+              <p className={`text-xs ${muted}`}>
+                {exportRows.length} of {rows.length} {selectionOnly ? 'selected ' : ''}rows · {exportColumns.length} columns
+              </p>
+            </div>
+          </div>
+          <button onClick={onCancel} className={`p-2 rounded-lg ${isDark ? 'hover:bg-slate-700/50' : 'hover:bg-gray-100'}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto custom-scrollbar flex-1 space-y-6">
+          {differ && (
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={changesOnly}
+                onChange={(e) => setChangesOnly(e.target.checked)}
+                className="rounded text-blue-500 focus:ring-blue-500"
+              />
+              <span className="text-sm">Only changed rows and fields</span>
+            </label>
+          )}
+
+          {mode === 'people' && !changes && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Preset</label>
+              <select
+                value={presetId}
+                onChange={(e) => choosePreset(e.target.value)}
+                className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+              >
+                <option value="">Custom columns</option>
+                {CRM_PRESETS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Template</label>
+              <select
+                value=""
+                onChange={(e) => applyTemplate(e.target.value)}
+                className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+              >
+                <option value="">{templates.length > 0 ? 'Load a saved template…' : 'No saved templates'}</option>
+                {templates.map(template => (
+                  <option key={template.name} value={template.name}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Format</label>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+              >
+                {formats.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium w-28">Status</span>
+              {EXPORT_STATUSES.map(status => chip('statuses', status))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium w-28">Confidence</span>
+              {CONFIDENCE_LEVELS.map(level => chip('confidences', level))}
+            </div>
+            <label className="flex items-center gap-2">
+              <span className="text-sm font-medium w-28">Completeness</span>
+              <span className={`text-xs ${muted}`}>at least</span>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={filters.minCompleteness}
+                onChange={(e) => setFilters(prev => ({ ...prev, minCompleteness: Math.min(100, Math.max(0, Number(e.target.value) || 0)) }))}
+                className={`w-20 p-1 rounded border ${inputBg} focus:outline-none`}
+              />
+              <span className={`text-xs ${muted}`}>%</span>
+            </label>
+          </div>
+
+          {changes ? (
+            <div>
+              <label className="block text-sm font-medium mb-2">Change Columns</label>
+              <div className={`text-xs ${muted}`}>{exportColumns.map(column => column.label).join(' · ')}</div>
+            </div>
+          ) : preset ? (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {preset.settings.map(setting => (
+                  <div key={setting.key}>
+                    <label className="block text-sm font-medium mb-2">{setting.label}</label>
+                    <select
+                      value={presetSettings[setting.key]}
+                      onChange={(e) => setPresetSettings(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                      className={`w-full p-2 rounded-lg border ${inputBg} focus:outline-none`}
+                    >
+                      {setting.options.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">{preset.crm} Columns</label>
+                <div className={`text-xs ${muted}`}>{preset.columns.map(column => column.label).join(' · ')}</div>
+              </div>
+              {issues.length > 0 ? (
+                <div className={`p-3 rounded-lg text-xs ${isDark ? 'bg-yellow-900/10 border border-yellow-500/20' : 'bg-yellow-50 border border-yellow-200'}`}>
+                  <div className="flex items-center space-x-2 text-yellow-400 font-medium mb-2">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>
+                      {rejected.size} rows {preset.crm} would reject, {issues.length - rejected.size} with warnings
+                    </span>
+                  </div>
+                  <div className="max-h-32 overflow-y-auto custom-scrollbar space-y-1">
+                    {issues.map(issue => (
+                      <div key={issue.index}>
+                        <span className="font-medium">
+                          {filteredRows[issue.index].firstName} {filteredRows[issue.index].lastName}:
+                        </span>{' '}
+                        <span className="text-red-400">{issue.errors.join('; ')}</span>
+                        {issue.errors.length > 0 && issue.warnings.length > 0 && '; '}
+                        <span className={muted}>{issue.warnings.join('; ')}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {rejected.size > 0 && (
+                    <label className="flex items-center space-x-2 mt-2">
+                      <input
+                        type="checkbox"
+                        checked={skipRejected}
+                        onChange={(e) => setSkipRejected(e.target.checked)}
+                        className="rounded text-blue-500 focus:ring-blue-500"
+                      />
+                      <span>Leave out rows {preset.crm} would reject</span>
+                    </label>
+                  )}
+                </div>
+              ) : (
+                <div className="text-xs text-green-400">Every row passes {preset.crm}'s import checks</div>
+              )}
+            </div>
+          ) : (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-sm font-medium">Columns</label>
+                <div className="flex space-x-3 text-xs">
+                  <button onClick={() => setSelected(columns.map(column => column.key))} className="text-blue-400">All</button>
+                  <button onClick={() => setSelected(defaultColumnKeys(columns))} className="text-blue-400">Defaults</button>
+                  <button onClick={() => setSelected([])} className="text-blue-400">None</button>
+                </div>
+              </div>
+              <div className={`max-h-72 overflow-y-auto custom-scrollbar rounded-lg border ${isDark ? 'border-slate-600/50' : 'border-gray-200'}`}>
+                {ordered.map((column, index) => {
+                  const isSelected = index < selected.length;
+                  return (
+                    <div
+                      key={column.key}
+                      className={`flex items-center justify-between px-3 py-1.5 text-sm border-t first:border-t-0 ${isDark ? 'border-slate-600/30' : 'border-gray-200/50'}`}
+                    >
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={() => toggleColumn(column.key)}
+                          className="rounded text-blue-500 focus:ring-blue-500"
+                        />
+                        <span className={isSelected ? '' : muted}>{column.label}</span>
+                        {column.key.startsWith('source:') && <span className={`text-xs ${muted}`}>upload</span>}
+                      </label>
+                      {isSelected && (
+                        <div className="flex space-x-1">
+                          <button
+                            onClick={() => moveColumn(index, -1)}
+                            disabled={index === 0}
+                            title="Move left"
+                            className={`p-1 rounded disabled:opacity-30 ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                          >
+                            <ChevronUp className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => moveColumn(index, 1)}
+                            disabled={index === selected.length - 1}
+                            title="Move right"
+                            className={`p-1 rounded disabled:opacity-30 ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                          >
+                            <ChevronDown className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Save as Template</label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                placeholder="e.g. CRM import"
+                className={`flex-1 p-2 rounded-lg border ${inputBg} focus:outline-none`}
+              />
+              <button
+                onClick={() => updateTemplates(() => saveExportTemplate({
+                  name: templateName,
+                  mode,
+                  columns: selected,
+                  filters,
+                  format,
+                  preset: preset?.id,
+                  presetSettings: preset ? presetSettings : undefined
+                }))}
+                disabled={!templateName.trim()}
+                title="Save these columns, filters and format"
+                className={`p-2 rounded-lg disabled:opacity-50 ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'}`}
+              >
+                <Save className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => updateTemplates(() => deleteExportTemplate(templateName.trim(), mode))}
+                disabled={!templates.some(template => template.name === templateName.trim())}
+                title="Delete this template"
+                className={`p-2 rounded-lg disabled:opacity-50 ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            {templateError && <p className="text-xs text-red-400 mt-1">{templateError}</p>}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-end p-6 border-t border-slate-600/30 space-x-3">
+          <button
+            onClick={onCancel}
+            className={`px-4 py-2 rounded-xl ${isDark ? 'bg-slate-700/50 hover:bg-slate-600/50' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onExport({ columns: exportColumns, rows: exportRows, format, preset: changes ? 'changes' : preset?.id })}
+            disabled={exportColumns.length === 0 || exportRows.length === 0}
+            className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed"
+          >
+            Export {exportRows.length} Rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,204 @@
+import React, { useRef } from 'react';
+import { Target, UserMinus, Users, XCircle } from 'lucide-react';
+import { ACCEPTED_EXTENSIONS } from '../utils/fileImport.js';
+import { SENIORITY_OPTIONS, DEPARTMENT_OPTIONS, PER_ACCOUNT_LIMITS } from '../utils/prospecting.js';
+
+// Persona filters, the optional exclusion list and the people found for
+// the target accounts loaded in csvData
+const ProspectingPanel = ({
+  isDark,
+  filters,
+  onFiltersChange,
+  perAccountLimit,
+  onPerAccountLimitChange,
+  exclusionList,
+  onExclusionUpload,
+  onExclusionClear,
+  prospects,
+  accounts,
+  onEnrich,
+  disabled
+}) => {
+  const exclusionInputRef = useRef(null);
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+
+  const toggle = (key, value) => onFiltersChange({
+    ...filters,
+    [key]: filters[key].includes(value)
+      ? filters[key].filter(item => item !== value)
+      : [...filters[key], value]
+  });
+
+  const chips = (key, options) => (
+    <div className="flex flex-wrap gap-2">
+      {options.map(option => {
+        const selected = filters[key].includes(option.value);
+        return (
+          <button
+            key={option.value}
+            onClick={() => toggle(key, option.value)}
+            disabled={disabled}
+            className={`px-3 py-1 rounded-full text-xs border transition-all ${
+              selected
+                ? 'bg-blue-500/20 border-blue-500 text-blue-400'
+                : isDark ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Job Titles</label>
+            <input
+              type="text"
+              value={filters.titles}
+              onChange={(e) => onFiltersChange({ ...filters, titles: e.target.value })}
+              disabled={disabled}
+              placeholder="VP Sales, Head of Revenue"
+              className={`w-full p-3 rounded-lg border ${inputBg} focus:outline-none`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Locations</label>
+            <input
+              type="text"
+              value={filters.locations}
+              onChange={(e) => onFiltersChange({ ...filters, locations: e.target.value })}
+              disabled={disabled}
+              placeholder="San Francisco, Texas, United Kingdom"
+              className={`w-full p-3 rounded-lg border ${inputBg} focus:outline-none`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">People per Account</label>
+            <select
+              value={perAccountLimit}
+              onChange={(e) => onPerAccountLimitChange(Number(e.target.value))}
+              disabled={disabled}
+              className={`w-full p-3 rounded-lg border ${inputBg} focus:outline-none`}
+            >
+              {PER_ACCOUNT_LIMITS.map(limit => (
+                <option key={limit} value={limit}>Up to {limit} people</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Seniority</label>
+            {chips('seniorities', SENIORITY_OPTIONS)}
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Departments</label>
+            {chips('departments', DEPARTMENT_OPTIONS)}
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Exclude Existing Contacts</label>
+            <input
+              type="file"
+              ref={exclusionInputRef}
+              onChange={(e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) onExclusionUpload(file);
+              }}
+              accept={ACCEPTED_EXTENSIONS}
+              className="hidden"
+            />
+            {exclusionList ? (
+              <div className={`flex items-center justify-between p-3 rounded-lg border text-sm ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                <span className="flex items-center space-x-2">
+                  <UserMinus className="w-4 h-4 text-yellow-400" />
+                  <span>{exclusionList.fileName} · {exclusionList.contacts.length} contacts</span>
+                </span>
+                <button onClick={onExclusionClear} disabled={disabled} title="Stop excluding these contacts">
+                  <XCircle className={`w-4 h-4 ${muted}`} />
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => exclusionInputRef.current?.click()}
+                disabled={disabled}
+                className={`w-full p-3 rounded-lg border border-dashed text-sm ${isDark ? 'border-slate-600 hover:border-blue-500' : 'border-gray-300 hover:border-blue-500'} ${muted}`}
+              >
+                Upload a contact list to leave out people you already have
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {accounts.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold flex items-center space-x-2">
+              <Target className="w-5 h-5 text-pink-400" />
+              <span>Found People ({prospects.length})</span>
+            </h3>
+            <button
+              onClick={onEnrich}
+              disabled={disabled || prospects.length === 0}
+              className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-xl transition-all disabled:cursor-not-allowed"
+            >
+              <Users className="w-4 h-4" />
+              <span>Enrich {prospects.length} People</span>
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {accounts.map(account => (
+              <span
+                key={account.domain}
+                title={`${account.totalAvailable} matching people at ${account.domain}`}
+                className={`px-3 py-1 rounded-full text-xs ${isDark ? 'bg-slate-700/50' : 'bg-gray-100'} ${account.found === 0 ? muted : ''}`}
+              >
+                {account.domain}: {account.found}{account.excluded ? ` (${account.excluded} excluded)` : ''}
+              </span>
+            ))}
+          </div>
+          <div className="max-h-96 overflow-y-auto custom-scrollbar">
+            <table className="w-full text-sm">
+              <thead className={`sticky top-0 ${isDark ? 'bg-slate-700/50' : 'bg-gray-100/50'} backdrop-blur-sm`}>
+                <tr>
+                  <th className="text-left p-3 font-medium">Name</th>
+                  <th className="text-left p-3 font-medium">Title</th>
+                  <th className="text-left p-3 font-medium">Company</th>
+                  <th className="text-left p-3 font-medium">Location</th>
+                </tr>
+              </thead>
+              <tbody>
+                {prospects.map((prospect, index) => (
+                  <tr key={prospect.apolloPersonId || index} className={`border-t ${isDark ? 'border-slate-600/30 hover:bg-slate-600/20' : 'border-gray-200/30 hover:bg-gray-50'} transition-colors`}>
+                    <td className="p-3">{prospect.firstName} {prospect.lastName}</td>
+                    <td className="p-3">
+                      <div>{prospect.title || '-'}</div>
+                      {prospect.seniority && <div className={`text-xs ${muted}`}>{prospect.seniority}</div>}
+                    </td>
+                    <td className="p-3">
+                      <div>{prospect.company || prospect.domain}</div>
+                      <div className={`text-xs ${muted}`}>{prospect.domain}</div>
+                    </td>
+                    <td className="p-3">{prospect.location || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProspectingPanel;
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Briefcase, Check, CheckCircle, Copy, ExternalLink, GraduationCap, X, XCircle } from 'lucide-react';
+import { COPYABLE_FIELDS, careerTimeline, failureReason, fieldGroups, inputComparison, socialLinks } from '../utils/recordDetails.js';
+import { isChange } from '../utils/diffMode.js';
+
+// Side panel with everything known about one enriched row. Closes on
+// Escape or a click outside the panel. `diff`, in diff mode, is the row's
+// comparison with the values the upload already held.
+const RecordDetailDrawer = ({ isDark, record, mode, onClose, diff = null }) => {
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => {
+    const closeOnEscape = (event) => event.key === 'Escape' && onClose();
+    window.addEventListener('keydown', closeOnEscape);
+    return () => window.removeEventListener('keydown', closeOnEscape);
+  }, [onClose]);
+
+  const isOrganization = mode === 'organizations';
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const panelBg = isDark ? 'bg-slate-800 border-slate-600 text-white' : 'bg-white border-gray-200 text-gray-900';
+  const sectionBorder = isDark ? 'border-slate-700' : 'border-gray-200';
+
+  const reason = failureReason(record);
+  const links = socialLinks(record);
+  const timeline = isOrganization ? [] : careerTimeline(record);
+  const comparison = inputComparison(record, mode);
+  const sourceEntries = Object.entries(record.sourceRow || {});
+
+  const copy = async (key, value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(key);
+      setTimeout(() => setCopied(current => (current === key ? null : current)), 1500);
+    } catch (error) {
+      // Clipboard access can be denied; the value is still selectable
+    }
+  };
+
+  const heading = isOrganization
+    ? record.companyName || record.name || record.domain
+    : [record.firstName, record.lastName].filter(Boolean).join(' ');
+  const subheading = isOrganization
+    ? record.domain
+    : [record.title, record.company].filter(Boolean).join(' at ');
+
+  const sectionTitle = `text-sm font-semibold mb-3 ${muted} uppercase tracking-wide`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+      <aside
+        role="dialog"
+        aria-label={`Details for ${heading}`}
+        className={`w-full max-w-xl h-full overflow-y-auto custom-scrollbar border-l shadow-2xl ${panelBg}`}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className={`sticky top-0 z-10 p-6 border-b ${sectionBorder} ${panelBg}`}>
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <h2 className="text-xl font-semibold truncate">{heading}</h2>
+              {subheading && <p className={`text-sm ${muted}`}>{subheading}</p>}
+            </div>
+            <button onClick={onClose} title="Close" className={`${muted} hover:text-blue-400`}>
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+            {record.enrichmentStatus === 'success' ? (
+              <span className="flex items-center space-x-1 text-green-400">
+                <CheckCircle className="w-4 h-4" />
+                <span>Enriched · {record.confidence} confidence · {record.dataCompleteness}% complete</span>
+              </span>
+            ) : (
+              <span className="flex items-center space-x-1 text-red-400">
+                <XCircle className="w-4 h-4" />
+                <span>Not enriched</span>
+              </span>
+            )}
+            {links.map(link => (
+              <a
+                key={link.key}
+                href={link.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center space-x-1 text-blue-400 hover:text-blue-300"
+              >
+                <span>{link.label}</span>
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {reason && (
+            <div className={`p-4 rounded-lg border flex items-start space-x-3 ${isDark ? 'border-red-500/30 bg-red-900/20 text-red-300' : 'border-red-200 bg-red-50 text-red-700'}`}>
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <div className="text-sm">
+                <div className="font-medium">Why this row was not enriched</div>
+                <div>{reason}</div>
+              </div>
+            </div>
+          )}
+
+          {record.inputIssues?.length > 0 && (
+            <div className={`text-sm ${isDark ? 'text-yellow-300' : 'text-yellow-700'}`}>
+              {record.inputIssues.join(' · ')}
+            </div>
+          )}
+
+          {diff && diff.fields.length > 0 && (
+            <section>
+              <h3 className={sectionTitle}>Changes Since Upload · {diff.status}</h3>
+              {diff.conflicts.length > 0 && (
+                <div className={`text-sm mb-3 ${isDark ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                  {diff.conflicts.join(' · ')}
+                </div>
+              )}
+              <table className="w-full text-sm">
+                <thead className={muted}>
+                  <tr className="text-left">
+                    <th className="py-1 pr-3 font-medium"></th>
+                    <th className="py-1 pr-3 font-medium">Before</th>
+                    <th className="py-1 font-medium">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.fields.map(field => (
+                    <tr key={field.key} className={`border-t ${sectionBorder}`}>
+                      <td className={`py-2 pr-3 ${muted}`}>{field.label}</td>
+                      <td className={`py-2 pr-3 break-all ${field.change === 'changed' ? 'line-through text-red-400' : ''}`}>{field.before || '-'}</td>
+                      <td className={`py-2 break-all ${isChange(field) ? 'text-green-400' : ''}`}>
+                        {field.change === 'missing' ? <span className={muted}>not returned</span> : field.after || '-'}
+                        {field.change === 'same' && <Check className="inline w-3 h-3 ml-1 text-green-400" />}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          <section>
+            <h3 className={sectionTitle}>Input vs Match</h3>
+            <table className="w-full text-sm">
+              <thead className={muted}>
+                <tr className="text-left">
+                  <th className="py-1 pr-3 font-medium"></th>
+                  <th className="py-1 pr-3 font-medium">Sent</th>
+                  <th className="py-1 font-medium">Matched</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map(row => (
+                  <tr key={row.label} className={`border-t ${sectionBorder}`}>
+                    <td className={`py-2 pr-3 ${muted}`}>{row.label}</td>
+                    <td className="py-2 pr-3 break-all">{row.input || '-'}</td>
+                    <td className={`py-2 break-all ${row.agrees === false ? 'text-yellow-400' : ''}`}>
+                      {row.matched || '-'}
+                      {row.agrees && <Check className="inline w-3 h-3 ml-1 text-green-400" />}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {fieldGroups(record, mode).map(group => (
+            <section key={group.title}>
+              <h3 className={sectionTitle}>{group.title}</h3>
+              <dl className="grid grid-cols-3 gap-x-3 gap-y-2 text-sm">
+                {group.fields.map(field => (
+                  <React.Fragment key={field.key}>
+                    <dt className={muted}>{field.label}</dt>
+                    <dd className="col-span-2 flex items-start gap-2 break-words min-w-0">
+                      <span className={field.value === null ? muted : ''}>{field.value ?? '-'}</span>
+                      {field.value !== null && COPYABLE_FIELDS.has(field.key) && (
+                        <button
+                          onClick={() => copy(field.key, field.value)}
+                          title={`Copy ${field.label.toLowerCase()}`}
+                          className={`${muted} hover:text-blue-400 shrink-0 mt-0.5`}
+                        >
+                          {copied === field.key ? <Check className="w-3.5 h-3.5 text-green-400" /> : <Copy className="w-3.5 h-3.5" />}
+                        </button>
+                      )}
+                    </dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </section>
+          ))}
+
+          {!isOrganization && (
+            <section>
+              <h3 className={sectionTitle}>Career</h3>
+              {timeline.length === 0 ? (
+                <p className={`text-sm ${muted}`}>No employment history or education returned.</p>
+              ) : (
+                <ol className={`relative border-l ${sectionBorder} ml-2 space-y-4`}>
+                  {timeline.map((entry, index) => (
+                    <li key={index} className="ml-5">
+                      <span className={`absolute -left-2.5 flex items-center justify-center w-5 h-5 rounded-full ${isDark ? 'bg-slate-700' : 'bg-gray-100'}`}>
+                        {entry.kind === 'education'
+                          ? <GraduationCap className="w-3 h-3 text-purple-400" />
+                          : <Briefcase className="w-3 h-3 text-blue-400" />}
+                      </span>
+                      <div className="text-sm font-medium">
+                        {entry.heading}
+                        {entry.current && <span className="ml-2 text-xs text-green-400">Current</span>}
+                      </div>
+                      {entry.detail && <div className="text-sm">{entry.detail}</div>}
+                      {entry.range && <div className={`text-xs ${muted}`}>{entry.range}</div>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </section>
+          )}
+
+          {sourceEntries.length > 0 && (
+            <section>
+              <h3 className={sectionTitle}>Uploaded Row</h3>
+              <dl className="grid grid-cols-3 gap-x-3 gap-y-2 text-sm">
+                {sourceEntries.map(([header, value]) => (
+                  <React.Fragment key={header}>
+                    <dt className={`${muted} break-words`}>{header}</dt>
+                    <dd className="col-span-2 break-words">{value === '' ? <span className={muted}>-</span> : value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </section>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default RecordDetailDrawer;
@@ -0,0 +1,226 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Columns, Filter, Search, X } from 'lucide-react';
+import { applyFacets, facetOptions, searchEntries, sortEntries, toEntries, visibleRange } from '../utils/resultsGrid.js';
+
+const VIEWPORT_HEIGHT = 384;
+// Industries and the like can have hundreds of values; show the biggest
+const MAX_FACET_OPTIONS = 12;
+
+// Sortable, searchable, filterable table that only renders the rows in
+// view, so tens of thousands of rows scroll smoothly. Every row has the
+// same height. Columns are [{ key, label, value(row), sortValue?(row),
+// render?(row), defaultVisible? }] and should be memoised, as search reruns
+// when they change. Selection, when enabled, is a Set of row indices in
+// `rows`.
+const ResultsGrid = ({
+  isDark,
+  rows,
+  columns,
+  facets = [],
+  rowHeight = 52,
+  selectable = false,
+  selected = new Set(),
+  onSelectedChange = () => {},
+  onRowClick,
+  emptyMessage = 'No rows match the current search and filters.'
+}) => {
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState(null);
+  const [facetSelections, setFacetSelections] = useState({});
+  const [showFilters, setShowFilters] = useState(false);
+  const [showColumns, setShowColumns] = useState(false);
+  const [visibleKeys, setVisibleKeys] = useState(
+    () => columns.filter(column => column.defaultVisible !== false).map(column => column.key)
+  );
+
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+  const chip = (active) => `px-2 py-0.5 rounded-full text-xs border transition-all ${
+    active ? 'bg-blue-500/20 border-blue-500 text-blue-400' : isDark ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-600'
+  }`;
+
+  const visibleColumns = columns.filter(column => visibleKeys.includes(column.key));
+  const sortColumn = sort && columns.find(column => column.key === sort.key);
+
+  const searched = useMemo(() => searchEntries(toEntries(rows), query, columns), [rows, query, columns]);
+  const filtered = useMemo(() => applyFacets(searched, facets, facetSelections), [searched, facets, facetSelections]);
+  const entries = useMemo(
+    () => sortEntries(filtered, sortColumn, sort?.direction),
+    [filtered, sortColumn, sort?.direction]
+  );
+
+  // Back to the top whenever the visible set changes shape
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [query, facetSelections, sort]);
+
+  const { start, end } = visibleRange(scrollTop, VIEWPORT_HEIGHT, rowHeight, entries.length);
+  const windowed = entries.slice(start, end);
+
+  // Ascending, then descending, then back to upload order
+  const toggleSort = (key) => setSort(current => {
+    if (!current || current.key !== key) return { key, direction: 'asc' };
+    return current.direction === 'asc' ? { key, direction: 'desc' } : null;
+  });
+
+  const toggleFacet = (key, value) => setFacetSelections(current => {
+    const values = current[key] || [];
+    return { ...current, [key]: values.includes(value) ? values.filter(item => item !== value) : [...values, value] };
+  });
+
+  const toggleColumn = (key) => setVisibleKeys(current => (
+    current.includes(key)
+      ? current.filter(item => item !== key)
+      : columns.map(column => column.key).filter(item => item === key || current.includes(item))
+  ));
+
+  const activeFacetCount = Object.values(facetSelections).reduce((sum, values) => sum + values.length, 0);
+  const allFilteredSelected = entries.length > 0 && entries.every(entry => selected.has(entry.index));
+
+  const toggleAll = () => {
+    const next = new Set(selected);
+    entries.forEach(entry => (allFilteredSelected ? next.delete(entry.index) : next.add(entry.index)));
+    onSelectedChange(next);
+  };
+
+  const toggleRow = (index) => {
+    const next = new Set(selected);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    onSelectedChange(next);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <div className="relative flex-1 min-w-[10rem]">
+          <Search className={`absolute left-2.5 top-2.5 w-4 h-4 ${muted}`} />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search"
+            className={`w-full pl-8 pr-3 py-2 rounded-lg border text-sm ${inputBg}`}
+          />
+        </div>
+        {facets.length > 0 && (
+          <button onClick={() => setShowFilters(value => !value)} className={`flex items-center space-x-1 px-3 py-2 rounded-lg border text-sm ${chip(showFilters || activeFacetCount > 0)}`}>
+            <Filter className="w-4 h-4" />
+            <span>Filters{activeFacetCount > 0 ? ` (${activeFacetCount})` : ''}</span>
+          </button>
+        )}
+        <button onClick={() => setShowColumns(value => !value)} className={`flex items-center space-x-1 px-3 py-2 rounded-lg border text-sm ${chip(showColumns)}`}>
+          <Columns className="w-4 h-4" />
+          <span>Columns</span>
+        </button>
+      </div>
+
+      {showColumns && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {columns.map(column => (
+            <button key={column.key} onClick={() => toggleColumn(column.key)} className={chip(visibleKeys.includes(column.key))}>
+              {column.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {showFilters && (
+        <div className="space-y-2 mb-3">
+          {facets.map(facet => {
+            // Count against the rows the other facets leave
+            const others = applyFacets(searched, facets, { ...facetSelections, [facet.key]: [] });
+            const options = facetOptions(others, facet);
+            const chosen = facetSelections[facet.key] || [];
+            const shown = options.filter((option, i) => i < MAX_FACET_OPTIONS || chosen.includes(option.value));
+            return (
+              <div key={facet.key} className="flex flex-wrap items-center gap-2">
+                <span className={`text-xs w-24 shrink-0 ${muted}`}>{facet.label}</span>
+                {shown.map(option => (
+                  <button key={option.value} onClick={() => toggleFacet(facet.key, option.value)} className={chip(chosen.includes(option.value))}>
+                    {option.value} ({option.count})
+                  </button>
+                ))}
+                {options.length > shown.length && <span className={`text-xs ${muted}`}>+{options.length - shown.length} more</span>}
+              </div>
+            );
+          })}
+          {activeFacetCount > 0 && (
+            <button onClick={() => setFacetSelections({})} className={`flex items-center space-x-1 text-xs ${muted} hover:text-blue-400`}>
+              <X className="w-3 h-3" />
+              <span>Clear filters</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className={`text-xs mb-2 ${muted}`}>
+        {entries.length === rows.length ? `${rows.length} rows` : `${entries.length} of ${rows.length} rows`}
+        {selectable && selected.size > 0 && ` · ${selected.size} selected`}
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-auto custom-scrollbar"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+      >
+        <table className="w-full text-sm table-fixed">
+          <thead className={`sticky top-0 z-10 ${isDark ? 'bg-slate-700' : 'bg-gray-100'}`}>
+            <tr>
+              {selectable && (
+                <th className="w-10 p-3">
+                  <input type="checkbox" checked={allFilteredSelected} onChange={toggleAll} title="Select all matching rows" />
+                </th>
+              )}
+              {visibleColumns.map(column => (
+                <th key={column.key} className="text-left p-3 font-medium">
+                  <button onClick={() => toggleSort(column.key)} className="flex items-center space-x-1 hover:text-blue-400">
+                    <span className="truncate">{column.label}</span>
+                    {sort?.key === column.key && (sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && <tr style={{ height: start * rowHeight }} />}
+            {windowed.map(({ row, index }) => (
+              <tr
+                key={index}
+                onClick={onRowClick ? () => onRowClick(index) : undefined}
+                style={{ height: rowHeight }}
+                className={`border-t ${onRowClick ? 'cursor-pointer' : ''} ${
+                  selected.has(index) ? 'bg-blue-500/10' : ''
+                } ${isDark ? 'border-slate-600/30 hover:bg-slate-600/20' : 'border-gray-200/30 hover:bg-gray-50'} transition-colors`}
+              >
+                {selectable && (
+                  <td className="w-10 px-3" onClick={(e) => e.stopPropagation()}>
+                    <input type="checkbox" checked={selected.has(index)} onChange={() => toggleRow(index)} />
+                  </td>
+                )}
+                {visibleColumns.map(column => (
+                  <td key={column.key} className="px-3 overflow-hidden">
+                    {column.render ? column.render(row) : <div className="truncate">{column.value(row) ?? '-'}</div>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {end < entries.length && <tr style={{ height: (entries.length - end) * rowHeight }} />}
+          </tbody>
+        </table>
+        {entries.length === 0 && <p className={`text-sm p-4 ${muted}`}>{emptyMessage}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsGrid;
@@ -0,0 +1,321 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, Lock, RefreshCw, Send, Trash2, XCircle } from 'lucide-react';
+
+const WEBHOOKS_API = '/api/webhooks';
+// The admin token is kept for this tab only
+const TOKEN_KEY = 'webhookAdminToken';
+
+const storedToken = () => {
+  try {
+    return sessionStorage.getItem(TOKEN_KEY) || '';
+  } catch (storageError) {
+    return '';
+  }
+};
+
+const storeToken = (token) => {
+  try {
+    if (token) sessionStorage.setItem(TOKEN_KEY, token);
+    else sessionStorage.removeItem(TOKEN_KEY);
+  } catch (storageError) {
+    // Private browsing; the token lasts until the page is reloaded
+  }
+};
+
+const EVENT_LABELS = {
+  'batch.completed': 'Batch completed',
+  'run.completed': 'Run completed',
+  'run.failed': 'Run failed'
+};
+
+const readError = async (response) => {
+  try {
+    return (await response.json()).message || `HTTP ${response.status}`;
+  } catch (parseError) {
+    return `HTTP ${response.status}`;
+  }
+};
+
+// Webhook endpoints and their delivery log. Managing them takes the
+// server's admin token (WEBHOOK_ADMIN_TOKEN). Secrets stay on the server; a
+// generated secret is shown once, right after the endpoint is added.
+// `refreshKey` changes whenever the run has sent events, to reload the log.
+const WebhooksPanel = ({ isDark, refreshKey, onLog }) => {
+  const [token, setToken] = useState(storedToken);
+  const [tokenInput, setTokenInput] = useState('');
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [webhooks, setWebhooks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [url, setUrl] = useState('');
+  const [secret, setSecret] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState(['batch.completed', 'run.completed', 'run.failed']);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  const inputBg = isDark
+    ? 'bg-slate-700/50 border-slate-600 focus:border-blue-500 text-white'
+    : 'bg-white border-gray-300 focus:border-blue-500 text-gray-900';
+  const rowBorder = isDark ? 'border-slate-700' : 'border-gray-200';
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${WEBHOOKS_API}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` }
+    });
+    if (response.status === 401) {
+      storeToken('');
+      setToken('');
+    }
+    if (!response.ok) throw new Error(await readError(response));
+    return response.json();
+  }, [token]);
+
+  const load = useCallback(async () => {
+    if (!token) return;
+    try {
+      const data = await request('');
+      setEvents(data.events);
+      setWebhooks(data.webhooks);
+      setDeliveries(data.deliveries);
+      setError(null);
+    } catch (loadError) {
+      setError(`Could not load webhooks: ${loadError.message}`);
+    }
+  }, [token, request]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const unlock = () => {
+    storeToken(tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput('');
+    setError(null);
+  };
+
+  const toggleEvent = (event) => setSelectedEvents(prev => (
+    prev.includes(event) ? prev.filter(item => item !== event) : [...prev, event]
+  ));
+
+  const addWebhook = async () => {
+    setBusy(true);
+    try {
+      const created = await request('', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url.trim(), secret: secret || undefined, events: selectedEvents })
+      });
+      setCreatedSecret(secret ? null : { url: created.webhook.url, secret: created.secret });
+      setUrl('');
+      setSecret('');
+      onLog(`🪝 Added webhook ${created.webhook.url}`, 'success');
+      await load();
+    } catch (addError) {
+      setError(addError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeWebhook = async (webhook) => {
+    try {
+      await request(`/${webhook.id}`, { method: 'DELETE' });
+      onLog(`🗑️ Removed webhook ${webhook.url}`, 'info');
+      await load();
+    } catch (removeError) {
+      setError(removeError.message);
+    }
+  };
+
+  const testWebhook = async (webhook) => {
+    setBusy(true);
+    try {
+      const { delivery } = await request(`/${webhook.id}/test`, { method: 'POST' });
+      onLog(
+        delivery.status === 'delivered'
+          ? `🪝 Test delivery to ${webhook.url} succeeded`
+          : `⚠️ Test delivery to ${webhook.url} failed: ${delivery.error}`,
+        delivery.status === 'delivered' ? 'success' : 'warning'
+      );
+      await load();
+    } catch (testError) {
+      setError(testError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const urlFor = (webhookId) => webhooks.find(webhook => webhook.id === webhookId)?.url;
+
+  if (!token) {
+    return (
+      <div className="max-w-md space-y-3">
+        <p className={`text-sm ${muted}`}>
+          Enter the admin token set as WEBHOOK_ADMIN_TOKEN on the server to manage webhooks. It is kept for this tab only.
+        </p>
+        <div className="flex space-x-2">
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && tokenInput.trim()) unlock(); }}
+            placeholder="Admin token"
+            autoComplete="off"
+            className={`flex-1 px-3 py-2 rounded-lg border ${inputBg} text-sm`}
+          />
+          <button
+            onClick={unlock}
+            disabled={!tokenInput.trim()}
+            className="flex items-center space-x-1 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium disabled:opacity-50"
+          >
+            <Lock className="w-4 h-4" />
+            <span>Unlock</span>
+          </button>
+        </div>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <div>
+            <label className={`block text-sm font-medium mb-2 ${muted}`}>Endpoint URL</label>
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/hooks/enrichment"
+              className={`w-full px-3 py-2 rounded-lg border ${inputBg} text-sm`}
+            />
+          </div>
+          <div>
+            <label className={`block text-sm font-medium mb-2 ${muted}`}>Signing Secret</label>
+            <input
+              type="password"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder="Leave empty to generate one"
+              autoComplete="new-password"
+              className={`w-full px-3 py-2 rounded-lg border ${inputBg} text-sm`}
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {events.map(event => (
+              <button
+                key={event}
+                onClick={() => toggleEvent(event)}
+                className={`px-3 py-1 rounded-full text-xs border transition-all ${
+                  selectedEvents.includes(event)
+                    ? 'bg-blue-500/20 border-blue-500 text-blue-400'
+                    : isDark ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-600'
+                }`}
+              >
+                {EVENT_LABELS[event] || event}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={addWebhook}
+            disabled={busy || !url.trim() || selectedEvents.length === 0}
+            className="px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium disabled:opacity-50"
+          >
+            Add Webhook
+          </button>
+          {createdSecret && (
+            <div className={`p-3 rounded-lg border text-xs ${isDark ? 'border-yellow-500/30 bg-yellow-900/20 text-yellow-300' : 'border-yellow-300 bg-yellow-50 text-yellow-800'}`}>
+              Secret for {createdSecret.url}, shown only once:
+              <code className="block mt-1 break-all font-mono">{createdSecret.secret}</code>
+            </div>
+          )}
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+
+        <div>
+          <div className={`text-sm font-medium mb-2 ${muted}`}>Endpoints ({webhooks.length})</div>
+          {webhooks.length === 0 ? (
+            <p className={`text-sm ${muted}`}>No webhooks yet. Runs only send events to endpoints added here.</p>
+          ) : (
+            <div className="space-y-2">
+              {webhooks.map(webhook => (
+                <div key={webhook.id} className={`p-3 rounded-lg border ${rowBorder} flex items-start justify-between gap-3`}>
+                  <div className="min-w-0">
+                    <div className="text-sm font-mono truncate">{webhook.url}</div>
+                    <div className={`text-xs ${muted}`}>
+                      {webhook.events.join(', ')} · secret {webhook.secretHint}
+                    </div>
+                  </div>
+                  <div className="flex space-x-2 shrink-0">
+                    <button onClick={() => testWebhook(webhook)} disabled={busy} title="Send a test event" className="text-blue-400 hover:text-blue-300 disabled:opacity-50">
+                      <Send className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => removeWebhook(webhook)} title="Remove webhook" className="text-red-400 hover:text-red-300">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <div className={`text-sm font-medium ${muted}`}>Delivery Log</div>
+          <button onClick={load} className={`flex items-center space-x-1 text-xs ${muted} hover:text-blue-400`}>
+            <RefreshCw className="w-3 h-3" />
+            <span>Refresh</span>
+          </button>
+        </div>
+        {deliveries.length === 0 ? (
+          <p className={`text-sm ${muted}`}>No deliveries yet.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto custom-scrollbar">
+            <table className="w-full text-xs">
+              <thead className={muted}>
+                <tr className="text-left">
+                  <th className="py-2 pr-3">Time</th>
+                  <th className="py-2 pr-3">Event</th>
+                  <th className="py-2 pr-3">Endpoint</th>
+                  <th className="py-2 pr-3">Result</th>
+                  <th className="py-2">Attempts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id} className={`border-t ${rowBorder}`}>
+                    <td className="py-2 pr-3 whitespace-nowrap">{new Date(delivery.createdAt).toLocaleTimeString()}</td>
+                    <td className="py-2 pr-3 font-mono">{delivery.event}</td>
+                    <td className="py-2 pr-3 font-mono truncate max-w-[16rem]">{urlFor(delivery.webhookId) || delivery.url}</td>
+                    <td className="py-2 pr-3">
+                      {delivery.status === 'delivered' ? (
+                        <span className="flex items-center space-x-1 text-green-400">
+                          <CheckCircle className="w-3 h-3" />
+                          <span>{delivery.statusCode}</span>
+                        </span>
+                      ) : (
+                        <span className="flex items-center space-x-1 text-red-400" title={delivery.error}>
+                          <XCircle className="w-3 h-3" />
+                          <span>{delivery.error}</span>
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2">{delivery.attempts.length}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhooksPanel;
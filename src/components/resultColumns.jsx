@@ -0,0 +1,152 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, Clock, XCircle } from 'lucide-react';
+import { isReady } from '../utils/normalize.js';
+import { companySizeBucket } from '../utils/resultsGrid.js';
+import { isChange } from '../utils/diffMode.js';
+
+// Column definitions for the results grids. value(row) is what search and
+// sorting see, unless sortValue(row) orders it differently; render(row) is
+// what the cell shows when it differs from value.
+
+const fullName = (row) => [row.firstName, row.lastName].filter(Boolean).join(' ');
+
+const twoLines = (first, second, muted, title) => (
+  <div className="min-w-0" title={title}>
+    <div className="truncate">{first || '-'}</div>
+    {second && <div className={`text-xs truncate ${muted}`}>{second}</div>}
+  </div>
+);
+
+const inputStatusColumn = (muted) => ({
+  key: 'inputStatus',
+  label: 'Input',
+  value: row => row.inputStatus || 'ready',
+  render: row => (
+    <div className="min-w-0" title={row.inputIssues?.join(' · ') || undefined}>
+      <div className="flex items-center space-x-2">
+        {isReady(row) ? (
+          <CheckCircle className="w-4 h-4 text-green-400 shrink-0" />
+        ) : row.inputStatus === 'fixable' ? (
+          <AlertCircle className="w-4 h-4 text-yellow-400 shrink-0" />
+        ) : (
+          <XCircle className="w-4 h-4 text-red-400 shrink-0" />
+        )}
+        <span className="text-xs">{row.inputStatus || 'ready'}</span>
+      </div>
+      {row.inputIssues?.length > 0 && (
+        <div className={`text-xs truncate ${isReady(row) ? muted : 'text-yellow-400'}`}>{row.inputIssues.join(' · ')}</div>
+      )}
+    </div>
+  )
+});
+
+export const previewColumns = (domainList, isDark) => {
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  if (domainList) {
+    return [
+      { key: 'domain', label: 'Domain', value: row => row.domain },
+      { key: 'name', label: 'Company Name', value: row => row.name || null },
+      inputStatusColumn(muted)
+    ];
+  }
+  return [
+    { key: 'name', label: 'Name', value: fullName },
+    { key: 'domain', label: 'Domain', value: row => row.domain || null },
+    { key: 'email', label: 'Email', value: row => row.email || null },
+    inputStatusColumn(muted)
+  ];
+};
+
+const statusColumn = (muted) => ({
+  key: 'status',
+  label: 'Status',
+  value: row => row.enrichmentStatus || 'pending',
+  render: row => (
+    <div className="flex items-center space-x-2 min-w-0">
+      {row.enrichmentStatus === 'success' ? (
+        <CheckCircle className="w-4 h-4 text-green-400 shrink-0" />
+      ) : row.enrichmentStatus === 'failed' ? (
+        <XCircle className="w-4 h-4 text-red-400 shrink-0" />
+      ) : (
+        <Clock className="w-4 h-4 text-yellow-400 shrink-0" />
+      )}
+      {row.fromCache && (
+        <span title={`Cached result from ${new Date(row.enrichmentTimestamp).toLocaleString()}`} className={`text-xs ${muted}`}>
+          cached
+        </span>
+      )}
+      {row.enrichmentStatus === 'success' && (
+        <span title={row.matchedOn?.length ? `Matched on ${row.matchedOn.join(', ')}` : undefined} className={`text-xs truncate ${muted}`}>
+          {row.confidence} · {row.dataCompleteness}%
+        </span>
+      )}
+    </div>
+  )
+});
+
+const confidenceRank = { high: 3, medium: 2, low: 1, none: 0 };
+
+const changeColors = { updated: 'text-blue-400', conflicting: 'text-yellow-400' };
+
+// Diff mode status with the fields that moved
+const changeColumn = (differ, muted) => ({
+  key: 'change',
+  label: 'Change',
+  value: row => differ.diff(row).status,
+  render: row => {
+    const { status, fields, conflicts } = differ.diff(row);
+    return twoLines(
+      <span className={changeColors[status] || muted}>{status}</span>,
+      fields.filter(isChange).map(field => field.label).join(', '),
+      muted,
+      conflicts.join(' · ') || undefined
+    );
+  }
+});
+
+// `differ`, from utils/diffMode.js, adds a change column in diff mode
+export const enrichedColumns = (mode, isDark, differ = null) => {
+  const muted = isDark ? 'text-gray-400' : 'text-gray-600';
+  if (mode === 'organizations') {
+    return [
+      {
+        key: 'company',
+        label: 'Company',
+        value: row => row.companyName || row.name || row.domain,
+        render: row => twoLines(
+          row.companyName || row.name || row.domain,
+          `${row.domain}${row.foundedYear ? ` · founded ${row.foundedYear}` : ''}`,
+          muted
+        )
+      },
+      { key: 'industry', label: 'Industry', value: row => row.industry || null },
+      { key: 'employeeCount', label: 'Employees', value: row => row.employeeCount || null, render: row => <div className="truncate">{row.employeeCount ? row.employeeCount.toLocaleString() : '-'}</div> },
+      { key: 'sizeBucket', label: 'Size', value: row => companySizeBucket(row.employeeCount), defaultVisible: false },
+      { key: 'hqLocation', label: 'HQ', value: row => row.hqLocation || null },
+      { key: 'annualRevenuePrinted', label: 'Revenue', value: row => row.annualRevenue || null, render: row => <div className="truncate">{row.annualRevenuePrinted || '-'}</div>, defaultVisible: false },
+      { key: 'phone', label: 'Phone', value: row => row.phone || null, defaultVisible: false },
+      { key: 'technologies', label: 'Technologies', value: row => (row.technologies?.length ? row.technologies.join(', ') : null), defaultVisible: false },
+      { key: 'completeness', label: 'Completeness', value: row => row.dataCompleteness ?? null, render: row => <div>{row.dataCompleteness ?? 0}%</div>, defaultVisible: false },
+      statusColumn(muted)
+    ];
+  }
+  return [
+    {
+      key: 'name',
+      label: 'Name',
+      value: fullName,
+      render: row => twoLines(fullName(row), row.workEmail || row.email || 'No email', muted)
+    },
+    { key: 'title', label: 'Title', value: row => row.title || null },
+    { key: 'company', label: 'Company', value: row => row.company || null },
+    { key: 'industry', label: 'Industry', value: row => row.industry || null, defaultVisible: false },
+    { key: 'companySize', label: 'Company Size', value: row => row.companySize || null, render: row => <div className="truncate">{row.companySize ? row.companySize.toLocaleString() : '-'}</div>, defaultVisible: false },
+    { key: 'location', label: 'Location', value: row => row.location || null, defaultVisible: false },
+    { key: 'workEmail', label: 'Work Email', value: row => row.workEmail || null, defaultVisible: false },
+    { key: 'phone', label: 'Phone', value: row => row.directPhone || row.mobilePhone || null, defaultVisible: false },
+    { key: 'confidence', label: 'Confidence', value: row => row.confidence || 'none', sortValue: row => confidenceRank[row.confidence || 'none'], defaultVisible: false },
+    { key: 'completeness', label: 'Completeness', value: row => row.dataCompleteness ?? null, render: row => <div>{row.dataCompleteness ?? 0}%</div>, defaultVisible: false },
+    statusColumn(muted),
+    ...(differ ? [changeColumn(differ, muted)] : [])
+  ];
+};
@@ -0,0 +1,28 @@
+// The studio access token (STUDIO_ACCESS_TOKEN on the server). Listing
+// profiles, enriching and prospecting all need it; it is kept for this tab
+// only, like the webhook admin token.
+
+const TOKEN_KEY = 'studioAccessToken';
+
+export const storedAccessToken = () => {
+  try {
+    return sessionStorage.getItem(TOKEN_KEY) || '';
+  } catch (storageError) {
+    return '';
+  }
+};
+
+export const storeAccessToken = (token) => {
+  try {
+    if (token) sessionStorage.setItem(TOKEN_KEY, token);
+    else sessionStorage.removeItem(TOKEN_KEY);
+  } catch (storageError) {
+    // Private browsing; the token lasts until the page is reloaded
+  }
+};
+
+// Headers for a JSON request to the studio's functions
+export const accessHeaders = (token) => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${token}`
+});
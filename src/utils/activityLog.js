@@ -0,0 +1,30 @@
+// Activity log entries for the app's log panel. Entries written while a
+// run is going carry its id, so a run's whole history can be shown and
+// downloaded; the panel otherwise shows only the latest few.
+
+export const LOG_WINDOW = 20;
+// Older entries are dropped past this, so a long session stays responsive
+export const MAX_LOG_ENTRIES = 5000;
+
+let sequence = 0;
+
+export const createLogEntry = (message, type = 'info', runId = null, now = new Date()) => ({
+  id: `${now.getTime().toString(36)}-${(sequence++).toString(36)}`,
+  at: now.toISOString(),
+  timestamp: now.toLocaleTimeString(),
+  message,
+  type,
+  runId
+});
+
+export const appendLogEntry = (logs, entry) => [...logs.slice(-(MAX_LOG_ENTRIES - 1)), entry];
+
+// Run ids in the order their first entry was written
+export const logRuns = (logs) => [...new Set(logs.map(log => log.runId).filter(Boolean))];
+
+export const runLog = (logs, runId) => (runId ? logs.filter(log => log.runId === runId) : logs);
+
+// One JSON object per line, oldest first
+export const logsToJsonLines = (logs) => logs
+  .map(({ at, type, message, runId }) => `${JSON.stringify({ at, type, message, runId })}\n`)
+  .join('');
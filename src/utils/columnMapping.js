@@ -0,0 +1,104 @@
+// Column mapping between uploaded headers and enrichment inputs
+
+// `unless` names a field that can stand in for a required one: a Full Name
+// column is split into first and last name during normalisation
+export const ENRICHMENT_FIELDS = [
+  { key: 'firstName', label: 'First Name', required: true, unless: 'fullName' },
+  { key: 'lastName', label: 'Last Name', required: true, unless: 'fullName' },
+  { key: 'fullName', label: 'Full Name', required: false },
+  { key: 'domain', label: 'Company Domain', required: false },
+  { key: 'email', label: 'Email', required: false }
+];
+
+// Organization mode only needs a domain
+export const ORGANIZATION_FIELDS = [
+  { key: 'domain', label: 'Company Domain', required: true },
+  { key: 'name', label: 'Company Name', required: false }
+];
+
+// Prospecting starts from a list of target account domains
+export const FIELDS_BY_MODE = {
+  people: ENRICHMENT_FIELDS,
+  organizations: ORGANIZATION_FIELDS,
+  prospecting: ORGANIZATION_FIELDS
+};
+
+// Known header spellings, compared after normalising case and punctuation
+const HEADER_SYNONYMS = {
+  firstName: ['firstname', 'first', 'fname', 'givenname', 'forename'],
+  lastName: ['lastname', 'last', 'lname', 'surname', 'familyname'],
+  fullName: ['fullname', 'name', 'contactname', 'personname', 'contact'],
+  domain: ['domain', 'companydomain', 'organizationdomain', 'website', 'companywebsite', 'websiteurl', 'companyurl', 'url'],
+  email: ['email', 'emailaddress', 'workemail', 'businessemail', 'mail'],
+  name: ['company', 'companyname', 'organization', 'organizationname', 'account', 'accountname', 'name']
+};
+
+export const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Make header names usable as object keys: blank headers get a positional
+// name and repeated headers get a numeric suffix, counting on past any
+// name already taken (a, a, a_2 becomes a, a_2, a_2_2)
+export const uniqueHeaders = (headers) => {
+  const used = new Set();
+  return headers.map((header, index) => {
+    const base = header || `Column ${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+    used.add(name);
+    return name;
+  });
+};
+
+// Suggest a field for each header; returns an array indexed like headers
+export const guessMapping = (headers, fields = ENRICHMENT_FIELDS) => {
+  const used = new Set();
+  const candidates = fields.map(field => field.key);
+
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const match = candidates.find(
+      key => !used.has(key) && HEADER_SYNONYMS[key].includes(normalized)
+    );
+    if (!match) return '';
+    used.add(match);
+    return match;
+  });
+};
+
+// Return the required fields that have no column assigned
+export const missingRequiredFields = (mapping, fields = ENRICHMENT_FIELDS) =>
+  fields.filter(field => field.required && !mapping.includes(field.key) && !(field.unless && mapping.includes(field.unless)));
+
+// Turn raw rows into contacts using the mapping, collecting rows that do
+// not fit the header. Blank or malformed values are left to normalisation
+// (utils/normalize.js), which marks the row instead of dropping it.
+export const applyMapping = (headers, rows, mapping, fields = ENRICHMENT_FIELDS) => {
+  const contacts = [];
+  const rejected = [];
+  const keys = uniqueHeaders(headers);
+
+  rows.forEach(row => {
+    if (row.values.length > headers.length) {
+      rejected.push({
+        line: row.line,
+        reason: `Row has ${row.values.length} columns, header has ${headers.length}`
+      });
+      return;
+    }
+
+    const contact = Object.fromEntries(fields.map(field => [field.key, '']));
+    mapping.forEach((field, index) => {
+      if (field) contact[field] = row.values[index] || '';
+    });
+
+    // Keep every uploaded column so it can be written back on export
+    contact.sourceRow = {};
+    keys.forEach((key, index) => {
+      contact.sourceRow[key] = row.values[index] || '';
+    });
+
+    contacts.push(contact);
+  });
+
+  return { contacts, rejected };
+};
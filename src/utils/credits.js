@@ -0,0 +1,43 @@
+// Credit pricing, pre-flight estimates and budget caps. Shared by the
+// browser and the enrich function so both count credits the same way.
+
+// Credits one record costs a provider: the mode's base price plus the
+// extra for every paid setting that is on. `creditCosts` is the provider's
+// { [mode]: { base, [setting]: extra } }; providers without one cost a
+// credit per record.
+export const creditsPerRecord = (creditCosts, mode, settings = {}) => {
+  const costs = creditCosts?.[mode];
+  if (!costs) return 1;
+  return Object.entries(costs).reduce(
+    (sum, [key, extra]) => (key === 'base' ? sum + extra : settings[key] ? sum + extra : sum),
+    0
+  );
+};
+
+// A run's cost before it starts. `records` is what will be sent after
+// dedupe and `cacheHits` how many of those the cache answers; only the rest
+// is billed. Fallback providers only see what the first provider misses,
+// so they are not counted.
+export const estimateCredits = ({ records, cacheHits = 0, perRecord }) => {
+  const billable = Math.max(0, records - cacheHits);
+  return { records, cacheHits, billable, perRecord, credits: billable * perRecord };
+};
+
+// Which cap spending `credits` more would cross, as { limit, cap, used },
+// or null when it fits. caps is { perRun, perDay } and used { run, day }.
+export const exceededCap = (credits, caps, used) => {
+  if (caps.perRun !== null && caps.perRun !== undefined && used.run + credits > caps.perRun) {
+    return { limit: 'run', cap: caps.perRun, used: used.run };
+  }
+  if (caps.perDay !== null && caps.perDay !== undefined && used.day + credits > caps.perDay) {
+    return { limit: 'day', cap: caps.perDay, used: used.day };
+  }
+  return null;
+};
+
+// A cap input's value as a cap: blank means none
+export const parseCap = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : null;
+};
@@ -0,0 +1,226 @@
+// Export presets that map enriched people onto a CRM's standard import
+// columns and value formats, and flag rows the CRM would reject.
+//
+// A preset has an id, a label, the formats the CRM imports, settings shown
+// in the export dialog ({ key, label, options, default }) and columns:
+//   label       import column name the CRM maps automatically
+//   value       (row, settings) => the formatted value, '' when empty
+//   required    the CRM rejects a row without it
+//   maxLength   the CRM rejects (or truncates) longer values
+//   validate    optional (value, row) => { errors, warnings } messages
+
+import { isValidEmail } from './normalize.js';
+
+const US_STATES = {
+  Alabama: 'AL', Alaska: 'AK', Arizona: 'AZ', Arkansas: 'AR', California: 'CA', Colorado: 'CO',
+  Connecticut: 'CT', Delaware: 'DE', 'District of Columbia': 'DC', Florida: 'FL', Georgia: 'GA',
+  Hawaii: 'HI', Idaho: 'ID', Illinois: 'IL', Indiana: 'IN', Iowa: 'IA', Kansas: 'KS',
+  Kentucky: 'KY', Louisiana: 'LA', Maine: 'ME', Maryland: 'MD', Massachusetts: 'MA',
+  Michigan: 'MI', Minnesota: 'MN', Mississippi: 'MS', Missouri: 'MO', Montana: 'MT',
+  Nebraska: 'NE', Nevada: 'NV', 'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM',
+  'New York': 'NY', 'North Carolina': 'NC', 'North Dakota': 'ND', Ohio: 'OH', Oklahoma: 'OK',
+  Oregon: 'OR', Pennsylvania: 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC',
+  'South Dakota': 'SD', Tennessee: 'TN', Texas: 'TX', Utah: 'UT', Vermont: 'VT',
+  Virginia: 'VA', Washington: 'WA', 'West Virginia': 'WV', Wisconsin: 'WI', Wyoming: 'WY',
+  'Puerto Rico': 'PR'
+};
+
+const CANADIAN_PROVINCES = {
+  Alberta: 'AB', 'British Columbia': 'BC', Manitoba: 'MB', 'New Brunswick': 'NB',
+  'Newfoundland and Labrador': 'NL', 'Northwest Territories': 'NT', 'Nova Scotia': 'NS',
+  Nunavut: 'NU', Ontario: 'ON', 'Prince Edward Island': 'PE', Quebec: 'QC',
+  Saskatchewan: 'SK', Yukon: 'YT'
+};
+
+const STATE_CODES_BY_COUNTRY = { US: US_STATES, CA: CANADIAN_PROVINCES };
+
+// ISO 3166-1 alpha-2 codes for the country names Apollo returns
+const COUNTRY_CODES = {
+  'United States': 'US', Canada: 'CA', Mexico: 'MX', Brazil: 'BR', Argentina: 'AR', Chile: 'CL',
+  Colombia: 'CO', Peru: 'PE', 'United Kingdom': 'GB', Ireland: 'IE', France: 'FR', Germany: 'DE',
+  Netherlands: 'NL', Belgium: 'BE', Luxembourg: 'LU', Switzerland: 'CH', Austria: 'AT',
+  Spain: 'ES', Portugal: 'PT', Italy: 'IT', Denmark: 'DK', Sweden: 'SE', Norway: 'NO',
+  Finland: 'FI', Iceland: 'IS', Poland: 'PL', 'Czech Republic': 'CZ', Czechia: 'CZ',
+  Hungary: 'HU', Romania: 'RO', Bulgaria: 'BG', Greece: 'GR', Turkey: 'TR', Ukraine: 'UA',
+  Estonia: 'EE', Latvia: 'LV', Lithuania: 'LT', Israel: 'IL', 'United Arab Emirates': 'AE',
+  'Saudi Arabia': 'SA', Egypt: 'EG', Nigeria: 'NG', Kenya: 'KE', 'South Africa': 'ZA',
+  India: 'IN', Pakistan: 'PK', Singapore: 'SG', Malaysia: 'MY', Indonesia: 'ID',
+  Philippines: 'PH', Thailand: 'TH', Vietnam: 'VN', China: 'CN', 'Hong Kong': 'HK',
+  Taiwan: 'TW', Japan: 'JP', 'South Korea': 'KR', Australia: 'AU', 'New Zealand': 'NZ'
+};
+
+const lookupCode = (table, value) => {
+  if (!value) return '';
+  const codes = Object.values(table);
+  if (codes.includes(value.toUpperCase())) return value.toUpperCase();
+  const name = Object.keys(table).find(key => key.toLowerCase() === value.trim().toLowerCase());
+  return name ? table[name] : '';
+};
+
+export const countryCode = (country) => lookupCode(COUNTRY_CODES, country || '');
+
+export const stateCode = (state, country) => lookupCode(STATE_CODES_BY_COUNTRY[countryCode(country)] || {}, state || '');
+
+// Phone numbers as E.164 (+14155550101), or for North American numbers in
+// 'national' style as (415) 555-0101. Extensions are dropped; a number
+// without a country code is assumed to be North American when it has ten
+// digits, and otherwise returned as given.
+export const formatPhone = (value, style = 'e164') => {
+  if (!value) return '';
+  const number = String(value).split(/\s*(?:x|ext\.?|extension)\s*\d+$/i)[0];
+  const digits = number.replace(/\D/g, '');
+  let e164 = '';
+  if (number.trim().startsWith('+')) {
+    e164 = `+${digits}`;
+  } else if (number.trim().startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else if (digits.length === 10) {
+    e164 = `+1${digits}`;
+  } else if (digits.length === 11 && digits.startsWith('1')) {
+    e164 = `+${digits}`;
+  } else {
+    return String(value).trim();
+  }
+  if (style === 'national' && e164.length === 12 && e164.startsWith('+1')) {
+    return `(${e164.slice(2, 5)}) ${e164.slice(5, 8)}-${e164.slice(8)}`;
+  }
+  return e164;
+};
+
+const titleCase = (text) => (text || '').replace(/\b\w/g, char => char.toUpperCase());
+
+// HubSpot's industry property uses values such as COMPUTER_SOFTWARE
+const hubspotIndustry = (industry) => (industry || '')
+  .toUpperCase()
+  .replace(/&/g, ' AND ')
+  .replace(/[^A-Z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const website = (row) => (row.domain ? `https://${row.domain}` : '');
+
+const email = (row) => row.workEmail || row.email || '';
+
+const checkEmail = (value) => (value && !isValidEmail(value) ? { errors: [`Email "${value}" is not a valid address`] } : {});
+
+const salesforceLead = {
+  id: 'salesforce',
+  label: 'Salesforce Leads',
+  crm: 'Salesforce',
+  formats: ['csv'],
+  settings: [
+    { key: 'leadStatus', label: 'Lead Status', options: ['Open - Not Contacted', 'Working - Contacted', 'Closed - Not Converted'], default: 'Open - Not Contacted' },
+    { key: 'leadSource', label: 'Lead Source', options: ['Apollo', 'Purchased List', 'Web', 'Other'], default: 'Apollo' }
+  ],
+  columns: [
+    { label: 'First Name', value: row => row.firstName || '', maxLength: 40 },
+    { label: 'Last Name', value: row => row.lastName || '', required: true, maxLength: 80 },
+    { label: 'Company', value: row => row.company || '', required: true, maxLength: 255 },
+    { label: 'Title', value: row => row.title || '', maxLength: 128 },
+    { label: 'Email', value: email, maxLength: 80, validate: checkEmail },
+    { label: 'Phone', value: row => formatPhone(row.directPhone, 'national'), maxLength: 40 },
+    { label: 'Mobile Phone', value: row => formatPhone(row.mobilePhone, 'national'), maxLength: 40 },
+    { label: 'City', value: row => row.city || '', maxLength: 40 },
+    // State and country picklists import ISO codes
+    {
+      label: 'State Code',
+      value: row => stateCode(row.state, row.country),
+      validate: (value, row) => (row.state && !value ? { warnings: [`State "${row.state}" has no state code and was left out`] } : {})
+    },
+    {
+      label: 'Country Code',
+      value: row => countryCode(row.country),
+      validate: (value, row) => (row.country && !value ? { warnings: [`Country "${row.country}" has no country code and was left out`] } : {})
+    },
+    { label: 'Website', value: website, maxLength: 255 },
+    { label: 'Industry', value: row => titleCase(row.industry), maxLength: 40 },
+    { label: 'No. of Employees', value: row => row.companySize ?? '' },
+    { label: 'Lead Source', value: (row, settings) => settings.leadSource, maxLength: 40 },
+    { label: 'Lead Status', value: (row, settings) => settings.leadStatus }
+  ]
+};
+
+// HubSpot matches imported contacts on email; single-line text properties
+// hold at most 65,536 characters
+const HUBSPOT_TEXT_LIMIT = 65536;
+
+const hubspotContact = {
+  id: 'hubspot',
+  label: 'HubSpot Contacts',
+  crm: 'HubSpot',
+  formats: ['csv', 'xlsx'],
+  settings: [
+    {
+      key: 'lifecycleStage',
+      label: 'Lifecycle Stage',
+      options: ['subscriber', 'lead', 'marketingqualifiedlead', 'salesqualifiedlead', 'opportunity', 'customer', 'evangelist', 'other'],
+      default: 'lead'
+    },
+    { key: 'leadStatus', label: 'Lead Status', options: ['NEW', 'OPEN', 'IN_PROGRESS', 'ATTEMPTED_TO_CONTACT', 'CONNECTED'], default: 'NEW' }
+  ],
+  columns: [
+    { label: 'First Name', value: row => row.firstName || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'Last Name', value: row => row.lastName || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    {
+      label: 'Email',
+      value: email,
+      validate: (value) => (value ? checkEmail(value) : { warnings: ['No email, so HubSpot cannot match this contact to an existing one'] })
+    },
+    { label: 'Job Title', value: row => row.title || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'Company Name', value: row => row.company || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'Phone Number', value: row => formatPhone(row.directPhone) },
+    { label: 'Mobile Phone Number', value: row => formatPhone(row.mobilePhone) },
+    { label: 'City', value: row => row.city || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'State/Region', value: row => row.state || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'Country/Region', value: row => row.country || '', maxLength: HUBSPOT_TEXT_LIMIT },
+    { label: 'Website URL', value: website },
+    { label: 'Industry', value: row => hubspotIndustry(row.industry) },
+    { label: 'LinkedIn URL', value: row => row.linkedinUrl || '' },
+    { label: 'Lifecycle Stage', value: (row, settings) => settings.lifecycleStage },
+    { label: 'Lead Status', value: (row, settings) => settings.leadStatus }
+  ],
+  // HubSpot needs something to name the contact by
+  validateRow: (row) => (!email(row) && !row.firstName && !row.lastName
+    ? { errors: ['Needs an email, first name or last name'] }
+    : {})
+};
+
+export const CRM_PRESETS = [salesforceLead, hubspotContact];
+
+export const getPreset = (id) => CRM_PRESETS.find(preset => preset.id === id) || null;
+
+export const presetDefaults = (preset) => Object.fromEntries(preset.settings.map(setting => [setting.key, setting.default]));
+
+// Export columns ({ key, label, value }) for buildExport
+export const presetColumns = (preset, settings = presetDefaults(preset)) => preset.columns.map(column => ({
+  key: `${preset.id}:${column.label}`,
+  label: column.label,
+  value: row => column.value(row, { ...presetDefaults(preset), ...settings })
+}));
+
+// Problems per row as [{ index, errors, warnings }], only for rows with
+// any. Rows with errors would be rejected by the CRM's import.
+export const validatePresetRows = (preset, rows, settings = presetDefaults(preset)) => {
+  const resolved = { ...presetDefaults(preset), ...settings };
+  return rows.flatMap((row, index) => {
+    const errors = [];
+    const warnings = [];
+    const add = ({ errors: rowErrors = [], warnings: rowWarnings = [] } = {}) => {
+      errors.push(...rowErrors);
+      warnings.push(...rowWarnings);
+    };
+
+    preset.columns.forEach(column => {
+      const value = String(column.value(row, resolved) ?? '');
+      if (column.required && !value) {
+        errors.push(`Missing ${column.label}`);
+      }
+      if (column.maxLength && value.length > column.maxLength) {
+        errors.push(`${column.label} is ${value.length} characters; ${preset.crm} allows ${column.maxLength}`);
+      }
+      if (column.validate) add(column.validate(value, row));
+    });
+    if (preset.validateRow) add(preset.validateRow(row));
+
+    return errors.length + warnings.length > 0 ? [{ index, errors, warnings }] : [];
+  });
+};
@@ -0,0 +1,195 @@
+// CSV utilities: encoding detection, delimiter detection and an RFC 4180 parser
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Decode an uploaded file's bytes, honouring BOMs and falling back to
+// Windows-1252 for legacy exports that are not valid UTF-8
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+};
+
+// Parse delimited text into records. Handles quoted fields containing
+// delimiters, escaped quotes ("") and embedded CR/LF line breaks.
+// Each record carries the 1-based line number it started on.
+//
+// A quoted field that is never closed would swallow the rest of the file,
+// so its record is reported in `errors` as { line, reason } and parsing
+// starts again on the line after the opening quote.
+export const parseDelimited = (text, delimiter = ',', maxRecords = Infinity, errors = []) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteStart = null;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  // Strip a BOM that survived decoding
+  if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Skip blank lines entirely
+    if (!(fields.length === 1 && fields[0].trim() === '')) {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+    field = '';
+  };
+
+  while (records.length < maxRecords) {
+    if (i >= text.length) {
+      if (!inQuotes) break;
+      errors.push({ line: recordLine, reason: 'Quoted field is never closed' });
+      fields = [];
+      field = '';
+      inQuotes = false;
+      const lineEnd = text.slice(quoteStart.index).search(/\r\n?|\n/);
+      if (lineEnd === -1) break;
+      const breakAt = quoteStart.index + lineEnd;
+      i = breakAt + (text.startsWith('\r\n', breakAt) ? 2 : 1);
+      line = quoteStart.line + 1;
+      recordLine = line;
+      continue;
+    }
+
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      // Opening quote; whitespace before it is not part of the value
+      field = '';
+      inQuotes = true;
+      quoteStart = { index: i, line };
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (records.length < maxRecords && (field !== '' || fields.length > 0)) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// Pick the delimiter that splits the first records into the most
+// consistent number of columns
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 64 * 1024);
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const records = parseDelimited(sample, delimiter, 20);
+    if (records.length === 0) return;
+
+    const headerCount = records[0].fields.length;
+    if (headerCount < 2) return;
+
+    const consistent = records.filter(record => record.fields.length === headerCount).length;
+    const score = (consistent / records.length) * headerCount;
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+// Parse CSV text into trimmed headers and raw data records. Records that
+// cannot be read, or that have more or fewer fields than the header, are
+// left out and listed in parseErrors as { line, reason }.
+export const parseCSV = (text, options = {}) => {
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const parseErrors = [];
+  const records = parseDelimited(text, delimiter, Infinity, parseErrors);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [], delimiter, parseErrors };
+  }
+
+  const headers = records[0].fields.map(h => h.trim());
+  const rows = [];
+  records.slice(1).forEach(record => {
+    if (record.fields.length !== headers.length) {
+      parseErrors.push({
+        line: record.line,
+        reason: `Row has ${record.fields.length} columns, header has ${headers.length}`
+      });
+      return;
+    }
+    rows.push({ line: record.line, values: record.fields.map(v => v.trim()) });
+  });
+
+  return { headers, rows, delimiter, parseErrors: parseErrors.sort((a, b) => a.line - b.line) };
+};
+
+// Spreadsheet apps run a cell that starts with one of these as a formula,
+// so enriched text such as a job title of "=HYPERLINK(...)" could run when
+// an export is opened. Such text gets a leading apostrophe, which shows it
+// as text. Numbers are left alone, and so is text that is only a signed
+// number or phone number such as "+13125550144": with no letters or
+// references it cannot call anything, and CRMs expect phones in that form.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[+-][\d\s().-]+$/;
+
+export const neutralizeFormula = (value) => (
+  typeof value === 'string' && FORMULA_START.test(value) && !SIGNED_NUMBER.test(value) ? `'${value}` : value
+);
+
+// Quote a value for CSV output when it contains a delimiter, quote or line
+// break, after neutralising anything a spreadsheet would read as a formula
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise a header list and row objects into CSV text. `getValue` also
+// gets the column index, for headers that are not unique.
+export const toCSV = (headers, rows, getValue = (row, header) => row[header]) => [
+  headers.map(escapeCSVValue).join(','),
+  ...rows.map(row => headers.map((header, index) => escapeCSVValue(getValue(row, header, index))).join(','))
+].join('\r\n');
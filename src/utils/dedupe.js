@@ -0,0 +1,152 @@
+// Duplicate detection so the same person (or company) is only sent to
+// Apollo once
+
+export const RESOLUTIONS = [
+  { key: 'merge', label: 'Merge', description: 'Enrich once, copy result to every row' },
+  { key: 'keep', label: 'Keep all', description: 'Enrich every row separately' },
+  { key: 'drop', label: 'Drop extras', description: 'Enrich and export the first row only' }
+];
+
+// Providers that ignore dots in the local part
+const DOT_INSENSITIVE_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+export const normalizeText = (value = '') => value
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const normalizeDomain = (value = '') => value
+  .trim()
+  .toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^www\./, '')
+  .split(/[/?#:]/)[0];
+
+// Lowercase, strip +tags and provider-specific dots
+export const normalizeEmail = (value = '') => {
+  const email = value.trim().toLowerCase();
+  const at = email.lastIndexOf('@');
+  if (at < 1) return '';
+
+  let local = email.slice(0, at).split('+')[0];
+  const domain = normalizeDomain(email.slice(at + 1));
+  if (DOT_INSENSITIVE_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+  }
+  return `${local}@${domain}`;
+};
+
+export const identityKeys = (contact) => {
+  const keys = [];
+  const email = normalizeEmail(contact.email);
+  if (email) keys.push(`email:${email}`);
+
+  const first = normalizeText(contact.firstName);
+  const last = normalizeText(contact.lastName);
+  const domain = normalizeDomain(contact.domain);
+  if (first && last && domain) keys.push(`name:${first}|${last}|${domain}`);
+
+  return keys;
+};
+
+const organizationKeys = (company) => {
+  const domain = normalizeDomain(company.domain);
+  return domain ? [`domain:${domain}`] : [];
+};
+
+const MATCH_LABELS = { email: 'email', name: 'name + domain', domain: 'domain' };
+
+// Group rows that share a normalised email or name+domain (or, for
+// companies, a domain). Returns only groups with more than one row, each
+// listing its row indices in order.
+export const findDuplicateGroups = (contacts, mode = 'people') => {
+  const keysFor = mode === 'organizations' ? organizationKeys : identityKeys;
+  const parent = contacts.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const firstByKey = new Map();
+  const matchedOn = new Map();
+
+  contacts.forEach((contact, index) => {
+    keysFor(contact).forEach(key => {
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, index);
+        return;
+      }
+      const rootA = find(firstByKey.get(key));
+      const rootB = find(index);
+      const root = Math.min(rootA, rootB);
+      parent[rootA] = root;
+      parent[rootB] = root;
+      matchedOn.set(index, MATCH_LABELS[key.slice(0, key.indexOf(':'))]);
+    });
+  });
+
+  const groups = new Map();
+  contacts.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return [...groups.values()]
+    .filter(indices => indices.length > 1)
+    .map(indices => ({
+      id: String(indices[0]),
+      indices,
+      matchedOn: [...new Set(indices.map(index => matchedOn.get(index)).filter(Boolean))]
+    }));
+};
+
+// Fill blank inputs on the first row from the other rows in its group
+const mergeGroup = (rows) => rows.slice(1).reduce((merged, row) => {
+  ['firstName', 'lastName', 'domain', 'email', 'name'].forEach(field => {
+    if (!merged[field] && row[field]) merged[field] = row[field];
+  });
+  return merged;
+}, { ...rows[0] });
+
+// Decide which contacts to send and which rows each result belongs to.
+// fanOut[i] lists the csvData row indices that receive requests[i]'s result.
+// Rows failing `include` (e.g. not ready for enrichment) are left out.
+export const planEnrichment = (contacts, groups, resolutions = {}, include = () => true) => {
+  const groupByRow = new Map();
+  groups.forEach(group => group.indices.forEach(index => groupByRow.set(index, group)));
+
+  const requests = [];
+  const fanOut = [];
+
+  contacts.forEach((contact, index) => {
+    if (!include(contact)) return;
+
+    const group = groupByRow.get(index);
+    const members = group ? group.indices.filter(i => include(contacts[i])) : [index];
+    const resolution = members.length > 1 ? resolutions[group.id] || 'merge' : 'keep';
+
+    if (resolution === 'keep') {
+      requests.push(contact);
+      fanOut.push([index]);
+    } else if (members[0] === index) {
+      requests.push(mergeGroup(members.map(i => contacts[i])));
+      fanOut.push(resolution === 'merge' ? members : [index]);
+    }
+  });
+
+  return { requests, fanOut };
+};
+
+// Copy an enriched result onto each original row it stands for, keeping
+// that row's own inputs and uploaded columns
+export const fanOutResults = (results, fanOut, contacts, offset = 0) =>
+  results.flatMap((result, i) => fanOut[offset + i].map(index => ({
+    ...result,
+    ...contacts[index]
+  })));
@@ -0,0 +1,154 @@
+// Diff mode: compare the title, company, email and phone an uploaded CRM
+// file already holds for each contact with what enrichment returns, so a
+// periodic re-enrichment shows what changed rather than everything.
+//
+// Old values are read from the row's sourceRow through `columns`, which
+// maps each compared field (and an optional record ID) to an upload
+// header: { id, title, company, email, phone }. An empty header leaves the
+// field out.
+
+import { normalizeHeader } from './columnMapping.js';
+
+const words = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Legal forms and web suffixes that CRMs and Apollo write inconsistently
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'plc', 'sa', 'ag', 'bv', 'pty', 'com', 'io', 'ai'
+]);
+
+const companyWords = (value) => {
+  const parts = words(value).split(' ');
+  while (parts.length > 1 && COMPANY_SUFFIXES.has(parts[parts.length - 1])) parts.pop();
+  return parts.join(' ');
+};
+
+// Extensions are dropped and only the last ten digits compared, so +1 and
+// national formats of the same number agree
+const phoneDigits = (value) => value.split(/x|ext/i)[0].replace(/\D/g, '').slice(-10);
+
+export const DIFF_FIELDS = [
+  { key: 'title', label: 'Title', fresh: row => row.title, normalize: words },
+  { key: 'company', label: 'Company', fresh: row => row.company, normalize: companyWords },
+  { key: 'email', label: 'Email', fresh: row => row.workEmail, normalize: value => value.trim().toLowerCase() },
+  { key: 'phone', label: 'Phone', fresh: row => row.directPhone || row.mobilePhone, normalize: phoneDigits }
+];
+
+// Row statuses in the order the grid lists them. Unmatched rows have no
+// fresh data to compare against.
+export const DIFF_STATUSES = ['updated', 'conflicting', 'unchanged', 'unmatched'];
+
+export const DIFF_COLUMN_KEYS = ['id', ...DIFF_FIELDS.map(field => field.key)];
+
+// Known header spellings, compared after normalising case and punctuation
+const DIFF_HEADER_SYNONYMS = {
+  id: ['id', 'recordid', 'contactid', 'leadid', 'crmid', 'externalid'],
+  title: ['title', 'jobtitle', 'position', 'role', 'currenttitle'],
+  company: ['company', 'companyname', 'account', 'accountname', 'organization', 'organizationname', 'employer'],
+  email: ['email', 'emailaddress', 'workemail', 'businessemail', 'mail'],
+  phone: ['phone', 'phonenumber', 'directphone', 'workphone', 'businessphone', 'mobile', 'mobilephone', 'telephone']
+};
+
+// Suggest an upload header for each compared field, '' when none fits
+export const guessDiffColumns = (headers) => Object.fromEntries(DIFF_COLUMN_KEYS.map(key => [
+  key,
+  headers.find(header => DIFF_HEADER_SYNONYMS[key].includes(normalizeHeader(header))) || ''
+]));
+
+const clean = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+// How one field moved: 'same', 'added' (the file had nothing), 'changed',
+// 'missing' (enrichment had nothing, so the old value stands) or 'empty'
+export const compareValues = (field, before, after) => {
+  if (before === null) return after === null ? 'empty' : 'added';
+  if (after === null) return 'missing';
+  return field.normalize(before) === field.normalize(after) ? 'same' : 'changed';
+};
+
+export const isChange = (field) => field.change === 'added' || field.change === 'changed';
+
+// Compare one enriched row with its upload. Returns { status, fields,
+// conflicts }: fields are [{ key, label, before, after, change }] for every
+// mapped field, and conflicts say why changes need a human look before
+// they are written back: the match itself is doubtful, or a known email
+// would be replaced by an unverified one.
+export const diffRecord = (record, columns) => {
+  const source = record.sourceRow || {};
+  const fields = DIFF_FIELDS.filter(field => columns[field.key]).map(field => {
+    const before = clean(source[columns[field.key]]);
+    const after = clean(field.fresh(record));
+    return { key: field.key, label: field.label, before, after, change: compareValues(field, before, after) };
+  });
+
+  if (record.enrichmentStatus !== 'success') return { status: 'unmatched', fields, conflicts: [] };
+
+  const changes = fields.filter(isChange);
+  const conflicts = [];
+  if (record.confidence === 'low' && changes.some(field => field.change === 'changed')) {
+    conflicts.push('Low-confidence match may be a different person');
+  }
+  if (changes.some(field => field.key === 'email' && field.change === 'changed') && record.workEmailStatus !== 'verified') {
+    conflicts.push(`New email is ${record.workEmailStatus || 'unverified'}, not verified`);
+  }
+
+  const status = conflicts.length > 0 ? 'conflicting' : changes.length > 0 ? 'updated' : 'unchanged';
+  return { status, fields, conflicts };
+};
+
+// Diffs computed once per row object for a set of columns. Rows are
+// replaced, never mutated, so caching on the object is safe.
+export const createDiffer = (columns) => {
+  const cache = new WeakMap();
+  return {
+    columns,
+    diff: (record) => {
+      if (!cache.has(record)) cache.set(record, diffRecord(record, columns));
+      return cache.get(record);
+    }
+  };
+};
+
+export const countDiffs = (rows, differ) => {
+  const counts = Object.fromEntries(DIFF_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => {
+    counts[differ.diff(row).status] += 1;
+  });
+  return counts;
+};
+
+export const changedRows = (rows, differ) =>
+  rows.filter(row => ['updated', 'conflicting'].includes(differ.diff(row).status));
+
+// Export columns for changed rows: the record ID when mapped, who the row
+// is, its status, then a before and after pair for each field that changed
+// in any of `rows`. A pair is blank on rows where that field did not move.
+export const changeExportColumns = (rows, differ) => {
+  const { columns } = differ;
+  const moved = new Set(rows.flatMap(row => differ.diff(row).fields.filter(isChange).map(field => field.key)));
+  const changeOf = (row, key) => differ.diff(row).fields.find(field => field.key === key && isChange(field));
+
+  return [
+    ...(columns.id ? [{ key: `source:${columns.id}`, label: columns.id, value: row => row.sourceRow?.[columns.id] ?? '' }] : []),
+    { key: 'firstName', label: 'First Name', value: row => row.firstName },
+    { key: 'lastName', label: 'Last Name', value: row => row.lastName },
+    { key: 'domain', label: 'Domain', value: row => row.domain },
+    { key: 'changeStatus', label: 'Change', value: row => differ.diff(row).status },
+    { key: 'changeConflicts', label: 'Conflicts', value: row => differ.diff(row).conflicts.join('; ') },
+    ...DIFF_FIELDS.filter(field => moved.has(field.key)).flatMap(field => [
+      { key: `${field.key}Before`, label: `${field.label} (before)`, value: row => changeOf(row, field.key)?.before ?? '' },
+      { key: `${field.key}After`, label: `${field.label} (after)`, value: row => changeOf(row, field.key)?.after ?? '' }
+    ])
+  ];
+};
+
+// Results grid facet over the row statuses
+export const changeFacet = (differ) => ({
+  key: 'change',
+  label: 'Change',
+  value: row => differ.diff(row).status,
+  order: DIFF_STATUSES
+});
@@ -0,0 +1,160 @@
+// Export builder: the columns an enriched table can be exported with, row
+// filters, and the CSV, XLSX, JSON and NDJSON writers.
+//
+// A column is identified by a key that survives in saved templates:
+//   source:<header>       a column of the uploaded file, from sourceRow
+//   <field>               an enriched field, e.g. workEmail
+//   employment_<n>_<key>  one field of a nested list entry, 1-based
+
+import { neutralizeFormula, toCSV } from './csv.js';
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+  { value: 'xlsx', label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'ndjson', label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' }
+];
+
+export const EXPORT_STATUSES = ['success', 'failed'];
+
+// Enriched fields per mode, in the order they are offered
+const PEOPLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'domain', 'matchedName', 'title', 'company', 'companyDomain',
+  'industry', 'companySize', 'location', 'city', 'state', 'country', 'linkedinUrl', 'twitterUrl',
+  'facebookUrl', 'workEmail', 'workEmailStatus', 'personalEmail', 'personalEmailStatus', 'directPhone',
+  'mobilePhone', 'confidence', 'matchedOn',
+  'dataCompleteness', 'enrichmentStatus', 'enrichmentError', 'enrichmentProvider',
+  'enrichmentTimestamp', 'fromCache', 'providersTried', 'apolloPersonId'
+];
+
+const ORGANIZATION_FIELDS = [
+  'domain', 'name', 'companyName', 'websiteUrl', 'industry', 'employeeCount', 'annualRevenue',
+  'annualRevenuePrinted', 'hqCity', 'hqState', 'hqCountry', 'hqLocation', 'foundedYear',
+  'technologies', 'description', 'phone', 'linkedinUrl', 'twitterUrl', 'facebookUrl',
+  'confidence', 'dataCompleteness', 'enrichmentStatus', 'enrichmentError', 'enrichmentProvider',
+  'enrichmentTimestamp', 'fromCache', 'providersTried', 'apolloOrganizationId'
+];
+
+// Selected until the user picks otherwise
+const PEOPLE_DEFAULTS = [
+  'firstName', 'lastName', 'email', 'domain', 'title', 'company', 'linkedinUrl', 'workEmail',
+  'workEmailStatus', 'personalEmail', 'personalEmailStatus', 'directPhone', 'mobilePhone',
+  'industry', 'location', 'confidence', 'matchedOn', 'dataCompleteness', 'enrichmentStatus',
+  'enrichmentTimestamp', 'fromCache'
+];
+
+const ORGANIZATION_DEFAULTS = [
+  'domain', 'name', 'companyName', 'websiteUrl', 'industry', 'employeeCount', 'annualRevenue',
+  'hqCity', 'hqState', 'hqCountry', 'foundedYear', 'technologies', 'phone', 'linkedinUrl',
+  'twitterUrl', 'facebookUrl', 'description', 'confidence', 'dataCompleteness',
+  'enrichmentStatus', 'enrichmentTimestamp', 'fromCache'
+];
+
+// Lists of objects flattened into numbered columns
+const NESTED_LISTS = {
+  people: [
+    { field: 'employmentHistory', prefix: 'employment', keys: ['title', 'company', 'startDate', 'endDate', 'current'] },
+    { field: 'education', prefix: 'education', keys: ['school', 'degree', 'field', 'startDate', 'endDate'] }
+  ],
+  organizations: []
+};
+
+const FIELDS_BY_MODE = { people: PEOPLE_FIELDS, organizations: ORGANIZATION_FIELDS };
+const DEFAULTS_BY_MODE = { people: PEOPLE_DEFAULTS, organizations: ORGANIZATION_DEFAULTS };
+
+const SOURCE_PREFIX = 'source:';
+const NESTED_KEY = /^([a-z]+)_(\d+)_(\w+)$/;
+
+// Every column the rows can be exported with, as [{ key, label,
+// isDefault }]. Upload columns come first, renamed when they clash with an
+// enriched column; nested lists get as many numbered columns as the
+// longest list in `rows`.
+export const availableColumns = (rows, mode = 'people', sourceHeaders = []) => {
+  const enriched = FIELDS_BY_MODE[mode].map(field => ({
+    key: field,
+    label: field,
+    isDefault: DEFAULTS_BY_MODE[mode].includes(field)
+  }));
+
+  NESTED_LISTS[mode].forEach(({ field, prefix, keys }) => {
+    const count = Math.max(0, ...rows.map(row => (Array.isArray(row[field]) ? row[field].length : 0)));
+    for (let n = 1; n <= count; n++) {
+      keys.forEach(key => {
+        enriched.push({ key: `${prefix}_${n}_${key}`, label: `${prefix}_${n}_${key}`, isDefault: false });
+      });
+    }
+  });
+
+  const enrichedLabels = new Set(enriched.map(column => column.label));
+  const original = sourceHeaders.map(header => ({
+    key: `${SOURCE_PREFIX}${header}`,
+    label: enrichedLabels.has(header) ? `${header} (original)` : header,
+    isDefault: true
+  }));
+
+  return [...original, ...enriched];
+};
+
+export const defaultColumnKeys = (columns) => columns.filter(column => column.isDefault).map(column => column.key);
+
+// The raw value of a column for one row; undefined when the row lacks it
+export const columnValue = (row, key) => {
+  if (key.startsWith(SOURCE_PREFIX)) {
+    return row.sourceRow?.[key.slice(SOURCE_PREFIX.length)];
+  }
+  const nested = key.match(NESTED_KEY);
+  const list = nested && Object.values(NESTED_LISTS).flat().find(({ prefix }) => prefix === nested[1]);
+  if (list) {
+    return row[list.field]?.[Number(nested[2]) - 1]?.[nested[3]];
+  }
+  return row[key];
+};
+
+// Spreadsheet cells hold one value; lists are joined and objects kept as JSON
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Keep rows whose status, match confidence and completeness pass `filters`
+// ({ statuses, confidences, minCompleteness }); empty lists allow all
+export const filterRows = (rows, { statuses = [], confidences = [], minCompleteness = 0 } = {}) => rows.filter(row =>
+  (statuses.length === 0 || statuses.includes(row.enrichmentStatus)) &&
+  (confidences.length === 0 || confidences.includes(row.confidence || 'none')) &&
+  (row.dataCompleteness || 0) >= minCompleteness
+);
+
+const valueOf = (row, column) => (column.value ? column.value(row) : columnValue(row, column.key));
+
+// Serialise rows with the chosen columns. A column may bring its own
+// value(row), as CRM preset columns do. Returns { data, mimeType,
+// extension }; data is a string, or an ArrayBuffer for XLSX.
+export const buildExport = async (rows, columns, format = 'csv') => {
+  const { mimeType, extension } = EXPORT_FORMATS.find(option => option.value === format) || EXPORT_FORMATS[0];
+  const labels = columns.map(column => column.label);
+
+  if (format === 'json' || format === 'ndjson') {
+    // JSON keeps numbers, booleans and lists as they are
+    const records = rows.map(row => Object.fromEntries(
+      columns.map(column => [column.label, valueOf(row, column) ?? null])
+    ));
+    const data = format === 'json'
+      ? JSON.stringify(records, null, 2)
+      : records.map(record => JSON.stringify(record)).join('\n');
+    return { data, mimeType, extension };
+  }
+
+  const values = rows.map(row => columns.map(column => cellValue(valueOf(row, column))));
+
+  if (format === 'xlsx') {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.utils.book_new();
+    const sheet = XLSX.utils.aoa_to_sheet([labels, ...values].map(cells => cells.map(neutralizeFormula)));
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Enriched');
+    return { data: XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }), mimeType, extension };
+  }
+
+  return { data: toCSV(labels, values, (rowValues, label, index) => rowValues[index]), mimeType, extension };
+};
@@ -0,0 +1,41 @@
+// Named export setups (columns, filters, format) kept in localStorage.
+// Templates are per mode, since people and company columns differ.
+
+const STORAGE_KEY = 'apollo-enrichment-studio:export-templates';
+
+const defaultStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+export const loadExportTemplates = (storage = defaultStorage()) => {
+  if (!storage) return [];
+  try {
+    const templates = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(templates) ? templates : [];
+  } catch (error) {
+    // A corrupt entry should not stop the export dialog from opening
+    return [];
+  }
+};
+
+const writeTemplates = (templates, storage) => {
+  if (!storage) {
+    throw new Error('Templates cannot be saved in this browser');
+  }
+  storage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+// Save `template` ({ name, mode, columns, filters, format }), replacing
+// one with the same name and mode. Returns the updated list.
+export const saveExportTemplate = (template, storage = defaultStorage()) => {
+  const name = template.name.trim();
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  const others = loadExportTemplates(storage).filter(saved => !(saved.name === name && saved.mode === template.mode));
+  return writeTemplates([...others, { ...template, name }], storage);
+};
+
+export const deleteExportTemplate = (name, mode, storage = defaultStorage()) => writeTemplates(
+  loadExportTemplates(storage).filter(saved => !(saved.name === name && saved.mode === mode)),
+  storage
+);
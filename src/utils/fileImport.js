@@ -0,0 +1,179 @@
+// Turn uploaded CSV, Excel, JSON and NDJSON files into a common
+// { headers, rows } table for the column mapping step
+
+import { decodeText, parseCSV } from './csv.js';
+
+const FORMAT_BY_EXTENSION = {
+  csv: 'csv',
+  tsv: 'csv',
+  txt: 'csv',
+  xlsx: 'xlsx',
+  xls: 'xlsx',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson'
+};
+
+const DELIMITER_LABELS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+
+export const ACCEPTED_EXTENSIONS = Object.keys(FORMAT_BY_EXTENSION).map(ext => `.${ext}`).join(',');
+
+// Go by extension first since browsers report inconsistent MIME types for CSV
+export const detectFormat = (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (FORMAT_BY_EXTENSION[extension]) return FORMAT_BY_EXTENSION[extension];
+  if (file.type.includes('spreadsheetml') || file.type === 'application/vnd.ms-excel') return 'xlsx';
+  if (file.type === 'application/json') return 'json';
+  return 'csv';
+};
+
+// Nested values are kept as JSON text so they survive into the export
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+};
+
+// Build a table from objects, using the union of keys in first-seen order
+const recordsToTable = (records) => {
+  const headers = [];
+  const seen = new Set();
+
+  records.forEach(({ record }) => {
+    Object.keys(record).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+
+  const rows = records.map(({ record, line }) => ({
+    line,
+    values: headers.map(header => cellValue(record[header]))
+  }));
+
+  return { headers, rows };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseJSONArray = (text) => {
+  const data = JSON.parse(text);
+  // Accept either a bare array or a wrapper such as { "contacts": [...] }
+  const list = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(Array.isArray);
+
+  if (!list) {
+    throw new Error('JSON file must contain an array of objects');
+  }
+
+  const records = [];
+  const parseErrors = [];
+  list.forEach((record, index) => {
+    if (isPlainObject(record)) {
+      records.push({ record, line: index + 1 });
+    } else {
+      parseErrors.push({ line: index + 1, reason: 'Record is not an object' });
+    }
+  });
+
+  return { ...recordsToTable(records), parseErrors };
+};
+
+const parseNDJSON = (text) => {
+  const records = [];
+  const parseErrors = [];
+
+  text.split(/\r?\n/).forEach((lineText, index) => {
+    if (!lineText.trim()) return;
+    try {
+      const record = JSON.parse(lineText);
+      if (isPlainObject(record)) {
+        records.push({ record, line: index + 1 });
+      } else {
+        parseErrors.push({ line: index + 1, reason: 'Line is not a JSON object' });
+      }
+    } catch (error) {
+      parseErrors.push({ line: index + 1, reason: 'Invalid JSON' });
+    }
+  });
+
+  return { ...recordsToTable(records), parseErrors };
+};
+
+// Read one worksheet as a table; row numbers match the spreadsheet
+export const readSheet = async (workbook, sheetName) => {
+  const XLSX = await import('xlsx');
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) {
+    return { headers: [], rows: [] };
+  }
+
+  const firstSheetRow = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+  const headerIndex = grid.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+
+  if (headerIndex === -1) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = grid[headerIndex].map(cellValue);
+  const rows = grid.slice(headerIndex + 1)
+    .map((values, index) => ({ line: firstSheetRow + headerIndex + index + 1, values: values.map(cellValue) }))
+    .filter(row => row.values.some(value => value !== ''));
+
+  return { headers, rows };
+};
+
+// Read a file into everything the mapping wizard needs
+export const readImportFile = async (file) => {
+  const format = detectFormat(file);
+  const buffer = await file.arrayBuffer();
+
+  if (format === 'xlsx') {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheetName = workbook.SheetNames[0];
+    return {
+      format,
+      details: 'Excel workbook',
+      rowLabel: 'Row',
+      workbook,
+      sheetNames: workbook.SheetNames,
+      sheetName,
+      parseErrors: [],
+      ...await readSheet(workbook, sheetName)
+    };
+  }
+
+  const { text, encoding } = decodeText(buffer);
+
+  if (format === 'json') {
+    try {
+      return { format, details: `JSON · ${encoding}`, rowLabel: 'Record', ...parseJSONArray(text) };
+    } catch (error) {
+      // Some tools save NDJSON with a .json extension
+      if (!(error instanceof SyntaxError)) throw error;
+    }
+  }
+
+  if (format === 'json' || format === 'ndjson') {
+    return { format: 'ndjson', details: `NDJSON · ${encoding}`, rowLabel: 'Line', ...parseNDJSON(text) };
+  }
+
+  const { headers, rows, delimiter, parseErrors } = parseCSV(text);
+  return {
+    format,
+    details: `${DELIMITER_LABELS[delimiter] || delimiter} delimited · ${encoding}`,
+    rowLabel: 'Line',
+    parseErrors,
+    headers,
+    rows
+  };
+};
+
+// Every row left out of an import, from reading the file and from the
+// column mapping, in file order
+export const rejectedRows = (parseErrors, rejected) => [...parseErrors, ...rejected].sort((a, b) => a.line - b.line);
@@ -0,0 +1,197 @@
+// Input normalisation between column mapping and csvData: clean up names,
+// domains and emails, and decide whether each row can be enriched.
+//
+// Every row gets an inputStatus and the inputIssues behind it:
+//   ready          enough to match on; sent for enrichment
+//   fixable        identity present but incomplete or malformed, e.g. a
+//                  person with no usable domain or email
+//   unenrichable   nothing to match on, e.g. no name or no domain at all
+// Ready rows may still carry issues describing what was changed.
+
+import { normalizeDomain } from './dedupe.js';
+
+export const INPUT_STATUSES = ['ready', 'fixable', 'unenrichable'];
+
+// Second-level suffixes under which companies register their domain, so
+// sales.acme.co.uk reduces to acme.co.uk rather than co.uk
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'co.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.id', 'co.il', 'co.th', 'co.za',
+  'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.hk', 'com.sg', 'com.tw', 'com.tr',
+  'com.my', 'com.ph', 'com.vn', 'com.pk', 'com.ng', 'com.eg', 'com.sa'
+]);
+
+// Mailbox providers whose domain says nothing about the employer
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.de', 'mail.com', 'yandex.ru', 'qq.com', '163.com'
+]);
+
+// Shared mailboxes that do not identify a person
+const ROLE_LOCAL_PARTS = new Set([
+  'info', 'sales', 'support', 'admin', 'contact', 'hello', 'office', 'team',
+  'marketing', 'hr', 'jobs', 'careers', 'billing', 'accounts', 'help',
+  'enquiries', 'inquiries', 'noreply', 'no-reply', 'webmaster', 'press', 'media', 'service'
+]);
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir']);
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'mba', 'esq']);
+// Surname particles: "Ludwig van Beethoven" has the last name "van Beethoven"
+const SURNAME_PARTICLES = new Set(['van', 'von', 'de', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'der', 'den', 'ter', 'st']);
+
+const EMAIL_PATTERN = /^[^\s@"(),:;<>[\]\\.]+(\.[^\s@"(),:;<>[\]\\.]+)*@[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)*\.\p{L}{2,}$/u;
+const HOST_PATTERN = /^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)*\.\p{L}{2,}$/u;
+
+const bareToken = (token) => token.toLowerCase().replace(/\./g, '');
+
+export const normalizeName = (value = '') => String(value)
+  .normalize('NFC')
+  .replace(/^["'\s]+|["'\s]+$/g, '')
+  .replace(/\s+/g, ' ');
+
+// Split "Dr. Jane Q. Smith Jr." or "Smith, Jane" into first and last name,
+// dropping honorifics, suffixes and middle names
+export const splitFullName = (fullName = '') => {
+  let name = normalizeName(fullName);
+  const [beforeComma, afterComma = ''] = name.split(/,(.*)/s).map(part => part.trim());
+  if (afterComma && !afterComma.split(/[\s,]+/).every(token => NAME_SUFFIXES.has(bareToken(token)))) {
+    name = `${afterComma} ${beforeComma}`;
+  } else {
+    name = beforeComma;
+  }
+
+  const tokens = name.split(' ').filter(Boolean);
+  while (tokens.length > 1 && HONORIFICS.has(bareToken(tokens[0]))) tokens.shift();
+  while (tokens.length > 1 && NAME_SUFFIXES.has(bareToken(tokens[tokens.length - 1]))) tokens.pop();
+
+  if (tokens.length < 2) return { firstName: tokens[0] || '', lastName: '' };
+
+  const particle = tokens.findIndex((token, index) => index > 0 && SURNAME_PARTICLES.has(token.toLowerCase()));
+  const lastStart = particle !== -1 && particle < tokens.length - 1 ? particle : tokens.length - 1;
+  return { firstName: tokens[0], lastName: tokens.slice(lastStart).join(' ') };
+};
+
+// Reduce a host name to the domain a company registered
+export const registrableDomain = (host) => {
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+  return labels.slice(MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? -3 : -2).join('.');
+};
+
+// Bare registrable domain from a domain, URL or email address; '' when the
+// value does not contain one
+export const extractDomain = (value = '') => {
+  let text = String(value).trim().toLowerCase().replace(/^mailto:/, '');
+  if (!text) return '';
+  if (text.includes('@') && !text.includes('/')) {
+    text = text.slice(text.lastIndexOf('@') + 1);
+  }
+  const host = normalizeDomain(text).split('@').pop().replace(/\.$/, '');
+  return HOST_PATTERN.test(host) ? registrableDomain(host) : '';
+};
+
+export const isValidEmail = (value = '') => EMAIL_PATTERN.test(value);
+
+export const isRoleAddress = (email) => ROLE_LOCAL_PARTS.has(email.slice(0, email.indexOf('@')).split('+')[0]);
+
+export const isFreeEmailDomain = (domain) => FREE_EMAIL_DOMAINS.has(domain);
+
+// Clean up the domain cell, noting what changed
+const normalizeDomainCell = (rawDomain, issues) => {
+  const domain = extractDomain(rawDomain);
+  if (rawDomain && !domain) {
+    issues.push(`"${rawDomain}" is not a domain`);
+  } else if (domain && domain !== rawDomain.toLowerCase()) {
+    issues.push(`Domain taken from "${rawDomain}"`);
+  }
+  return domain;
+};
+
+const normalizeContactRow = (row) => {
+  const { fullName = '', ...contact } = row;
+  const issues = [];
+
+  let firstName = normalizeName(contact.firstName);
+  let lastName = normalizeName(contact.lastName);
+  if ((!firstName || !lastName) && normalizeName(fullName)) {
+    const split = splitFullName(fullName);
+    firstName = firstName || split.firstName;
+    lastName = lastName || split.lastName;
+    issues.push('Name split from full name');
+  }
+
+  const rawEmail = String(contact.email || '').trim();
+  const validEmail = rawEmail.replace(/^mailto:/i, '').toLowerCase();
+  let email = '';
+  if (validEmail && !isValidEmail(validEmail)) {
+    issues.push(`Invalid email "${rawEmail}" not sent`);
+  } else if (validEmail && isRoleAddress(validEmail)) {
+    issues.push(`Role address ${validEmail} not sent`);
+  } else {
+    email = validEmail;
+  }
+
+  const rawDomain = String(contact.domain || '').trim();
+  let domain = normalizeDomainCell(rawDomain, issues);
+  const emailDomain = isValidEmail(validEmail) ? extractDomain(validEmail) : '';
+  if (!domain && emailDomain && !isFreeEmailDomain(emailDomain)) {
+    domain = emailDomain;
+    issues.push('Domain taken from email');
+  }
+
+  let inputStatus = 'ready';
+  if (!firstName || !lastName) {
+    inputStatus = 'unenrichable';
+    issues.push('Missing first or last name');
+  } else if (!domain && !email) {
+    inputStatus = 'fixable';
+    issues.push('Add a company domain or email');
+  }
+
+  return { ...contact, firstName, lastName, domain, email, inputStatus, inputIssues: issues };
+};
+
+const normalizeCompanyRow = (row) => {
+  const issues = [];
+  const rawDomain = String(row.domain || '').trim();
+  const domain = normalizeDomainCell(rawDomain, issues);
+
+  let inputStatus = 'ready';
+  if (!rawDomain) {
+    inputStatus = 'unenrichable';
+    issues.push('Missing company domain');
+  } else if (!domain) {
+    inputStatus = 'fixable';
+  }
+
+  return {
+    ...row,
+    ...(row.name !== undefined ? { name: normalizeName(row.name) } : {}),
+    domain,
+    inputStatus,
+    inputIssues: issues
+  };
+};
+
+// Companies and prospecting target accounts are both lists of domains
+export const normalizeRows = (rows, mode = 'people') =>
+  rows.map(mode === 'people' ? normalizeContactRow : normalizeCompanyRow);
+
+export const isReady = (row) => !row.inputStatus || row.inputStatus === 'ready';
+
+// The row as sent to the enrich function, without the client-side status
+export const toEnrichmentInput = ({ inputStatus, inputIssues, ...row }) => row;
+
+// Fields a loaded row has before enrichment adds to it
+const INPUT_FIELDS = ['firstName', 'lastName', 'domain', 'email', 'name', 'sourceRow', 'inputStatus', 'inputIssues'];
+
+// The loaded row an enriched record came from, to enrich it again
+export const toInputRow = (record) => Object.fromEntries(
+  INPUT_FIELDS.filter(field => field in record).map(field => [field, record[field]])
+);
+
+export const countByStatus = (rows) => Object.fromEntries(
+  INPUT_STATUSES.map(status => [status, rows.filter(row => (row.inputStatus || 'ready') === status).length])
+);
@@ -0,0 +1,128 @@
+// Prospecting: turn target domains and persona filters into people to
+// enrich, leaving out anyone already on an existing contact list
+
+import { ENRICHMENT_FIELDS, applyMapping, guessMapping } from './columnMapping.js';
+import { identityKeys, normalizeDomain } from './dedupe.js';
+import { normalizeRows } from './normalize.js';
+
+// Apollo's people search seniority and department values
+export const SENIORITY_OPTIONS = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'founder', label: 'Founder' },
+  { value: 'c_suite', label: 'C-Suite' },
+  { value: 'partner', label: 'Partner' },
+  { value: 'vp', label: 'VP' },
+  { value: 'head', label: 'Head' },
+  { value: 'director', label: 'Director' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'senior', label: 'Senior' },
+  { value: 'entry', label: 'Entry' },
+  { value: 'intern', label: 'Intern' }
+];
+
+export const DEPARTMENT_OPTIONS = [
+  { value: 'c_suite', label: 'C-Suite' },
+  { value: 'engineering_technical', label: 'Engineering' },
+  { value: 'design', label: 'Design' },
+  { value: 'education', label: 'Education' },
+  { value: 'finance', label: 'Finance' },
+  { value: 'human_resources', label: 'Human Resources' },
+  { value: 'information_technology', label: 'IT' },
+  { value: 'legal', label: 'Legal' },
+  { value: 'marketing', label: 'Marketing' },
+  { value: 'medical_health', label: 'Medical & Health' },
+  { value: 'operations', label: 'Operations' },
+  { value: 'product_management', label: 'Product' },
+  { value: 'sales', label: 'Sales' },
+  { value: 'support', label: 'Support' }
+];
+
+export const SENIORITIES = SENIORITY_OPTIONS.map(option => option.value);
+export const DEPARTMENTS = DEPARTMENT_OPTIONS.map(option => option.value);
+
+// The prospect function searches at most this many domains per request
+export const PROSPECT_DOMAIN_BATCH = 10;
+
+export const PER_ACCOUNT_LIMITS = [5, 10, 25, 50, 100];
+
+// Columns of a prospect once handed to people enrichment, so the search
+// result survives into the export
+export const PROSPECT_HEADERS = ['First Name', 'Last Name', 'Title', 'Seniority', 'Company', 'Domain', 'Location', 'LinkedIn URL'];
+
+// Comma or newline separated text input to a list of values
+export const parseList = (text = '') => [...new Set(
+  text.split(/[,\n]/).map(value => value.trim()).filter(Boolean)
+)];
+
+// Request filters from the form, leaving out empty ones
+export const buildFilters = ({ titles, seniorities, departments, locations }) => Object.fromEntries(
+  Object.entries({
+    titles: parseList(titles),
+    seniorities,
+    departments,
+    locations: parseList(locations)
+  }).filter(([, values]) => values.length > 0)
+);
+
+// Unique normalised domains from the uploaded target accounts
+export const targetDomains = (companies) => [...new Set(
+  companies.map(company => normalizeDomain(company.domain || '')).filter(Boolean)
+)];
+
+// Read an existing contact list for exclusion. Nothing is required, since
+// an email alone is enough to recognise someone.
+export const readExclusionList = ({ headers, rows }) => {
+  const fields = ENRICHMENT_FIELDS.map(field => ({ ...field, required: false }));
+  const mapping = guessMapping(headers, fields);
+  const hasNames = mapping.includes('fullName') || (mapping.includes('firstName') && mapping.includes('lastName'));
+  if (!mapping.includes('email') && !hasNames) {
+    throw new Error('Existing contacts need an email column or first and last name columns');
+  }
+  // Normalised like an upload so "https://www.acme.com" matches acme.com;
+  // role addresses are dropped since they identify nobody
+  return normalizeRows(applyMapping(headers, rows, mapping, fields).contacts, 'people');
+};
+
+// Split prospects into those to keep and those already on `existing`,
+// matched on email or name + domain
+export const excludeExisting = (prospects, existing) => {
+  const known = new Set(existing.flatMap(identityKeys));
+  const kept = [];
+  const excluded = [];
+  prospects.forEach(prospect => {
+    (identityKeys(prospect).some(key => known.has(key)) ? excluded : kept).push(prospect);
+  });
+  return { kept, excluded };
+};
+
+// Prospects as people-mode contacts. People the search returned without a
+// full name cannot be matched for enrichment and are skipped.
+export const prospectsToContacts = (prospects) => {
+  const contacts = [];
+  let skipped = 0;
+
+  prospects.forEach(prospect => {
+    if (!prospect.firstName || !prospect.lastName) {
+      skipped++;
+      return;
+    }
+    contacts.push({
+      firstName: prospect.firstName,
+      lastName: prospect.lastName,
+      domain: prospect.domain,
+      email: '',
+      sourceRow: {
+        'First Name': prospect.firstName,
+        'Last Name': prospect.lastName,
+        Title: prospect.title || '',
+        Seniority: prospect.seniority || '',
+        Company: prospect.company || '',
+        Domain: prospect.domain,
+        Location: prospect.location || '',
+        'LinkedIn URL': prospect.linkedinUrl || ''
+      }
+    });
+  });
+
+  return { contacts, skipped };
+};
@@ -0,0 +1,182 @@
+// What the detail drawer shows for one enriched record: its fields in
+// labelled groups, the career timeline, social links, the input next to
+// what was matched, and why enrichment failed.
+
+import { extractDomain } from './normalize.js';
+
+// Fields grouped as the drawer lists them. Anything a record carries that
+// is not listed here still shows up, under "Other".
+const PEOPLE_GROUPS = [
+  { title: 'Contact', fields: [
+    ['workEmail', 'Work Email'], ['workEmailStatus', 'Work Email Grade'], ['personalEmail', 'Personal Email'],
+    ['personalEmailStatus', 'Personal Email Grade'], ['directPhone', 'Direct Phone'], ['mobilePhone', 'Mobile Phone']
+  ] },
+  { title: 'Role', fields: [
+    ['title', 'Title'], ['company', 'Company'], ['companyDomain', 'Company Domain'], ['industry', 'Industry'],
+    ['companySize', 'Company Size'], ['location', 'Location'], ['city', 'City'], ['state', 'State'], ['country', 'Country']
+  ] },
+  { title: 'Enrichment', fields: [
+    ['enrichmentStatus', 'Status'], ['confidence', 'Match Confidence'], ['matchedOn', 'Matched On'],
+    ['dataCompleteness', 'Completeness'], ['enrichmentProvider', 'Provider'], ['providersTried', 'Providers Tried'],
+    ['fieldProviders', 'Filled By'], ['fromCache', 'From Cache'], ['enrichmentTimestamp', 'Enriched At'],
+    ['apolloPersonId', 'Apollo ID']
+  ] }
+];
+
+const ORGANIZATION_GROUPS = [
+  { title: 'Company', fields: [
+    ['companyName', 'Name'], ['websiteUrl', 'Website'], ['industry', 'Industry'], ['employeeCount', 'Employees'],
+    ['annualRevenuePrinted', 'Revenue'], ['annualRevenue', 'Revenue (USD)'], ['foundedYear', 'Founded'],
+    ['phone', 'Phone'], ['description', 'Description'], ['technologies', 'Technologies']
+  ] },
+  { title: 'Headquarters', fields: [
+    ['hqLocation', 'Location'], ['hqCity', 'City'], ['hqState', 'State'], ['hqCountry', 'Country']
+  ] },
+  { title: 'Enrichment', fields: [
+    ['enrichmentStatus', 'Status'], ['confidence', 'Match Confidence'], ['dataCompleteness', 'Completeness'],
+    ['enrichmentProvider', 'Provider'], ['providersTried', 'Providers Tried'], ['fieldProviders', 'Filled By'],
+    ['fromCache', 'From Cache'], ['enrichmentTimestamp', 'Enriched At'], ['apolloOrganizationId', 'Apollo ID']
+  ] }
+];
+
+// Shown elsewhere in the drawer, or client-side bookkeeping
+const SHOWN_ELSEWHERE = new Set([
+  'firstName', 'lastName', 'email', 'domain', 'name', 'matchedName', 'sourceRow', 'inputStatus', 'inputIssues',
+  'enrichmentError', 'employmentHistory', 'education', 'linkedinUrl', 'twitterUrl', 'facebookUrl', 'id'
+]);
+
+const SOCIAL_FIELDS = [
+  ['linkedinUrl', 'LinkedIn'],
+  ['twitterUrl', 'Twitter'],
+  ['facebookUrl', 'Facebook']
+];
+
+// Fields with a copy button in the drawer
+export const COPYABLE_FIELDS = new Set(['workEmail', 'personalEmail', 'directPhone', 'mobilePhone', 'phone']);
+
+const isEmpty = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// A field value as text: lists joined, percentages and booleans spelled out
+export const displayValue = (key, value) => {
+  if (isEmpty(value)) return null;
+  if (key === 'dataCompleteness') return `${value}%`;
+  if (key === 'enrichmentTimestamp') return new Date(value).toLocaleString();
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([field, provider]) => `${field}: ${provider}`).join(', ');
+  }
+  return String(value);
+};
+
+// The record's fields as [{ title, fields: [{ key, label, value }] }],
+// including empty ones so the drawer can show what was not found
+export const fieldGroups = (record, mode = 'people') => {
+  const groups = mode === 'organizations' ? ORGANIZATION_GROUPS : PEOPLE_GROUPS;
+  const listed = new Set(groups.flatMap(group => group.fields.map(([key]) => key)));
+
+  const sections = groups.map(group => ({
+    title: group.title,
+    fields: group.fields.map(([key, label]) => ({ key, label, value: displayValue(key, record[key]) }))
+  }));
+
+  const other = Object.keys(record)
+    .filter(key => !listed.has(key) && !SHOWN_ELSEWHERE.has(key) && !isEmpty(record[key]))
+    .map(key => ({ key, label: key, value: displayValue(key, record[key]) }));
+  if (other.length > 0) {
+    sections.push({ title: 'Other', fields: other });
+  }
+  return sections;
+};
+
+// Only web links are rendered; a provider value like "javascript:..." is dropped
+const safeUrl = (value) => {
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+  try {
+    const url = new URL(withScheme);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const socialLinks = (record) => SOCIAL_FIELDS
+  .map(([key, label]) => ({ key, label, url: record[key] ? safeUrl(String(record[key]).trim()) : null }))
+  .filter(link => link.url);
+
+// Month and year of an Apollo date such as "2019-03-01"
+export const formatMonth = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+export const formatDateRange = (startDate, endDate, current) => {
+  const start = formatMonth(startDate);
+  const end = current ? 'Present' : formatMonth(endDate);
+  if (!start && !end) return null;
+  return `${start || '?'} – ${end || '?'}`;
+};
+
+// Jobs and education as one list, current and most recent first
+export const careerTimeline = (record) => {
+  const entries = [
+    ...(record.employmentHistory || []).map(job => ({
+      kind: 'employment',
+      heading: job.title || 'Unknown role',
+      detail: job.company,
+      startDate: job.startDate,
+      endDate: job.endDate,
+      current: Boolean(job.current)
+    })),
+    ...(record.education || []).map(entry => ({
+      kind: 'education',
+      heading: entry.school || 'Unknown school',
+      detail: [entry.degree, entry.field].filter(Boolean).join(', '),
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      current: false
+    }))
+  ];
+
+  const sortKey = (entry) => (entry.current ? '9999' : entry.endDate || entry.startDate || '');
+  return entries
+    .map(entry => ({ ...entry, range: formatDateRange(entry.startDate, entry.endDate, entry.current) }))
+    .sort((a, b) => sortKey(b).localeCompare(sortKey(a)));
+};
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// What was sent next to what the provider matched, as [{ label, input,
+// matched, agrees }]; agrees is null when either side is missing
+export const inputComparison = (record, mode = 'people') => {
+  const pairs = mode === 'organizations'
+    ? [
+      ['Domain', record.domain, record.websiteUrl ? extractDomain(record.websiteUrl) : null],
+      ['Name', record.name, record.companyName]
+    ]
+    : [
+      ['Name', [record.firstName, record.lastName].filter(Boolean).join(' '), record.matchedName],
+      ['Email', record.email, record.workEmail],
+      ['Domain', record.domain, record.companyDomain]
+    ];
+
+  return pairs.map(([label, input, matched]) => ({
+    label,
+    input: input || null,
+    matched: matched || null,
+    agrees: input && matched ? sameValue(input, matched) : null
+  }));
+};
+
+// Why a record has no result, or null when it was enriched
+export const failureReason = (record) => {
+  if (record.enrichmentStatus !== 'failed') return null;
+  if (record.enrichmentError) return record.enrichmentError;
+  const tried = record.providersTried?.length ? record.providersTried.join(', ') : record.enrichmentProvider;
+  return tried ? `No match found by ${tried}` : 'No match found';
+};
@@ -0,0 +1,122 @@
+// Sorting, search, facet filtering and windowing for the results grids.
+//
+// Grids work on entries, { row, index }, where index is the row's position
+// in the full list. The index is the row's identity: it keys rendered rows
+// and selections, and survives any sort or filter.
+
+// Company size buckets as Apollo and most CRMs band headcount
+export const COMPANY_SIZE_BUCKETS = [
+  { label: '1-10', max: 10 },
+  { label: '11-50', max: 50 },
+  { label: '51-200', max: 200 },
+  { label: '201-500', max: 500 },
+  { label: '501-1,000', max: 1000 },
+  { label: '1,001-5,000', max: 5000 },
+  { label: '5,001-10,000', max: 10000 },
+  { label: '10,001+', max: Infinity }
+];
+
+export const UNKNOWN = 'Unknown';
+
+export const companySizeBucket = (size) => {
+  const count = Number(size);
+  if (!size || !Number.isFinite(count) || count <= 0) return UNKNOWN;
+  return COMPANY_SIZE_BUCKETS.find(bucket => count <= bucket.max).label;
+};
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+// Facets per grid. value(row) names the option a row falls under; options
+// are listed in `order` when given, otherwise by how many rows they hold.
+export const PREVIEW_FACETS = [
+  { key: 'inputStatus', label: 'Input', value: row => row.inputStatus || 'ready', order: ['ready', 'fixable', 'unenrichable'] }
+];
+
+export const ENRICHED_FACETS = {
+  people: [
+    { key: 'status', label: 'Status', value: row => row.enrichmentStatus || 'pending', order: ['success', 'failed', 'pending'] },
+    { key: 'industry', label: 'Industry', value: row => row.industry || UNKNOWN },
+    { key: 'companySize', label: 'Company Size', value: row => companySizeBucket(row.companySize), order: [...COMPANY_SIZE_BUCKETS.map(bucket => bucket.label), UNKNOWN] },
+    { key: 'hasEmail', label: 'Has Email', value: row => yesNo(row.workEmail || row.personalEmail), order: ['Yes', 'No'] },
+    { key: 'hasPhone', label: 'Has Phone', value: row => yesNo(row.directPhone || row.mobilePhone), order: ['Yes', 'No'] }
+  ],
+  organizations: [
+    { key: 'status', label: 'Status', value: row => row.enrichmentStatus || 'pending', order: ['success', 'failed', 'pending'] },
+    { key: 'industry', label: 'Industry', value: row => row.industry || UNKNOWN },
+    { key: 'companySize', label: 'Company Size', value: row => companySizeBucket(row.employeeCount), order: [...COMPANY_SIZE_BUCKETS.map(bucket => bucket.label), UNKNOWN] },
+    { key: 'hasPhone', label: 'Has Phone', value: row => yesNo(row.phone), order: ['Yes', 'No'] }
+  ]
+};
+
+export const toEntries = (rows) => rows.map((row, index) => ({ row, index }));
+
+const searchable = (value) => {
+  if (value === null || value === undefined) return '';
+  return Array.isArray(value) ? value.join(' ') : String(value);
+};
+
+// Entries with any column value containing every word of `query`,
+// case-insensitively
+export const searchEntries = (entries, query, columns) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries;
+  return entries.filter(({ row }) => {
+    const text = columns.map(column => searchable(column.value(row))).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
+
+// Keep entries matching every facet with a selection; `selections` maps a
+// facet key to the chosen option values, and an empty list allows all
+export const applyFacets = (entries, facets, selections) => {
+  const active = facets.filter(facet => selections[facet.key]?.length > 0);
+  if (active.length === 0) return entries;
+  return entries.filter(({ row }) => active.every(facet => selections[facet.key].includes(facet.value(row))));
+};
+
+// Options of one facet with row counts, as [{ value, count }]. Counts come
+// from `entries`, so pass the rows the other filters leave.
+export const facetOptions = (entries, facet) => {
+  const counts = new Map();
+  entries.forEach(({ row }) => {
+    const value = facet.value(row);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  const options = [...counts].map(([value, count]) => ({ value, count }));
+  if (facet.order) {
+    return options.sort((a, b) => facet.order.indexOf(a.value) - facet.order.indexOf(b.value));
+  }
+  return options.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Stable sort by a column's sortValue, or its value; blanks always go last
+export const sortEntries = (entries, column, direction = 'asc') => {
+  if (!column) return entries;
+  const sign = direction === 'desc' ? -1 : 1;
+  const pick = column.sortValue || column.value;
+  return entries
+    .map(entry => ({ entry, value: pick(entry.row) }))
+    .sort((a, b) => {
+      if (isBlank(a.value) || isBlank(b.value)) {
+        return (isBlank(a.value) ? 1 : 0) - (isBlank(b.value) ? 1 : 0) || a.entry.index - b.entry.index;
+      }
+      const compared = typeof a.value === 'number' && typeof b.value === 'number'
+        ? a.value - b.value
+        : searchable(a.value).localeCompare(searchable(b.value), undefined, { numeric: true, sensitivity: 'base' });
+      return sign * compared || a.entry.index - b.entry.index;
+    })
+    .map(({ entry }) => entry);
+};
+
+// The slice of `total` fixed-height rows to render for a scroll position,
+// with `overscan` extra rows either side to hide blank flashes
+export const visibleRange = (scrollTop, viewportHeight, rowHeight, total, overscan = 8) => {
+  const first = Math.floor(scrollTop / rowHeight);
+  const last = Math.ceil((scrollTop + viewportHeight) / rowHeight);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(total, last + overscan)
+  };
+};
@@ -0,0 +1,94 @@
+// Batch retry policy: exponential backoff with jitter that honours the
+// server's Retry-After hint and only retries transient failures
+
+const BASE_DELAY_MS = 1000;
+// Also the longest Retry-After a retry waits out
+const MAX_DELAY_MS = 60000;
+
+// Error raised for a failed enrich call, carrying what the retry policy needs
+export class EnrichmentRequestError extends Error {
+  constructor(message, { status = null, retryAfter = null, transient = false } = {}) {
+    super(message);
+    this.name = 'EnrichmentRequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.transient = transient;
+  }
+}
+
+// Raised instead of retrying when the server asks for a longer wait than
+// MAX_DELAY_MS, such as Apollo's daily quota. `retryAt` is when it said to
+// come back.
+export class RetryLaterError extends Error {
+  constructor(cause, retryAt) {
+    super(`${cause.message}; try again after ${retryAt.toLocaleString()}`);
+    this.name = 'RetryLaterError';
+    this.cause = cause;
+    this.status = cause.status;
+    this.retryAt = retryAt;
+  }
+}
+
+// 408, 429 and 5xx are worth retrying; other 4xx (bad key, validation) are not
+export const isTransientStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Retry-After may be delta-seconds or an HTTP date; returns milliseconds
+export const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Turn a non-2xx response into an EnrichmentRequestError
+export const errorFromResponse = async (response) => {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Non-JSON error page from a proxy or gateway
+  }
+
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After')) ?? parseRetryAfter(body.retryAfter);
+  return new EnrichmentRequestError(body.message || `HTTP ${response.status}`, {
+    status: response.status,
+    retryAfter,
+    transient: isTransientStatus(response.status)
+  });
+};
+
+// fetch() rejects only on network failure, which is always worth retrying
+export const isTransientError = (error) =>
+  error instanceof EnrichmentRequestError ? error.transient : error instanceof TypeError;
+
+// Equal jitter: half the exponential delay plus a random half, never
+// shorter than what the server asked for and never longer than a minute
+export const backoffDelay = (attempt, retryAfter = null) => {
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return retryAfter !== null ? Math.min(MAX_DELAY_MS, Math.max(retryAfter, jittered)) : jittered;
+};
+
+// Call `task` up to `attempts` times. onRetry(error, attempt, delay) is
+// called before each wait; `sleep` lets the caller make waits cancellable
+// and should resolve false to abandon further attempts. A Retry-After
+// longer than a retry may wait throws RetryLaterError straight away.
+export const withRetries = async (task, { attempts, onRetry, sleep }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+      if (error.retryAfter > MAX_DELAY_MS) {
+        throw new RetryLaterError(error, new Date(Date.now() + error.retryAfter));
+      }
+      if (attempt >= attempts) throw error;
+
+      const delay = backoffDelay(attempt, error.retryAfter ?? null);
+      if (onRetry) onRetry(error, attempt, delay);
+      const proceed = await sleep(delay);
+      if (proceed === false) throw error;
+    }
+  }
+};
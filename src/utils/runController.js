@@ -0,0 +1,64 @@
+// Pause/resume/cancel signalling for the enrichment loop. The loop awaits
+// checkpoint() between batches; state lives here rather than in React
+// state so the running loop always sees the latest value.
+
+export const createRunController = () => {
+  let paused = false;
+  let cancelled = false;
+  let release = null;
+  const sleepers = new Set();
+
+  const wake = () => {
+    if (release) {
+      release();
+      release = null;
+    }
+  };
+
+  return {
+    get isPaused() {
+      return paused;
+    },
+
+    get isCancelled() {
+      return cancelled;
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+      wake();
+    },
+
+    cancel() {
+      cancelled = true;
+      wake();
+      sleepers.forEach(finish => finish());
+    },
+
+    // Wait between attempts, cut short by cancel(); returns false if cancelled
+    sleep(ms) {
+      return new Promise(resolve => {
+        const finish = () => {
+          clearTimeout(timer);
+          sleepers.delete(finish);
+          resolve(!cancelled);
+        };
+        const timer = setTimeout(finish, ms);
+        sleepers.add(finish);
+      });
+    },
+
+    // Resolves when the loop may start its next batch; returns false if cancelled
+    async checkpoint(onPause) {
+      if (paused && !cancelled) {
+        if (onPause) await onPause();
+        await new Promise(resolve => { release = resolve; });
+      }
+      return !cancelled;
+    }
+  };
+};
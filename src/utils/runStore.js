@@ -0,0 +1,148 @@
+// IndexedDB persistence for enrichment runs so they survive reloads.
+// A run's inputs (the loaded rows and the planned requests) are written
+// once to `inputs` when it starts. After that a checkpoint only writes
+// what changed: the run's progress to `runs` and the finished batch's
+// rows to `batches`. Activity log entries written during a run go in
+// `logs`.
+
+const DB_NAME = 'apollo-enrichment-studio';
+const DB_VERSION = 3;
+const RESUMABLE_STATUSES = ['running', 'paused'];
+// Run fields that never change once the run has started
+const INPUT_FIELDS = ['contacts', 'sourceHeaders', 'requests', 'fanOut'];
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('runs')) {
+          db.createObjectStore('runs', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('batches')) {
+          const batches = db.createObjectStore('batches', { keyPath: ['runId', 'index'] });
+          batches.createIndex('runId', 'runId');
+        }
+        if (!db.objectStoreNames.contains('inputs')) {
+          db.createObjectStore('inputs', { keyPath: 'runId' });
+        }
+        if (!db.objectStoreNames.contains('logs')) {
+          const logs = db.createObjectStore('logs', { keyPath: 'id' });
+          logs.createIndex('runId', 'runId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve once it has committed
+const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    const stores = storeNames.map(name => tx.objectStore(name));
+    work(...stores, (value) => { result = value; });
+  });
+};
+
+export const createRunId = () => `run_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// The run without its inputs, as stored in `runs`
+const runState = (run) => ({
+  ...Object.fromEntries(Object.entries(run).filter(([key]) => !INPUT_FIELDS.includes(key))),
+  updatedAt: new Date().toISOString()
+});
+
+// Store a new run with its inputs
+export const startRun = (run) => withStores(['runs', 'inputs'], 'readwrite', (runs, inputs) => {
+  inputs.put({ runId: run.id, ...Object.fromEntries(INPUT_FIELDS.map(key => [key, run[key]])) });
+  runs.put(runState(run));
+});
+
+// Update a started run's status and progress
+export const saveRun = (run) => withStores(['runs'], 'readwrite', (runs) => {
+  runs.put(runState(run));
+});
+
+// Store a finished batch and the run's progress atomically
+export const checkpointBatch = (run, index, rows) => withStores(['runs', 'batches'], 'readwrite', (runs, batches) => {
+  batches.put({ runId: run.id, index, rows });
+  runs.put(runState(run));
+});
+
+// The most recently updated unfinished run, with its inputs
+export const findResumableRun = () => withStores(['runs', 'inputs'], 'readonly', (runs, inputs, setResult) => {
+  const request = runs.getAll();
+  request.onsuccess = () => {
+    const [latest] = request.result
+      .filter(run => RESUMABLE_STATUSES.includes(run.status))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    if (!latest) {
+      setResult(null);
+      return;
+    }
+    const inputRequest = inputs.get(latest.id);
+    inputRequest.onsuccess = () => {
+      const { runId, ...runInputs } = inputRequest.result || {};
+      setResult(inputRequest.result ? { ...latest, ...runInputs } : null);
+    };
+  };
+});
+
+// All checkpointed rows of a run, in batch order
+export const loadRunRows = (runId) => withStores(['batches'], 'readonly', (batches, setResult) => {
+  const request = batches.index('runId').getAll(runId);
+  request.onsuccess = () => {
+    setResult(request.result
+      .sort((a, b) => a.index - b.index)
+      .flatMap(batch => batch.rows));
+  };
+});
+
+export const appendRunLog = (entry) => withStores(['logs'], 'readwrite', (logs) => {
+  logs.put(entry);
+});
+
+// A run's activity log entries, oldest first
+export const loadRunLog = (runId) => withStores(['logs'], 'readonly', (logs, setResult) => {
+  const request = logs.index('runId').getAll(runId);
+  request.onsuccess = () => {
+    setResult(request.result.sort((a, b) => a.at.localeCompare(b.at)));
+  };
+});
+
+// Remove every stored run except `keepId`, with their logs
+export const pruneRuns = (keepId = null) => withStores(['runs', 'inputs', 'batches', 'logs'], 'readwrite', (runs, inputs, batches, logs) => {
+  const request = runs.getAllKeys();
+  request.onsuccess = () => {
+    request.result
+      .filter(id => id !== keepId)
+      .forEach(id => {
+        runs.delete(id);
+        inputs.delete(id);
+        batches.delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+      });
+  };
+  const cursor = logs.openCursor();
+  cursor.onsuccess = () => {
+    if (!cursor.result) return;
+    if (cursor.result.value.runId !== keepId) cursor.result.delete();
+    cursor.result.continue();
+  };
+});
@@ -0,0 +1,152 @@
+// Scoring of enriched records, kept as separate metrics:
+//   match confidence   how sure we are the record is the person asked for,
+//                      from which inputs the provider's match agreed with
+//   email grade        verified, guessed or unavailable, per email
+//   completeness       weighted share of the useful fields that are filled
+// Shared by the providers, the enrich functions and the stats panel.
+
+import { extractDomain } from './normalize.js';
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low', 'none'];
+
+export const EMAIL_GRADES = ['verified', 'guessed', 'unavailable'];
+
+// Points per filled field; the score is the filled share of the total, so
+// weights only matter relative to each other
+export const PEOPLE_COMPLETENESS_WEIGHTS = {
+  workEmail: 25,
+  directPhone: 10,
+  mobilePhone: 10,
+  personalEmail: 5,
+  title: 15,
+  company: 10,
+  linkedinUrl: 10,
+  location: 5,
+  industry: 5,
+  employmentHistory: 5
+};
+
+export const ORGANIZATION_COMPLETENESS_WEIGHTS = {
+  companyName: 15,
+  industry: 10,
+  employeeCount: 10,
+  annualRevenue: 10,
+  hqLocation: 10,
+  foundedYear: 5,
+  linkedinUrl: 10,
+  technologies: 10,
+  description: 10,
+  phone: 10
+};
+
+export const COMPLETENESS_WEIGHTS_BY_MODE = {
+  people: PEOPLE_COMPLETENESS_WEIGHTS,
+  organizations: ORGANIZATION_COMPLETENESS_WEIGHTS
+};
+
+export const COMPLETENESS_FIELD_LABELS = {
+  workEmail: 'Work Email',
+  directPhone: 'Direct Phone',
+  mobilePhone: 'Mobile Phone',
+  personalEmail: 'Personal Email',
+  title: 'Title',
+  company: 'Company',
+  linkedinUrl: 'LinkedIn',
+  location: 'Location',
+  industry: 'Industry',
+  employmentHistory: 'Employment History',
+  companyName: 'Company Name',
+  employeeCount: 'Employees',
+  annualRevenue: 'Revenue',
+  hqLocation: 'HQ Location',
+  foundedYear: 'Founded',
+  technologies: 'Technologies',
+  description: 'Description',
+  phone: 'Phone'
+};
+
+const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '');
+
+// 0-100 weighted completeness of an enriched record. Weights for fields
+// the record does not have count as missing.
+export const calculateCompleteness = (record, weights = PEOPLE_COMPLETENESS_WEIGHTS) => {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0 || record.enrichmentStatus === 'failed') return 0;
+  const filled = entries.reduce((sum, [field, weight]) => sum + (isFilled(record[field]) ? weight : 0), 0);
+  return Math.round((filled / total) * 100);
+};
+
+// Throws unless `weights` only holds the mode's fields with non-negative
+// numbers, at least one of them positive
+export const validateCompletenessWeights = (weights, mode = 'people') => {
+  const allowed = Object.keys(COMPLETENESS_WEIGHTS_BY_MODE[mode]);
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new Error('options.completenessWeights must be an object of field weights');
+  }
+  const unknown = Object.keys(weights).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`options.completenessWeights may only contain: ${allowed.join(', ')}`);
+  }
+  if (Object.values(weights).some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+    throw new Error('options.completenessWeights must be non-negative numbers');
+  }
+  if (!Object.values({ ...COMPLETENESS_WEIGHTS_BY_MODE[mode], ...weights }).some(weight => weight > 0)) {
+    throw new Error('options.completenessWeights needs at least one positive weight');
+  }
+  return true;
+};
+
+// The mode's default weights with the request's overrides on top
+export const resolveCompletenessWeights = (weights = {}, mode = 'people') => ({
+  ...COMPLETENESS_WEIGHTS_BY_MODE[mode],
+  ...weights
+});
+
+const sameText = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Rate a person match from which of our inputs the provider's record agrees
+// with. `matched` holds the provider's { firstName, lastName, domain,
+// emails }. An exact email is the strongest signal; name and company
+// domain together are a good one; a name alone may be a namesake.
+export const rateMatchConfidence = (input, matched) => {
+  if (!matched) return { confidence: 'none', matchedOn: [] };
+
+  const matchedOn = [];
+  if (input.email && (matched.emails || []).some(email => sameText(email, input.email))) {
+    matchedOn.push('email');
+  }
+  if (sameText(input.firstName, matched.firstName) && sameText(input.lastName, matched.lastName)) {
+    matchedOn.push('name');
+  }
+  const inputDomain = extractDomain(input.domain || '');
+  if (inputDomain && inputDomain === extractDomain(matched.domain || '')) {
+    matchedOn.push('domain');
+  }
+
+  let confidence = 'low';
+  if (matchedOn.includes('email')) {
+    confidence = 'high';
+  } else if (matchedOn.includes('name') && matchedOn.includes('domain')) {
+    confidence = 'medium';
+  }
+  return { confidence, matchedOn };
+};
+
+const countBy = (records, values, pick) => Object.fromEntries(
+  values.map(value => [value, records.filter(record => pick(record) === value).length])
+);
+
+// Summary of a set of enriched records for stats: match rate and average
+// completeness as percentages, confidence and work email grade counts
+export const summarizeScores = (records) => {
+  const matched = records.filter(record => record.enrichmentStatus === 'success');
+  return {
+    matchRate: records.length ? Math.round((matched.length / records.length) * 100) : 0,
+    averageCompleteness: matched.length
+      ? Math.round(matched.reduce((sum, record) => sum + (record.dataCompleteness || 0), 0) / matched.length)
+      : 0,
+    confidence: countBy(records, CONFIDENCE_LEVELS, record => record.confidence || 'none'),
+    workEmails: countBy(matched, EMAIL_GRADES, record => record.workEmailStatus || 'unavailable')
+  };
+};
@@ -0,0 +1,37 @@
+// Activity log entries kept by the app and their JSON lines download
+
+import { describe, expect, it } from 'vitest';
+import { MAX_LOG_ENTRIES, appendLogEntry, createLogEntry, logRuns, logsToJsonLines, runLog } from '../src/utils/activityLog.js';
+
+describe('activity log', () => {
+  it('gives entries written in the same millisecond different ids', () => {
+    const now = new Date('2024-03-01T10:00:00Z');
+    const first = createLogEntry('🚀 Starting', 'info', 'run_a', now);
+    const second = createLogEntry('✅ Batch 1 done', 'success', 'run_a', now);
+    expect(first.id).not.toBe(second.id);
+    expect(first).toMatchObject({ at: '2024-03-01T10:00:00.000Z', message: '🚀 Starting', type: 'info', runId: 'run_a' });
+  });
+
+  it('keeps a run\'s whole history up to the overall cap', () => {
+    let logs = [];
+    for (let i = 0; i < MAX_LOG_ENTRIES + 5; i++) {
+      logs = appendLogEntry(logs, createLogEntry(`entry ${i}`, 'info', i % 2 ? 'run_b' : 'run_a'));
+    }
+    expect(logs).toHaveLength(MAX_LOG_ENTRIES);
+    expect(logs[0].message).toBe('entry 5');
+    expect(logRuns(logs)).toEqual(['run_b', 'run_a']);
+    expect(runLog(logs, 'run_a').every(log => log.runId === 'run_a')).toBe(true);
+    expect(runLog(logs, '')).toBe(logs);
+  });
+
+  it('writes one JSON object per line, oldest first', () => {
+    const logs = [
+      createLogEntry('🚀 Starting', 'info', 'run_a', new Date('2024-03-01T10:00:00Z')),
+      createLogEntry('❌ Batch 2 failed', 'error', null, new Date('2024-03-01T10:00:05Z'))
+    ];
+    expect(logsToJsonLines(logs)).toBe(
+      '{"at":"2024-03-01T10:00:00.000Z","type":"info","message":"🚀 Starting","runId":"run_a"}\n' +
+      '{"at":"2024-03-01T10:00:05.000Z","type":"error","message":"❌ Batch 2 failed","runId":null}\n'
+    );
+  });
+});
@@ -0,0 +1,236 @@
+// Apollo provider: request shape, response mapping and error handling
+
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  callApolloAPI,
+  processContacts,
+  calculateDataCompleteness,
+  mapApolloStatus,
+  getApolloRetryAfter,
+  isTransientApolloError,
+  callApolloOrganizationAPI,
+  processOrganizations
+} from '../netlify/lib/providers/apollo.js';
+import { validateEnrichRequest } from '../netlify/lib/enrichCore.js';
+import { people, organizations } from '../mock/fixtures.js';
+import { startMockApollo } from './helpers/mockApollo.js';
+
+const [tim, john, jane] = people;
+
+describe('callApolloAPI', () => {
+  let mock;
+
+  beforeAll(async () => {
+    process.env.APOLLO_TIMEOUT_MS = '200';
+    mock = await startMockApollo({ delayMs: 1000 });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    delete process.env.APOLLO_BASE_URL;
+    delete process.env.APOLLO_TIMEOUT_MS;
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('sends the key as a header and contacts in Apollo field names', async () => {
+    await callApolloAPI('mock-valid-key', [{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: '' }]);
+
+    const { apiKey, body } = mock.requests.at(-1);
+    expect(apiKey).toBe('mock-valid-key');
+    expect(body).toEqual({
+      reveal_personal_emails: true,
+      reveal_phone_number: false,
+      people: [{ first_name: 'Tim', last_name: 'Zheng', organization_domain: 'apollo.io' }]
+    });
+  });
+
+  it('sends a bare domain when the contact has a URL or email', async () => {
+    await callApolloAPI('mock-valid-key', [
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'https://www.apollo.io/about' },
+      { firstName: 'Jane', lastName: 'Smith', domain: 'jane@hubspot.com' },
+      { firstName: 'Sarah', lastName: 'Wilson', domain: '' }
+    ]);
+
+    expect(mock.requests.at(-1).body.people.map(person => person.organization_domain)).toEqual(['apollo.io', 'hubspot.com', undefined]);
+  });
+
+  it('returns a match per contact, null when Apollo has no match', async () => {
+    const data = await callApolloAPI('mock-valid-key', [
+      { firstName: 'Jane', lastName: 'Smith', domain: 'hubspot.com' },
+      { firstName: 'Nobody', lastName: 'Known', domain: 'example.com' }
+    ]);
+    expect(data.people[0].id).toBe(jane.id);
+    expect(data.people[1]).toBeNull();
+  });
+
+  it('reports the upstream status and Retry-After on a rate limit', async () => {
+    const error = await callApolloAPI('mock-rate-limited-key', [{ firstName: 'Tim', lastName: 'Zheng' }]).catch(e => e);
+    expect(error.message).toContain('Apollo API Error: 429');
+    expect(error.apolloStatus).toBe(429);
+    expect(error.retryAfter).toBe(30);
+    expect(isTransientApolloError(error)).toBe(true);
+  });
+
+  it('treats a rejected key as permanent', async () => {
+    const error = await callApolloAPI('not-a-mock-key', [{ firstName: 'Tim', lastName: 'Zheng' }]).catch(e => e);
+    expect(error.apolloStatus).toBe(401);
+    expect(isTransientApolloError(error)).toBe(false);
+  });
+
+  it('gives up on a slow response after APOLLO_TIMEOUT_MS', async () => {
+    const error = await callApolloAPI('mock-slow-key', [{ firstName: 'Tim', lastName: 'Zheng' }]).catch(e => e);
+    expect(error.message).toContain('Apollo API Error: network');
+    expect(isTransientApolloError(error)).toBe(true);
+  });
+});
+
+describe('processContacts', () => {
+  const contacts = [
+    { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', sourceRow: { 'CRM ID': '42' } },
+    { firstName: 'John', lastName: 'Doe', domain: 'salesforce.com' },
+    { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com' }
+  ];
+
+  it('maps Apollo people onto enriched records in input order', () => {
+    const [first, second, third] = processContacts({ people: [tim, john, null] }, contacts);
+
+    expect(first).toMatchObject({
+      firstName: 'Tim',
+      sourceRow: { 'CRM ID': '42' },
+      matchedName: 'Tim Zheng',
+      title: 'Founder & CEO',
+      company: 'Apollo.io',
+      companyDomain: 'apollo.io',
+      industry: 'information technology & services',
+      companySize: 900,
+      location: 'San Francisco, California',
+      workEmail: 'tim@apollo.io',
+      enrichmentStatus: 'success',
+      apolloPersonId: tim.id
+    });
+    expect(first.employmentHistory[0]).toEqual({
+      title: 'Founder & CEO', company: 'Apollo.io', startDate: '2015-01-01', endDate: null, current: true
+    });
+    expect(second.directPhone).toBeNull();
+    expect(third).toMatchObject({ enrichmentStatus: 'failed', confidence: 'none', dataCompleteness: 0, sourceRow: {}, matchedName: null });
+  });
+
+  it('rates confidence from the inputs that matched and grades each email', () => {
+    const [byEmail, byName, nameOnly, partial] = processContacts({ people: [tim, john, john, jane] }, [
+      { firstName: 'Tim', lastName: 'Zheng', domain: '', email: 'TIM@apollo.io' },
+      { firstName: 'John', lastName: 'Doe', domain: 'www.salesforce.com' },
+      { firstName: 'John', lastName: 'Doe', domain: 'oracle.com' },
+      { firstName: 'Jane', lastName: 'Smith', domain: 'hubspot.com' }
+    ]);
+
+    expect(byEmail).toMatchObject({ confidence: 'high', matchedOn: ['email', 'name'] });
+    expect(byName).toMatchObject({ confidence: 'medium', matchedOn: ['name', 'domain'] });
+    expect(nameOnly).toMatchObject({ confidence: 'low', matchedOn: ['name'] });
+    expect(byEmail).toMatchObject({ workEmailStatus: 'verified', personalEmailStatus: 'guessed' });
+    expect(partial).toMatchObject({ workEmailStatus: 'unavailable', personalEmailStatus: 'unavailable' });
+  });
+
+  it('grades an email Apollo has not verified as guessed', () => {
+    const [record] = processContacts({ people: [{ ...john, email_status: 'extrapolated' }] }, contacts.slice(1, 2));
+    expect(record.workEmailStatus).toBe('guessed');
+  });
+
+  it('drops social profiles and history when they are switched off', () => {
+    const [record] = processContacts({ people: [tim] }, contacts.slice(0, 1), {
+      includeSocialProfiles: false,
+      includeEmploymentHistory: false
+    });
+    expect(record.twitterUrl).toBeNull();
+    expect(record.employmentHistory).toEqual([]);
+  });
+});
+
+describe('callApolloOrganizationAPI', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = await startMockApollo();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    delete process.env.APOLLO_BASE_URL;
+  });
+
+  it('sends at most 10 normalised domains per request', async () => {
+    const companies = Array.from({ length: 12 }, (_, i) => ({ domain: i === 0 ? 'WWW.Apollo.io' : `company-${i}.example` }));
+    const { organizations: found, apiCalls } = await callApolloOrganizationAPI('mock-valid-key', companies);
+
+    expect(apiCalls).toBe(2);
+    expect(mock.requests.at(-2).body.domains).toHaveLength(10);
+    expect(mock.requests.at(-2).body.domains[0]).toBe('apollo.io');
+    expect(found.map(organization => organization.name)).toEqual(['Apollo.io']);
+  });
+});
+
+describe('processOrganizations', () => {
+  it('matches organizations back to companies by domain', () => {
+    const companies = [
+      { domain: 'unknown.example', name: 'Unknown' },
+      { domain: 'http://salesforce.com/about', sourceRow: { Account: 'SF' } },
+      { domain: 'apollo.io' }
+    ];
+    const [unknown, salesforce, apollo] = processOrganizations(organizations, companies);
+
+    expect(unknown).toMatchObject({ name: 'Unknown', enrichmentStatus: 'failed', companyName: null, technologies: [] });
+    expect(salesforce).toMatchObject({
+      sourceRow: { Account: 'SF' },
+      companyName: 'Salesforce',
+      annualRevenue: null,
+      foundedYear: 1999,
+      enrichmentStatus: 'success'
+    });
+    expect(apollo).toMatchObject({
+      technologies: ['Amazon AWS', 'Google Analytics', 'Salesforce', 'Stripe'],
+      twitterUrl: 'https://twitter.com/meetapollo',
+      annualRevenue: 150000000,
+      dataCompleteness: 100
+    });
+  });
+});
+
+describe('calculateDataCompleteness', () => {
+  it('scores filled fields of the enriched record by weight', () => {
+    const [record] = processContacts({ people: [tim] }, [{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' }]);
+    expect(record.dataCompleteness).toBe(100);
+    expect(calculateDataCompleteness({})).toBe(0);
+    expect(calculateDataCompleteness({ title: 'CTO', workEmail: 'a@b.com' })).toBe(40);
+    // An organization without a name, or an empty history, adds nothing
+    expect(calculateDataCompleteness({ company: null, employmentHistory: [], personalEmail: 'a@gmail.com', mobilePhone: '+1' })).toBe(15);
+  });
+});
+
+describe('validateEnrichRequest', () => {
+  it('accepts a well-formed request', () => {
+    expect(validateEnrichRequest({ profile: 'default', contacts: [{ firstName: 'A', lastName: 'B' }] })).toBe(true);
+  });
+
+  it('rejects required fields outside the waterfall field list', () => {
+    expect(() => validateEnrichRequest({
+      profile: 'default',
+      contacts: [{ firstName: 'A', lastName: 'B' }],
+      options: { requiredFields: ['ssn'] }
+    })).toThrow('options.requiredFields');
+  });
+});
+
+describe('Apollo status helpers', () => {
+  it.each([[429, 429], [401, 401], [403, 401], [422, 400], [500, 502], [undefined, 502]])(
+    'maps Apollo %s to %i', (apolloStatus, status) => {
+      expect(mapApolloStatus(apolloStatus)).toBe(status);
+    }
+  );
+
+  it('falls back to usage headers when there is no Retry-After', () => {
+    expect(getApolloRetryAfter(new Headers({ 'x-hourly-requests-left': '0' }))).toBe(3600);
+    expect(getApolloRetryAfter(new Headers())).toBeNull();
+  });
+});
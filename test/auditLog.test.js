@@ -0,0 +1,260 @@
+// Audit log entries, the file audit store and the admin audit API
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { auditEntry, createFileAuditStore, getAuditStore, hashClient, recordAudit, redactPersonalData, summarizeOptions } from '../netlify/lib/auditLog.js';
+import auditApi from '../netlify/functions/audit.js';
+import { StoreConfigError } from '../netlify/lib/storeDirectory.js';
+
+const TOKEN = 'audit-admin-token-for-tests';
+
+// Recent days, so retention never prunes them
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+const DAY_1 = daysAgo(2);
+const DAY_2 = daysAgo(1);
+
+const entryAt = (at, overrides = {}) => ({
+  ...auditEntry({ action: 'enrich', startedAt: Date.parse(at), profile: 'default', statusCode: 200 }),
+  ...overrides
+});
+
+describe('auditEntry', () => {
+  afterEach(() => {
+    delete process.env.AUDIT_HASH_SECRET;
+  });
+
+  it('records who, what and the outcome without the client address', () => {
+    process.env.AUDIT_HASH_SECRET = 'audit-hash-secret-for-tests';
+    const entry = auditEntry({
+      action: 'enrich',
+      startedAt: Date.now(),
+      clientIp: '203.0.113.7',
+      profile: 'default',
+      mode: 'people',
+      runId: 'run_1',
+      options: { waterfall: ['apollo'], providers: { apollo: { revealPhoneNumbers: true, webhookUrl: 'https://x' } } },
+      counts: { submitted: 2, succeeded: 1, failed: 1, cacheHits: 0 },
+      apiCalls: 1,
+      creditsUsed: 2,
+      statusCode: 200
+    });
+
+    expect(entry).toMatchObject({
+      action: 'enrich',
+      profile: 'default',
+      client: hashClient('203.0.113.7'),
+      runId: 'run_1',
+      options: { waterfall: ['apollo'], providers: { apollo: { revealPhoneNumbers: true } } },
+      counts: { submitted: 2, succeeded: 1, failed: 1, cacheHits: 0 },
+      creditsUsed: 2,
+      outcome: 'success',
+      errorCode: null,
+      error: null
+    });
+    expect(entry.id).toMatch(/^au_/);
+    expect(JSON.stringify(entry)).not.toContain('203.0.113.7');
+  });
+
+  it('hashes client IPs with the operator secret only', () => {
+    expect(hashClient('203.0.113.7')).toBeNull();
+    expect(auditEntry({ action: 'enrich', startedAt: Date.now(), clientIp: '203.0.113.7', statusCode: 200 }).client).toBeNull();
+
+    process.env.AUDIT_HASH_SECRET = 'one-secret';
+    const hash = hashClient('203.0.113.7');
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashClient('203.0.113.7')).toBe(hash);
+    process.env.AUDIT_HASH_SECRET = 'another-secret';
+    expect(hashClient('203.0.113.7')).not.toBe(hash);
+  });
+
+  it.each([
+    [400, null, 'rejected', 'invalid_request'],
+    [402, null, 'over_budget', 'credit_cap'],
+    [429, null, 'rate_limited', 'rate_limited'],
+    [401, Object.assign(new Error('Apollo API Error: 401 - Unauthorized'), { apolloStatus: 401 }), 'failed', 'apollo_401'],
+    [502, new Error('Apollo API Error: network - fetch failed'), 'failed', 'apollo_network'],
+    [500, new Error('boom'), 'failed', 'internal']
+  ])('classifies a %i response', (statusCode, error, outcome, errorCode) => {
+    expect(auditEntry({ action: 'enrich', startedAt: Date.now(), statusCode, error, message: 'x' })).toMatchObject({ outcome, errorCode });
+  });
+
+  it('masks emails, phone numbers and API keys in error messages', () => {
+    process.env.APOLLO_API_KEY = 'secret-apollo-key';
+    try {
+      expect(redactPersonalData('No match for tim@apollo.io or +1 (415) 555-0100 with secret-apollo-key')).toBe(
+        'No match for [email] or [number] with [redacted]'
+      );
+    } finally {
+      delete process.env.APOLLO_API_KEY;
+    }
+  });
+
+  it('leaves dates, times and ids that look like numbers alone', () => {
+    expect(redactPersonalData('Daily credit cap reached on 2026-10-19 at 2026-10-19T17:14:05.123Z for run_1234567890')).toBe(
+      'Daily credit cap reached on 2026-10-19 at 2026-10-19T17:14:05.123Z for run_1234567890'
+    );
+    expect(redactPersonalData('Call 07700 900123 or (415) 555-0100.')).toBe('Call [number] or ([number].');
+  });
+
+  it('reads flat Apollo settings as the apollo provider', () => {
+    expect(summarizeOptions({ revealPersonalEmails: true })).toMatchObject({ providers: { apollo: { revealPersonalEmails: true } } });
+    expect(summarizeOptions(undefined)).toBeNull();
+  });
+});
+
+describe('file audit store', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'audit-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps one file per day and answers newest first', async () => {
+    const store = createFileAuditStore({ directory });
+    await store.append(entryAt(`${DAY_1}T10:00:00Z`, { runId: 'run_a' }));
+    await store.append(entryAt(`${DAY_2}T09:00:00Z`, { runId: 'run_b', profile: 'other' }));
+    await store.append(entryAt(`${DAY_2}T11:00:00Z`, { runId: 'run_c', outcome: 'failed' }));
+
+    expect((await readdir(directory)).sort()).toEqual([`${DAY_1}.ndjson`, `${DAY_2}.ndjson`]);
+    const runIds = (entries) => entries.map(entry => entry.runId);
+    expect(runIds(await store.query({ from: DAY_1, to: DAY_2 }))).toEqual(['run_c', 'run_b', 'run_a']);
+    expect(runIds(await store.query({ from: DAY_1, to: DAY_2, profile: 'default' }))).toEqual(['run_c', 'run_a']);
+    expect(runIds(await store.query({ from: DAY_1, to: DAY_2, outcome: 'failed' }))).toEqual(['run_c']);
+    expect(runIds(await store.query({ from: DAY_2, to: DAY_2, limit: 1 }))).toEqual(['run_c']);
+    expect(runIds(await store.query({ from: DAY_1, to: DAY_2, runId: 'run_a' }))).toEqual(['run_a']);
+  });
+
+  it('skips a line cut short by a crash', async () => {
+    const store = createFileAuditStore({ directory });
+    await store.append(entryAt(`${DAY_1}T10:00:00Z`));
+    await writeFile(path.join(directory, `${DAY_1}.ndjson`), '{"action":"enr', { flag: 'a' });
+    await store.append(entryAt(`${DAY_1}T11:00:00Z`));
+    expect(await store.query({ from: DAY_1, to: DAY_1 })).toHaveLength(1);
+  });
+
+  it('deletes days older than the retention period', async () => {
+    const store = createFileAuditStore({ directory, retentionDays: 30 });
+    await store.append(entryAt('2000-01-01T00:00:00Z'));
+    await store.append(entryAt(new Date().toISOString()));
+    expect(await readdir(directory)).toEqual([`${new Date().toISOString().slice(0, 10)}.ndjson`]);
+  });
+
+  it('hands every request the same store, so old days are pruned once a day', async () => {
+    process.env.AUDIT_LOG_DIR = directory;
+    try {
+      const store = getAuditStore();
+      expect(getAuditStore()).toBe(store);
+      await getAuditStore().append(entryAt(new Date().toISOString()));
+
+      // Already pruned today
+      await writeFile(path.join(directory, '2000-01-01.ndjson'), '');
+      await getAuditStore().append(entryAt(new Date().toISOString()));
+      expect(await readdir(directory)).toContain('2000-01-01.ndjson');
+    } finally {
+      delete process.env.AUDIT_LOG_DIR;
+    }
+  });
+
+  it('refuses to keep the log where only one function instance sees it', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => getAuditStore()).toThrow(StoreConfigError);
+    await expect(recordAudit(entryAt(`${DAY_1}T10:00:00Z`))).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(
+      'Audit log write failed:',
+      'The audit log needs storage every function instance shares; set AUDIT_LOG_DIR or STORE_DIR'
+    );
+  });
+
+  it('never fails the request when an entry cannot be written', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { append: () => Promise.reject(new Error('disk full')) };
+    await expect(recordAudit(entryAt(`${DAY_1}T10:00:00Z`), store)).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Audit log write failed:', 'disk full');
+  });
+});
+
+describe('audit API', () => {
+  let directory;
+
+  const request = (query = '', { token = TOKEN, method = 'GET', resource = '' } = {}) => new Request(
+    `http://localhost/api/audit${resource}${query}`,
+    { method, headers: token ? { Authorization: `Bearer ${token}` } : {} }
+  );
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'audit-api-'));
+    process.env.AUDIT_LOG_DIR = directory;
+    process.env.AUDIT_ADMIN_TOKEN = TOKEN;
+    const store = createFileAuditStore({ directory });
+    await store.append(entryAt(`${DAY_1}T10:00:00Z`, { runId: 'run_a' }));
+    await store.append(entryAt(`${DAY_1}T12:00:00Z`, { runId: 'run_b', action: 'prospect' }));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+    delete process.env.AUDIT_LOG_DIR;
+    delete process.env.AUDIT_ADMIN_TOKEN;
+  });
+
+  it('answers 503 until the log has shared storage', async () => {
+    delete process.env.AUDIT_LOG_DIR;
+    const response = await auditApi(request());
+    expect(response.status).toBe(503);
+    expect((await response.json()).message).toBe('The audit log needs storage every function instance shares; set AUDIT_LOG_DIR or STORE_DIR');
+  });
+
+  it('is disabled until an admin token is configured', async () => {
+    delete process.env.AUDIT_ADMIN_TOKEN;
+    expect((await auditApi(request())).status).toBe(403);
+  });
+
+  it.each([
+    ['no token', null],
+    ['the wrong token', 'not-the-token']
+  ])('refuses %s', async (label, token) => {
+    const response = await auditApi(request('', { token }));
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+  });
+
+  it('lists entries for a date range and filters', async () => {
+    const response = await auditApi(request(`?from=${DAY_1}&to=${DAY_1}`));
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body.entries.map(entry => entry.runId)).toEqual(['run_b', 'run_a']);
+
+    const filtered = await (await auditApi(request(`?from=${DAY_1}&to=${DAY_1}&action=enrich`))).json();
+    expect(filtered.entries.map(entry => entry.runId)).toEqual(['run_a']);
+  });
+
+  it.each([
+    ['?from=March', 'from and to must be dates like 2024-01-31'],
+    ['?from=2024-03-02&to=2024-03-01', 'from must not be after to'],
+    ['?from=2022-01-01&to=2024-03-01', 'A query may cover at most 366 days'],
+    ['?action=delete', 'action must be one of'],
+    ['?limit=0', 'limit must be between 1 and 1000']
+  ])('rejects %s', async (query, message) => {
+    const response = await auditApi(request(query));
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain(message);
+  });
+
+  it('exports entries as JSON lines, oldest first', async () => {
+    const response = await auditApi(request(`?from=${DAY_1}&to=${DAY_1}`, { resource: '/export' }));
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/x-ndjson');
+    expect(response.headers.get('Content-Disposition')).toContain(`audit-${DAY_1}-to-${DAY_1}.ndjson`);
+    const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(entry => entry.runId)).toEqual(['run_a', 'run_b']);
+  });
+
+  it('only answers GET', async () => {
+    expect((await auditApi(request('', { method: 'DELETE' }))).status).toBe(405);
+  });
+});
@@ -0,0 +1,93 @@
+// Column mapping: header auto-mapping, unique header names and applying a
+// mapping to uploaded rows
+
+import { describe, expect, it } from 'vitest';
+import {
+  ORGANIZATION_FIELDS,
+  applyMapping,
+  guessMapping,
+  missingRequiredFields,
+  normalizeHeader,
+  uniqueHeaders
+} from '../src/utils/columnMapping.js';
+
+describe('guessMapping', () => {
+  it('maps common header spellings whatever their case and punctuation', () => {
+    expect(guessMapping(['First Name', 'SURNAME', 'E-mail Address', 'Company Website', 'Notes'])).toEqual([
+      'firstName', 'lastName', 'email', 'domain', ''
+    ]);
+  });
+
+  it('assigns each field to the first matching column only', () => {
+    expect(guessMapping(['Email', 'Work Email', 'first', 'fname'])).toEqual(['email', '', 'firstName', '']);
+  });
+
+  it('maps a single name column to Full Name', () => {
+    expect(guessMapping(['Name', 'Website'])).toEqual(['fullName', 'domain']);
+  });
+
+  it('maps company columns in organization mode', () => {
+    expect(guessMapping(['Account Name', 'Domain'], ORGANIZATION_FIELDS)).toEqual(['name', 'domain']);
+  });
+
+  it('normalises headers to lowercase letters and digits', () => {
+    expect(normalizeHeader(' Company_URL (2) ')).toBe('companyurl2');
+  });
+});
+
+describe('missingRequiredFields', () => {
+  it('lists required fields without a column', () => {
+    expect(missingRequiredFields(['firstName', 'domain']).map(field => field.key)).toEqual(['lastName']);
+  });
+
+  it('lets a Full Name column stand in for first and last name', () => {
+    expect(missingRequiredFields(['fullName'])).toEqual([]);
+  });
+
+  it('needs a domain for companies', () => {
+    expect(missingRequiredFields(['name'], ORGANIZATION_FIELDS).map(field => field.key)).toEqual(['domain']);
+  });
+});
+
+describe('uniqueHeaders', () => {
+  it('names blank headers by position and numbers repeats', () => {
+    expect(uniqueHeaders(['Email', '', 'Email', 'Email'])).toEqual(['Email', 'Column 2', 'Email_2', 'Email_3']);
+  });
+
+  it('never reuses a name that is already taken', () => {
+    expect(uniqueHeaders(['a', 'a', 'a_2'])).toEqual(['a', 'a_2', 'a_2_2']);
+    expect(uniqueHeaders(['Column 2', ''])).toEqual(['Column 2', 'Column 2_2']);
+  });
+});
+
+describe('applyMapping', () => {
+  const headers = ['First', 'Last', 'Website', 'Email'];
+  const mapping = guessMapping(headers);
+
+  it('builds contacts and keeps every uploaded column', () => {
+    const { contacts, rejected } = applyMapping(headers, [
+      { line: 2, values: ['Tim', 'Zheng', 'apollo.io', 'tim@apollo.io'] }
+    ], mapping);
+
+    expect(rejected).toEqual([]);
+    expect(contacts).toEqual([{
+      firstName: 'Tim',
+      lastName: 'Zheng',
+      fullName: '',
+      domain: 'apollo.io',
+      email: 'tim@apollo.io',
+      sourceRow: { First: 'Tim', Last: 'Zheng', Website: 'apollo.io', Email: 'tim@apollo.io' }
+    }]);
+  });
+
+  it('fills short rows with blanks and rejects rows wider than the header', () => {
+    const { contacts, rejected } = applyMapping(headers, [
+      { line: 2, values: ['Tim'] },
+      { line: 3, values: ['Tim', 'Zheng', 'apollo.io', 'tim@apollo.io', 'extra'] }
+    ], mapping);
+
+    expect(contacts).toHaveLength(1);
+    expect(contacts[0]).toMatchObject({ firstName: 'Tim', lastName: '', email: '' });
+    expect(rejected).toEqual([{ line: 3, reason: 'Row has 5 columns, header has 4' }]);
+  });
+});
@@ -0,0 +1,171 @@
+// Credit pricing, budget validation and the credit ledger
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { creditsPerRecord, estimateCredits, exceededCap, parseCap } from '../src/utils/credits.js';
+import { CreditBudgetError, createBudget, createFileCreditLedger, getCreditLedger, resolveCaps } from '../netlify/lib/creditLedger.js';
+import { apolloProvider } from '../netlify/lib/providers/apollo.js';
+import { StoreConfigError } from '../netlify/lib/storeDirectory.js';
+
+describe('creditsPerRecord', () => {
+  it('adds the extra cost of each paid setting that is on', () => {
+    const costs = apolloProvider.creditCosts;
+    expect(creditsPerRecord(costs, 'people', {})).toBe(1);
+    expect(creditsPerRecord(costs, 'people', { revealPersonalEmails: true })).toBe(2);
+    expect(creditsPerRecord(costs, 'people', { revealPersonalEmails: true, revealPhoneNumbers: true, includeSocialProfiles: true })).toBe(10);
+    expect(creditsPerRecord(costs, 'organizations', { revealPhoneNumbers: true })).toBe(1);
+  });
+
+  it('charges a credit a record when a provider has no price list', () => {
+    expect(creditsPerRecord(undefined, 'people', { revealPhoneNumbers: true })).toBe(1);
+  });
+});
+
+describe('estimateCredits', () => {
+  it('bills only what the cache cannot answer', () => {
+    expect(estimateCredits({ records: 10, cacheHits: 4, perRecord: 2 })).toEqual({
+      records: 10, cacheHits: 4, billable: 6, perRecord: 2, credits: 12
+    });
+  });
+});
+
+describe('budgets', () => {
+  it('names the first cap that spending would cross', () => {
+    expect(exceededCap(5, { perRun: 10, perDay: 100 }, { run: 5, day: 50 })).toBeNull();
+    expect(exceededCap(6, { perRun: 10, perDay: 100 }, { run: 5, day: 50 })).toEqual({ limit: 'run', cap: 10, used: 5 });
+    expect(exceededCap(6, { perRun: null, perDay: 55 }, { run: 5, day: 50 })).toEqual({ limit: 'day', cap: 55, used: 50 });
+  });
+
+  it('reads blank cap inputs as no cap', () => {
+    expect(parseCap('')).toBeNull();
+    expect(parseCap('250')).toBe(250);
+    expect(parseCap('-3')).toBeNull();
+  });
+
+  it('lets a request tighten the server daily cap but not lift it', () => {
+    process.env.CREDIT_DAILY_CAP = '500';
+    try {
+      expect(resolveCaps({ maxDailyCredits: 100 })).toEqual({ perRun: null, perDay: 100 });
+      expect(resolveCaps({ maxDailyCredits: 1000, maxRunCredits: 50 })).toEqual({ perRun: 50, perDay: 500 });
+      expect(resolveCaps(null)).toEqual({ perRun: null, perDay: 500 });
+    } finally {
+      delete process.env.CREDIT_DAILY_CAP;
+    }
+    expect(resolveCaps({})).toEqual({ perRun: null, perDay: null });
+  });
+});
+
+describe('file credit ledger', () => {
+  let directory;
+  let ledger;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'credit-ledger-'));
+    ledger = createFileCreditLedger({ directory });
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const at = { profile: 'default', runId: 'run_1', day: '2026-10-19' };
+
+  it('counts credits per profile per day and per run', async () => {
+    await ledger.reserve({ ...at, credits: 3 });
+    await ledger.reserve({ ...at, runId: 'run_2', credits: 4 });
+    await ledger.reserve({ ...at, profile: 'other', credits: 5 });
+    await ledger.reserve({ ...at, day: '2026-10-20', credits: 6 });
+
+    // A run's total follows it past midnight
+    expect(await ledger.usage(at)).toEqual({ day: 7, run: 14 });
+    expect(await ledger.usage({ ...at, runId: null })).toEqual({ day: 7, run: 0 });
+  });
+
+  it('refuses a reservation that would cross a cap and records nothing', async () => {
+    await ledger.reserve({ ...at, credits: 8, caps: { perRun: 10 } });
+    await expect(ledger.reserve({ ...at, credits: 3, caps: { perRun: 10 } })).rejects.toThrow(CreditBudgetError);
+    expect(await ledger.usage(at)).toEqual({ day: 8, run: 8 });
+  });
+
+  it('does not let parallel batches overshoot together', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => ledger.reserve({ ...at, credits: 4, caps: { perDay: 10 } }))
+    );
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect((await ledger.usage(at)).day).toBe(8);
+  });
+
+  it('gives back credits for a failed call', async () => {
+    await ledger.reserve({ ...at, credits: 5 });
+    await ledger.release({ ...at, credits: 5 });
+    expect(await ledger.usage(at)).toEqual({ day: 0, run: 0 });
+  });
+
+  it('explains which cap stopped the budget', async () => {
+    const budget = createBudget(ledger, { profile: 'default', runId: 'run_1', caps: { perRun: null, perDay: 2 } });
+    await expect(budget.reserve(3)).rejects.toMatchObject({ limit: 'day', cap: 2, used: 0, needed: 3 });
+  });
+
+  it('keeps enriching without caps when the ledger cannot be written', async () => {
+    const broken = { reserve: () => Promise.reject(new Error('disk full')), release: () => Promise.reject(new Error('disk full')) };
+    const budget = createBudget(broken, { profile: 'default', caps: { perRun: null, perDay: null } });
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(budget.reserve(3)).resolves.toBeUndefined();
+    expect(logged).toHaveBeenCalledWith('Credit ledger write failed:', 'disk full');
+    logged.mockRestore();
+    const capped = createBudget(broken, { profile: 'default', caps: { perRun: null, perDay: 10 } });
+    await expect(capped.reserve(3)).rejects.toThrow('disk full');
+  });
+});
+
+describe('getCreditLedger', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'credit-ledger-'));
+    process.env.CREDIT_LEDGER_DIR = directory;
+  });
+
+  afterEach(async () => {
+    delete process.env.CREDIT_LEDGER_DIR;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const at = { profile: 'default', runId: 'run_1', day: '2026-10-19' };
+
+  it('hands every request the same ledger for a directory', async () => {
+    const ledger = getCreditLedger();
+    expect(getCreditLedger()).toBe(ledger);
+
+    const other = await mkdtemp(path.join(tmpdir(), 'credit-ledger-'));
+    try {
+      process.env.CREDIT_LEDGER_DIR = other;
+      expect(getCreditLedger()).not.toBe(ledger);
+    } finally {
+      await rm(other, { recursive: true, force: true });
+    }
+  });
+
+  it('holds the cap for requests that each fetch the ledger', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => getCreditLedger().reserve({ ...at, credits: 4, caps: { perDay: 10 } }))
+    );
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect((await getCreditLedger().usage(at)).day).toBe(8);
+  });
+
+  it('refuses a daily cap it could only count per instance', () => {
+    delete process.env.CREDIT_LEDGER_DIR;
+    process.env.CREDIT_DAILY_CAP = '100';
+    try {
+      expect(() => getCreditLedger()).toThrow(StoreConfigError);
+      process.env.STORE_DIR = directory;
+      expect(getCreditLedger()).toBeDefined();
+    } finally {
+      delete process.env.CREDIT_DAILY_CAP;
+      delete process.env.STORE_DIR;
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// CRM export presets: value formats and import validation
+
+import { describe, expect, it } from 'vitest';
+import { buildExport } from '../src/utils/exportBuilder.js';
+import { countryCode, formatPhone, getPreset, presetColumns, stateCode, validatePresetRows } from '../src/utils/crmPresets.js';
+import { processContacts } from '../netlify/lib/providers/apollo.js';
+import { parseCSV } from '../src/utils/csv.js';
+import { people } from '../mock/fixtures.js';
+
+const [tim, john, jane] = people;
+
+const [timRecord, johnRecord, janeRecord] = processContacts({ people: [tim, john, jane] }, [
+  { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: '' },
+  { firstName: 'John', lastName: 'Doe', domain: 'salesforce.com', email: '' },
+  { firstName: 'Jane', lastName: 'Smith', domain: 'hubspot.com', email: '' }
+], { revealPhoneNumbers: true });
+
+const exportWith = async (presetId, rows, settings) => {
+  const { data } = await buildExport(rows, presetColumns(getPreset(presetId), settings), 'csv');
+  const { headers, rows: parsed } = parseCSV(data);
+  return parsed.map(row => Object.fromEntries(headers.map((header, index) => [header, row.values[index]])));
+};
+
+describe('value formats', () => {
+  it.each([
+    ['+1 415-555-0101', 'e164', '+14155550101'],
+    ['(415) 555-0101 ext. 12', 'e164', '+14155550101'],
+    ['+1 415-555-0101', 'national', '(415) 555-0101'],
+    ['0044 20 7946 0958', 'national', '+442079460958'],
+    ['555-0101', 'e164', '555-0101']
+  ])('formats %s as %s', (phone, style, formatted) => {
+    expect(formatPhone(phone, style)).toBe(formatted);
+  });
+
+  it('maps states and countries to ISO codes', () => {
+    expect(countryCode('United States')).toBe('US');
+    expect(countryCode('GB')).toBe('GB');
+    expect(stateCode('California', 'United States')).toBe('CA');
+    expect(stateCode('ontario', 'Canada')).toBe('ON');
+    expect(stateCode('Bavaria', 'Germany')).toBe('');
+  });
+});
+
+describe('Salesforce preset', () => {
+  it('writes Lead import columns', async () => {
+    const [row] = await exportWith('salesforce', [timRecord]);
+    expect(row).toEqual({
+      'First Name': 'Tim',
+      'Last Name': 'Zheng',
+      Company: 'Apollo.io',
+      Title: 'Founder & CEO',
+      Email: 'tim@apollo.io',
+      Phone: '(415) 555-0101',
+      'Mobile Phone': '(415) 555-0188',
+      City: 'San Francisco',
+      'State Code': 'CA',
+      'Country Code': 'US',
+      Website: 'https://apollo.io',
+      Industry: 'Information Technology & Services',
+      'No. of Employees': '900',
+      'Lead Source': 'Apollo',
+      'Lead Status': 'Open - Not Contacted'
+    });
+  });
+
+  it('flags rows Salesforce would reject', () => {
+    const preset = getPreset('salesforce');
+    const issues = validatePresetRows(preset, [
+      timRecord,
+      { ...johnRecord, company: null, title: 'x'.repeat(130) },
+      { ...timRecord, lastName: '', workEmail: 'tim@' },
+      { ...timRecord, state: 'Bavaria', country: 'Germany' }
+    ]);
+
+    expect(issues).toEqual([
+      { index: 1, errors: ['Missing Company', 'Title is 130 characters; Salesforce allows 128'], warnings: [] },
+      { index: 2, errors: ['Missing Last Name', 'Email "tim@" is not a valid address'], warnings: [] },
+      { index: 3, errors: [], warnings: ['State "Bavaria" has no state code and was left out'] }
+    ]);
+  });
+});
+
+describe('HubSpot preset', () => {
+  it('writes Contact import columns with the chosen lifecycle stage', async () => {
+    const [row] = await exportWith('hubspot', [johnRecord], { lifecycleStage: 'salesqualifiedlead' });
+    expect(row).toMatchObject({
+      Email: 'jdoe@salesforce.com',
+      'Company Name': 'Salesforce',
+      'Phone Number': '',
+      'Mobile Phone Number': '+13125550144',
+      'State/Region': 'Illinois',
+      'Country/Region': 'United States',
+      Industry: 'COMPUTER_SOFTWARE',
+      'Lifecycle Stage': 'salesqualifiedlead',
+      'Lead Status': 'NEW'
+    });
+  });
+
+  it('warns when a contact has no email and rejects one with nothing to name it by', () => {
+    const issues = validatePresetRows(getPreset('hubspot'), [
+      janeRecord,
+      { ...janeRecord, firstName: '', lastName: '' }
+    ]);
+    expect(issues[0]).toEqual({ index: 0, errors: [], warnings: ['No email, so HubSpot cannot match this contact to an existing one'] });
+    expect(issues[1].errors).toEqual(['Needs an email, first name or last name']);
+  });
+});
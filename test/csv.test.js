@@ -0,0 +1,151 @@
+// CSV import: decoding, delimiter detection, the RFC 4180 parser and
+// file format detection
+
+import { describe, expect, it } from 'vitest';
+import { decodeText, detectDelimiter, escapeCSVValue, parseCSV, parseDelimited, toCSV } from '../src/utils/csv.js';
+import { detectFormat } from '../src/utils/fileImport.js';
+
+const bytes = (...values) => new Uint8Array(values).buffer;
+
+describe('decodeText', () => {
+  it('drops a UTF-8 byte order mark', () => {
+    const { text, encoding } = decodeText(bytes(0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('Name\nZoë')));
+    expect(encoding).toBe('utf-8');
+    expect(text).toBe('Name\nZoë');
+  });
+
+  it('reads UTF-16 files by their byte order mark', () => {
+    expect(decodeText(bytes(0xFF, 0xFE, 0x41, 0x00, 0x42, 0x00))).toEqual({ text: 'AB', encoding: 'utf-16le' });
+    expect(decodeText(bytes(0xFE, 0xFF, 0x00, 0x41, 0x00, 0x42))).toEqual({ text: 'AB', encoding: 'utf-16be' });
+  });
+
+  it('falls back to Windows-1252 for bytes that are not UTF-8', () => {
+    // "Zoë" as exported by older versions of Excel
+    expect(decodeText(bytes(0x5A, 0x6F, 0xEB))).toEqual({ text: 'Zoë', encoding: 'windows-1252' });
+  });
+});
+
+describe('parseDelimited', () => {
+  it('keeps delimiters, escaped quotes and line breaks inside quoted fields', () => {
+    const text = 'name,notes\r\n"Zheng, Tim","Said ""hi""\nthen left"\r\nSarah,plain\r\n';
+    expect(parseDelimited(text)).toEqual([
+      { fields: ['name', 'notes'], line: 1 },
+      { fields: ['Zheng, Tim', 'Said "hi"\nthen left'], line: 2 },
+      { fields: ['Sarah', 'plain'], line: 4 }
+    ]);
+  });
+
+  it('skips blank lines but keeps counting them', () => {
+    expect(parseDelimited('a,b\n\n1,2').map(record => record.line)).toEqual([1, 3]);
+  });
+
+  it('strips a byte order mark that survived decoding', () => {
+    expect(parseDelimited('\uFEFFfirstName,lastName')[0].fields).toEqual(['firstName', 'lastName']);
+  });
+
+  it('keeps an empty last field', () => {
+    expect(parseDelimited('a,b,\n')[0].fields).toEqual(['a', 'b', '']);
+  });
+
+  it('reports a quote that is never closed and reads on from the next line', () => {
+    const errors = [];
+    const records = parseDelimited('name,notes\nTim,"open\r\nSarah,ok\nAna,fine', ',', Infinity, errors);
+    expect(errors).toEqual([{ line: 2, reason: 'Quoted field is never closed' }]);
+    expect(records).toEqual([
+      { fields: ['name', 'notes'], line: 1 },
+      { fields: ['Sarah', 'ok'], line: 3 },
+      { fields: ['Ana', 'fine'], line: 4 }
+    ]);
+  });
+
+  it('drops an unclosed quote on the last line', () => {
+    const errors = [];
+    expect(parseDelimited('a,b\n1,"2', ',', Infinity, errors)).toEqual([{ fields: ['a', 'b'], line: 1 }]);
+    expect(errors).toEqual([{ line: 2, reason: 'Quoted field is never closed' }]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it.each([
+    ['comma', 'first,last,domain\nTim,Zheng,apollo.io', ','],
+    ['semicolon', 'first;last;domain\nTim;Zheng;apollo.io\nJean;Dupont;"acme.fr; acme.com"', ';'],
+    ['tab', 'first\tlast\nTim\tZheng', '\t'],
+    ['pipe', 'first|last\nTim|Zheng', '|']
+  ])('finds %s', (label, text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+
+  it('prefers the delimiter that splits every row alike', () => {
+    // Commas appear in values, semicolons separate columns
+    expect(detectDelimiter('name;amount\nZheng, Tim;1,5\nWilson, Sarah;2,0')).toBe(';');
+  });
+});
+
+describe('parseCSV', () => {
+  it('parses a semicolon-delimited European export', () => {
+    expect(parseCSV('Vorname;Nachname;Firma\n Jürgen ;Müller;"Acme; GmbH"\n')).toEqual({
+      headers: ['Vorname', 'Nachname', 'Firma'],
+      rows: [{ line: 2, values: ['Jürgen', 'Müller', 'Acme; GmbH'] }],
+      delimiter: ';',
+      parseErrors: []
+    });
+  });
+
+  it('uses the delimiter it is given', () => {
+    expect(parseCSV('a;b,c', { delimiter: ',' }).headers).toEqual(['a;b', 'c']);
+  });
+
+  it('returns an empty table for an empty file', () => {
+    expect(parseCSV('')).toEqual({ headers: [], rows: [], delimiter: ',', parseErrors: [] });
+  });
+
+  it('rejects rows with more or fewer fields than the header', () => {
+    const { rows, parseErrors } = parseCSV('a,b,c\n1,2\n3,4,5\n6,7,8,9\n"10,11,12\n');
+    expect(rows).toEqual([{ line: 3, values: ['3', '4', '5'] }]);
+    expect(parseErrors).toEqual([
+      { line: 2, reason: 'Row has 2 columns, header has 3' },
+      { line: 4, reason: 'Row has 4 columns, header has 3' },
+      { line: 5, reason: 'Quoted field is never closed' }
+    ]);
+  });
+});
+
+describe('CSV output', () => {
+  it('quotes only values that need it', () => {
+    expect(escapeCSVValue('plain')).toBe('plain');
+    expect(escapeCSVValue('a,b')).toBe('"a,b"');
+    expect(escapeCSVValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCSVValue(null)).toBe('');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    expect(escapeCSVValue('=1+1')).toBe("'=1+1");
+    expect(escapeCSVValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCSVValue('-2+3,A1')).toBe(`"'-2+3,A1"`);
+    expect(escapeCSVValue('\tcmd')).toBe("'\tcmd");
+    // Signed numbers and phone numbers cannot call anything
+    expect(escapeCSVValue('+1 (312) 555-0144')).toBe('+1 (312) 555-0144');
+    expect(escapeCSVValue(-5)).toBe('-5');
+    expect(escapeCSVValue('a=b')).toBe('a=b');
+  });
+
+  it('round-trips through the parser', () => {
+    const rows = [{ name: 'Zheng, Tim', notes: 'line one\nline two' }];
+    const text = toCSV(['name', 'notes'], rows);
+    expect(parseCSV(text).rows[0].values).toEqual(['Zheng, Tim', 'line one\nline two']);
+  });
+});
+
+describe('detectFormat', () => {
+  it.each([
+    [{ name: 'contacts.CSV', type: '' }, 'csv'],
+    [{ name: 'contacts.tsv', type: '' }, 'csv'],
+    [{ name: 'contacts.xlsx', type: '' }, 'xlsx'],
+    [{ name: 'contacts.jsonl', type: '' }, 'ndjson'],
+    [{ name: 'export', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }, 'xlsx'],
+    [{ name: 'export', type: 'application/json' }, 'json'],
+    [{ name: 'export', type: 'text/plain' }, 'csv']
+  ])('reads %j as %s', (file, format) => {
+    expect(detectFormat(file)).toBe(format);
+  });
+});
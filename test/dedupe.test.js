@@ -0,0 +1,126 @@
+// Duplicate detection, and how merge, keep and drop fan results back out
+// to the uploaded rows
+
+import { describe, expect, it } from 'vitest';
+import {
+  fanOutResults,
+  findDuplicateGroups,
+  identityKeys,
+  normalizeDomain,
+  normalizeEmail,
+  planEnrichment
+} from '../src/utils/dedupe.js';
+
+const contacts = [
+  { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: 'tim@apollo.io', row: 0 },
+  { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com', email: '', row: 1 },
+  { firstName: 'Timothy', lastName: 'Zheng', domain: '', email: 'TIM+crm@Apollo.io', row: 2 },
+  { firstName: 'sarah', lastName: 'WILSON', domain: 'https://www.microsoft.com/about', email: 's.wilson@microsoft.com', row: 3 },
+  { firstName: 'Ana', lastName: 'García', domain: 'acme.com', email: '', row: 4 }
+];
+
+describe('normalisation', () => {
+  it('compares emails without case, +tags or Gmail dots', () => {
+    expect(normalizeEmail(' Tim+crm@Apollo.io ')).toBe('tim@apollo.io');
+    expect(normalizeEmail('t.zheng@gmail.com')).toBe('tzheng@gmail.com');
+    expect(normalizeEmail('t.zheng@apollo.io')).toBe('t.zheng@apollo.io');
+    expect(normalizeEmail('not an email')).toBe('');
+  });
+
+  it('reduces URLs to their domain', () => {
+    expect(normalizeDomain('HTTPS://www.Apollo.io:443/people?x=1')).toBe('apollo.io');
+  });
+
+  it('identifies people by email and by name at a domain, ignoring accents', () => {
+    expect(identityKeys({ firstName: 'Ána', lastName: 'García', domain: 'acme.com', email: '' })).toEqual(['name:ana|garcia|acme.com']);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('groups rows sharing an email or a name and domain', () => {
+    expect(findDuplicateGroups(contacts)).toEqual([
+      { id: '0', indices: [0, 2], matchedOn: ['email'] },
+      { id: '1', indices: [1, 3], matchedOn: ['name + domain'] }
+    ]);
+  });
+
+  it('joins rows matched through a third row into one group', () => {
+    const chain = [
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: '' },
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: 'tim@apollo.io' },
+      { firstName: 'T', lastName: 'Z', domain: '', email: 'tim@apollo.io' }
+    ];
+    expect(findDuplicateGroups(chain)).toEqual([{ id: '0', indices: [0, 1, 2], matchedOn: ['name + domain', 'email'] }]);
+  });
+
+  it('leaves rows without an email or a full name and domain alone', () => {
+    const partial = [
+      { firstName: 'Tim', lastName: 'Zheng', domain: '', email: '' },
+      { firstName: 'Tim', lastName: 'Zheng', domain: '', email: '' },
+      { firstName: '', lastName: 'Zheng', domain: 'apollo.io', email: 'not an email' },
+      { firstName: '', lastName: 'Zheng', domain: 'apollo.io', email: 'not an email' }
+    ];
+    expect(partial.map(identityKeys)).toEqual([[], [], [], []]);
+    expect(findDuplicateGroups(partial)).toEqual([]);
+  });
+
+  it('groups companies by domain', () => {
+    expect(findDuplicateGroups([{ domain: 'apollo.io' }, { domain: 'acme.com' }, { domain: 'www.apollo.io' }], 'organizations')).toEqual([
+      { id: '0', indices: [0, 2], matchedOn: ['domain'] }
+    ]);
+  });
+});
+
+describe('planEnrichment and fanOutResults', () => {
+  const groups = findDuplicateGroups(contacts);
+  // The provider's answer for each request, tagged so we can follow it
+  const enrich = (requests) => requests.map((request, i) => ({ enrichedAs: i, title: `Title ${i}` }));
+  const plan = (resolutions) => {
+    const { requests, fanOut } = planEnrichment(contacts, groups, resolutions);
+    return { requests, fanOut, rows: fanOutResults(enrich(requests), fanOut, contacts) };
+  };
+
+  it('merges a group into one request and copies the result to every row', () => {
+    const { requests, fanOut, rows } = plan({});
+
+    expect(fanOut).toEqual([[0, 2], [1, 3], [4]]);
+    // Blank inputs on the first row are filled from the rest of the group
+    expect(requests[1]).toMatchObject({ firstName: 'Sarah', email: 's.wilson@microsoft.com' });
+    expect(rows.map(row => [row.row, row.enrichedAs])).toEqual([[0, 0], [2, 0], [1, 1], [3, 1], [4, 2]]);
+    // Each row keeps its own inputs
+    expect(rows[1]).toMatchObject({ firstName: 'Timothy', title: 'Title 0' });
+  });
+
+  it('keeps every row of a group as its own request', () => {
+    const { requests, fanOut } = plan({ 0: 'keep', 1: 'keep' });
+    expect(requests).toHaveLength(5);
+    expect(fanOut).toEqual([[0], [1], [2], [3], [4]]);
+  });
+
+  it('drops the extra rows of a group', () => {
+    const { fanOut, rows } = plan({ 0: 'drop', 1: 'merge' });
+    expect(fanOut).toEqual([[0], [1, 3], [4]]);
+    expect(rows.map(row => row.row)).toEqual([0, 1, 3, 4]);
+  });
+
+  it('leaves out rows that are not ready and no longer merges a group of one', () => {
+    const ready = (contact) => contact.row !== 2;
+    const { requests, fanOut } = planEnrichment(contacts, groups, { 0: 'merge' }, ready);
+    // Row 2 was Tim's duplicate; without it row 0 is sent as it is
+    expect(fanOut).toEqual([[0], [1, 3], [4]]);
+    expect(requests[0]).toBe(contacts[0]);
+  });
+
+  it('fills a blank company name from the rest of the group', () => {
+    const companies = [{ domain: 'apollo.io', name: '' }, { domain: 'https://apollo.io', name: 'Apollo' }];
+    const { requests, fanOut } = planEnrichment(companies, findDuplicateGroups(companies, 'organizations'));
+    expect(requests).toEqual([{ domain: 'apollo.io', name: 'Apollo' }]);
+    expect(fanOut).toEqual([[0, 1]]);
+  });
+
+  it('maps results of a later batch with an offset', () => {
+    const { fanOut } = plan({});
+    const secondBatch = fanOutResults([{ enrichedAs: 2 }], fanOut, contacts, 2);
+    expect(secondBatch).toEqual([{ ...contacts[4], enrichedAs: 2 }]);
+  });
+});
@@ -0,0 +1,120 @@
+// Diff mode: header guesses, field comparison, row statuses and the
+// changes-only export
+
+import { describe, expect, it } from 'vitest';
+import {
+  DIFF_FIELDS, changeExportColumns, changedRows, compareValues, countDiffs, createDiffer, diffRecord, guessDiffColumns
+} from '../src/utils/diffMode.js';
+
+const columns = { id: 'Contact ID', title: 'Job Title', company: 'Account Name', email: 'Email', phone: 'Phone' };
+
+const row = (sourceRow, fresh = {}) => ({
+  firstName: 'Tim',
+  lastName: 'Zheng',
+  domain: 'apollo.io',
+  sourceRow: { 'Contact ID': '003A1', ...sourceRow },
+  enrichmentStatus: 'success',
+  confidence: 'high',
+  workEmailStatus: 'verified',
+  ...fresh
+});
+
+const field = (key) => DIFF_FIELDS.find(item => item.key === key);
+
+describe('guessDiffColumns', () => {
+  it('finds the usual CRM headers and leaves the rest blank', () => {
+    expect(guessDiffColumns(['Contact ID', 'First Name', 'Job Title', 'Account Name', 'E-mail', 'Mobile Phone'])).toEqual({
+      id: 'Contact ID', title: 'Job Title', company: 'Account Name', email: 'E-mail', phone: 'Mobile Phone'
+    });
+    expect(guessDiffColumns(['Name'])).toEqual({ id: '', title: '', company: '', email: '', phone: '' });
+  });
+});
+
+describe('compareValues', () => {
+  it('ignores case, punctuation and company suffixes', () => {
+    expect(compareValues(field('title'), 'VP, Sales', 'vp sales')).toBe('same');
+    expect(compareValues(field('company'), 'Apollo', 'Apollo.io')).toBe('same');
+    expect(compareValues(field('company'), 'Acme Corp.', 'ACME, Inc')).toBe('same');
+    expect(compareValues(field('email'), 'Tim@Apollo.io ', 'tim@apollo.io')).toBe('same');
+  });
+
+  it('compares phones on their last ten digits without extensions', () => {
+    expect(compareValues(field('phone'), '(415) 555-0101 ext. 12', '+1 415-555-0101')).toBe('same');
+    expect(compareValues(field('phone'), '415-555-0101', '+1 415-555-0199')).toBe('changed');
+  });
+
+  it('tells additions from values enrichment did not return', () => {
+    expect(compareValues(field('title'), null, 'CEO')).toBe('added');
+    expect(compareValues(field('title'), 'CEO', null)).toBe('missing');
+    expect(compareValues(field('title'), null, null)).toBe('empty');
+  });
+});
+
+describe('diffRecord', () => {
+  it('marks rows with new or different values as updated', () => {
+    const diff = diffRecord(row({ 'Job Title': 'VP Sales', 'Account Name': 'Apollo', Email: '', Phone: '415-555-0101' }, {
+      title: 'CRO', company: 'Apollo.io', workEmail: 'tim@apollo.io', directPhone: null
+    }), columns);
+    expect(diff.status).toBe('updated');
+    expect(diff.fields.map(item => [item.key, item.change])).toEqual([
+      ['title', 'changed'], ['company', 'same'], ['email', 'added'], ['phone', 'missing']
+    ]);
+    expect(diff.conflicts).toEqual([]);
+  });
+
+  it('marks rows where nothing moved as unchanged', () => {
+    expect(diffRecord(row({ 'Job Title': 'CEO', 'Account Name': 'Apollo' }, { title: 'ceo', company: 'Apollo.io' }), columns).status).toBe('unchanged');
+  });
+
+  it('flags changes on a low-confidence match or to an unverified email', () => {
+    const lowConfidence = diffRecord(row({ 'Job Title': 'CEO' }, { title: 'Intern', confidence: 'low' }), columns);
+    expect(lowConfidence.status).toBe('conflicting');
+    expect(lowConfidence.conflicts).toEqual(['Low-confidence match may be a different person']);
+
+    const guessedEmail = diffRecord(row({ Email: 'tim@apollo.io' }, { workEmail: 'tzheng@apollo.io', workEmailStatus: 'guessed' }), columns);
+    expect(guessedEmail.status).toBe('conflicting');
+    expect(guessedEmail.conflicts).toEqual(['New email is guessed, not verified']);
+  });
+
+  it('leaves failed rows unmatched', () => {
+    expect(diffRecord(row({ 'Job Title': 'CEO' }, { enrichmentStatus: 'failed' }), columns).status).toBe('unmatched');
+  });
+
+  it('only compares mapped columns', () => {
+    expect(diffRecord(row({ 'Job Title': 'CEO' }, { title: 'CRO' }), { title: 'Job Title' }).fields.map(item => item.key)).toEqual(['title']);
+  });
+});
+
+describe('changes export', () => {
+  const rows = [
+    row({ 'Job Title': 'VP Sales', 'Account Name': 'Apollo' }, { title: 'CRO', company: 'Apollo.io' }),
+    row({ 'Contact ID': '003A2', 'Job Title': 'CEO' }, { title: 'CEO' }),
+    row({ 'Contact ID': '003A3', Phone: '' }, { directPhone: '+1 415-555-0101' }),
+    row({ 'Contact ID': '003A4' }, { enrichmentStatus: 'failed' })
+  ];
+
+  it('counts every status and keeps only changed rows', () => {
+    const differ = createDiffer(columns);
+    expect(countDiffs(rows, differ)).toEqual({ updated: 2, conflicting: 0, unchanged: 1, unmatched: 1 });
+    expect(changedRows(rows, differ).map(item => item.sourceRow['Contact ID'])).toEqual(['003A1', '003A3']);
+  });
+
+  it('adds before and after columns for changed fields only', () => {
+    const differ = createDiffer(columns);
+    const changed = changedRows(rows, differ);
+    const exported = changeExportColumns(changed, differ);
+    expect(exported.map(column => column.label)).toEqual([
+      'Contact ID', 'First Name', 'Last Name', 'Domain', 'Change', 'Conflicts',
+      'Title (before)', 'Title (after)', 'Phone (before)', 'Phone (after)'
+    ]);
+    expect(changed.map(item => exported.map(column => column.value(item)))).toEqual([
+      ['003A1', 'Tim', 'Zheng', 'apollo.io', 'updated', '', 'VP Sales', 'CRO', '', ''],
+      ['003A3', 'Tim', 'Zheng', 'apollo.io', 'updated', '', '', '', '', '+1 415-555-0101']
+    ]);
+  });
+
+  it('works out each row once', () => {
+    const differ = createDiffer(columns);
+    expect(differ.diff(rows[0])).toBe(differ.diff(rows[0]));
+  });
+});
@@ -0,0 +1,454 @@
+// End-to-end tests for the enrichment handlers against the mock Apollo server.
+// enrich.js and apollo-enrichment.mts are deployed side by side and must
+// behave the same, so every case runs against both.
+
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { handler as enrichHandler } from '../netlify/functions/enrich.js';
+import { handler as tsHandler } from '../netlify/functions/apollo-enrichment.mts';
+import { enrichmentSchema } from '../netlify/lib/enrichSchemas.js';
+import { validate } from '../netlify/lib/schema.js';
+import { createFileAuditStore } from '../netlify/lib/auditLog.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const contacts = [
+  { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: 'tim@apollo.io' },
+  { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com', email: '' }
+];
+
+// Each request gets its own client IP so the per-IP rate limiter only
+// comes into play in the test that exercises it
+let ipCounter = 0;
+const ACCESS_TOKEN = 'studio-access-token';
+const event = ({ method = 'POST', body, ip = `10.0.0.${++ipCounter}`, token = ACCESS_TOKEN } = {}) => ({
+  httpMethod: method,
+  headers: { 'x-forwarded-for': ip, ...(token && { authorization: `Bearer ${token}` }) },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+const parse = (response) => JSON.parse(response.body);
+
+describe.each([
+  ['enrich.js', enrichHandler],
+  ['apollo-enrichment.mts', tsHandler]
+])('%s handler', (file, handler) => {
+  let mock;
+  let ledgerDirectory;
+  let auditDirectory;
+
+  // The audit entry written for the latest request
+  const lastAudit = async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const [entry] = await createFileAuditStore({ directory: auditDirectory }).query({ from: today, to: today, limit: 1 });
+    return entry;
+  };
+
+  beforeAll(async () => {
+    // Cache behaviour has its own tests; here every request must reach the mock
+    ledgerDirectory = await mkdtemp(path.join(tmpdir(), 'credit-ledger-'));
+    auditDirectory = await mkdtemp(path.join(tmpdir(), 'audit-'));
+    Object.assign(process.env, MOCK_PROFILES, {
+      APOLLO_TIMEOUT_MS: '200',
+      ENRICHMENT_CACHE: 'off',
+      CREDIT_LEDGER_DIR: ledgerDirectory,
+      AUDIT_LOG_DIR: auditDirectory,
+      STUDIO_ACCESS_TOKEN: ACCESS_TOKEN
+    });
+    mock = await startMockApollo({ delayMs: 1000 });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    await rm(ledgerDirectory, { recursive: true, force: true });
+    await rm(auditDirectory, { recursive: true, force: true });
+    delete process.env.CREDIT_LEDGER_DIR;
+    delete process.env.AUDIT_LOG_DIR;
+    delete process.env.STUDIO_ACCESS_TOKEN;
+    Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+    delete process.env.APOLLO_BASE_URL;
+    delete process.env.APOLLO_TIMEOUT_MS;
+    delete process.env.ENRICHMENT_CACHE;
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('answers CORS preflight', async () => {
+    const response = await handler(event({ method: 'OPTIONS' }));
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(response.headers['Access-Control-Allow-Methods']).toContain('POST');
+  });
+
+  it('rejects methods other than POST', async () => {
+    const response = await handler(event({ method: 'GET' }));
+    expect(response.statusCode).toBe(405);
+    expect(parse(response).error).toBe('Method not allowed');
+  });
+
+  it('refuses callers without the access token, before any work or audit entry', async () => {
+    const body = { profile: 'default', contacts };
+    const before = await lastAudit();
+
+    const missing = await handler(event({ body, token: null }));
+    expect(missing.statusCode).toBe(401);
+    expect(missing.headers['WWW-Authenticate']).toBe('Bearer');
+    const wrong = await handler(event({ body, token: 'not-the-token' }));
+    expect(wrong.statusCode).toBe(401);
+    expect(parse(wrong).message).toBe('A valid access token is required');
+    expect(await lastAudit()).toEqual(before);
+
+    delete process.env.STUDIO_ACCESS_TOKEN;
+    try {
+      const disabled = await handler(event({ body }));
+      expect(disabled.statusCode).toBe(403);
+      expect(parse(disabled).message).toContain('STUDIO_ACCESS_TOKEN');
+    } finally {
+      process.env.STUDIO_ACCESS_TOKEN = ACCESS_TOKEN;
+    }
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const response = await handler(event({ body: '{not json' }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).error).toBe('Invalid JSON');
+  });
+
+  it.each([
+    ['a missing profile', { contacts }, 'profile is required'],
+    ['a raw apiKey', { apiKey: 'abc', profile: 'default', contacts }, 'send a profile name instead of apiKey'],
+    ['missing contacts', { profile: 'default' }, 'contacts is required'],
+    ['an empty contact list', { profile: 'default', contacts: [] }, 'contacts must have at least 1 item'],
+    ['more than 25 contacts', { profile: 'default', contacts: Array(26).fill(contacts[0]) }, 'contacts must have at most 25 items'],
+    ['a contact without a last name', { profile: 'default', contacts: [{ firstName: 'Tim' }] }, 'contacts[0].lastName is required'],
+    ['an unknown provider', { profile: 'default', contacts, options: { waterfall: ['nope'] } }, 'Unknown enrichment provider "nope"'],
+    ['an unknown profile', { profile: 'missing', contacts }, 'Unknown API key profile "missing"']
+  ])('returns 400 for %s', async (label, body, message) => {
+    const response = await handler(event({ body }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toContain(message);
+  });
+
+  it('lists every invalid field', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', contacts: [{ firstName: 'Tim' }, { firstName: 'Sarah', lastName: '', email: 7 }], dryRun: 'no' }
+    }));
+    const body = parse(response);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.message).toBe('contacts[0].lastName is required (and 3 more)');
+    expect(body.errors).toEqual([
+      { path: 'contacts[0].lastName', message: 'is required' },
+      { path: 'contacts[1].lastName', message: 'must not be empty' },
+      { path: 'contacts[1].email', message: 'must be a string or null' },
+      { path: 'dryRun', message: 'must be true or false' }
+    ]);
+  });
+
+  it('rejects a body that is not an object', async () => {
+    const response = await handler(event({ body: '[]' }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toBe('Request must be an object');
+  });
+
+  it('enriches matched contacts and marks unmatched ones failed', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', contacts, options: { providers: { apollo: { revealPhoneNumbers: true } } } }
+    }));
+    const body = parse(response);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.stats).toMatchObject({
+      totalContacts: 2,
+      successfulEnrichments: 1,
+      failedEnrichments: 1,
+      apiCallsUsed: 1,
+      // Each contact costs a credit, one more for personal emails and
+      // eight for phone numbers
+      creditsUsed: 20
+    });
+
+    const [tim, sarah] = body.data;
+    expect(tim).toMatchObject({
+      enrichmentStatus: 'success',
+      enrichmentProvider: 'apollo',
+      title: 'Founder & CEO',
+      company: 'Apollo.io',
+      workEmail: 'tim@apollo.io',
+      mobilePhone: '+1 415-555-0188',
+      providersTried: ['apollo']
+    });
+    expect(sarah.enrichmentStatus).toBe('failed');
+    expect(body.stats).toMatchObject({
+      matchRate: 50,
+      averageDataCompleteness: 100,
+      confidence: { high: 1, medium: 0, low: 0, none: 1 },
+      workEmailGrades: { verified: 1, guessed: 0, unavailable: 0 }
+    });
+
+    expect(validate(enrichmentSchema.$defs.enrichResponse, body, enrichmentSchema)).toEqual([]);
+
+    const sent = mock.requests.at(-1);
+    expect(sent.apiKey).toBe('mock-valid-key');
+    expect(sent.body.reveal_phone_number).toBe(true);
+  });
+
+  it('scores completeness with the weights in the request', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', contacts: contacts.slice(0, 1), options: { completenessWeights: { directPhone: 70 } } }
+    }));
+    // Phone numbers are not revealed by default, so 70 of 160 points are missing
+    expect(parse(response).data[0].dataCompleteness).toBe(50);
+  });
+
+  it('rejects completeness weights for fields outside the mode', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', contacts, options: { completenessWeights: { ssn: 10 } } }
+    }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toContain('options.completenessWeights may only contain');
+  });
+
+  it('enriches companies by domain in organization mode', async () => {
+    const response = await handler(event({
+      body: {
+        profile: 'default',
+        mode: 'organizations',
+        companies: [{ domain: 'https://www.apollo.io/' }, { domain: 'unknown-company.example' }]
+      }
+    }));
+    const body = parse(response);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.stats).toMatchObject({ mode: 'organizations', successfulEnrichments: 1, failedEnrichments: 1 });
+    expect(body.data[0]).toMatchObject({
+      companyName: 'Apollo.io',
+      employeeCount: 900,
+      hqLocation: 'San Francisco, California, United States',
+      foundedYear: 2015,
+      enrichmentStatus: 'success'
+    });
+    expect(body.data[1].enrichmentStatus).toBe('failed');
+    expect(validate(enrichmentSchema.$defs.enrichResponse, body, enrichmentSchema)).toEqual([]);
+    expect(mock.requests.at(-1).body.domains).toEqual(['apollo.io', 'unknown-company.example']);
+  });
+
+  it.each([
+    ['an unknown mode', { profile: 'default', mode: 'accounts', contacts }, 'mode must be one of: people, organizations'],
+    ['companies without a domain', { profile: 'default', mode: 'organizations', companies: [{ name: 'Acme' }] }, 'companies[0].domain is required'],
+    ['people fields required of companies', { profile: 'default', mode: 'organizations', companies: [{ domain: 'a.com' }], options: { requiredFields: ['workEmail'] } }, 'options.requiredFields']
+  ])('returns 400 for %s', async (label, body, message) => {
+    const response = await handler(event({ body }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toContain(message);
+  });
+
+  it('accepts flat Apollo options from older clients', async () => {
+    await handler(event({ body: { profile: 'default', contacts, options: { revealPersonalEmails: false } } }));
+    expect(mock.requests.at(-1).body.reveal_personal_emails).toBe(false);
+  });
+
+  it.each([
+    ['unauthorized', 401, 'Apollo rejected the API key'],
+    ['unprocessable', 400, 'Apollo API request failed'],
+    ['rate-limited', 429, 'Apollo rate limit reached'],
+    ['server-error', 502, 'Apollo API request failed'],
+    ['slow', 502, 'Apollo API request failed']
+  ])('maps the %s scenario to %i', async (profile, status, message) => {
+    const response = await handler(event({ body: { profile, contacts } }));
+    const body = parse(response);
+
+    expect(response.statusCode).toBe(status);
+    expect(body.message).toBe(message);
+    if (status === 429) {
+      expect(response.headers['Retry-After']).toBe('30');
+      expect(body.retryAfter).toBe(30);
+    }
+  });
+
+  it('audits each request without the contacts in it', async () => {
+    const response = await handler(event({ body: { profile: 'default', contacts, options: { waterfall: ['apollo'] }, budget: { runId: 'run_audit' } } }));
+
+    expect(await lastAudit()).toMatchObject({
+      action: 'enrich',
+      profile: 'default',
+      mode: 'people',
+      runId: 'run_audit',
+      options: { waterfall: ['apollo'] },
+      counts: { submitted: 2, succeeded: 1, failed: 1, cacheHits: 0 },
+      creditsUsed: parse(response).stats.creditsUsed,
+      outcome: 'success',
+      statusCode: 200
+    });
+    const today = new Date().toISOString().slice(0, 10);
+    const written = await readFile(path.join(auditDirectory, `${today}.ndjson`), 'utf8');
+    expect(written).not.toContain('Zheng');
+    expect(written).not.toContain('tim@apollo.io');
+    expect(written).not.toMatch(/10\.0\.0\.\d/);
+  });
+
+  it.each([
+    ['rejected requests', { profile: 'default', contacts: [] }, { outcome: 'rejected', statusCode: 400, errorCode: 'invalid_request', error: 'contacts must have at least 1 item' }],
+    ['Apollo failures', { profile: 'unauthorized', contacts }, { outcome: 'failed', statusCode: 401, errorCode: 'apollo_401', creditsUsed: 0 }],
+    ['dry runs', { profile: 'default', contacts, dryRun: true }, { action: 'enrich.dry_run', outcome: 'success', creditsUsed: 0 }]
+  ])('audits %s', async (label, body, expected) => {
+    await handler(event({ body }));
+    expect(await lastAudit()).toMatchObject(expected);
+  });
+
+  it('never returns the API key in error details', async () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    try {
+      const response = await handler(event({ body: { profile: 'unauthorized', contacts } }));
+      expect(response.body).not.toContain(MOCK_PROFILES.APOLLO_API_KEY_UNAUTHORIZED);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  it('prices a dry run without calling Apollo', async () => {
+    const before = mock.requests.length;
+    const response = await handler(event({
+      body: { profile: 'default', contacts: Array(40).fill(contacts[0]), dryRun: true, budget: { runId: 'run_dry' } }
+    }));
+    const body = parse(response);
+
+    expect(response.statusCode).toBe(200);
+    expect(mock.requests.length).toBe(before);
+    expect(body.dryRun).toBe(true);
+    expect(body.estimate).toEqual({ records: 40, cacheHits: 0, billable: 40, perRecord: 2, credits: 80 });
+    expect(body.budget).toMatchObject({ perRun: null, perDay: null, used: { run: 0 } });
+  });
+
+  it.each([
+    ['an unknown profile', { profile: 'missing', contacts, dryRun: true }, 'Unknown API key profile "missing"'],
+    ['a dryRun that is not a boolean', { profile: 'default', contacts, dryRun: 'yes' }, 'dryRun must be true or false'],
+    ['a fractional cap', { profile: 'default', contacts, budget: { runId: 'run_1', maxRunCredits: 1.5 } }, 'budget.maxRunCredits must be a whole number'],
+    ['a run cap without a run', { profile: 'default', contacts, budget: { maxRunCredits: 10 } }, 'budget.runId is required']
+  ])('returns 400 on a dry run or budget with %s', async (label, body, message) => {
+    const response = await handler(event({ body }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toContain(message);
+  });
+
+  it('stops a run at its credit cap before calling Apollo', async () => {
+    const runId = `run_${file.replace(/\W/g, '_')}`;
+    const first = await handler(event({ body: { profile: 'default', contacts, budget: { runId, maxRunCredits: 4 } } }));
+    expect(first.statusCode).toBe(200);
+    expect(parse(first).stats.creditsUsed).toBe(4);
+
+    const before = mock.requests.length;
+    const second = await handler(event({ body: { profile: 'default', contacts, budget: { runId, maxRunCredits: 4 } } }));
+    expect(second.statusCode).toBe(402);
+    expect(parse(second)).toMatchObject({
+      message: 'Run credit cap of 4 reached (4 used, next batch needs 4)',
+      budget: { limit: 'run', cap: 4, used: 4, needed: 4 }
+    });
+    expect(mock.requests.length).toBe(before);
+  });
+
+  it('holds requests to the daily cap, which the server can only tighten', async () => {
+    const request = { profile: 'default', contacts, budget: { maxDailyCredits: 1 } };
+    const capped = await handler(event({ body: request }));
+    expect(capped.statusCode).toBe(402);
+    expect(parse(capped).budget.limit).toBe('day');
+
+    process.env.CREDIT_DAILY_CAP = '0';
+    try {
+      const lifted = await handler(event({ body: { ...request, budget: { maxDailyCredits: 1000000 } } }));
+      expect(lifted.statusCode).toBe(402);
+      expect(parse(lifted).budget.cap).toBe(0);
+    } finally {
+      delete process.env.CREDIT_DAILY_CAP;
+    }
+  });
+
+  it('answers 500 without details for an unexpected error, whatever it mentions', async () => {
+    // A capped ledger that cannot be written fails the request with an fs
+    // error whose path mentions a profile
+    const notADirectory = path.join(ledgerDirectory, 'profile-ledger');
+    await writeFile(notADirectory, '');
+    process.env.CREDIT_LEDGER_DIR = notADirectory;
+    try {
+      const response = await handler(event({ body: { profile: 'default', contacts, budget: { maxDailyCredits: 100 } } }));
+      expect(response.statusCode).toBe(500);
+      expect(parse(response).message).toBe('Internal server error');
+    } finally {
+      process.env.CREDIT_LEDGER_DIR = ledgerDirectory;
+    }
+  });
+
+  it('refuses a daily cap with no shared ledger to count it in', async () => {
+    process.env.CREDIT_DAILY_CAP = '100';
+    delete process.env.CREDIT_LEDGER_DIR;
+    try {
+      const before = mock.requests.length;
+      const response = await handler(event({ body: { profile: 'default', contacts } }));
+      expect(response.statusCode).toBe(503);
+      expect(parse(response).message).toBe('CREDIT_DAILY_CAP needs storage every function instance shares; set CREDIT_LEDGER_DIR or STORE_DIR');
+      expect(mock.requests.length).toBe(before);
+    } finally {
+      delete process.env.CREDIT_DAILY_CAP;
+      process.env.CREDIT_LEDGER_DIR = ledgerDirectory;
+    }
+  });
+
+  it('rate limits a client after a burst of 100 requests', async () => {
+    // Both handlers share the limiter, so each uses its own address
+    const ip = file === 'enrich.js' ? '192.168.0.1' : '192.168.0.2';
+    for (let i = 0; i < 100; i++) {
+      const response = await handler(event({ body: '{not json', ip }));
+      expect(response.statusCode).toBe(400);
+      expect(response.headers['RateLimit-Remaining']).toBe(String(99 - i));
+    }
+
+    const limited = await handler(event({ body: '{not json', ip }));
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['RateLimit-Remaining']).toBe('0');
+    // A token comes back every 36 seconds at 100 an hour
+    expect(Number(limited.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Number(limited.headers['Retry-After'])).toBeLessThanOrEqual(36);
+    expect(parse(limited).retryAfter).toBe(Number(limited.headers['Retry-After']));
+
+    const otherClient = await handler(event({ body: '{not json' }));
+    expect(otherClient.statusCode).toBe(400);
+  });
+
+  it('limits on the address our proxy saw, not ones the client added', async () => {
+    const ip = file === 'enrich.js' ? '192.168.1.1' : '192.168.1.2';
+    for (let i = 0; i < 100; i++) {
+      await handler(event({ body: '{not json', ip: `203.0.113.${i}, ${ip}` }));
+    }
+    expect((await handler(event({ body: '{not json', ip }))).statusCode).toBe(429);
+  });
+
+  it('sends RateLimit headers for the tightest limit', async () => {
+    const response = await handler(event({ body: { profile: 'default', contacts, dryRun: true } }));
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['RateLimit-Policy']).toBe('100;w=3600, 1000;w=3600');
+    expect(response.headers['RateLimit-Limit']).toBe('100');
+    expect(response.headers['RateLimit-Remaining']).toBe('99');
+    expect(Number(response.headers['RateLimit-Reset'])).toBe(36);
+  });
+
+  it('rate limits an API key profile across client addresses', async () => {
+    // The profile does not exist, so requests that get through stop at 400
+    const profile = `limited_${file.replace(/\W/g, '_')}`;
+    process.env.RATE_LIMIT_PER_PROFILE = '2';
+    try {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await handler(event({ body: { profile, contacts, dryRun: true } }))).statusCode);
+      }
+      expect(statuses).toEqual([400, 400, 429]);
+    } finally {
+      delete process.env.RATE_LIMIT_PER_PROFILE;
+    }
+  });
+});
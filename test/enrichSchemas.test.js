@@ -0,0 +1,84 @@
+// Enrich request schema, the schema validator and the published JSON Schema
+
+import { describe, expect, it } from 'vitest';
+import { readFile } from 'node:fs/promises';
+import { enrichmentSchema } from '../netlify/lib/enrichSchemas.js';
+import { ValidationError, assertValid, validate } from '../netlify/lib/schema.js';
+import { SCHEMA_FILE, renderSchema } from '../scripts/write-schema.js';
+
+const request = enrichmentSchema.$defs.enrichRequest;
+const check = (body) => validate(request, body, enrichmentSchema);
+
+const contact = { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' };
+
+describe('enrich request schema', () => {
+  it('accepts people and organization requests', () => {
+    expect(check({ profile: 'default', contacts: [contact] })).toEqual([]);
+    expect(check({ profile: 'default', mode: 'organizations', companies: [{ domain: 'apollo.io' }] })).toEqual([]);
+  });
+
+  it('asks for the list the mode enriches', () => {
+    expect(check({ profile: 'default', mode: 'organizations', contacts: [contact] })).toEqual([
+      { path: 'companies', message: 'is required' }
+    ]);
+  });
+
+  it('allows bigger batches on a dry run only', () => {
+    const contacts = Array(26).fill(contact);
+    expect(check({ profile: 'default', contacts })).toEqual([{ path: 'contacts', message: 'must have at most 25 items' }]);
+    expect(check({ profile: 'default', contacts, dryRun: true })).toEqual([]);
+    expect(check({ profile: 'default', contacts: Array(1001).fill(contact), dryRun: true })).toEqual([
+      { path: 'contacts', message: 'must have at most 1000 items' }
+    ]);
+  });
+
+  it('refuses raw API keys', () => {
+    expect(check({ apiKey: 'abc', profile: 'default', contacts: [contact] })[0].message).toContain('send a profile name instead of apiKey');
+  });
+
+  it.each([
+    [{ runId: 'run_abc-1', maxRunCredits: 0, maxDailyCredits: null }, []],
+    [[], [{ path: 'budget', message: 'must be an object' }]],
+    [{ runId: 'has spaces' }, [{ path: 'budget.runId', message: 'must be up to 100 letters, digits, _ or -' }]],
+    [{ runId: 'run_1', maxDailyCredits: -1 }, [{ path: 'budget.maxDailyCredits', message: 'must be at least 0' }]],
+    [{ runId: 'run_1', maxRunCredits: 1.5 }, [{ path: 'budget.maxRunCredits', message: 'must be a whole number or null' }]],
+    [{ maxRunCredits: 5 }, [{ path: 'budget.runId', message: 'is required with maxRunCredits' }]],
+    [{ runId: 'run_1', cap: 5 }, [{ path: 'budget.cap', message: 'is not allowed' }]]
+  ])('checks budget %j', (budget, errors) => {
+    expect(check({ profile: 'default', contacts: [contact], budget })).toEqual(errors);
+  });
+});
+
+describe('schema validator', () => {
+  it('throws every error at once', () => {
+    expect(() => assertValid(request, {}, enrichmentSchema)).toThrow(ValidationError);
+    let error;
+    try {
+      assertValid(request, { contacts: 'x' }, enrichmentSchema);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error.message).toBe('profile is required (and 1 more)');
+    expect(error.errors).toEqual([
+      { path: 'profile', message: 'is required' },
+      { path: 'contacts', message: 'must be an array' }
+    ]);
+  });
+
+  it('matches anyOf against each shape', () => {
+    const schema = { anyOf: [{ type: 'string' }, { type: 'integer', minimum: 1 }] };
+    expect(validate(schema, 'a')).toEqual([]);
+    expect(validate(schema, 3)).toEqual([]);
+    expect(validate(schema, 0)).toEqual([{ path: '', message: 'does not match any of the allowed shapes' }]);
+  });
+
+  it('fails loudly on a reference it cannot resolve', () => {
+    expect(() => validate({ $ref: '#/$defs/missing' }, {})).toThrow('Unresolvable schema reference');
+  });
+});
+
+describe('published schema', () => {
+  it('is up to date; run npm run schema after changing the schemas', async () => {
+    expect(await readFile(SCHEMA_FILE, 'utf8')).toBe(renderSchema());
+  });
+});
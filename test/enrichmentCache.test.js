@@ -0,0 +1,165 @@
+// Enrichment cache: identities, TTL, stores and the waterfall integration
+
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  identityKeys,
+  readCached,
+  writeCached,
+  createMemoryCacheStore,
+  createFileCacheStore
+} from '../netlify/lib/enrichmentCache.js';
+import { runWaterfall } from '../netlify/lib/waterfall.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const tim = { firstName: 'Tim', lastName: 'Zheng', domain: 'https://www.Apollo.io/', email: '' };
+const settings = { revealPersonalEmails: true };
+const success = { enrichmentStatus: 'success', title: 'CEO', workEmail: 'Tim@apollo.io', enrichmentTimestamp: '2024-01-01T00:00:00.000Z' };
+
+describe('identityKeys', () => {
+  it('uses email, LinkedIn URL and name + domain, most specific first', () => {
+    expect(identityKeys({
+      firstName: 'Tím ', lastName: 'Zheng', domain: 'www.apollo.io', email: 'TIM+crm@apollo.io',
+      linkedinUrl: 'https://www.linkedin.com/in/Tim-Zheng/'
+    })).toEqual(['email:tim@apollo.io', 'linkedin:tim-zheng', 'name:tim|zheng|apollo.io']);
+  });
+
+  it('returns nothing for a contact it cannot identify', () => {
+    expect(identityKeys({ firstName: 'Tim', lastName: 'Zheng' })).toEqual([]);
+  });
+});
+
+describe('readCached / writeCached', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryCacheStore();
+  });
+
+  afterEach(() => {
+    delete process.env.ENRICHMENT_CACHE_TTL_DAYS;
+  });
+
+  it('returns the cached record on the current contact, flagged fromCache', async () => {
+    await writeCached(store, 'apollo', settings, [tim], [{ ...tim, ...success, sourceRow: { id: 1 } }]);
+
+    const [hit] = await readCached(store, 'apollo', settings, [{ ...tim, sourceRow: { id: 2 } }]);
+    expect(hit).toMatchObject({
+      title: 'CEO',
+      sourceRow: { id: 2 },
+      fromCache: true,
+      enrichmentTimestamp: '2024-01-01T00:00:00.000Z'
+    });
+  });
+
+  it('finds a record by an identity only the result had', async () => {
+    await writeCached(store, 'apollo', settings, [tim], [{ ...tim, ...success }]);
+
+    const [hit] = await readCached(store, 'apollo', settings, [{ firstName: 'T', lastName: 'Z', email: 'tim@apollo.io' }]);
+    expect(hit?.title).toBe('CEO');
+  });
+
+  it('misses on other settings, another provider or a failed result', async () => {
+    await writeCached(store, 'apollo', settings, [tim, { ...tim, firstName: 'Ann' }], [
+      { ...tim, ...success },
+      { ...tim, firstName: 'Ann', enrichmentStatus: 'failed' }
+    ]);
+
+    expect(await readCached(store, 'apollo', { revealPersonalEmails: false }, [tim])).toEqual([null]);
+    expect(await readCached(store, 'other', settings, [tim])).toEqual([null]);
+    expect(await readCached(store, 'apollo', settings, [{ ...tim, firstName: 'Ann' }])).toEqual([null]);
+  });
+
+  it('treats entries older than the TTL as misses', async () => {
+    await writeCached(store, 'apollo', settings, [tim], [{ ...tim, ...success }]);
+
+    process.env.ENRICHMENT_CACHE_TTL_DAYS = '0';
+    expect(await readCached(store, 'apollo', settings, [tim])).toEqual([null]);
+  });
+});
+
+describe('createFileCacheStore', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'enrichment-cache-'));
+  });
+
+  afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('round-trips entries and misses unknown keys', async () => {
+    const store = createFileCacheStore({ directory: path.join(directory, 'nested') });
+    expect(await store.get('missing')).toBeNull();
+
+    await store.set('abc', { storedAt: 'now', record: { title: 'CEO' } });
+    expect(await store.get('abc')).toEqual({ storedAt: 'now', record: { title: 'CEO' } });
+  });
+});
+
+describe('runWaterfall with a cache', () => {
+  let mock;
+  const contacts = [
+    { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' },
+    { firstName: 'John', lastName: 'Doe', domain: 'salesforce.com' }
+  ];
+
+  beforeAll(async () => {
+    Object.assign(process.env, MOCK_PROFILES);
+    mock = await startMockApollo();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+    delete process.env.APOLLO_BASE_URL;
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('only sends contacts the cache cannot answer', async () => {
+    const cache = createMemoryCacheStore();
+    await runWaterfall(contacts.slice(0, 1), { profile: 'default', options: {}, cache });
+    const before = mock.requests.length;
+
+    const { records, usage } = await runWaterfall(contacts, { profile: 'default', options: {}, cache });
+
+    expect(mock.requests.length).toBe(before + 1);
+    expect(mock.requests.at(-1).body.people.map(person => person.first_name)).toEqual(['John']);
+    expect(records.map(record => Boolean(record.fromCache))).toEqual([true, false]);
+    expect(usage.apollo).toEqual({ apiCalls: 1, credits: 2, cacheHits: 1, creditsSaved: 2 });
+  });
+
+  it('makes no call when every contact is cached', async () => {
+    const cache = createMemoryCacheStore();
+    await runWaterfall(contacts, { profile: 'default', options: {}, cache });
+    const before = mock.requests.length;
+
+    const { usage } = await runWaterfall(contacts, { profile: 'default', options: {}, cache });
+    expect(mock.requests.length).toBe(before);
+    expect(usage.apollo).toEqual({ apiCalls: 0, credits: 0, cacheHits: 2, creditsSaved: 4 });
+  });
+
+  it('bypasses the cache on forceRefresh and stores the fresh result', async () => {
+    const cache = createMemoryCacheStore();
+    await runWaterfall(contacts, { profile: 'default', options: {}, cache });
+
+    const { records, usage } = await runWaterfall(contacts, { profile: 'default', options: { forceRefresh: true }, cache });
+    expect(records.some(record => record.fromCache)).toBe(false);
+    expect(usage.apollo).toEqual({ apiCalls: 1, credits: 4, cacheHits: 0, creditsSaved: 0 });
+  });
+
+  it('still enriches when the cache store fails', async () => {
+    const cache = {
+      get: () => Promise.reject(new Error('disk on fire')),
+      set: () => Promise.reject(new Error('disk on fire'))
+    };
+    const { records } = await runWaterfall(contacts, { profile: 'default', options: {}, cache });
+    expect(records.map(record => record.enrichmentStatus)).toEqual(['success', 'success']);
+  });
+});
@@ -0,0 +1,149 @@
+// Export builder: columns, flattening, filters, writers and templates
+
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { availableColumns, buildExport, columnValue, defaultColumnKeys, filterRows } from '../src/utils/exportBuilder.js';
+import { deleteExportTemplate, loadExportTemplates, saveExportTemplate } from '../src/utils/exportTemplates.js';
+import { parseCSV } from '../src/utils/csv.js';
+
+const rows = [
+  {
+    firstName: 'Tim',
+    lastName: 'Zheng',
+    title: 'Founder, "CEO"\nApollo',
+    dataCompleteness: 90,
+    confidence: 'high',
+    matchedOn: ['email', 'name'],
+    enrichmentStatus: 'success',
+    sourceRow: { 'CRM ID': '42', title: 'CEO' },
+    employmentHistory: [
+      { title: 'Founder & CEO', company: 'Apollo.io', current: true },
+      { title: 'Founder', company: 'Braingenie', current: false }
+    ],
+    education: []
+  },
+  { firstName: 'Sarah', lastName: 'Wilson', dataCompleteness: 0, confidence: 'none', enrichmentStatus: 'failed', sourceRow: { 'CRM ID': '43' } }
+];
+
+const pick = (keys) => {
+  const columns = availableColumns(rows, 'people', ['CRM ID', 'title']);
+  return keys.map(key => columns.find(column => column.key === key));
+};
+
+const storage = () => {
+  const items = {};
+  return { getItem: key => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+describe('availableColumns', () => {
+  const columns = availableColumns(rows, 'people', ['CRM ID', 'title']);
+
+  it('lists upload columns first, renaming clashes with enriched fields', () => {
+    expect(columns.slice(0, 2)).toEqual([
+      { key: 'source:CRM ID', label: 'CRM ID', isDefault: true },
+      { key: 'source:title', label: 'title (original)', isDefault: true }
+    ]);
+  });
+
+  it('flattens nested lists up to the longest one', () => {
+    const keys = columns.map(column => column.key);
+    expect(keys).toContain('employment_2_company');
+    expect(keys).not.toContain('employment_3_title');
+    expect(keys.some(key => key.startsWith('education_'))).toBe(false);
+    expect(columnValue(rows[0], 'employment_2_company')).toBe('Braingenie');
+  });
+
+  it('selects the standard columns by default', () => {
+    const defaults = defaultColumnKeys(columns);
+    expect(defaults).toContain('dataCompleteness');
+    expect(defaults).not.toContain('employment_1_title');
+    expect(defaults).not.toContain('qualityScore');
+  });
+});
+
+describe('filterRows', () => {
+  it('filters by status, confidence and completeness', () => {
+    expect(filterRows(rows, { statuses: ['failed'] }).map(row => row.firstName)).toEqual(['Sarah']);
+    expect(filterRows(rows, { confidences: ['high', 'medium'] })).toHaveLength(1);
+    expect(filterRows(rows, { minCompleteness: 50 }).map(row => row.firstName)).toEqual(['Tim']);
+    expect(filterRows(rows, {})).toHaveLength(2);
+  });
+});
+
+describe('buildExport', () => {
+  const columns = pick(['source:CRM ID', 'firstName', 'title', 'matchedOn', 'employment_1_title']);
+
+  it('writes CSV that survives quotes and line breaks', async () => {
+    const { data, extension } = await buildExport(rows, columns, 'csv');
+    const parsed = parseCSV(data);
+
+    expect(extension).toBe('csv');
+    expect(parsed.headers).toEqual(['CRM ID', 'firstName', 'title', 'matchedOn', 'employment_1_title']);
+    expect(parsed.rows[0].values).toEqual(['42', 'Tim', 'Founder, "CEO"\nApollo', 'email; name', 'Founder & CEO']);
+    expect(parsed.rows[1].values).toEqual(['43', 'Sarah', '', '', '']);
+  });
+
+  it('writes an XLSX workbook', async () => {
+    const { data } = await buildExport(rows, columns, 'xlsx');
+    const workbook = XLSX.read(data, { type: 'array' });
+    const [header, first] = XLSX.utils.sheet_to_json(workbook.Sheets.Enriched, { header: 1 });
+    expect(header[0]).toBe('CRM ID');
+    expect(first[3]).toBe('email; name');
+  });
+
+  it('neutralises cells a spreadsheet would run as formulas, in CSV and XLSX', async () => {
+    const hostile = [{
+      firstName: '=HYPERLINK("http://evil.example","Tim")',
+      lastName: '@SUM(A1)',
+      title: '-2+3',
+      city: '+cmd|calc',
+      mobilePhone: '+1 (312) 555-0144',
+      dataCompleteness: -5,
+      sourceRow: { 'CRM ID': '-42' }
+    }];
+    const available = availableColumns(hostile, 'people', ['CRM ID']);
+    const columns = ['source:CRM ID', 'firstName', 'lastName', 'title', 'city', 'mobilePhone', 'dataCompleteness']
+      .map(key => available.find(column => column.key === key));
+    const expected = ['-42', `'=HYPERLINK("http://evil.example","Tim")`, "'@SUM(A1)", "'-2+3", "'+cmd|calc", '+1 (312) 555-0144'];
+
+    const csv = parseCSV((await buildExport(hostile, columns, 'csv')).data);
+    expect(csv.rows[0].values).toEqual([...expected, '-5']);
+
+    const workbook = XLSX.read((await buildExport(hostile, columns, 'xlsx')).data, { type: 'array' });
+    const [, first] = XLSX.utils.sheet_to_json(workbook.Sheets.Enriched, { header: 1 });
+    expect(first).toEqual([...expected, -5]);
+    expect(Object.values(workbook.Sheets.Enriched).some(cell => cell?.f)).toBe(false);
+  });
+
+  it('keeps lists and missing values in JSON and NDJSON', async () => {
+    const json = JSON.parse((await buildExport(rows, columns, 'json')).data);
+    expect(json[0].matchedOn).toEqual(['email', 'name']);
+    expect(json[1].title).toBeNull();
+
+    const { data, extension } = await buildExport(rows, columns, 'ndjson');
+    expect(extension).toBe('ndjson');
+    expect(data.split('\n').map(line => JSON.parse(line)['CRM ID'])).toEqual(['42', '43']);
+  });
+});
+
+describe('export templates', () => {
+  it('saves, replaces and deletes templates per mode', () => {
+    const store = storage();
+    saveExportTemplate({ name: 'CRM', mode: 'people', columns: ['firstName'], filters: {}, format: 'csv' }, store);
+    saveExportTemplate({ name: 'CRM', mode: 'organizations', columns: ['domain'], filters: {}, format: 'xlsx' }, store);
+    saveExportTemplate({ name: ' CRM ', mode: 'people', columns: ['lastName'], filters: {}, format: 'json' }, store);
+
+    expect(loadExportTemplates(store)).toEqual([
+      { name: 'CRM', mode: 'organizations', columns: ['domain'], filters: {}, format: 'xlsx' },
+      { name: 'CRM', mode: 'people', columns: ['lastName'], filters: {}, format: 'json' }
+    ]);
+    expect(deleteExportTemplate('CRM', 'people', store).map(template => template.mode)).toEqual(['organizations']);
+  });
+
+  it('requires a name and tolerates a corrupt entry', () => {
+    const store = storage();
+    expect(() => saveExportTemplate({ name: ' ', mode: 'people' }, store)).toThrow('Template name is required');
+    store.setItem('apollo-enrichment-studio:export-templates', '{oops');
+    expect(loadExportTemplates(store)).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+// File import: Excel, JSON, NDJSON and CSV files read into the table the
+// column mapping step works on, and the rejected rows report
+
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { readImportFile, readSheet, rejectedRows } from '../src/utils/fileImport.js';
+import { applyMapping, guessMapping } from '../src/utils/columnMapping.js';
+
+const textFile = (name, text, type = '') => new File([text], name, { type });
+
+const workbookFile = (sheets, name = 'contacts.xlsx') => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, grid]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(grid), sheetName);
+  });
+  return new File([XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })], name);
+};
+
+describe('Excel workbooks', () => {
+  const file = workbookFile({
+    Contacts: [
+      [],
+      ['First Name', 'Last Name', 'Website', 'Employees'],
+      ['Tim', 'Zheng', 'apollo.io', 1200],
+      [],
+      [' Sarah ', 'Wilson', 'microsoft.com']
+    ],
+    Accounts: [['Domain'], ['acme.com']]
+  });
+
+  it('reads the first sheet, numbering rows as the spreadsheet does', async () => {
+    const imported = await readImportFile(file);
+    expect(imported).toMatchObject({
+      format: 'xlsx',
+      rowLabel: 'Row',
+      sheetNames: ['Contacts', 'Accounts'],
+      sheetName: 'Contacts',
+      parseErrors: [],
+      headers: ['First Name', 'Last Name', 'Website', 'Employees']
+    });
+    // The header is on row 2 and the blank row 4 is skipped
+    expect(imported.rows).toEqual([
+      { line: 3, values: ['Tim', 'Zheng', 'apollo.io', '1200'] },
+      { line: 5, values: ['Sarah', 'Wilson', 'microsoft.com', ''] }
+    ]);
+  });
+
+  it('switches to another sheet', async () => {
+    const { workbook } = await readImportFile(file);
+    expect(await readSheet(workbook, 'Accounts')).toEqual({ headers: ['Domain'], rows: [{ line: 2, values: ['acme.com'] }] });
+    expect(await readSheet(workbook, 'Missing')).toEqual({ headers: [], rows: [] });
+  });
+});
+
+describe('JSON files', () => {
+  it('reads an array of objects, keeping nested values as JSON text', async () => {
+    const imported = await readImportFile(textFile('contacts.json', JSON.stringify([
+      { firstName: 'Tim', lastName: 'Zheng', tags: ['vip'] },
+      { firstName: 'Sarah', email: 'sarah@microsoft.com', score: 7 }
+    ])));
+    expect(imported).toMatchObject({
+      format: 'json',
+      rowLabel: 'Record',
+      headers: ['firstName', 'lastName', 'tags', 'email', 'score'],
+      rows: [
+        { line: 1, values: ['Tim', 'Zheng', '["vip"]', '', ''] },
+        { line: 2, values: ['Sarah', '', '', 'sarah@microsoft.com', '7'] }
+      ],
+      parseErrors: []
+    });
+  });
+
+  it('finds the list inside a wrapper object and rejects records that are not objects', async () => {
+    const imported = await readImportFile(textFile('export', JSON.stringify({ total: 3, contacts: [{ firstName: 'Tim' }, 'Sarah', null] }), 'application/json'));
+    expect(imported.rows).toEqual([{ line: 1, values: ['Tim'] }]);
+    expect(imported.parseErrors).toEqual([
+      { line: 2, reason: 'Record is not an object' },
+      { line: 3, reason: 'Record is not an object' }
+    ]);
+  });
+
+  it('refuses JSON without a list', async () => {
+    await expect(readImportFile(textFile('contacts.json', '{"firstName":"Tim"}'))).rejects.toThrow('JSON file must contain an array of objects');
+  });
+
+  it('reads NDJSON saved with a .json extension', async () => {
+    const imported = await readImportFile(textFile('contacts.json', '{"firstName":"Tim"}\n{"firstName":"Sarah"}\n'));
+    expect(imported.format).toBe('ndjson');
+    expect(imported.rows).toHaveLength(2);
+  });
+});
+
+describe('NDJSON files', () => {
+  it('reads one object per line and rejects lines that are not objects', async () => {
+    const imported = await readImportFile(textFile('contacts.jsonl', [
+      '{"firstName":"Tim","domain":"apollo.io"}',
+      '',
+      '{"firstName":"Sarah"',
+      '[1,2]',
+      '{"firstName":"Ana","domain":"acme.com"}'
+    ].join('\r\n')));
+
+    expect(imported).toMatchObject({ format: 'ndjson', rowLabel: 'Line', headers: ['firstName', 'domain'] });
+    expect(imported.rows).toEqual([
+      { line: 1, values: ['Tim', 'apollo.io'] },
+      { line: 5, values: ['Ana', 'acme.com'] }
+    ]);
+    expect(imported.parseErrors).toEqual([
+      { line: 3, reason: 'Invalid JSON' },
+      { line: 4, reason: 'Line is not a JSON object' }
+    ]);
+  });
+});
+
+describe('CSV files', () => {
+  it('describes the file and passes on rows the parser rejected', async () => {
+    const imported = await readImportFile(textFile('contacts.csv', 'first;last\nTim;Zheng\nSarah\n'));
+    expect(imported).toMatchObject({
+      format: 'csv',
+      details: 'Semicolon delimited · utf-8',
+      rows: [{ line: 2, values: ['Tim', 'Zheng'] }],
+      parseErrors: [{ line: 3, reason: 'Row has 1 columns, header has 2' }]
+    });
+  });
+});
+
+describe('rejectedRows', () => {
+  it('lists every row left out of an import in file order', async () => {
+    const imported = await readImportFile(textFile('contacts.csv', 'First,Last\nTim,Zheng\nAna\nSarah,Wilson\n"Ben,Stone\n'));
+    const { contacts, rejected } = applyMapping(imported.headers, imported.rows, guessMapping(imported.headers));
+
+    expect(contacts.map(contact => contact.firstName)).toEqual(['Tim', 'Sarah']);
+    expect(rejectedRows(imported.parseErrors, rejected)).toEqual([
+      { line: 3, reason: 'Row has 1 columns, header has 2' },
+      { line: 5, reason: 'Quoted field is never closed' }
+    ]);
+  });
+
+  it('merges rows rejected by the mapping step', () => {
+    const parseErrors = [{ line: 2, reason: 'Invalid JSON' }, { line: 9, reason: 'Invalid JSON' }];
+    const rejected = [{ line: 4, reason: 'Row has 3 columns, header has 2' }];
+    expect(rejectedRows(parseErrors, rejected).map(entry => entry.line)).toEqual([2, 4, 9]);
+  });
+});
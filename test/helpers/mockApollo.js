@@ -0,0 +1,28 @@
+// Start the mock Apollo server on a free port and point the functions at it
+
+import { createMockApolloServer } from '../../mock/apollo-server.js';
+
+export const startMockApollo = async (options) => {
+  const server = createMockApolloServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.APOLLO_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    requests: server.requests,
+    close: () => new Promise(resolve => {
+      // Drop held-open slow responses so close() does not wait for them
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+// Key profiles for each mock scenario, as the functions read them from env
+export const MOCK_PROFILES = {
+  APOLLO_API_KEY: 'mock-valid-key',
+  APOLLO_API_KEY_UNAUTHORIZED: 'mock-unauthorized-key',
+  APOLLO_API_KEY_UNPROCESSABLE: 'mock-unprocessable-key',
+  APOLLO_API_KEY_RATE_LIMITED: 'mock-rate-limited-key',
+  APOLLO_API_KEY_SERVER_ERROR: 'mock-server-error-key',
+  APOLLO_API_KEY_SLOW: 'mock-slow-key'
+};
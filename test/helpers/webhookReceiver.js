@@ -0,0 +1,17 @@
+// Start the local webhook receiver on a free port
+
+import { createWebhookReceiver } from '../../mock/webhook-receiver.js';
+
+export const startWebhookReceiver = async (options) => {
+  const server = createWebhookReceiver(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    deliveries: server.deliveries,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
@@ -0,0 +1,396 @@
+// Asynchronous enrichment jobs: submitting through /api/jobs, the
+// background worker, progress polling, results streaming and recovery of
+// jobs whose worker died
+
+import { createServer } from 'node:http';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import handler from '../netlify/functions/jobs.js';
+import { handler as workerHandler } from '../netlify/functions/jobs-worker-background.js';
+import { createFileJobStore, createJobId } from '../netlify/lib/jobStore.js';
+import { WORKER_PATH, runJob } from '../netlify/lib/jobRunner.js';
+import { createFileAuditStore } from '../netlify/lib/auditLog.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const contacts = [
+  { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' },
+  { firstName: 'Nobody', lastName: 'Known', domain: 'example.com' }
+];
+
+// Stands in for the Netlify background function endpoint: records the jobs
+// it is asked to run and answers with `status`
+const startWorkerEndpoint = async () => {
+  const endpoint = { jobIds: [], status: 202 };
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === WORKER_PATH) endpoint.jobIds.push(JSON.parse(body).jobId);
+      res.writeHead(endpoint.status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint.origin = `http://127.0.0.1:${server.address().port}`;
+  endpoint.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return endpoint;
+};
+
+let mock;
+let worker;
+let directory;
+let store;
+
+const ACCESS_TOKEN = 'studio-access-token';
+const request = (method, pathname = '', body, token = ACCESS_TOKEN) => new Request(`${worker.origin}/api/jobs${pathname}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+const submit = async (body) => {
+  const response = await handler(request('POST', '', body));
+  return { status: response.status, body: await response.json() };
+};
+
+const poll = async (jobId) => (await handler(request('GET', `/${jobId}`))).json();
+
+const readResults = async (jobId) => {
+  const response = await handler(request('GET', `/${jobId}/results`));
+  const text = await response.text();
+  return { response, rows: text.split('\n').filter(Boolean).map(line => JSON.parse(line)) };
+};
+
+const runWorker = (jobId) => workerHandler({
+  body: JSON.stringify({ jobId }),
+  rawUrl: `${worker.origin}${WORKER_PATH}`
+});
+
+// A job as createJob stores it, for tests that need a particular state
+const storedJob = async (overrides = {}, input = { profile: 'default', contacts }) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    status: 'queued',
+    profile: 'default',
+    totalContacts: input.contacts.length,
+    batchSize: 25,
+    totalBatches: 1,
+    nextBatch: 0,
+    stats: { processed: 0, successful: 0, failed: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 },
+    createdAt: now,
+    updatedAt: now,
+    ...overrides
+  };
+  await store.createJob(job, input);
+  return job;
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+beforeAll(async () => {
+  Object.assign(process.env, MOCK_PROFILES, { ENRICHMENT_CACHE: 'off', STUDIO_ACCESS_TOKEN: ACCESS_TOKEN });
+  mock = await startMockApollo();
+  worker = await startWorkerEndpoint();
+});
+
+afterAll(async () => {
+  await mock.close();
+  await worker.close();
+  Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+  delete process.env.APOLLO_BASE_URL;
+  delete process.env.ENRICHMENT_CACHE;
+  delete process.env.STUDIO_ACCESS_TOKEN;
+});
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  Object.assign(process.env, {
+    JOB_STORE_DIR: path.join(directory, 'jobs'),
+    WEBHOOK_STORE_DIR: path.join(directory, 'webhooks'),
+    AUDIT_LOG_DIR: path.join(directory, 'audit'),
+    CREDIT_LEDGER_DIR: path.join(directory, 'credits')
+  });
+  store = createFileJobStore({ directory: process.env.JOB_STORE_DIR });
+  worker.jobIds.length = 0;
+  worker.status = 202;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await fs.rm(directory, { recursive: true, force: true });
+  delete process.env.JOB_STORE_DIR;
+  delete process.env.WEBHOOK_STORE_DIR;
+  delete process.env.AUDIT_LOG_DIR;
+  delete process.env.CREDIT_LEDGER_DIR;
+});
+
+describe('submitting a job', () => {
+  it('queues the job, starts a worker and answers 202', async () => {
+    const { status, body } = await submit({ profile: 'default', contacts });
+
+    expect(status).toBe(202);
+    expect(body).toMatchObject({
+      status: 'queued',
+      profile: 'default',
+      totalContacts: 2,
+      totalBatches: 1,
+      completedBatches: 0,
+      progress: 0,
+      links: { self: `/api/jobs/${body.id}`, results: `/api/jobs/${body.id}/results` }
+    });
+    expect(worker.jobIds).toEqual([body.id]);
+    expect(await store.getInput(body.id)).toEqual({ profile: 'default', contacts, options: {} });
+
+    const today = new Date().toISOString().slice(0, 10);
+    const [audit] = await createFileAuditStore({ directory: process.env.AUDIT_LOG_DIR }).query({ from: today, to: today });
+    expect(audit).toMatchObject({ action: 'job.submit', runId: body.id, profile: 'default', statusCode: 202 });
+  });
+
+  it.each([
+    ['a null body', null, 'Request body must be a JSON object'],
+    ['an array body', [], 'Request body must be a JSON object'],
+    ['an API key', { apiKey: 'secret', profile: 'default', contacts }, 'API keys are managed server-side; send a profile name instead of apiKey'],
+    ['no profile', { contacts }, 'API key profile is required'],
+    ['an unknown profile', { profile: 'nobody', contacts }, 'Unknown API key profile "nobody"'],
+    ['no contacts', { profile: 'default', contacts: [] }, 'At least one contact is required'],
+    ['a null contact', { profile: 'default', contacts: [null] }, 'Contact at index 0 must have firstName and lastName'],
+    ['an oversized batch', { profile: 'default', contacts, batchSize: 500 }, 'batchSize must be between 1 and 25'],
+    ['a run id in the budget', { profile: 'default', contacts, budget: { runId: 'run_1' } }, 'budget.runId is not supported'],
+    ['a negative cap', { profile: 'default', contacts, budget: { maxRunCredits: -1 } }, 'budget.maxRunCredits must be a whole number of credits']
+  ])('rejects %s with 400', async (label, requestBody, message) => {
+    const { status, body } = await submit(requestBody);
+    expect(status).toBe(400);
+    expect(body.message).toBe(message);
+    expect(worker.jobIds).toEqual([]);
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const { status, body } = await submit('{not json');
+    expect(status).toBe(400);
+    expect(body.message).toBe('Request body must be valid JSON');
+  });
+
+  it('refuses callers without the access token on every route', async () => {
+    const { id } = await storedJob();
+    const refused = [
+      await handler(request('POST', '', { profile: 'default', contacts }, null)),
+      await handler(request('GET', `/${id}`, undefined, 'not-the-token')),
+      await handler(request('GET', `/${id}/results`, undefined, null))
+    ];
+    expect(refused.map(response => response.status)).toEqual([401, 401, 401]);
+    expect(refused[0].headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect(worker.jobIds).toEqual([]);
+  });
+
+  it('takes submissions from the per-IP bucket enrich requests use', async () => {
+    process.env.RATE_LIMIT_PER_IP = '2';
+    try {
+      const fromClient = () => {
+        const req = request('POST', '', '{not json');
+        req.headers.set('x-nf-client-connection-ip', '192.168.5.1');
+        return handler(req);
+      };
+      expect((await fromClient()).status).toBe(400);
+      expect((await fromClient()).headers.get('RateLimit-Remaining')).toBe('0');
+
+      const limited = await fromClient();
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect((await limited.json()).retryAfter).toBe(Number(limited.headers.get('Retry-After')));
+    } finally {
+      delete process.env.RATE_LIMIT_PER_IP;
+    }
+  });
+
+  it('rate limits an API key profile across client addresses', async () => {
+    // A profile no other test submits with, since its bucket stays empty
+    process.env.RATE_LIMIT_PER_PROFILE = '1';
+    try {
+      expect((await submit({ profile: 'slow', contacts })).status).toBe(202);
+      const { status, body } = await submit({ profile: 'slow', contacts });
+      expect(status).toBe(429);
+      expect(body.message).toBe('Too many requests for API key profile "slow". Please try again later.');
+      expect(worker.jobIds).toHaveLength(1);
+    } finally {
+      delete process.env.RATE_LIMIT_PER_PROFILE;
+    }
+  });
+
+  it('fails the job when no worker accepts it', async () => {
+    worker.status = 500;
+    const { status, body } = await submit({ profile: 'default', contacts });
+    expect(status).toBe(503);
+    expect(body.message).toBe('Could not start job worker');
+
+    const [file] = (await fs.readdir(process.env.JOB_STORE_DIR)).filter(name => /^job_[^.]+\.json$/.test(name));
+    const job = await store.getJob(file.replace('.json', ''));
+    expect(job).toMatchObject({ status: 'failed', error: 'Could not start job worker' });
+    expect(await store.getInput(job.id)).toBeNull();
+  });
+
+  it('answers unknown routes, jobs and methods', async () => {
+    expect((await handler(request('GET'))).status).toBe(405);
+    expect((await handler(request('GET', '/job_000000000000'))).status).toBe(404);
+    expect((await handler(request('GET', '/../../etc'))).status).toBe(404);
+    expect((await handler(request('DELETE', '/job_000000000000'))).status).toBe(405);
+    expect((await handler(request('OPTIONS'))).status).toBe(200);
+  });
+});
+
+describe('running a job', () => {
+  it('reports progress between batches and streams the rows finished so far', async () => {
+    const { body: submitted } = await submit({ profile: 'default', contacts, batchSize: 1 });
+
+    // A deadline that passes during the pause after the first batch, as
+    // when a worker runs out of time
+    const partial = await runJob(store, submitted.id, { deadline: Date.now() + 200 });
+    expect(partial).toMatchObject({ status: 'running', nextBatch: 1, leaseExpiresAt: null });
+
+    const progress = await poll(submitted.id);
+    expect(progress).toMatchObject({ status: 'running', completedBatches: 1, totalBatches: 2, progress: 50 });
+    expect(progress.stats).toMatchObject({ processed: 1, successful: 1, failed: 0 });
+    expect(progress.startedAt).toBeDefined();
+
+    const { response, rows } = await readResults(submitted.id);
+    expect(response.headers.get('Content-Type')).toBe('application/x-ndjson');
+    expect(response.headers.get('X-Job-Status')).toBe('running');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ firstName: 'Tim', enrichmentStatus: 'success' });
+
+    // The next worker carries on from the second batch
+    await runWorker(submitted.id);
+    const done = await poll(submitted.id);
+    expect(done).toMatchObject({ status: 'completed', completedBatches: 2, progress: 100 });
+    expect(done.stats).toMatchObject({ processed: 2, successful: 1, failed: 1 });
+    expect(done.completedAt).toBeDefined();
+
+    const finished = await readResults(submitted.id);
+    expect(finished.response.headers.get('X-Job-Status')).toBe('completed');
+    expect(finished.rows.map(row => [row.firstName, row.enrichmentStatus])).toEqual([['Tim', 'success'], ['Nobody', 'failed']]);
+    expect(await store.getInput(submitted.id)).toBeNull();
+  });
+
+  it('never returns the submitted input', async () => {
+    const { body } = await submit({ profile: 'default', contacts });
+    const job = await poll(body.id);
+    expect(job.contacts).toBeUndefined();
+    expect(job.leaseExpiresAt).toBeUndefined();
+  });
+
+  it('fails the whole job when the provider rejects the key', async () => {
+    const job = await storedJob({ profile: 'unauthorized' }, { profile: 'unauthorized', contacts });
+    await runWorker(job.id);
+
+    expect(await poll(job.id)).toMatchObject({ status: 'failed', error: 'Apollo rejected the API key' });
+    expect((await readResults(job.id)).rows).toEqual([]);
+  });
+
+  it('stops the job before the batch that would cross its credit cap', async () => {
+    // Each contact costs 2 credits with personal emails revealed
+    const { body: submitted } = await submit({ profile: 'default', contacts, batchSize: 1, budget: { maxRunCredits: 2 } });
+    await runWorker(submitted.id);
+
+    expect(await poll(submitted.id)).toMatchObject({
+      status: 'failed',
+      error: 'Run credit cap of 2 reached (2 used, next batch needs 2)',
+      completedBatches: 1,
+      stats: { processed: 1, creditsUsed: 2 }
+    });
+    expect((await readResults(submitted.id)).rows.map(row => row.firstName)).toEqual(['Tim']);
+  });
+
+  it('holds jobs to the server daily cap', async () => {
+    process.env.CREDIT_DAILY_CAP = '1';
+    try {
+      const { body: submitted } = await submit({ profile: 'default', contacts });
+      await runWorker(submitted.id);
+      expect(await poll(submitted.id)).toMatchObject({ status: 'failed', error: expect.stringMatching(/^Daily credit cap of 1 reached/) });
+      expect((await readResults(submitted.id)).rows).toEqual([]);
+
+      // Nowhere shared to count the cap in, so no job is accepted
+      delete process.env.CREDIT_LEDGER_DIR;
+      const refused = await submit({ profile: 'default', contacts });
+      expect(refused.status).toBe(503);
+      expect(refused.body.message).toBe('CREDIT_DAILY_CAP needs storage every function instance shares; set CREDIT_LEDGER_DIR or STORE_DIR');
+    } finally {
+      delete process.env.CREDIT_DAILY_CAP;
+    }
+  });
+
+  it('fails a job whose input is gone', async () => {
+    const job = await storedJob();
+    await store.deleteInput(job.id);
+    await runWorker(job.id);
+    expect(await poll(job.id)).toMatchObject({ status: 'failed', error: 'Job input is missing' });
+  });
+
+  it('ignores worker calls without a job id', async () => {
+    await expect(workerHandler({ body: '{not json' })).resolves.toBeUndefined();
+    await expect(workerHandler({ body: '{}' })).resolves.toBeUndefined();
+  });
+
+  it('leaves finished jobs alone', async () => {
+    const job = await storedJob({ status: 'completed', nextBatch: 1 });
+    expect(await runJob(store, job.id)).toMatchObject({ status: 'completed', nextBatch: 1 });
+    expect((await readResults(job.id)).rows).toEqual([]);
+  });
+});
+
+describe('leases and stalled jobs', () => {
+  it('does not run a job another worker holds the lease for', async () => {
+    const leaseExpiresAt = new Date(Date.now() + 60000).toISOString();
+    const job = await storedJob({ leaseExpiresAt });
+
+    expect(await runJob(store, job.id)).toMatchObject({ status: 'queued', nextBatch: 0, leaseExpiresAt });
+    expect((await readResults(job.id)).rows).toEqual([]);
+  });
+
+  it('takes over a job once the lease has expired', async () => {
+    const job = await storedJob({ status: 'running', leaseExpiresAt: minutesAgo(1) });
+
+    const finished = await runJob(store, job.id);
+    expect(finished).toMatchObject({ status: 'completed', nextBatch: 1, leaseExpiresAt: null });
+    expect((await readResults(job.id)).rows).toHaveLength(2);
+  });
+
+  it('restarts a job with no lease and no recent progress when polled', async () => {
+    const job = await storedJob({ status: 'running', updatedAt: minutesAgo(5) });
+
+    expect((await poll(job.id)).status).toBe('running');
+    await vi.waitFor(() => expect(worker.jobIds).toEqual([job.id]));
+  });
+
+  it.each([
+    ['recently updated', { status: 'running', updatedAt: minutesAgo(1) }],
+    ['still leased', { status: 'running', updatedAt: minutesAgo(5), leaseExpiresAt: new Date(Date.now() + 60000).toISOString() }],
+    ['finished', { status: 'completed', updatedAt: minutesAgo(5) }]
+  ])('does not restart a job that is %s', async (label, overrides) => {
+    const job = await storedJob(overrides);
+    await poll(job.id);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(worker.jobIds).toEqual([]);
+  });
+});
+
+describe('file job store', () => {
+  it('only accepts ids createJobId could have made', async () => {
+    expect(createJobId()).toMatch(/^job_[A-Za-z0-9_-]{12}$/);
+    expect(await store.getJob('../secrets')).toBeNull();
+    await expect(store.deleteInput('../secrets')).rejects.toThrow('Invalid job id');
+  });
+
+  it('merges updates and stamps them', async () => {
+    const job = await storedJob({ updatedAt: minutesAgo(5) });
+    const updated = await store.updateJob(job.id, { status: 'running' });
+    expect(updated).toMatchObject({ id: job.id, status: 'running', totalBatches: 1, stats: job.stats });
+    expect(Date.parse(updated.updatedAt)).toBeGreaterThan(Date.parse(job.updatedAt));
+    await expect(store.updateJob('job_000000000000', {})).rejects.toThrow('Job job_000000000000 not found');
+  });
+});
@@ -0,0 +1,158 @@
+// Input normalisation: names, domains, emails and row readiness
+
+import { describe, expect, it } from 'vitest';
+import {
+  splitFullName,
+  extractDomain,
+  isValidEmail,
+  isRoleAddress,
+  normalizeRows,
+  countByStatus,
+  toEnrichmentInput,
+  toInputRow,
+  isReady
+} from '../src/utils/normalize.js';
+import { applyMapping, missingRequiredFields } from '../src/utils/columnMapping.js';
+import { findDuplicateGroups, planEnrichment } from '../src/utils/dedupe.js';
+
+describe('splitFullName', () => {
+  it.each([
+    ['Tim Zheng', 'Tim', 'Zheng'],
+    ['  Dr. Jane  Q. Smith Jr. ', 'Jane', 'Smith'],
+    ['Smith, Jane', 'Jane', 'Smith'],
+    ['Tim Zheng, PhD', 'Tim', 'Zheng'],
+    ['Ludwig van Beethoven', 'Ludwig', 'van Beethoven'],
+    ['Cher', 'Cher', '']
+  ])('splits "%s"', (fullName, firstName, lastName) => {
+    expect(splitFullName(fullName)).toEqual({ firstName, lastName });
+  });
+});
+
+describe('extractDomain', () => {
+  it.each([
+    ['https://www.Acme.com/about', 'acme.com'],
+    ['jane@sales.acme.com', 'acme.com'],
+    ['mailto:jane@acme.com', 'acme.com'],
+    ['blog.acme.co.uk', 'acme.co.uk'],
+    ['acme.com.', 'acme.com'],
+    ['http://localhost:8080', ''],
+    ['Acme Inc', ''],
+    ['', '']
+  ])('reads "%s" as "%s"', (value, domain) => {
+    expect(extractDomain(value)).toBe(domain);
+  });
+});
+
+describe('email checks', () => {
+  it('validates syntax', () => {
+    expect(isValidEmail('jane.doe+crm@acme.co.uk')).toBe(true);
+    expect(isValidEmail('jane@@acme.com')).toBe(false);
+    expect(isValidEmail('jane..doe@acme.com')).toBe(false);
+    expect(isValidEmail('jane@acme')).toBe(false);
+  });
+
+  it('recognises role addresses', () => {
+    expect(isRoleAddress('info@acme.com')).toBe(true);
+    expect(isRoleAddress('sales+eu@acme.com')).toBe(true);
+    expect(isRoleAddress('jane@acme.com')).toBe(false);
+  });
+});
+
+describe('normalizeRows', () => {
+  it('cleans up a person and marks them ready', () => {
+    const [row] = normalizeRows([{ firstName: ' Tim ', lastName: 'Zheng', domain: 'https://www.apollo.io/about', email: 'TIM@apollo.io ' }]);
+    expect(row).toMatchObject({
+      firstName: 'Tim',
+      domain: 'apollo.io',
+      email: 'tim@apollo.io',
+      inputStatus: 'ready',
+      inputIssues: ['Domain taken from "https://www.apollo.io/about"']
+    });
+  });
+
+  it('splits a full name and takes the domain from a work email', () => {
+    const [row] = normalizeRows([{ firstName: '', lastName: '', fullName: 'Jane Smith', domain: '', email: 'jane@hubspot.com' }]);
+    expect(row).toMatchObject({ firstName: 'Jane', lastName: 'Smith', domain: 'hubspot.com', inputStatus: 'ready' });
+    expect(row).not.toHaveProperty('fullName');
+  });
+
+  it('does not send role or invalid emails', () => {
+    const [role, invalid] = normalizeRows([
+      { firstName: 'Ann', lastName: 'Lee', domain: '', email: 'info@acme.com' },
+      { firstName: 'Bo', lastName: 'Ray', domain: 'acme.com', email: 'bo@' }
+    ]);
+    expect(role).toMatchObject({ email: '', domain: 'acme.com', inputStatus: 'ready' });
+    expect(role.inputIssues).toContain('Role address info@acme.com not sent');
+    expect(invalid).toMatchObject({ email: '', inputStatus: 'ready' });
+    expect(invalid.inputIssues).toContain('Invalid email "bo@" not sent');
+  });
+
+  it('marks people without a company as fixable and without a name as unenrichable', () => {
+    const rows = normalizeRows([
+      { firstName: 'Ann', lastName: 'Lee', domain: 'Acme Inc', email: '' },
+      { firstName: 'Ann', lastName: 'Lee', domain: '', email: 'ann.lee@gmail.com' },
+      { firstName: 'Ann', lastName: '', domain: 'acme.com', email: '' }
+    ]);
+    expect(rows.map(row => row.inputStatus)).toEqual(['fixable', 'ready', 'unenrichable']);
+    expect(rows[0].inputIssues).toEqual(['"Acme Inc" is not a domain', 'Add a company domain or email']);
+    // A personal email can still be matched on, but says nothing about the company
+    expect(rows[1].domain).toBe('');
+    expect(countByStatus(rows)).toEqual({ ready: 1, fixable: 1, unenrichable: 1 });
+  });
+
+  it('checks company domains', () => {
+    const rows = normalizeRows([
+      { domain: 'https://hubspot.com/pricing', name: ' HubSpot ' },
+      { domain: 'HubSpot', name: '' },
+      { domain: '', name: 'Unknown' }
+    ], 'organizations');
+    expect(rows.map(row => [row.domain, row.inputStatus])).toEqual([
+      ['hubspot.com', 'ready'], ['', 'fixable'], ['', 'unenrichable']
+    ]);
+    expect(rows[0].name).toBe('HubSpot');
+  });
+
+  it('strips the status before a row is sent', () => {
+    const [row] = normalizeRows([{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: '' }]);
+    expect(Object.keys(toEnrichmentInput(row))).toEqual(['firstName', 'lastName', 'domain', 'email']);
+  });
+
+  it('recovers the loaded row from an enriched record', () => {
+    const [row] = normalizeRows([{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: '', sourceRow: { Name: 'Tim' } }]);
+    const enriched = { ...row, title: 'CEO', workEmail: 'tim@apollo.io', enrichmentStatus: 'success' };
+    expect(toInputRow(enriched)).toEqual(row);
+  });
+});
+
+describe('mapping with normalisation', () => {
+  it('accepts a Full Name column in place of first and last name', () => {
+    expect(missingRequiredFields(['fullName', 'domain'])).toEqual([]);
+    expect(missingRequiredFields(['firstName', 'domain']).map(field => field.key)).toEqual(['lastName']);
+  });
+
+  it('keeps rows with blank values for normalisation to mark', () => {
+    const { contacts, rejected } = applyMapping(['First', 'Last'], [
+      { line: 2, values: ['Tim', ''] },
+      { line: 3, values: ['Tim', 'Zheng', 'extra'] }
+    ], ['firstName', 'lastName']);
+    expect(contacts).toHaveLength(1);
+    expect(rejected).toEqual([{ line: 3, reason: 'Row has 3 columns, header has 2' }]);
+  });
+});
+
+describe('planEnrichment with readiness', () => {
+  it('only plans ready rows, also inside duplicate groups', () => {
+    const rows = normalizeRows([
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', email: 'tim@apollo.io' },
+      { firstName: '', lastName: '', domain: '', email: 'tim@apollo.io' },
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'www.apollo.io', email: '' },
+      { firstName: 'Ann', lastName: 'Lee', domain: '', email: '' }
+    ]);
+    const groups = findDuplicateGroups(rows);
+    const { requests, fanOut } = planEnrichment(rows, groups, {}, isReady);
+
+    expect(groups[0].indices).toEqual([0, 1, 2]);
+    expect(requests).toHaveLength(1);
+    expect(fanOut).toEqual([[0, 2]]);
+  });
+});
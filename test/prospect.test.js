@@ -0,0 +1,207 @@
+// Prospecting: the prospect handler against the mock people search, and the
+// client helpers that hand the people found to enrichment
+
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { handler } from '../netlify/functions/prospect.js';
+import { createFileAuditStore } from '../netlify/lib/auditLog.js';
+import { buildFilters, excludeExisting, prospectsToContacts, readExclusionList } from '../src/utils/prospecting.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const ACCESS_TOKEN = 'studio-access-token';
+const event = ({ method = 'POST', body, token = ACCESS_TOKEN } = {}) => ({
+  httpMethod: method,
+  headers: { 'x-forwarded-for': '10.1.0.1', ...(token && { authorization: `Bearer ${token}` }) },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+const parse = (response) => JSON.parse(response.body);
+
+const sales = { seniorities: ['vp', 'manager', 'senior'], departments: ['sales'] };
+
+describe('prospect handler', () => {
+  let mock;
+  let auditDirectory;
+
+  beforeAll(async () => {
+    auditDirectory = await mkdtemp(path.join(tmpdir(), 'audit-'));
+    Object.assign(process.env, MOCK_PROFILES, { AUDIT_LOG_DIR: auditDirectory, STUDIO_ACCESS_TOKEN: ACCESS_TOKEN });
+    mock = await startMockApollo();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    await rm(auditDirectory, { recursive: true, force: true });
+    delete process.env.AUDIT_LOG_DIR;
+    delete process.env.STUDIO_ACCESS_TOKEN;
+    Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+    delete process.env.APOLLO_BASE_URL;
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('rejects methods other than POST', async () => {
+    const response = await handler(event({ method: 'GET' }));
+    expect(response.statusCode).toBe(405);
+  });
+
+  it('refuses callers without the access token', async () => {
+    const before = mock.requests.length;
+    const body = { profile: 'default', domains: ['apollo.io'], filters: sales };
+    const response = await handler(event({ body, token: 'not-the-token' }));
+    expect(response.statusCode).toBe(401);
+    expect(response.headers['WWW-Authenticate']).toBe('Bearer');
+    expect(mock.requests).toHaveLength(before);
+  });
+
+  it.each([
+    ['a raw apiKey', { apiKey: 'abc', profile: 'default', domains: ['apollo.io'], filters: sales }, 'apiKey must not be sent; API keys are managed server-side, so send a profile name instead of apiKey'],
+    ['missing domains', { profile: 'default', filters: sales }, 'domains must be an array of domains'],
+    ['too many domains', { profile: 'default', domains: Array(11).fill('apollo.io'), filters: sales }, 'domains may include at most 10 domains per request'],
+    ['a blank domain', { profile: 'default', domains: ['apollo.io', ' '], filters: sales }, 'domains[1] must be a non-empty domain'],
+    ['no persona filter', { profile: 'default', domains: ['apollo.io'], filters: { titles: [] } }, 'filters must include at least one persona filter'],
+    ['an unknown seniority', { profile: 'default', domains: ['apollo.io'], filters: { seniorities: ['boss'] } }, 'filters.seniorities may only contain'],
+    ['an unknown filter', { profile: 'default', domains: ['apollo.io'], filters: { industry: ['saas'] } }, 'filters may only contain'],
+    ['a cap above 100', { profile: 'default', domains: ['apollo.io'], filters: sales, perAccountLimit: 500 }, 'perAccountLimit must be between 1 and 100'],
+    ['a null body', null, 'Request body must be a JSON object'],
+    ['an array body', [], 'Request body must be a JSON object'],
+    ['an unknown profile', { profile: 'missing', domains: ['apollo.io'], filters: sales }, 'profile "missing" is not a configured API key profile']
+  ])('returns 400 for %s', async (label, body, message) => {
+    const response = await handler(event({ body }));
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).message).toContain(message);
+  });
+
+  it('names the field at fault', async () => {
+    const response = await handler(event({ body: { profile: 'default', domains: ['apollo.io'], filters: { seniorities: ['boss'] } } }));
+    expect(parse(response).errors).toEqual([
+      { path: 'filters.seniorities', message: expect.stringMatching(/^may only contain: /) }
+    ]);
+  });
+
+  it('finds people per account in the contact shape', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', domains: ['https://www.apollo.io', 'salesforce.com', 'unknown.example'], filters: sales }
+    }));
+    const { data, accounts, stats } = parse(response);
+
+    expect(response.statusCode).toBe(200);
+    expect(data.map(person => `${person.firstName} ${person.lastName}`)).toEqual([
+      'Priya Raman', 'Ava Chen', 'Liam Walsh', 'John Doe'
+    ]);
+    expect(data[0]).toMatchObject({
+      domain: 'apollo.io',
+      targetDomain: 'https://www.apollo.io',
+      title: 'VP of Sales',
+      company: 'Apollo.io',
+      location: 'San Francisco, California, United States'
+    });
+    expect(accounts.map(account => account.found)).toEqual([3, 1, 0]);
+    expect(stats).toMatchObject({ peopleFound: 4, accountsWithMatches: 2, apiCallsUsed: 3 });
+    const today = new Date().toISOString().slice(0, 10);
+    const [audit] = await createFileAuditStore({ directory: auditDirectory }).query({ from: today, to: today, limit: 1 });
+    expect(audit).toMatchObject({
+      action: 'prospect',
+      profile: 'default',
+      counts: { submitted: 3, succeeded: 2, failed: 1, peopleFound: 4 },
+      apiCalls: 3,
+      creditsUsed: 0,
+      outcome: 'success'
+    });
+    expect(mock.requests.at(-3).body).toMatchObject({
+      q_organization_domains_list: ['apollo.io'],
+      person_seniorities: ['vp', 'manager', 'senior'],
+      person_department_or_subdepartments: ['sales']
+    });
+  });
+
+  it('caps the people per account and pages until the cap is reached', async () => {
+    const before = mock.requests.length;
+    const response = await handler(event({
+      body: { profile: 'default', domains: ['apollo.io'], filters: { locations: ['united states'] }, perAccountLimit: 2 }
+    }));
+    const { data, accounts } = parse(response);
+
+    expect(data).toHaveLength(2);
+    expect(accounts[0]).toEqual({ domain: 'apollo.io', found: 2, totalAvailable: 5 });
+    expect(mock.requests.length - before).toBe(1);
+    expect(mock.requests.at(-1).body).toMatchObject({ page: 1, per_page: 2 });
+  });
+
+  it('matches titles as substrings', async () => {
+    const response = await handler(event({
+      body: { profile: 'default', domains: ['apollo.io', 'salesforce.com'], filters: { titles: ['vp'] } }
+    }));
+    expect(parse(response).data.map(person => person.lastName)).toEqual(['Raman', 'Garcia']);
+  });
+
+  it.each([
+    ['rate-limited', 429],
+    ['unauthorized', 401]
+  ])('maps a %s search to %i', async (profile, status) => {
+    const response = await handler(event({ body: { profile, domains: ['apollo.io'], filters: sales } }));
+    expect(response.statusCode).toBe(status);
+  });
+
+  it('answers 502 when Apollo cannot be reached', async () => {
+    const baseUrl = process.env.APOLLO_BASE_URL;
+    process.env.APOLLO_BASE_URL = 'http://127.0.0.1:9';
+    try {
+      const response = await handler(event({ body: { profile: 'default', domains: ['apollo.io'], filters: sales } }));
+      expect(response.statusCode).toBe(502);
+      expect(parse(response).message).toBe('Apollo API request failed');
+    } finally {
+      process.env.APOLLO_BASE_URL = baseUrl;
+    }
+  });
+
+  it('counts searches against the client and profile rate limits', async () => {
+    const response = await handler(event({ body: { profile: 'default', domains: ['apollo.io'], filters: sales } }));
+    expect(response.headers['RateLimit-Policy']).toBe('100;w=3600, 1000;w=3600');
+    expect(Number(response.headers['RateLimit-Remaining'])).toBeLessThan(100);
+  });
+});
+
+describe('prospecting helpers', () => {
+  const prospects = [
+    { firstName: 'Priya', lastName: 'Raman', domain: 'apollo.io', title: 'VP of Sales', linkedinUrl: 'http://linkedin.com/in/priya' },
+    { firstName: 'John', lastName: 'Doe', domain: 'salesforce.com', title: null },
+    { firstName: 'Ava', lastName: '', domain: 'apollo.io' }
+  ];
+
+  it('builds request filters from the form, dropping empty ones', () => {
+    expect(buildFilters({ titles: 'VP Sales, Head of Sales,\nVP Sales', seniorities: [], departments: ['sales'], locations: ' ' }))
+      .toEqual({ titles: ['VP Sales', 'Head of Sales'], departments: ['sales'] });
+  });
+
+  it('leaves out people on the existing contact list', () => {
+    const existing = readExclusionList({
+      headers: ['First', 'Last', 'Website', 'Email'],
+      rows: [{ line: 2, values: ['john', 'DOE', 'www.salesforce.com', ''] }]
+    });
+    const { kept, excluded } = excludeExisting(prospects, existing);
+    expect(kept.map(person => person.firstName)).toEqual(['Priya', 'Ava']);
+    expect(excluded.map(person => person.firstName)).toEqual(['John']);
+  });
+
+  it('rejects an exclusion list it cannot match on', () => {
+    expect(() => readExclusionList({ headers: ['Company'], rows: [] })).toThrow('email column');
+  });
+
+  it('turns prospects into contacts, skipping people without a full name', () => {
+    const { contacts, skipped } = prospectsToContacts(prospects);
+    expect(skipped).toBe(1);
+    expect(contacts[0]).toMatchObject({
+      firstName: 'Priya',
+      lastName: 'Raman',
+      domain: 'apollo.io',
+      email: '',
+      sourceRow: { Title: 'VP of Sales', 'LinkedIn URL': 'http://linkedin.com/in/priya' }
+    });
+  });
+});
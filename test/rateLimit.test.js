@@ -0,0 +1,134 @@
+// Token buckets, client IP extraction, the rate limit stores and headers
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  clientIp, createFileRateLimitStore, createMemoryRateLimitStore, getRateLimitStore, rateLimit, rateLimitHeaders, takeToken
+} from '../netlify/lib/rateLimit.js';
+
+const policy = { limit: 10, windowSeconds: 60 };
+
+describe('takeToken', () => {
+  it('starts full and refuses once the burst is spent', () => {
+    let bucket;
+    const results = [];
+    for (let i = 0; i < 11; i++) {
+      const taken = takeToken(bucket, policy, 0);
+      bucket = taken.bucket;
+      results.push(taken.result);
+    }
+    expect(results[0]).toMatchObject({ allowed: true, remaining: 9, resetSeconds: 6 });
+    expect(results[9]).toMatchObject({ allowed: true, remaining: 0, resetSeconds: 60 });
+    expect(results[10]).toMatchObject({ allowed: false, remaining: 0, retryAfterSeconds: 6 });
+  });
+
+  it('refills at the average rate, up to the limit', () => {
+    const empty = { tokens: 0, updatedAt: 0 };
+    expect(takeToken(empty, policy, 5999).result.allowed).toBe(false);
+    expect(takeToken(empty, policy, 6000).result).toMatchObject({ allowed: true, remaining: 0 });
+    expect(takeToken(empty, policy, 3600000).result.remaining).toBe(9);
+  });
+});
+
+describe('clientIp', () => {
+  it('trusts the Netlify edge header first', () => {
+    expect(clientIp({ 'x-nf-client-connection-ip': '198.51.100.7', 'x-forwarded-for': '203.0.113.1' })).toBe('198.51.100.7');
+  });
+
+  it('takes the address our proxy appended, not ones the client sent', () => {
+    expect(clientIp({ 'x-forwarded-for': '1.2.3.4, 203.0.113.9' })).toBe('203.0.113.9');
+    process.env.RATE_LIMIT_TRUSTED_PROXIES = '1';
+    try {
+      expect(clientIp({ 'x-forwarded-for': '1.2.3.4, 203.0.113.9, 10.0.0.2' })).toBe('203.0.113.9');
+      expect(clientIp({ 'x-forwarded-for': '203.0.113.9' })).toBe('203.0.113.9');
+    } finally {
+      delete process.env.RATE_LIMIT_TRUSTED_PROXIES;
+    }
+  });
+
+  it('ignores values that are not addresses', () => {
+    expect(clientIp({ 'x-forwarded-for': '203.0.113.9, not-an-ip' })).toBe('unknown');
+    expect(clientIp({ 'x-real-ip': '2001:db8::1' })).toBe('2001:db8::1');
+    expect(clientIp({})).toBe('unknown');
+  });
+});
+
+describe('rateLimitHeaders', () => {
+  const ip = { allowed: true, limit: 100, windowSeconds: 3600, remaining: 40, resetSeconds: 2160, retryAfterSeconds: 0 };
+  const profile = { allowed: true, limit: 1000, windowSeconds: 3600, remaining: 900, resetSeconds: 360, retryAfterSeconds: 0 };
+
+  it('reports the limit with the fewest requests left', () => {
+    expect(rateLimitHeaders(ip, profile)).toEqual({
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '40',
+      'RateLimit-Reset': '2160',
+      'RateLimit-Policy': '100;w=3600, 1000;w=3600'
+    });
+  });
+
+  it('reports the refused limit with Retry-After', () => {
+    const refused = { ...profile, allowed: false, remaining: 0, retryAfterSeconds: 4 };
+    expect(rateLimitHeaders(ip, refused)).toMatchObject({ 'RateLimit-Limit': '1000', 'Retry-After': '4' });
+  });
+
+  it('sends nothing when no limit was checked', () => {
+    expect(rateLimitHeaders(null)).toEqual({});
+  });
+});
+
+describe('rate limit stores', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'rate-limits-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps memory buckets per key', async () => {
+    const store = createMemoryRateLimitStore();
+    await store.take('ip:a', { limit: 1, windowSeconds: 60 });
+    expect((await store.take('ip:a', { limit: 1, windowSeconds: 60 })).allowed).toBe(false);
+    expect((await store.take('ip:b', { limit: 1, windowSeconds: 60 })).allowed).toBe(true);
+  });
+
+  it('keeps file buckets across store instances, as after a cold start', async () => {
+    await createFileRateLimitStore({ directory }).take('ip:a', { limit: 1, windowSeconds: 60 });
+    expect((await createFileRateLimitStore({ directory }).take('ip:a', { limit: 1, windowSeconds: 60 })).allowed).toBe(false);
+  });
+
+  it('does not let concurrent requests share a token', async () => {
+    const store = createFileRateLimitStore({ directory });
+    const results = await Promise.all(Array.from({ length: 5 }, () => store.take('ip:a', { limit: 3, windowSeconds: 60 })));
+    expect(results.filter(result => result.allowed)).toHaveLength(3);
+  });
+
+  it('hands every request the same file store for a directory', async () => {
+    process.env.RATE_LIMIT_STORE = 'file';
+    process.env.RATE_LIMIT_DIR = directory;
+    try {
+      const store = getRateLimitStore();
+      expect(getRateLimitStore()).toBe(store);
+      const results = await Promise.all(Array.from({ length: 5 }, () => getRateLimitStore().take('ip:a', { limit: 3, windowSeconds: 60 })));
+      expect(results.filter(result => result.allowed)).toHaveLength(3);
+
+      process.env.RATE_LIMIT_DIR = path.join(directory, 'other');
+      expect(getRateLimitStore()).not.toBe(store);
+    } finally {
+      delete process.env.RATE_LIMIT_STORE;
+      delete process.env.RATE_LIMIT_DIR;
+    }
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = { take: () => Promise.reject(new Error('disk full')) };
+    expect(await rateLimit('ip:a', policy, broken)).toBeNull();
+    expect(logged).toHaveBeenCalledWith('Rate limit store failed:', 'disk full');
+    logged.mockRestore();
+  });
+});
@@ -0,0 +1,131 @@
+// Detail drawer helpers: field groups, timeline, links, input vs match and
+// failure reasons
+
+import { describe, expect, it } from 'vitest';
+import {
+  careerTimeline, displayValue, failureReason, fieldGroups, formatDateRange, inputComparison, socialLinks
+} from '../src/utils/recordDetails.js';
+
+const person = {
+  firstName: 'Tim',
+  lastName: 'Zheng',
+  email: 'tim@apollo.io',
+  domain: 'apollo.io',
+  sourceRow: { 'First Name': 'Tim', Notes: 'met at SaaStr' },
+  inputStatus: 'ready',
+  inputIssues: [],
+  matchedName: 'Tim Zheng',
+  title: 'CEO',
+  company: 'Apollo.io',
+  companyDomain: 'apollo.io',
+  workEmail: 'tim@apollo.io',
+  workEmailStatus: 'verified',
+  personalEmail: null,
+  directPhone: '+1 415-555-0101',
+  linkedinUrl: 'http://www.linkedin.com/in/timzheng',
+  twitterUrl: 'twitter.com/timzheng',
+  facebookUrl: 'javascript:alert(1)',
+  employmentHistory: [
+    { title: 'Analyst', company: 'Bain', startDate: '2010-06-01', endDate: '2012-08-01', current: false },
+    { title: 'CEO', company: 'Apollo.io', startDate: '2015-01-01', endDate: null, current: true }
+  ],
+  education: [{ school: 'Harvard', degree: 'BA', field: 'Economics', startDate: '2006-09-01', endDate: '2010-05-01' }],
+  enrichmentStatus: 'success',
+  confidence: 'high',
+  matchedOn: ['email', 'name', 'domain'],
+  dataCompleteness: 80,
+  fromCache: false,
+  providersTried: ['apollo'],
+  fieldProviders: { mobilePhone: 'backup' },
+  customScore: 7
+};
+
+describe('fieldGroups', () => {
+  it('lists every field, empty ones included, and keeps unknown fields under Other', () => {
+    const groups = fieldGroups(person, 'people');
+    expect(groups.map(group => group.title)).toEqual(['Contact', 'Role', 'Enrichment', 'Other']);
+
+    const contact = Object.fromEntries(groups[0].fields.map(field => [field.key, field.value]));
+    expect(contact).toMatchObject({ workEmail: 'tim@apollo.io', personalEmail: null, directPhone: '+1 415-555-0101' });
+
+    const enrichment = Object.fromEntries(groups[2].fields.map(field => [field.key, field.value]));
+    expect(enrichment).toMatchObject({
+      matchedOn: 'email, name, domain',
+      dataCompleteness: '80%',
+      fromCache: 'No',
+      fieldProviders: 'mobilePhone: backup'
+    });
+
+    expect(groups[3].fields).toEqual([{ key: 'customScore', label: 'customScore', value: '7' }]);
+  });
+
+  it('uses company groups for organizations', () => {
+    const groups = fieldGroups({ domain: 'stripe.com', companyName: 'Stripe', technologies: ['React', 'AWS'] }, 'organizations');
+    expect(groups.map(group => group.title)).toEqual(['Company', 'Headquarters', 'Enrichment']);
+    expect(groups[0].fields.find(field => field.key === 'technologies').value).toBe('React, AWS');
+  });
+
+  it('treats empty lists and objects as missing', () => {
+    expect(displayValue('technologies', [])).toBeNull();
+    expect(displayValue('fieldProviders', {})).toBeNull();
+    expect(displayValue('fromCache', true)).toBe('Yes');
+  });
+});
+
+describe('socialLinks', () => {
+  it('adds a scheme where missing and drops anything but web links', () => {
+    expect(socialLinks(person)).toEqual([
+      { key: 'linkedinUrl', label: 'LinkedIn', url: 'http://www.linkedin.com/in/timzheng' },
+      { key: 'twitterUrl', label: 'Twitter', url: 'https://twitter.com/timzheng' }
+    ]);
+  });
+});
+
+describe('careerTimeline', () => {
+  it('merges jobs and education, current first, then most recent', () => {
+    expect(careerTimeline(person).map(entry => [entry.kind, entry.heading, entry.detail, entry.range])).toEqual([
+      ['employment', 'CEO', 'Apollo.io', 'Jan 2015 – Present'],
+      ['employment', 'Analyst', 'Bain', 'Jun 2010 – Aug 2012'],
+      ['education', 'Harvard', 'BA, Economics', 'Sep 2006 – May 2010']
+    ]);
+  });
+
+  it('copes with missing dates', () => {
+    expect(formatDateRange(null, null, false)).toBeNull();
+    expect(formatDateRange('2019-03-01', null, false)).toBe('Mar 2019 – ?');
+    expect(careerTimeline({})).toEqual([]);
+  });
+});
+
+describe('inputComparison', () => {
+  it('pairs what was sent with what was matched', () => {
+    expect(inputComparison(person, 'people')).toEqual([
+      { label: 'Name', input: 'Tim Zheng', matched: 'Tim Zheng', agrees: true },
+      { label: 'Email', input: 'tim@apollo.io', matched: 'tim@apollo.io', agrees: true },
+      { label: 'Domain', input: 'apollo.io', matched: 'apollo.io', agrees: true }
+    ]);
+  });
+
+  it('flags disagreements and leaves missing sides undecided', () => {
+    const [name, email] = inputComparison({ firstName: 'Tim', lastName: 'Zheng', matchedName: 'Timothy Zheng', email: '' }, 'people');
+    expect(name.agrees).toBe(false);
+    expect(email).toEqual({ label: 'Email', input: null, matched: null, agrees: null });
+  });
+
+  it('compares company domains with the matched website', () => {
+    expect(inputComparison({ domain: 'stripe.com', name: '', websiteUrl: 'https://www.stripe.com', companyName: 'Stripe' }, 'organizations')[0])
+      .toEqual({ label: 'Domain', input: 'stripe.com', matched: 'stripe.com', agrees: true });
+  });
+});
+
+describe('failureReason', () => {
+  it('is null for enriched records', () => {
+    expect(failureReason(person)).toBeNull();
+  });
+
+  it('prefers the recorded error, then names the providers tried', () => {
+    expect(failureReason({ enrichmentStatus: 'failed', enrichmentError: 'Invalid Apollo API key' })).toBe('Invalid Apollo API key');
+    expect(failureReason({ enrichmentStatus: 'failed', providersTried: ['apollo'] })).toBe('No match found by apollo');
+    expect(failureReason({ enrichmentStatus: 'failed' })).toBe('No match found');
+  });
+});
@@ -0,0 +1,95 @@
+// Results grid helpers: search, facets, sorting and the rendered window
+
+import { describe, expect, it } from 'vitest';
+import {
+  ENRICHED_FACETS, applyFacets, companySizeBucket, facetOptions, searchEntries, sortEntries, toEntries, visibleRange
+} from '../src/utils/resultsGrid.js';
+
+const rows = [
+  { firstName: 'Tim', lastName: 'Zheng', company: 'Apollo.io', industry: 'Software', companySize: 900, workEmail: 'tim@apollo.io', enrichmentStatus: 'success', confidence: 'high' },
+  { firstName: 'John', lastName: 'Doe', company: 'Salesforce', industry: 'Software', companySize: 70000, directPhone: '+14155550101', enrichmentStatus: 'success', confidence: 'medium' },
+  { firstName: 'Sarah', lastName: 'Wilson', company: null, industry: null, companySize: null, enrichmentStatus: 'failed', confidence: 'none' },
+  { firstName: 'Jane', lastName: 'Smith', company: 'HubSpot', industry: 'Marketing', companySize: 7000, workEmail: 'jane@hubspot.com', enrichmentStatus: 'success', confidence: 'low' }
+];
+
+const columns = [
+  { key: 'name', value: row => `${row.firstName} ${row.lastName}` },
+  { key: 'company', value: row => row.company },
+  { key: 'companySize', value: row => row.companySize },
+  { key: 'confidence', value: row => row.confidence, sortValue: row => ({ high: 3, medium: 2, low: 1, none: 0 })[row.confidence] }
+];
+
+const names = (entries) => entries.map(entry => entry.row.firstName);
+const facet = (key) => ENRICHED_FACETS.people.find(item => item.key === key);
+
+describe('companySizeBucket', () => {
+  it.each([
+    [1, '1-10'], [10, '1-10'], [11, '11-50'], [900, '501-1,000'], [7000, '5,001-10,000'], [70000, '10,001+'],
+    [null, 'Unknown'], [0, 'Unknown'], ['n/a', 'Unknown']
+  ])('puts %s in %s', (size, bucket) => {
+    expect(companySizeBucket(size)).toBe(bucket);
+  });
+});
+
+describe('searchEntries', () => {
+  it('matches every word against any column, ignoring case', () => {
+    expect(names(searchEntries(toEntries(rows), 'apollo', columns))).toEqual(['Tim']);
+    expect(names(searchEntries(toEntries(rows), 'j SMITH', columns))).toEqual(['Jane']);
+    expect(names(searchEntries(toEntries(rows), '  ', columns))).toEqual(['Tim', 'John', 'Sarah', 'Jane']);
+  });
+
+  it('keeps each row\'s position in the full list', () => {
+    expect(searchEntries(toEntries(rows), 'hubspot', columns)[0].index).toBe(3);
+  });
+});
+
+describe('facets', () => {
+  it('filters on every facet with a selection', () => {
+    const facets = ENRICHED_FACETS.people;
+    expect(names(applyFacets(toEntries(rows), facets, { status: ['success'], hasEmail: ['Yes'] }))).toEqual(['Tim', 'Jane']);
+    expect(names(applyFacets(toEntries(rows), facets, { companySize: ['5,001-10,000', '10,001+'] }))).toEqual(['John', 'Jane']);
+    expect(names(applyFacets(toEntries(rows), facets, { hasPhone: ['Yes'], status: [] }))).toEqual(['John']);
+  });
+
+  it('counts options in their fixed order, or by size', () => {
+    expect(facetOptions(toEntries(rows), facet('status'))).toEqual([
+      { value: 'success', count: 3 },
+      { value: 'failed', count: 1 }
+    ]);
+    expect(facetOptions(toEntries(rows), facet('industry'))).toEqual([
+      { value: 'Software', count: 2 },
+      { value: 'Marketing', count: 1 },
+      { value: 'Unknown', count: 1 }
+    ]);
+  });
+});
+
+describe('sortEntries', () => {
+  it('sorts text and numbers either way with blanks last', () => {
+    const company = columns[1];
+    const size = columns[2];
+    expect(names(sortEntries(toEntries(rows), company, 'asc'))).toEqual(['Tim', 'Jane', 'John', 'Sarah']);
+    expect(names(sortEntries(toEntries(rows), company, 'desc'))).toEqual(['John', 'Jane', 'Tim', 'Sarah']);
+    expect(names(sortEntries(toEntries(rows), size, 'desc'))).toEqual(['John', 'Jane', 'Tim', 'Sarah']);
+  });
+
+  it('uses sortValue when a column has one', () => {
+    expect(names(sortEntries(toEntries(rows), columns[3], 'desc'))).toEqual(['Tim', 'John', 'Jane', 'Sarah']);
+  });
+
+  it('leaves the order alone without a column', () => {
+    expect(names(sortEntries(toEntries(rows), null))).toEqual(['Tim', 'John', 'Sarah', 'Jane']);
+  });
+});
+
+describe('visibleRange', () => {
+  it('renders the rows in view plus the overscan', () => {
+    expect(visibleRange(0, 400, 50, 10000, 5)).toEqual({ start: 0, end: 13 });
+    expect(visibleRange(5000, 400, 50, 10000, 5)).toEqual({ start: 95, end: 113 });
+    expect(visibleRange(499800, 400, 50, 10000, 5)).toEqual({ start: 9991, end: 10000 });
+  });
+
+  it('stays inside short lists', () => {
+    expect(visibleRange(0, 400, 50, 3)).toEqual({ start: 0, end: 3 });
+  });
+});
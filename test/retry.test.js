@@ -0,0 +1,148 @@
+// Batch retries: backoff, Retry-After and which failures are retried
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  EnrichmentRequestError,
+  RetryLaterError,
+  backoffDelay,
+  errorFromResponse,
+  isTransientError,
+  parseRetryAfter,
+  withRetries
+} from '../src/utils/retry.js';
+
+const transient = (retryAfter = null) => new EnrichmentRequestError('Apollo rate limit reached', { status: 429, retryAfter, transient: true });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('backoffDelay', () => {
+  it('doubles per attempt with jitter between half and the full delay', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map(attempt => backoffDelay(attempt))).toEqual([500, 1000, 2000]);
+    Math.random.mockReturnValue(0.999999);
+    expect(backoffDelay(3)).toBeCloseTo(4000, 0);
+  });
+
+  it('never waits longer than a minute on its own', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    expect(backoffDelay(20)).toBe(60000);
+  });
+
+  it('waits at least as long as Retry-After asks', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffDelay(1, 30000)).toBe(30000);
+    // A short Retry-After does not cut the backoff
+    expect(backoffDelay(3, 100)).toBe(2000);
+  });
+
+  it('never waits longer than a minute for Retry-After either', () => {
+    expect(backoffDelay(1, 86400000)).toBe(60000);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    vi.useFakeTimers({ now: Date.parse('2024-03-01T10:00:00Z') });
+    expect(parseRetryAfter('30')).toBe(30000);
+    expect(parseRetryAfter(12)).toBe(12000);
+    expect(parseRetryAfter('Fri, 01 Mar 2024 10:00:45 GMT')).toBe(45000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe('errorFromResponse', () => {
+  it.each([
+    [429, true],
+    [503, true],
+    [408, true],
+    [401, false],
+    [400, false]
+  ])('treats HTTP %i as transient: %s', async (status, expected) => {
+    const error = await errorFromResponse(new Response(JSON.stringify({ message: 'nope' }), { status }));
+    expect(error).toBeInstanceOf(EnrichmentRequestError);
+    expect(error.transient).toBe(expected);
+    expect(error.message).toBe('nope');
+  });
+
+  it('takes Retry-After from the header, then the body', async () => {
+    const fromHeader = await errorFromResponse(new Response('{}', { status: 429, headers: { 'Retry-After': '7' } }));
+    const fromBody = await errorFromResponse(new Response(JSON.stringify({ retryAfter: 9 }), { status: 429 }));
+    expect(fromHeader.retryAfter).toBe(7000);
+    expect(fromBody.retryAfter).toBe(9000);
+  });
+
+  it('copes with an error page that is not JSON', async () => {
+    const error = await errorFromResponse(new Response('<html>Bad Gateway</html>', { status: 502 }));
+    expect(error.message).toBe('HTTP 502');
+    expect(error.transient).toBe(true);
+  });
+});
+
+describe('withRetries', () => {
+  const noWait = () => Promise.resolve(true);
+
+  it('retries transient failures until one succeeds', async () => {
+    const task = vi.fn()
+      .mockRejectedValueOnce(transient())
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue('done');
+    const onRetry = vi.fn();
+
+    await expect(withRetries(task, { attempts: 3, onRetry, sleep: noWait })).resolves.toBe('done');
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+  });
+
+  it('gives up after the last attempt with the last error', async () => {
+    const last = transient();
+    const task = vi.fn().mockRejectedValueOnce(transient()).mockRejectedValueOnce(last);
+    await expect(withRetries(task, { attempts: 2, sleep: noWait })).rejects.toBe(last);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry a bad key or a validation error', async () => {
+    const rejected = new EnrichmentRequestError('Apollo rejected the API key', { status: 401 });
+    const task = vi.fn().mockRejectedValue(rejected);
+    const sleep = vi.fn(noWait);
+
+    await expect(withRetries(task, { attempts: 5, sleep })).rejects.toBe(rejected);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(isTransientError(new Error('bug'))).toBe(false);
+  });
+
+  it('waits out Retry-After before the next attempt', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const sleep = vi.fn(noWait);
+    const task = vi.fn().mockRejectedValueOnce(transient(30000)).mockResolvedValue('done');
+
+    await withRetries(task, { attempts: 2, sleep });
+    expect(sleep).toHaveBeenCalledWith(30000);
+  });
+
+  it('stops instead of waiting out a quota that resets later than a minute', async () => {
+    vi.useFakeTimers({ now: Date.parse('2026-10-19T10:00:00Z') });
+    const quota = transient(86400000);
+    const task = vi.fn().mockRejectedValue(quota);
+    const sleep = vi.fn(noWait);
+
+    const error = await withRetries(task, { attempts: 5, sleep }).catch(caught => caught);
+    expect(error).toBeInstanceOf(RetryLaterError);
+    expect(error).toMatchObject({ cause: quota, status: 429 });
+    expect(error.retryAt.toISOString()).toBe('2026-10-20T10:00:00.000Z');
+    expect(error.message).toContain('Apollo rate limit reached; try again after');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('stops when the wait is cancelled', async () => {
+    const error = transient();
+    const task = vi.fn().mockRejectedValue(error);
+    await expect(withRetries(task, { attempts: 5, sleep: () => Promise.resolve(false) })).rejects.toBe(error);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
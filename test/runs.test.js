@@ -0,0 +1,201 @@
+// Durable runs: the IndexedDB checkpoint store that lets a run survive a
+// reload, and the pause/resume/cancel controller for the run loop
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createRunController } from '../src/utils/runController.js';
+
+const DB_NAME = 'apollo-enrichment-studio';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const newRun = (id, overrides = {}) => ({
+  id,
+  status: 'running',
+  createdAt: '2026-10-19T09:00:00.000Z',
+  contacts: [{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' }, { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com' }],
+  sourceHeaders: ['First', 'Last', 'Website'],
+  requests: [{ firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' }, { firstName: 'Sarah', lastName: 'Wilson', domain: 'microsoft.com' }],
+  fanOut: [[0], [1]],
+  profile: 'default',
+  mode: 'people',
+  batchSize: 1,
+  nextBatch: 0,
+  stats: { processed: 0, successful: 0, failed: 0 },
+  ...overrides
+});
+
+// Open the database as an earlier release of the studio left it
+const openVersion2 = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 2);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore('runs', { keyPath: 'id' });
+    db.createObjectStore('batches', { keyPath: ['runId', 'index'] }).createIndex('runId', 'runId');
+    db.createObjectStore('logs', { keyPath: 'id' }).createIndex('runId', 'runId');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const put = (db, storeName, value) => new Promise((resolve, reject) => {
+  const tx = db.transaction([storeName], 'readwrite');
+  tx.objectStore(storeName).put(value);
+  tx.oncomplete = resolve;
+  tx.onerror = () => reject(tx.error);
+});
+
+describe('run store', () => {
+  let store;
+
+  beforeEach(async () => {
+    // A fresh database, and a fresh module so it opens it again
+    globalThis.indexedDB = new IDBFactory();
+    globalThis.IDBKeyRange = IDBKeyRange;
+    vi.resetModules();
+    store = await import('../src/utils/runStore.js');
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDB;
+    delete globalThis.IDBKeyRange;
+  });
+
+  it('offers the latest unfinished run for resuming, with its inputs', async () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: Date.parse('2026-10-19T09:00:00Z') });
+    await store.startRun(newRun('run_old'));
+    vi.setSystemTime(Date.parse('2026-10-19T09:05:00Z'));
+    await store.startRun(newRun('run_new'));
+    vi.setSystemTime(Date.parse('2026-10-19T09:10:00Z'));
+    await store.startRun(newRun('run_done'));
+    await store.saveRun(newRun('run_done', { status: 'completed' }));
+
+    const resumable = await store.findResumableRun();
+    expect(resumable).toMatchObject({ id: 'run_new', status: 'running', nextBatch: 0 });
+    expect(resumable.contacts).toEqual(newRun('run_new').contacts);
+    expect(resumable.fanOut).toEqual([[0], [1]]);
+  });
+
+  it('checkpoints progress and rows without writing the inputs again', async () => {
+    const run = newRun('run_1');
+    await store.startRun(run);
+    await store.checkpointBatch({ ...run, nextBatch: 2, contacts: [] }, 1, [{ firstName: 'Sarah', enrichmentStatus: 'failed' }]);
+    await store.checkpointBatch({ ...run, nextBatch: 1, contacts: [] }, 0, [{ firstName: 'Tim', enrichmentStatus: 'success' }]);
+    await store.saveRun({ ...run, status: 'paused', nextBatch: 2, contacts: [] });
+
+    const resumable = await store.findResumableRun();
+    expect(resumable).toMatchObject({ id: 'run_1', status: 'paused', nextBatch: 2 });
+    expect(resumable.contacts).toHaveLength(2);
+    expect((await store.loadRunRows('run_1')).map(row => row.firstName)).toEqual(['Tim', 'Sarah']);
+  });
+
+  it('does not resume a run whose inputs are missing', async () => {
+    const db = await openVersion2();
+    await put(db, 'runs', { ...newRun('run_v2'), updatedAt: new Date().toISOString() });
+    db.close();
+    expect(await store.findResumableRun()).toBeNull();
+  });
+
+  it('keeps activity log entries per run, oldest first', async () => {
+    await store.appendRunLog({ id: 'log_2', runId: 'run_1', at: '2026-10-19T09:00:02.000Z', message: 'second' });
+    await store.appendRunLog({ id: 'log_1', runId: 'run_1', at: '2026-10-19T09:00:01.000Z', message: 'first' });
+    await store.appendRunLog({ id: 'log_3', runId: 'run_2', at: '2026-10-19T09:00:00.000Z', message: 'other run' });
+    expect((await store.loadRunLog('run_1')).map(entry => entry.message)).toEqual(['first', 'second']);
+  });
+
+  it('removes every other run with its rows, inputs and logs', async () => {
+    await store.startRun(newRun('run_keep'));
+    await store.startRun(newRun('run_drop'));
+    await store.checkpointBatch(newRun('run_keep'), 0, [{ firstName: 'Tim' }]);
+    await store.checkpointBatch(newRun('run_drop'), 0, [{ firstName: 'Sarah' }]);
+    await store.appendRunLog({ id: 'log_keep', runId: 'run_keep', at: '2026-10-19T09:00:00.000Z' });
+    await store.appendRunLog({ id: 'log_drop', runId: 'run_drop', at: '2026-10-19T09:00:00.000Z' });
+
+    await store.pruneRuns('run_keep');
+    expect(await store.loadRunRows('run_drop')).toEqual([]);
+    expect(await store.loadRunLog('run_drop')).toEqual([]);
+    expect(await store.loadRunRows('run_keep')).toEqual([{ firstName: 'Tim' }]);
+    expect((await store.findResumableRun()).id).toBe('run_keep');
+
+    await store.pruneRuns();
+    expect(await store.findResumableRun()).toBeNull();
+    expect(await store.loadRunLog('run_keep')).toEqual([]);
+  });
+
+  it('upgrades a version 2 database, keeping its rows and logs', async () => {
+    const db = await openVersion2();
+    await put(db, 'batches', { runId: 'run_v2', index: 0, rows: [{ firstName: 'Tim' }] });
+    await put(db, 'logs', { id: 'log_v2', runId: 'run_v2', at: '2026-10-19T09:00:00.000Z', message: 'kept' });
+    db.close();
+
+    expect(await store.loadRunRows('run_v2')).toEqual([{ firstName: 'Tim' }]);
+    expect((await store.loadRunLog('run_v2')).map(entry => entry.message)).toEqual(['kept']);
+    await store.startRun(newRun('run_v3'));
+    expect((await store.findResumableRun()).id).toBe('run_v3');
+  });
+
+  it('fails when IndexedDB is not available and tries again next time', async () => {
+    delete globalThis.indexedDB;
+    await expect(store.saveRun(newRun('run_1'))).rejects.toThrow('IndexedDB is not available');
+
+    globalThis.indexedDB = new IDBFactory();
+    await store.startRun(newRun('run_1'));
+    expect((await store.findResumableRun()).id).toBe('run_1');
+  });
+});
+
+describe('createRunController', () => {
+  it('lets the next batch start straight away while running', async () => {
+    await expect(createRunController().checkpoint()).resolves.toBe(true);
+  });
+
+  it('holds the next batch while paused and releases it on resume', async () => {
+    const controller = createRunController();
+    const onPause = vi.fn();
+    controller.pause();
+
+    let released = false;
+    const waiting = controller.checkpoint(onPause).then(proceed => {
+      released = true;
+      return proceed;
+    });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(released).toBe(false);
+    expect(onPause).toHaveBeenCalledTimes(1);
+
+    controller.resume();
+    await expect(waiting).resolves.toBe(true);
+    expect(controller.isPaused).toBe(false);
+  });
+
+  it('ends a paused wait when the run is cancelled', async () => {
+    const controller = createRunController();
+    controller.pause();
+    const waiting = controller.checkpoint();
+    controller.cancel();
+
+    await expect(waiting).resolves.toBe(false);
+    expect(controller.isCancelled).toBe(true);
+    await expect(controller.checkpoint()).resolves.toBe(false);
+  });
+
+  it('cuts a retry wait short on cancel', async () => {
+    vi.useFakeTimers();
+    const controller = createRunController();
+    const waiting = controller.sleep(60000);
+    controller.cancel();
+
+    await expect(waiting).resolves.toBe(false);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('finishes a retry wait normally when not cancelled', async () => {
+    vi.useFakeTimers();
+    const controller = createRunController();
+    const waiting = controller.sleep(1000);
+    vi.advanceTimersByTime(1000);
+    await expect(waiting).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+// Record scoring: match confidence, completeness weights and summaries
+
+import { describe, expect, it } from 'vitest';
+import {
+  calculateCompleteness,
+  rateMatchConfidence,
+  summarizeScores,
+  validateCompletenessWeights,
+  ORGANIZATION_COMPLETENESS_WEIGHTS
+} from '../src/utils/scoring.js';
+
+describe('rateMatchConfidence', () => {
+  const matched = { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io', emails: ['tim@apollo.io', null] };
+
+  it.each([
+    ['an exact email', { firstName: 'Timothy', lastName: 'Zheng', email: 'tim@apollo.io' }, 'high', ['email']],
+    ['name and domain', { firstName: 'tim', lastName: 'zheng', domain: 'https://www.apollo.io' }, 'medium', ['name', 'domain']],
+    ['a name alone', { firstName: 'Tim', lastName: 'Zheng', domain: 'braingenie.com' }, 'low', ['name']]
+  ])('rates %s', (label, input, confidence, matchedOn) => {
+    expect(rateMatchConfidence(input, matched)).toEqual({ confidence, matchedOn });
+  });
+
+  it('rates a missing match as none', () => {
+    expect(rateMatchConfidence({ firstName: 'Tim', lastName: 'Zheng' }, null)).toEqual({ confidence: 'none', matchedOn: [] });
+  });
+});
+
+describe('calculateCompleteness', () => {
+  it('uses the filled share of the weights', () => {
+    expect(calculateCompleteness({ a: 'x', b: null, c: [] }, { a: 1, b: 1, c: 2 })).toBe(25);
+    expect(calculateCompleteness({ a: 'x' }, { a: 0 })).toBe(0);
+  });
+
+  it('scores failed records as empty', () => {
+    expect(calculateCompleteness({ enrichmentStatus: 'failed', title: 'CTO' }, { title: 1 })).toBe(0);
+  });
+
+  it('scores organizations on firmographics', () => {
+    expect(calculateCompleteness({ companyName: 'Apollo.io', industry: 'software' }, ORGANIZATION_COMPLETENESS_WEIGHTS)).toBe(25);
+  });
+});
+
+describe('validateCompletenessWeights', () => {
+  it('accepts overrides for the mode', () => {
+    expect(validateCompletenessWeights({ workEmail: 50, employmentHistory: 0 })).toBe(true);
+    expect(validateCompletenessWeights({ technologies: 30 }, 'organizations')).toBe(true);
+  });
+
+  it.each([
+    [[], 'must be an object'],
+    [{ technologies: 30 }, 'may only contain'],
+    [{ workEmail: -1 }, 'non-negative numbers'],
+    [{ workEmail: '10' }, 'non-negative numbers']
+  ])('rejects %j', (weights, message) => {
+    expect(() => validateCompletenessWeights(weights)).toThrow(message);
+  });
+
+  it('rejects weights that are all zero', () => {
+    const zeros = Object.fromEntries(Object.keys(ORGANIZATION_COMPLETENESS_WEIGHTS).map(field => [field, 0]));
+    expect(() => validateCompletenessWeights(zeros, 'organizations')).toThrow('at least one positive weight');
+  });
+});
+
+describe('summarizeScores', () => {
+  it('keeps match rate, completeness, confidence and email grades apart', () => {
+    const summary = summarizeScores([
+      { enrichmentStatus: 'success', dataCompleteness: 90, confidence: 'high', workEmailStatus: 'verified' },
+      { enrichmentStatus: 'success', dataCompleteness: 40, confidence: 'medium', workEmailStatus: 'guessed' },
+      { enrichmentStatus: 'failed', dataCompleteness: 0, confidence: 'none', workEmailStatus: 'unavailable' },
+      { enrichmentStatus: 'failed', enrichmentError: 'Apollo API request failed' }
+    ]);
+    expect(summary).toEqual({
+      matchRate: 50,
+      averageCompleteness: 65,
+      confidence: { high: 1, medium: 1, low: 0, none: 2 },
+      workEmails: { verified: 1, guessed: 1, unavailable: 0 }
+    });
+  });
+
+  it('handles an empty run', () => {
+    expect(summarizeScores([])).toMatchObject({ matchRate: 0, averageCompleteness: 0 });
+  });
+});
@@ -0,0 +1,61 @@
+// Original upload columns from import, through enrichment, to the export
+
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { applyMapping, guessMapping, uniqueHeaders } from '../src/utils/columnMapping.js';
+import { parseCSV } from '../src/utils/csv.js';
+import { availableColumns, buildExport, defaultColumnKeys } from '../src/utils/exportBuilder.js';
+import { runWaterfall } from '../netlify/lib/waterfall.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const upload = [
+  'First Name,Last Name,Website,CRM ID,title,Owner,Owner',
+  'Tim,Zheng,apollo.io,003A1,CEO,Ana,Sales',
+  'Nobody,Known,example.com,003A2,,Ben,'
+].join('\n');
+
+describe('original upload columns', () => {
+  let mock;
+  let enriched;
+  let headers;
+
+  beforeAll(async () => {
+    Object.assign(process.env, MOCK_PROFILES);
+    mock = await startMockApollo();
+
+    const table = parseCSV(upload);
+    headers = uniqueHeaders(table.headers);
+    const { contacts } = applyMapping(table.headers, table.rows, guessMapping(table.headers));
+    ({ records: enriched } = await runWaterfall(contacts, { profile: 'default', options: {}, cache: null }));
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+    delete process.env.APOLLO_BASE_URL;
+  });
+
+  it('come back from enrichment untouched, matched or not', () => {
+    expect(enriched.map(record => record.enrichmentStatus)).toEqual(['success', 'failed']);
+    expect(enriched.map(record => record.sourceRow)).toEqual([
+      { 'First Name': 'Tim', 'Last Name': 'Zheng', Website: 'apollo.io', 'CRM ID': '003A1', title: 'CEO', Owner: 'Ana', Owner_2: 'Sales' },
+      { 'First Name': 'Nobody', 'Last Name': 'Known', Website: 'example.com', 'CRM ID': '003A2', title: '', Owner: 'Ben', Owner_2: '' }
+    ]);
+  });
+
+  it('are exported first, marked "(original)" where an enriched field has the same name', async () => {
+    const columns = availableColumns(enriched, 'people', headers);
+    const keys = defaultColumnKeys(columns);
+    const { data } = await buildExport(enriched, keys.map(key => columns.find(column => column.key === key)), 'csv');
+    const exported = parseCSV(data);
+
+    expect(exported.headers.slice(0, 8)).toEqual([
+      'First Name', 'Last Name', 'Website', 'CRM ID', 'title (original)', 'Owner', 'Owner_2', 'firstName'
+    ]);
+    expect(exported.headers).toContain('title');
+
+    const [tim, nobody] = exported.rows.map(row => Object.fromEntries(exported.headers.map((header, index) => [header, row.values[index]])));
+    expect(tim).toMatchObject({ 'CRM ID': '003A1', 'title (original)': 'CEO', Owner: 'Ana', Owner_2: 'Sales', enrichmentStatus: 'success' });
+    expect(tim.title).not.toBe('');
+    expect(nobody).toMatchObject({ 'CRM ID': '003A2', 'title (original)': '', Owner: 'Ben', enrichmentStatus: 'failed' });
+  });
+});
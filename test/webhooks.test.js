@@ -0,0 +1,541 @@
+// Outbound webhooks: signing, delivery with retries against the local
+// receiver, the /api/webhooks function, and the events jobs and browser
+// runs send
+
+import { createServer } from 'node:http';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import handler from '../netlify/functions/webhooks.js';
+import { handler as enrichHandler } from '../netlify/functions/enrich.js';
+import { handler as senderHandler } from '../netlify/functions/webhooks-background.js';
+import { createFileWebhookStore } from '../netlify/lib/webhookStore.js';
+import {
+  SENDER_PATH, deliverWebhook, dispatchEvent, isPrivateAddress, signPayload, verifyWebhookSignature
+} from '../netlify/lib/webhooks.js';
+import { createFileJobStore } from '../netlify/lib/jobStore.js';
+import { runJob } from '../netlify/lib/jobRunner.js';
+import { createFileAuditStore } from '../netlify/lib/auditLog.js';
+import { startWebhookReceiver } from './helpers/webhookReceiver.js';
+import { MOCK_PROFILES, startMockApollo } from './helpers/mockApollo.js';
+
+const SECRET = 'test-secret-0123456789';
+const ADMIN_TOKEN = 'test-admin-token';
+
+const request = (method, pathname, body, token = ADMIN_TOKEN) => new Request(`http://localhost/api/webhooks${pathname}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+// Stands in for the background sender's endpoint: records the queue ids it
+// is asked to send and answers with `status`
+const startSenderEndpoint = async () => {
+  const endpoint = { ids: [], status: 202 };
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === SENDER_PATH && endpoint.status < 300) endpoint.ids.push(JSON.parse(body).id);
+      res.writeHead(endpoint.status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint.origin = `http://127.0.0.1:${server.address().port}`;
+  endpoint.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return endpoint;
+};
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+  process.env.WEBHOOK_STORE_DIR = directory;
+  process.env.WEBHOOK_RETRY_BASE_MS = '1';
+  process.env.WEBHOOK_ADMIN_TOKEN = ADMIN_TOKEN;
+  // The test receivers listen on 127.0.0.1
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  process.env.AUDIT_LOG_DIR = path.join(directory, 'audit');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+  delete process.env.WEBHOOK_STORE_DIR;
+  delete process.env.WEBHOOK_RETRY_BASE_MS;
+  delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  delete process.env.WEBHOOK_ADMIN_TOKEN;
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+  delete process.env.AUDIT_LOG_DIR;
+});
+
+describe('verifyWebhookSignature', () => {
+  const body = '{"event":"run.completed"}';
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const headers = (signature, at = timestamp) => ({ 'x-webhook-timestamp': String(at), 'x-webhook-signature': signature });
+
+  it('accepts a signature of the timestamp and body', () => {
+    expect(verifyWebhookSignature(SECRET, headers(signPayload(SECRET, timestamp, body)), body, { now })).toBe(true);
+  });
+
+  it('rejects a changed body, another secret or a stale timestamp', () => {
+    const signature = signPayload(SECRET, timestamp, body);
+    expect(verifyWebhookSignature(SECRET, headers(signature), body.replace('completed', 'failed'), { now })).toBe(false);
+    expect(verifyWebhookSignature('another-secret-000000', headers(signature), body, { now })).toBe(false);
+
+    const stale = timestamp - 600;
+    expect(verifyWebhookSignature(SECRET, headers(signPayload(SECRET, stale, body), stale), body, { now })).toBe(false);
+    expect(verifyWebhookSignature(SECRET, {}, body, { now })).toBe(false);
+  });
+});
+
+describe('deliverWebhook', () => {
+  let receiver;
+
+  afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+  });
+
+  it('posts a signed JSON payload', async () => {
+    receiver = await startWebhookReceiver({ secret: SECRET });
+    const delivery = await deliverWebhook({ id: 'wh_test', url: receiver.url, secret: SECRET }, {
+      event: 'batch.completed',
+      data: { batch: 1, contacts: [{ firstName: 'Tim' }], stats: { processed: 1 } }
+    });
+
+    expect(delivery).toMatchObject({ status: 'delivered', statusCode: 204, webhookId: 'wh_test', event: 'batch.completed' });
+    expect(delivery.attempts).toHaveLength(1);
+
+    const [received] = receiver.deliveries;
+    expect(received.verified).toBe(true);
+    expect(received.headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-event': 'batch.completed',
+      'x-webhook-id': delivery.eventId
+    });
+    expect(received.body).toMatchObject({
+      id: delivery.eventId,
+      event: 'batch.completed',
+      data: { batch: 1, contacts: [{ firstName: 'Tim' }], stats: { processed: 1 } }
+    });
+  });
+
+  it('retries server errors with the same event id and a fresh signature', async () => {
+    receiver = await startWebhookReceiver({ secret: SECRET, failFirst: 2 });
+    const delivery = await deliverWebhook({ id: 'wh_test', url: receiver.url, secret: SECRET }, { event: 'run.completed', data: {} });
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 500, 204]);
+    expect(new Set(receiver.deliveries.map(received => received.headers['x-webhook-id'])).size).toBe(1);
+    expect(receiver.deliveries.every(received => received.verified)).toBe(true);
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    receiver = await startWebhookReceiver({ secret: SECRET, failFirst: 5 });
+    const delivery = await deliverWebhook({ id: 'wh_test', url: receiver.url, secret: SECRET }, { event: 'run.failed', data: {} });
+
+    expect(delivery).toMatchObject({ status: 'failed', statusCode: 500, error: 'HTTP 500' });
+    expect(delivery.attempts).toHaveLength(3);
+  });
+
+  it('does not retry a payload the receiver rejects', async () => {
+    receiver = await startWebhookReceiver({ secret: SECRET });
+    const delivery = await deliverWebhook({ id: 'wh_test', url: receiver.url, secret: 'wrong-secret-0000000' }, { event: 'run.completed', data: {} });
+
+    expect(delivery).toMatchObject({ status: 'failed', statusCode: 401 });
+    expect(delivery.attempts).toHaveLength(1);
+  });
+
+  it('records network errors', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+    receiver = await startWebhookReceiver({ secret: SECRET });
+    const { url } = receiver;
+    await receiver.close();
+    receiver = null;
+
+    const delivery = await deliverWebhook({ id: 'wh_test', url, secret: SECRET }, { event: 'run.completed', data: {} });
+    expect(delivery).toMatchObject({ status: 'failed', statusCode: null });
+    expect(delivery.attempts).toHaveLength(2);
+    expect(delivery.error).toBeTruthy();
+  });
+
+  it('refuses to deliver to a private address', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    receiver = await startWebhookReceiver({ secret: SECRET });
+    const delivery = await deliverWebhook({ id: 'wh_test', url: receiver.url, secret: SECRET }, { event: 'run.completed', data: {} });
+
+    expect(delivery).toMatchObject({ status: 'failed', statusCode: null, error: 'Refused: 127.0.0.1 is a private address' });
+    expect(delivery.attempts).toHaveLength(1);
+    expect(receiver.deliveries).toEqual([]);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1'
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'example.com'])('treats %s as public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('webhooks function', () => {
+  let receiver;
+
+  beforeAll(async () => {
+    receiver = await startWebhookReceiver({ secret: SECRET });
+  });
+
+  afterAll(async () => {
+    await receiver.close();
+  });
+
+  beforeEach(() => {
+    receiver.deliveries.length = 0;
+  });
+
+  const create = async (body) => {
+    const response = await handler(request('POST', '', body));
+    return { status: response.status, body: await response.json() };
+  };
+
+  it.each([
+    ['a missing url', { events: ['run.completed'] }, 'url must be an absolute http or https URL'],
+    ['a non-http url', { url: 'ftp://example.com', events: ['run.completed'] }, 'url must be an absolute http or https URL'],
+    ['no events', { url: 'https://example.com/hook', events: [] }, 'events must list at least one event'],
+    ['an unknown event', { url: 'https://example.com/hook', events: ['run.started'] }, 'events may only contain'],
+    ['a short secret', { url: 'https://example.com/hook', events: ['run.completed'], secret: 'short' }, 'secret must be at least 16 characters'],
+    ['a null body', null, 'Request body must be a JSON object']
+  ])('returns 400 for %s', async (label, body, message) => {
+    const { status, body: result } = await create(body);
+    expect(status).toBe(400);
+    expect(result.message).toContain(message);
+  });
+
+  it.each([
+    'http://localhost:4020/hooks',
+    'http://127.0.0.1/hooks',
+    'http://10.0.0.5/hooks',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hooks',
+    'http://[::ffff:192.168.0.1]/hooks'
+  ])('refuses the private endpoint %s', async (url) => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    const { status, body } = await create({ url, events: ['run.completed'] });
+    expect(status).toBe(400);
+    expect(body.message).toBe('url must not point at a loopback, private or link-local address');
+  });
+
+  it('is off without WEBHOOK_ADMIN_TOKEN', async () => {
+    delete process.env.WEBHOOK_ADMIN_TOKEN;
+    const response = await handler(request('GET', ''));
+    expect(response.status).toBe(403);
+    expect((await response.json()).message).toContain('WEBHOOK_ADMIN_TOKEN');
+  });
+
+  it.each([
+    ['GET', ''],
+    ['POST', ''],
+    ['POST', '/events'],
+    ['POST', '/wh_000000000000/test'],
+    ['DELETE', '/wh_000000000000']
+  ])('needs the admin token for %s %s', async (method, pathname) => {
+    const body = method === 'GET' ? undefined : {};
+    const missing = await handler(request(method, pathname, body, null));
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer');
+
+    const wrong = await handler(request(method, pathname, body, 'not-the-token'));
+    expect(wrong.status).toBe(401);
+  });
+
+  it('returns 400 for invalid JSON', async () => {
+    const response = await handler(request('POST', '', '{'));
+    expect(response.status).toBe(400);
+  });
+
+  it('generates a secret, shows it once and hides it when listing', async () => {
+    const { status, body } = await create({ url: 'https://example.com/hook', events: ['run.completed'] });
+    expect(status).toBe(201);
+    expect(body.secret).toMatch(/^whsec_/);
+    expect(body.webhook.secretHint).toBe(`…${body.secret.slice(-4)}`);
+
+    const listed = await (await handler(request('GET', ''))).json();
+    expect(listed.events).toEqual(['batch.completed', 'run.completed', 'run.failed']);
+    expect(listed.webhooks).toHaveLength(1);
+    expect(JSON.stringify(listed)).not.toContain(body.secret);
+  });
+
+  it('relays events to the endpoints subscribed to them and logs each delivery', async () => {
+    const batches = await create({ url: receiver.url, events: ['batch.completed'], secret: SECRET });
+    await create({ url: receiver.url, events: ['run.completed', 'run.failed'], secret: SECRET });
+
+    const response = await handler(request('POST', '/events', {
+      event: 'batch.completed',
+      data: { runId: 'run_1', batch: 1, contacts: [{ firstName: 'Tim', enrichmentStatus: 'success' }], stats: { processed: 1 } }
+    }));
+    const { deliveries } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ webhookId: batches.body.webhook.id, status: 'delivered' });
+    expect(receiver.deliveries).toHaveLength(1);
+    expect(receiver.deliveries[0].verified).toBe(true);
+    expect(receiver.deliveries[0].body.data.contacts[0].firstName).toBe('Tim');
+
+    const listed = await (await handler(request('GET', ''))).json();
+    expect(listed.deliveries.map(delivery => delivery.event)).toEqual(['batch.completed']);
+  });
+
+  it('validates relayed events', async () => {
+    const unknown = await handler(request('POST', '/events', { event: 'run.started', data: {} }));
+    expect(unknown.status).toBe(400);
+
+    const tooMany = await handler(request('POST', '/events', { event: 'batch.completed', data: { contacts: Array(1001).fill({}) } }));
+    expect(tooMany.status).toBe(400);
+    expect((await tooMany.json()).message).toContain('data.contacts');
+  });
+
+  it('sends a test event and deletes endpoints', async () => {
+    const { body } = await create({ url: receiver.url, events: ['run.completed'], secret: SECRET });
+    const id = body.webhook.id;
+
+    const tested = await (await handler(request('POST', `/${id}/test`))).json();
+    expect(tested.delivery).toMatchObject({ event: 'webhook.test', status: 'delivered' });
+    expect(receiver.deliveries[0].headers['x-webhook-event']).toBe('webhook.test');
+
+    expect((await handler(request('DELETE', `/${id}`))).status).toBe(200);
+    expect((await handler(request('DELETE', `/${id}`))).status).toBe(404);
+    expect((await handler(request('GET', '/wh_doesnotexist'))).status).toBe(404);
+  });
+});
+
+describe('run webhooks', () => {
+  let mock;
+  let receiver;
+
+  beforeAll(async () => {
+    Object.assign(process.env, MOCK_PROFILES, { ENRICHMENT_CACHE: 'off' });
+    mock = await startMockApollo();
+    receiver = await startWebhookReceiver({ secret: SECRET });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    await receiver.close();
+    Object.keys(MOCK_PROFILES).forEach(key => delete process.env[key]);
+    delete process.env.APOLLO_BASE_URL;
+    delete process.env.ENRICHMENT_CACHE;
+  });
+
+  it('sends batch.completed with the enriched contacts and run.completed with the stats', async () => {
+    const webhookStore = createFileWebhookStore({ directory });
+    await webhookStore.createWebhook({ id: 'wh_000000000000', url: receiver.url, secret: SECRET, events: ['batch.completed', 'run.completed'] });
+
+    const jobStore = createFileJobStore({ directory: path.join(directory, 'jobs') });
+    const job = {
+      id: 'job_000000000000',
+      status: 'queued',
+      profile: 'default',
+      totalContacts: 2,
+      batchSize: 25,
+      totalBatches: 1,
+      nextBatch: 0,
+      stats: { processed: 0, successful: 0, failed: 0, apiCalls: 0, creditsUsed: 0, creditsSaved: 0 },
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await jobStore.createJob(job, {
+      profile: 'default',
+      contacts: [
+        { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' },
+        { firstName: 'Nobody', lastName: 'Known', domain: 'example.com' }
+      ]
+    });
+
+    const finished = await runJob(jobStore, job.id, { webhookStore });
+    expect(finished.status).toBe('completed');
+
+    const events = receiver.deliveries.map(received => received.body);
+    expect(events.map(event => event.event)).toEqual(['batch.completed', 'run.completed']);
+    expect(receiver.deliveries.every(received => received.verified)).toBe(true);
+    expect(events[0].data).toMatchObject({ source: 'job', runId: job.id, batch: 1, totalBatches: 1, stats: { processed: 2, successful: 1, failed: 1 } });
+    expect(events[0].data.contacts.map(contact => contact.enrichmentStatus)).toEqual(['success', 'failed']);
+    expect(events[1].data.stats).toMatchObject({ processed: 2, successful: 1, failed: 1 });
+
+    // Each batch is audited under the job's id
+    const today = new Date().toISOString().slice(0, 10);
+    const audits = await createFileAuditStore({ directory: path.join(directory, 'audit') }).query({ from: today, to: today, runId: job.id });
+    expect(audits).toEqual([expect.objectContaining({
+      action: 'job.batch',
+      profile: 'default',
+      counts: { submitted: 2, succeeded: 1, failed: 1 },
+      outcome: 'success'
+    })]);
+  });
+
+  it('logs failed deliveries without failing the caller', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+    const webhookStore = createFileWebhookStore({ directory });
+    await webhookStore.createWebhook({ id: 'wh_111111111111', url: 'http://127.0.0.1:9/hooks', secret: SECRET, events: ['run.failed'] });
+
+    const deliveries = await dispatchEvent(webhookStore, 'run.failed', { error: 'boom' });
+    expect(deliveries[0].status).toBe('failed');
+    expect((await webhookStore.listDeliveries())[0]).toMatchObject({ event: 'run.failed', status: 'failed' });
+  });
+
+  describe('for browser runs', () => {
+    const contacts = [
+      { firstName: 'Tim', lastName: 'Zheng', domain: 'apollo.io' },
+      { firstName: 'Nobody', lastName: 'Known', domain: 'example.com' }
+    ];
+    let sender;
+
+    const enrich = async (body, profile = 'default') => {
+      const response = await enrichHandler({
+        httpMethod: 'POST',
+        rawUrl: `${sender.origin}/.netlify/functions/enrich`,
+        headers: { 'x-forwarded-for': '10.9.0.1', authorization: 'Bearer studio-token' },
+        body: JSON.stringify({ profile, ...body })
+      });
+      return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    // What the background function would do with the events queued so far
+    const sendQueuedEvents = async () => {
+      for (const id of sender.ids.splice(0)) {
+        await senderHandler({ body: JSON.stringify({ id }) });
+      }
+      return receiver.deliveries.map(received => received.body);
+    };
+
+    beforeAll(async () => {
+      sender = await startSenderEndpoint();
+    });
+
+    afterAll(async () => {
+      await sender.close();
+    });
+
+    beforeEach(async () => {
+      process.env.CREDIT_LEDGER_DIR = path.join(directory, 'credits');
+      process.env.STUDIO_ACCESS_TOKEN = 'studio-token';
+      receiver.deliveries.length = 0;
+      sender.ids.length = 0;
+      sender.status = 202;
+      await createFileWebhookStore({ directory }).createWebhook({
+        id: 'wh_222222222222', url: receiver.url, secret: SECRET, events: ['batch.completed', 'run.completed', 'run.failed']
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.CREDIT_LEDGER_DIR;
+      delete process.env.STUDIO_ACCESS_TOKEN;
+    });
+
+    it('queues events built from what the enrich function returned and answers without waiting for them', async () => {
+      const first = await enrich({ contacts: [contacts[0]], run: { id: 'run_browser1', batch: 1, totalBatches: 2 } });
+      expect(first.statusCode).toBe(200);
+      expect(first.body.webhooks).toBeUndefined();
+      expect(receiver.deliveries).toEqual([]);
+      expect(sender.ids).toHaveLength(1);
+
+      // A batch sent again after a lost response counts once
+      await enrich({ contacts: [contacts[0]], run: { id: 'run_browser1', batch: 1, totalBatches: 2 } });
+      await enrich({ contacts: [contacts[1]], run: { id: 'run_browser1', batch: 2, totalBatches: 2 } });
+
+      const events = await sendQueuedEvents();
+      expect(events.map(event => event.event)).toEqual(['batch.completed', 'batch.completed', 'batch.completed', 'run.completed']);
+      expect(receiver.deliveries.every(received => received.verified)).toBe(true);
+      expect(events[0].data).toMatchObject({
+        source: 'browser',
+        runId: 'run_browser1',
+        mode: 'people',
+        batch: 1,
+        totalBatches: 2,
+        stats: { processed: 1, successful: 1, failed: 0 }
+      });
+      expect(events[0].data.contacts).toEqual(first.body.data);
+      expect(events[2].data.totals).toMatchObject({ processed: 2, successful: 1, failed: 1 });
+      expect(events[3].data).toMatchObject({ source: 'browser', runId: 'run_browser1', totalBatches: 2, stats: { processed: 2, successful: 1, failed: 1 } });
+    });
+
+    it('sends run.completed once when the last batch is sent again', async () => {
+      await enrich({ contacts, run: { id: 'run_browser2', batch: 1, totalBatches: 1 } });
+      await enrich({ contacts, run: { id: 'run_browser2', batch: 1, totalBatches: 1 } });
+
+      const events = await sendQueuedEvents();
+      expect(events.map(event => event.event)).toEqual(['batch.completed', 'run.completed', 'batch.completed']);
+      expect(events[1].data.stats).toMatchObject({ processed: 2, successful: 1, failed: 1 });
+    });
+
+    it('sends run.failed once when the run stops at its credit cap', async () => {
+      // A contact costs 2 credits with personal emails on, as they are by default
+      const budget = { runId: 'run_browser3', maxRunCredits: 2 };
+      const first = await enrich({ contacts: [contacts[0]], budget, run: { id: 'run_browser3', batch: 1, totalBatches: 3 } });
+      expect(first.statusCode).toBe(200);
+      const refused = await enrich({ contacts: [contacts[1]], budget, run: { id: 'run_browser3', batch: 2, totalBatches: 3 } });
+      expect(refused.statusCode).toBe(402);
+      await enrich({ contacts: [contacts[1]], budget, run: { id: 'run_browser3', batch: 2, totalBatches: 3 } });
+
+      const events = await sendQueuedEvents();
+      expect(events.map(event => event.event)).toEqual(['batch.completed', 'run.failed']);
+      expect(events[1].data).toEqual({
+        source: 'browser',
+        runId: 'run_browser3',
+        mode: 'people',
+        totalBatches: 3,
+        stats: expect.objectContaining({ processed: 1, successful: 1 }),
+        error: refused.body.message
+      });
+    });
+
+    it('sends run.failed when Apollo rejects the key', async () => {
+      const { statusCode } = await enrich({ contacts, run: { id: 'run_browser4', batch: 1, totalBatches: 2 } }, 'unauthorized');
+      expect(statusCode).toBe(401);
+
+      const [event] = await sendQueuedEvents();
+      expect(event).toMatchObject({ event: 'run.failed', data: { runId: 'run_browser4', error: 'Apollo rejected the API key' } });
+    });
+
+    it('drops the events when the background sender is unavailable, without failing the batch', async () => {
+      sender.status = 500;
+      const { statusCode } = await enrich({ contacts, run: { id: 'run_browser5', batch: 1, totalBatches: 1 } });
+      expect(statusCode).toBe(200);
+      expect(console.error).toHaveBeenCalledWith('Could not send webhooks for run run_browser5:', expect.stringContaining('HTTP 500'));
+      expect(JSON.parse(await fs.readFile(path.join(directory, 'queue.json'), 'utf8'))).toEqual({});
+    });
+
+    it('sends nothing for a batch that does not name its run', async () => {
+      const { statusCode } = await enrich({ contacts });
+      expect(statusCode).toBe(200);
+      expect(sender.ids).toEqual([]);
+    });
+
+    it('checks the run it is given', async () => {
+      const { statusCode, body } = await enrich({ contacts, run: { id: 'run 1', batch: 0, totalBatches: 1 } });
+      expect(statusCode).toBe(400);
+      expect(body.errors.map(error => error.path)).toEqual(['run.id', 'run.batch']);
+      expect(sender.ids).toEqual([]);
+    });
+
+    it('ignores sender calls for events that are not queued', async () => {
+      await senderHandler({ body: JSON.stringify({ id: 'whq_000000000000' }) });
+      await senderHandler({ body: JSON.stringify({ id: '../runs' }) });
+      await senderHandler({ body: '{' });
+      expect(receiver.deliveries).toEqual([]);
+    });
+  });
+});